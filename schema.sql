@@ -1,22 +1,73 @@
 -- backend/db/schema.sql
+-- Create document_batches table (groups documents uploaded together for one applicant)
+CREATE TABLE IF NOT EXISTS document_batches (
+  id SERIAL PRIMARY KEY,
+  batch_id UUID NOT NULL UNIQUE,
+  tenant_id TEXT NOT NULL,
+  first_name TEXT NOT NULL,
+  last_name TEXT NOT NULL,
+  -- Text so it can hold an encrypted value when ENCRYPTION_KEYS is set, like the names
+  date_of_birth TEXT NOT NULL,
+  processing_method TEXT NOT NULL CHECK (processing_method IN ('standard', 'ai')),
+  file_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create document_processing_jobs table
 CREATE TABLE IF NOT EXISTS document_processing_jobs (
   id SERIAL PRIMARY KEY,
   job_id UUID NOT NULL UNIQUE,
-  file_url TEXT NOT NULL,
+  -- Cleared when retention purges the original file; the extracted data stays until its own retention runs out
+  file_url TEXT,
+  file_purged_at TIMESTAMP WITH TIME ZONE,
   file_name TEXT NOT NULL,
   mime_type TEXT NOT NULL,
   first_name TEXT NOT NULL,
   last_name TEXT NOT NULL,
-  date_of_birth DATE NOT NULL,
+  -- Names, date of birth, extracted text, layout, MRZ, AI data and verification hold encrypted values when
+  -- ENCRYPTION_KEYS is set (JSONB columns then hold a JSON string)
+  date_of_birth TEXT NOT NULL,
   processing_method TEXT NOT NULL CHECK (processing_method IN ('standard', 'ai')),
-  status TEXT NOT NULL DEFAULT 'processing' CHECK (status IN ('processing', 'completed', 'failed')),
+  ocr_options JSONB,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed', 'quarantined')),
   progress INTEGER DEFAULT 0,
+  progress_stage TEXT,
+  tenant_id TEXT NOT NULL,
+  safety_checks JSONB,
+  content_hash TEXT,
+  duplicate_of UUID REFERENCES document_processing_jobs(job_id) ON DELETE SET NULL,
+  page_hashes JSONB,
+  perceptual_bands TEXT[],
+  near_duplicates JSONB,
+  batch_id UUID REFERENCES document_batches(batch_id) ON DELETE SET NULL,
+  document_type TEXT,
+  document_type_confidence REAL,
+  verification JSONB,
+  verification_verdict TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_run_at TIMESTAMP WITH TIME ZONE,
+  locked_by TEXT,
+  locked_at TIMESTAMP WITH TIME ZONE,
   raw_text TEXT,
+  layout JSONB,
+  ocr_pages JSONB,
+  warnings JSONB,
+  mrz_data JSONB,
   ai_extracted_data JSONB,
+  ai_provider TEXT,
+  ai_model TEXT,
   full_name TEXT,
   age INTEGER,
   error_message TEXT,
+  error_code TEXT,
+  -- Blind indexes (keyed hashes of the words) of the names and the searchable text while they are encrypted
+  name_index TEXT[],
+  search_index TEXT[],
+  -- Jobs on legal hold are never purged, by retention or by hand
+  legal_hold BOOLEAN NOT NULL DEFAULT false,
+  legal_hold_reason TEXT,
+  legal_hold_at TIMESTAMP WITH TIME ZONE,
+  legal_hold_by UUID,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   completed_at TIMESTAMP WITH TIME ZONE,
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
@@ -27,6 +78,242 @@ CREATE INDEX IF NOT EXISTS idx_job_id ON document_processing_jobs(job_id);
 CREATE INDEX IF NOT EXISTS idx_created_at ON document_processing_jobs(created_at);
 CREATE INDEX IF NOT EXISTS idx_status ON document_processing_jobs(status);
 
+-- Upload responses recorded per Idempotency-Key header, replayed for retries
+CREATE TABLE IF NOT EXISTS upload_idempotency_keys (
+  idempotency_key TEXT PRIMARY KEY,
+  fingerprint TEXT NOT NULL,
+  state TEXT NOT NULL CHECK (state IN ('in_progress', 'completed')),
+  response_status INTEGER,
+  response_body JSONB,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+CREATE INDEX IF NOT EXISTS idx_idempotency_created_at ON upload_idempotency_keys(created_at);
+
+-- API keys; only a SHA-256 of each key is stored
+CREATE TABLE IF NOT EXISTS api_keys (
+  key_id UUID PRIMARY KEY,
+  tenant_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL,
+  key_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+CREATE INDEX IF NOT EXISTS idx_api_keys_tenant ON api_keys(tenant_id);
+
+-- Every retrieval of an original document; no foreign key, so entries outlive deleted jobs
+CREATE TABLE IF NOT EXISTS document_access_log (
+  access_id UUID PRIMARY KEY,
+  job_id UUID NOT NULL,
+  tenant_id TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('link_issued', 'file_served', 'redacted_served')),
+  key_id UUID,
+  key_name TEXT,
+  ip_address TEXT,
+  user_agent TEXT,
+  expires_at TIMESTAMP WITH TIME ZONE,
+  byte_range TEXT,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_access_log_job ON document_access_log(job_id, created_at DESC);
+
+-- Every purge of an original file or a job, by retention or by hand; like the access log it has no foreign key
+CREATE TABLE IF NOT EXISTS document_purge_log (
+  purge_id UUID PRIMARY KEY,
+  job_id UUID NOT NULL,
+  tenant_id TEXT NOT NULL,
+  action TEXT NOT NULL CHECK (action IN ('file_purged', 'job_purged')),
+  reason TEXT NOT NULL CHECK (reason IN ('retention', 'manual')),
+  processing_method TEXT,
+  job_created_at TIMESTAMP WITH TIME ZONE,
+  retention_days INTEGER,
+  policy_source TEXT,
+  key_id UUID,
+  key_name TEXT,
+  purged_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_purge_log_tenant ON document_purge_log(tenant_id, purged_at DESC);
+
+-- Upgrade existing databases: job queue columns
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS next_run_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS locked_by TEXT;
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE document_processing_jobs DROP CONSTRAINT IF EXISTS document_processing_jobs_status_check;
+ALTER TABLE document_processing_jobs ADD CONSTRAINT document_processing_jobs_status_check
+  CHECK (status IN ('queued', 'processing', 'completed', 'failed', 'quarantined'));
+CREATE INDEX IF NOT EXISTS idx_queue ON document_processing_jobs(status, next_run_at, created_at);
+
+-- Upgrade existing databases: progress reporting
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS progress_stage TEXT;
+
+-- Upgrade existing databases: batch uploads
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES document_batches(batch_id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_batch_id ON document_processing_jobs(batch_id);
+
+-- Upgrade existing databases: document type classification
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS document_type TEXT;
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS document_type_confidence REAL;
+CREATE INDEX IF NOT EXISTS idx_document_type ON document_processing_jobs(document_type);
+
+-- Upgrade existing databases: AI provider that produced the extraction
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS ai_provider TEXT;
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS ai_model TEXT;
+
+-- Upgrade existing databases: identity verification
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS verification JSONB;
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS verification_verdict TEXT;
+CREATE INDEX IF NOT EXISTS idx_verification_verdict ON document_processing_jobs(verification_verdict);
+
+-- Upgrade existing databases: machine readable zone
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS mrz_data JSONB;
+
+-- Upgrade existing databases: page and layout structure
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS layout JSONB;
+
+-- Upgrade existing databases: OCR options and pages
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS ocr_options JSONB;
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS ocr_pages JSONB;
+
+-- Upgrade existing databases: failure codes and warnings
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS error_code TEXT;
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS warnings JSONB;
+
+-- Upgrade existing databases: upload safety checks and quarantine
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS safety_checks JSONB;
+
+-- Upgrade existing databases: duplicate detection
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS content_hash TEXT;
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS duplicate_of UUID REFERENCES document_processing_jobs(job_id) ON DELETE SET NULL;
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS page_hashes JSONB;
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS perceptual_bands TEXT[];
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS near_duplicates JSONB;
+
+-- Upgrade existing databases: tenants. Earlier jobs and batches go to the 'default' tenant;
+-- create an API key for that tenant to reach them
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS tenant_id TEXT;
+UPDATE document_processing_jobs SET tenant_id = 'default' WHERE tenant_id IS NULL;
+ALTER TABLE document_processing_jobs ALTER COLUMN tenant_id SET NOT NULL;
+ALTER TABLE document_batches ADD COLUMN IF NOT EXISTS tenant_id TEXT;
+UPDATE document_batches SET tenant_id = 'default' WHERE tenant_id IS NULL;
+ALTER TABLE document_batches ALTER COLUMN tenant_id SET NOT NULL;
+DROP POLICY IF EXISTS "Allow public insert" ON document_processing_jobs;
+DROP POLICY IF EXISTS "Allow public select" ON document_processing_jobs;
+DROP POLICY IF EXISTS "Allow public update" ON document_processing_jobs;
+DROP POLICY IF EXISTS "Allow public insert" ON document_batches;
+DROP POLICY IF EXISTS "Allow public select" ON document_batches;
+DROP FUNCTION IF EXISTS search_documents(TEXT, INTEGER, INTEGER);
+
+-- Upgrade existing databases: private document storage. Files are only reachable through signed URLs;
+-- public URLs recorded on earlier jobs stop working
+UPDATE storage.buckets SET public = false WHERE id = 'my-files';
+DROP POLICY IF EXISTS "Allow public upload" ON storage.objects;
+DROP POLICY IF EXISTS "Allow public read" ON storage.objects;
+
+-- Upgrade existing databases: redacted copies are recorded in the access log
+ALTER TABLE document_access_log DROP CONSTRAINT IF EXISTS document_access_log_action_check;
+ALTER TABLE document_access_log ADD CONSTRAINT document_access_log_action_check
+  CHECK (action IN ('link_issued', 'file_served', 'redacted_served'));
+
+-- Upgrade existing databases: retention and legal holds
+ALTER TABLE document_processing_jobs ALTER COLUMN file_url DROP NOT NULL;
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS file_purged_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS legal_hold BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS legal_hold_reason TEXT;
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS legal_hold_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS legal_hold_by UUID;
+
+-- Upgrade existing databases: encryption at rest
+ALTER TABLE document_batches ALTER COLUMN date_of_birth TYPE TEXT USING date_of_birth::text;
+ALTER TABLE document_processing_jobs ALTER COLUMN date_of_birth TYPE TEXT USING date_of_birth::text;
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS name_index TEXT[];
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS search_index TEXT[];
+
+-- Every job lookup is scoped to a tenant
+CREATE INDEX IF NOT EXISTS idx_tenant_created_at ON document_processing_jobs(tenant_id, created_at DESC);
+
+-- Duplicate lookups: identical files by SHA-256, re-scans by perceptual hash bands
+CREATE INDEX IF NOT EXISTS idx_content_hash ON document_processing_jobs(tenant_id, content_hash);
+CREATE INDEX IF NOT EXISTS idx_perceptual_bands ON document_processing_jobs USING GIN (perceptual_bands);
+
+-- Name filter and search while names and text are encrypted
+CREATE INDEX IF NOT EXISTS idx_name_index ON document_processing_jobs USING GIN (name_index);
+CREATE INDEX IF NOT EXISTS idx_search_index ON document_processing_jobs USING GIN (search_index);
+
+-- Indexes for filtered and sorted result listings
+CREATE INDEX IF NOT EXISTS idx_status_created_at ON document_processing_jobs(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_processing_method ON document_processing_jobs(processing_method);
+CREATE INDEX IF NOT EXISTS idx_mime_type ON document_processing_jobs(mime_type);
+CREATE INDEX IF NOT EXISTS idx_completed_at ON document_processing_jobs(completed_at);
+
+-- Retention sweeps walk finished jobs that aren't on legal hold, oldest first
+CREATE INDEX IF NOT EXISTS idx_retention ON document_processing_jobs(created_at, job_id) WHERE legal_hold = false;
+
+-- Full-text search over extracted text and the string values of AI fields
+ALTER TABLE document_processing_jobs ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    to_tsvector('simple', coalesce(raw_text, ''))
+    || jsonb_to_tsvector('simple', coalesce(ai_extracted_data, '{}'::jsonb), '["string"]')
+  ) STORED;
+CREATE INDEX IF NOT EXISTS idx_search_vector ON document_processing_jobs USING GIN (search_vector);
+
+-- Ranked search of one tenant's documents with highlighted snippets. Matches are wrapped
+-- in chr(2)/chr(3), which the API escapes and turns into <mark> tags.
+CREATE OR REPLACE FUNCTION search_documents(
+  search_query TEXT,
+  search_tenant TEXT,
+  result_limit INTEGER DEFAULT 20,
+  result_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+  job_id UUID,
+  file_name TEXT,
+  mime_type TEXT,
+  first_name TEXT,
+  last_name TEXT,
+  full_name TEXT,
+  status TEXT,
+  processing_method TEXT,
+  created_at TIMESTAMP WITH TIME ZONE,
+  rank REAL,
+  snippet TEXT,
+  total_count BIGINT
+) AS $$
+  WITH query AS (
+    SELECT websearch_to_tsquery('simple', search_query) AS tsq
+  ),
+  matches AS (
+    SELECT j.*, ts_rank_cd(j.search_vector, query.tsq) AS rank, query.tsq
+    FROM document_processing_jobs j, query
+    WHERE j.search_vector @@ query.tsq AND j.tenant_id = search_tenant
+  )
+  SELECT
+    m.job_id,
+    m.file_name,
+    m.mime_type,
+    m.first_name,
+    m.last_name,
+    m.full_name,
+    m.status,
+    m.processing_method,
+    m.created_at,
+    m.rank,
+    ts_headline(
+      'simple',
+      coalesce(m.raw_text, '') || ' ' || coalesce(m.ai_extracted_data::text, ''),
+      m.tsq,
+      'StartSel=' || chr(2) || ', StopSel=' || chr(3) || ', MaxWords=30, MinWords=10, MaxFragments=2'
+    ) AS snippet,
+    count(*) OVER () AS total_count
+  FROM matches m
+  ORDER BY m.rank DESC, m.created_at DESC
+  LIMIT result_limit
+  OFFSET result_offset;
+$$ LANGUAGE sql STABLE;
+
 -- Create function to update updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -44,23 +331,16 @@ CREATE TRIGGER update_document_processing_jobs_updated_at
 
 -- Enable Row Level Security
 ALTER TABLE document_processing_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE document_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE upload_idempotency_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE document_access_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE document_purge_log ENABLE ROW LEVEL SECURITY;
 
--- Create policies for public access (adjust as needed for your security requirements)
-CREATE POLICY "Allow public insert" ON document_processing_jobs
-    FOR INSERT WITH CHECK (true);
-
-CREATE POLICY "Allow public select" ON document_processing_jobs
-    FOR SELECT USING (true);
-
-CREATE POLICY "Allow public update" ON document_processing_jobs
-    FOR UPDATE USING (true);
-
--- Create storage bucket for files (run this in Supabase dashboard if not exists)
--- INSERT INTO storage.buckets (id, name, public) VALUES ('my-files', 'my-files', true);
-
--- Create storage policies
-CREATE POLICY "Allow public upload" ON storage.objects
-    FOR INSERT WITH CHECK (bucket_id = 'my-files');
+-- No table has public policies: the API reaches them with the service key (SUPABASE_SERVICE_KEY),
+-- which bypasses row level security, and enforces API key scopes and tenants itself.
 
-CREATE POLICY "Allow public read" ON storage.objects
-    FOR SELECT USING (bucket_id = 'my-files');
\ No newline at end of file
+-- Create a private storage bucket for files (run this in Supabase dashboard if not exists).
+-- There are no storage policies either: the API uploads with the service key and hands files
+-- out as signed URLs that expire after DOCUMENT_URL_TTL_SECONDS.
+-- INSERT INTO storage.buckets (id, name, public) VALUES ('my-files', 'my-files', false);
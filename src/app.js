@@ -0,0 +1,60 @@
+// src/app.js
+const express = require('express');
+const path = require('path');
+
+// Import middleware
+const cors = require('./middleware/cors');
+const errorHandler = require('./middleware/errorHandler');
+const uploadLimiter = require('./middleware/uploadLimiter');
+const { authenticate, requireScope } = require('./middleware/auth');
+
+// Import routes
+const uploadRoutes = require('./routes/upload');
+const resultsRoutes = require('./routes/results');
+const healthRoutes = require('./routes/health');
+const filesRoutes = require('./routes/files');
+const batchesRoutes = require('./routes/batches');
+const searchRoutes = require('./routes/search');
+const keysRoutes = require('./routes/keys');
+const retentionRoutes = require('./routes/retention');
+
+const { API_SCOPES } = require('./config/constants');
+
+const app = express();
+
+// Middleware
+app.use(cors);
+app.use(express.json({ limit: '10mb' }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+// Apply rate limiting to upload routes
+app.use('/api/upload', uploadLimiter);
+
+// Health checks stay public and signed document links carry their own credential;
+// every other API route needs an API key
+app.use('/api/health', healthRoutes);
+app.use('/api/files', filesRoutes);
+app.use('/api', authenticate);
+
+// Routes; results checks read and delete scopes per route
+app.use('/api/upload', requireScope(API_SCOPES.UPLOAD), uploadRoutes);
+app.use('/api/results', resultsRoutes);
+app.use('/api/batches', requireScope(API_SCOPES.READ), batchesRoutes);
+app.use('/api/search', requireScope(API_SCOPES.READ), searchRoutes);
+app.use('/api/keys', requireScope(API_SCOPES.ADMIN), keysRoutes);
+app.use('/api/retention', requireScope(API_SCOPES.ADMIN), retentionRoutes);
+
+// Serve static files in production
+if (process.env.NODE_ENV === 'production') {
+  app.use(express.static(path.join(__dirname, '../frontend/.next')));
+  
+  // Handle React routing, return all requests to React app
+  app.get('*', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/.next', 'index.html'));
+  });
+}
+
+// Error handling middleware (should be last)
+app.use(errorHandler);
+
+module.exports = app;
@@ -5,25 +5,211 @@ module.exports = {
       AI: 'ai'
     },
     
+    // What an upload does when an identical file was already processed
+    DUPLICATE_POLICIES: {
+      REUSE: 'reuse',
+      LINK: 'link',
+      PROCESS: 'process'
+    },
+    
+    // What an API key may do; admin includes the others and manages keys
+    API_SCOPES: {
+      UPLOAD: 'upload',
+      READ: 'read',
+      DELETE: 'delete',
+      ADMIN: 'admin'
+    },
+    
+    // Recorded in the document access log
+    ACCESS_ACTIONS: {
+      // A time-limited link to the document was handed out
+      LINK_ISSUED: 'link_issued',
+      // The document's bytes were served through the API
+      FILE_SERVED: 'file_served',
+      // A copy with PII blacked out was served
+      REDACTED_SERVED: 'redacted_served'
+    },
+    
+    // Recorded in the purge log
+    PURGE_ACTIONS: {
+      // The original file was deleted; the extracted data was kept
+      FILE_PURGED: 'file_purged',
+      // The job, its extracted data and any remaining file were deleted
+      JOB_PURGED: 'job_purged'
+    },
+    
+    // Why something was purged
+    PURGE_REASONS: {
+      RETENTION: 'retention',
+      MANUAL: 'manual'
+    },
+    
+    // Personal data the redaction engine detects and masks
+    PII_CLASSES: {
+      ID_NUMBER: 'id_number',
+      EMAIL: 'email',
+      PHONE: 'phone',
+      ACCOUNT_NUMBER: 'account_number',
+      ADDRESS: 'address'
+    },
+    
+    // Tenant used when API_AUTH is disabled, and given to jobs stored before tenants existed
+    DEFAULT_TENANT: 'default',
+    
     JOB_STATUS: {
+      QUEUED: 'queued',
+      PROCESSING: 'processing',
+      COMPLETED: 'completed',
+      FAILED: 'failed',
+      // Held back by the upload safety checks and never processed
+      QUARANTINED: 'quarantined'
+    },
+    
+    BATCH_STATUS: {
+      QUEUED: 'queued',
       PROCESSING: 'processing',
       COMPLETED: 'completed',
-      FAILED: 'failed'
+      FAILED: 'failed',
+      PARTIAL: 'partial'
+    },
+    
+    JOB_SORT_FIELDS: ['createdAt', 'completedAt', 'fileName', 'status'],
+    
+    PAGINATION: {
+      DEFAULT_LIMIT: 20,
+      MAX_LIMIT: 100
+    },
+    
+    PROGRESS_STAGES: {
+      UPLOADED: 'uploaded',
+      EXTRACTING: 'extracting',
+      OCR: 'ocr',
+      AI: 'ai',
+      VERIFYING: 'verifying',
+      SAVED: 'saved'
+    },
+    
+    VERIFICATION_VERDICTS: {
+      MATCH: 'match',
+      REVIEW: 'review',
+      MISMATCH: 'mismatch',
+      UNVERIFIABLE: 'unverifiable'
+    },
+    
+    VERIFICATION_FIELD_STATUS: {
+      MATCH: 'match',
+      PARTIAL: 'partial',
+      MISMATCH: 'mismatch',
+      MISSING: 'missing',
+      NOT_APPLICABLE: 'not_applicable'
+    },
+    
+    // Image preprocessing before OCR, in the order they run
+    PREPROCESSING_STEPS: {
+      EXIF_ROTATE: 'exifRotate',
+      RESIZE: 'resize',
+      ORIENTATION: 'orientation',
+      DESKEW: 'deskew',
+      GRAYSCALE: 'grayscale',
+      BINARIZE: 'binarize',
+      CROP: 'crop'
+    },
+    
+    // Bounds for per-upload OCR options
+    OCR_LIMITS: {
+      MIN_DPI: 72,
+      MAX_DPI: 600
     },
     
     FILE_TYPES: {
       PDF: 'application/pdf',
       JPEG: 'image/jpeg',
       PNG: 'image/png',
-      JPG: 'image/jpg'
+      JPG: 'image/jpg',
+      TIFF: 'image/tiff',
+      WEBP: 'image/webp',
+      HEIC: 'image/heic',
+      HEIF: 'image/heif',
+      DOCX: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    },
+    
+    // Types for files that arrive without a usable MIME type (ZIP entries, application/octet-stream)
+    FILE_EXTENSIONS: {
+      '.pdf': 'application/pdf',
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.png': 'image/png',
+      '.tif': 'image/tiff',
+      '.tiff': 'image/tiff',
+      '.webp': 'image/webp',
+      '.heic': 'image/heic',
+      '.heif': 'image/heif',
+      '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    },
+    
+    // Scripts and attachments looked for in uploaded PDFs
+    PDF_ACTIVE_CONTENT: {
+      JAVASCRIPT: 'JavaScript',
+      EMBEDDED_FILE: 'EmbeddedFile',
+      LAUNCH: 'Launch'
+    },
+    
+    ARCHIVE_TYPES: {
+      ZIP: 'application/zip',
+      ZIP_COMPRESSED: 'application/x-zip-compressed'
+    },
+    
+    // Machine-readable reasons a job failed or was quarantined (error_code), or an upload was rejected
+    ERROR_CODES: {
+      PDF_ENCRYPTED: 'PDF_ENCRYPTED',
+      PDF_CORRUPT: 'PDF_CORRUPT',
+      OCR_FAILED: 'OCR_FAILED',
+      NO_TEXT_FOUND: 'NO_TEXT_FOUND',
+      NO_PAGES_SELECTED: 'NO_PAGES_SELECTED',
+      DOCUMENT_CORRUPT: 'DOCUMENT_CORRUPT',
+      UNSUPPORTED_FILE_TYPE: 'UNSUPPORTED_FILE_TYPE',
+      FILE_TYPE_MISMATCH: 'FILE_TYPE_MISMATCH',
+      MALWARE_DETECTED: 'MALWARE_DETECTED',
+      PDF_ACTIVE_CONTENT: 'PDF_ACTIVE_CONTENT',
+      VIRUS_SCAN_FAILED: 'VIRUS_SCAN_FAILED',
+      IDEMPOTENCY_KEY_REUSED: 'IDEMPOTENCY_KEY_REUSED',
+      IDEMPOTENCY_KEY_IN_PROGRESS: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+      REDACTION_NOT_SUPPORTED: 'REDACTION_NOT_SUPPORTED',
+      LEGAL_HOLD: 'LEGAL_HOLD',
+      JOB_CHANGED: 'JOB_CHANGED',
+      AI_UNAVAILABLE: 'AI_UNAVAILABLE',
+      AI_FAILED: 'AI_FAILED',
+      PROCESSING_FAILED: 'PROCESSING_FAILED'
+    },
+    
+    // Problems that didn't stop a job, returned with its results
+    WARNING_CODES: {
+      PAGES_SKIPPED: 'PAGES_SKIPPED',
+      OCR_PAGE_FAILED: 'OCR_PAGE_FAILED',
+      NO_TEXT_ON_PAGE: 'NO_TEXT_ON_PAGE',
+      PREPROCESSING_FAILED: 'PREPROCESSING_FAILED',
+      NEAR_DUPLICATE: 'NEAR_DUPLICATE'
     },
     
     ERROR_MESSAGES: {
-      INVALID_FILE_TYPE: 'Invalid file type. Only PDF and images are allowed.',
+      INVALID_FILE_TYPE: 'Invalid file type. Only PDF, Word (DOCX) and images (JPEG, PNG, TIFF, WebP, HEIC) are allowed.',
       FILE_TOO_LARGE: 'File size exceeds the 10MB limit.',
       MISSING_FIELDS: 'Missing required fields: firstName, lastName, or dob.',
       PROCESSING_FAILED: 'Document processing failed. Please try again.',
-      JOB_NOT_FOUND: 'Job not found.'
+      JOB_NOT_FOUND: 'Job not found.',
+      BATCH_NOT_FOUND: 'Batch not found.',
+      PAGE_NOT_FOUND: 'Page not found.',
+      NO_FILES: 'No documents found in the upload.',
+      TOO_MANY_FILES: 'Too many documents in one batch.',
+      INVALID_ARCHIVE: 'The ZIP archive could not be read.',
+      API_KEY_REQUIRED: 'Missing API key. Send it as Authorization: Bearer <key> or in the X-API-Key header.',
+      INVALID_API_KEY: 'Invalid or revoked API key.',
+      API_KEY_NOT_FOUND: 'API key not found.',
+      DOCUMENT_NOT_FOUND: 'Document not found.',
+      INVALID_DOCUMENT_LINK: 'This document link is invalid or has expired. Request a new one.',
+      DOCUMENT_NOT_PROCESSED: 'Only documents that finished processing can be redacted.',
+      LEGAL_HOLD: 'This job is under legal hold and cannot be deleted. Release the hold first.',
+      JOB_CHANGED: 'This job kept changing while it was being deleted. Please try again.'
     },
     
     SUCCESS_MESSAGES: {
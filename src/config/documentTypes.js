@@ -0,0 +1,257 @@
+// src/config/documentTypes.js
+const fs = require('fs');
+const path = require('path');
+const { documentTypesFile } = require('./env');
+
+const GENERIC_TYPE = 'generic';
+
+const dateField = description => ({ type: 'string', format: 'date', description });
+const textField = description => ({ type: 'string', description });
+const amountField = description => ({ type: 'number', description });
+
+/**
+ * Built-in document types. Each entry has:
+ * - type: identifier stored on the job
+ * - label / description: shown to the classifier
+ * - keywords: distinctive phrases used by the rule-based classifier (lowercase)
+ * - schema: JSON Schema describing the fields extracted for this type
+ * - identity: where the holder's identity is in the extracted fields, used for
+ *   verification. nameFields lists alternative names, each as field paths joined
+ *   in order; dateOfBirthField is omitted when the document carries no DOB.
+ */
+const BUILT_IN_TYPES = [
+  {
+    type: GENERIC_TYPE,
+    label: 'Other document',
+    description: 'Any document that is not one of the specific types',
+    keywords: [],
+    schema: {
+      type: 'object',
+      properties: {
+        importantInfo: {
+          type: 'object',
+          properties: {
+            fullName: textField('Full name of the person the document is about'),
+            dateOfBirth: dateField('Date of birth'),
+          },
+        },
+        contactInfo: {
+          type: 'object',
+          properties: {
+            emails: { type: 'array', items: { type: 'string', format: 'email' } },
+            phoneNumbers: { type: 'array', items: { type: 'string', format: 'phone' } },
+          },
+        },
+        addresses: { type: 'array', items: { type: 'string' } },
+        identificationNumbers: { type: 'array', items: { type: 'string' } },
+        keyDates: { type: 'array', items: { type: 'string', format: 'date' } },
+        summary: textField('Brief summary of the document content'),
+      },
+      required: ['summary'],
+    },
+    identity: { nameFields: [['importantInfo.fullName']], dateOfBirthField: 'importantInfo.dateOfBirth' },
+  },
+  {
+    type: 'passport',
+    label: 'Passport',
+    description: 'Travel passport issued by a national government',
+    keywords: ['passport', 'passeport', 'pasaporte', 'nationality', 'place of birth', 'date of expiry', 'p<'],
+    schema: {
+      type: 'object',
+      properties: {
+        documentNumber: textField('Passport number'),
+        surname: textField('Surname / family name'),
+        givenNames: textField('Given names'),
+        nationality: textField('Nationality'),
+        dateOfBirth: dateField('Date of birth'),
+        sex: { type: 'string', enum: ['M', 'F', 'X'], description: 'Sex as printed' },
+        placeOfBirth: textField('Place of birth'),
+        issuingCountry: textField('Issuing country or authority'),
+        dateOfIssue: dateField('Date of issue'),
+        dateOfExpiry: dateField('Date of expiry'),
+      },
+      required: ['documentNumber', 'surname', 'givenNames', 'dateOfBirth', 'dateOfExpiry'],
+    },
+    identity: { nameFields: [['givenNames', 'surname']], dateOfBirthField: 'dateOfBirth' },
+  },
+  {
+    type: 'id_card',
+    label: 'Identity card',
+    description: 'National identity card or residence permit',
+    keywords: ['identity card', 'id card', 'national id', "carte d'identité", 'personalausweis', 'documento de identidad', 'residence permit', 'card number'],
+    schema: {
+      type: 'object',
+      properties: {
+        documentNumber: textField('Card number'),
+        surname: textField('Surname / family name'),
+        givenNames: textField('Given names'),
+        nationality: textField('Nationality'),
+        dateOfBirth: dateField('Date of birth'),
+        sex: { type: 'string', enum: ['M', 'F', 'X'], description: 'Sex as printed' },
+        address: textField('Holder address'),
+        issuingCountry: textField('Issuing country or authority'),
+        dateOfIssue: dateField('Date of issue'),
+        dateOfExpiry: dateField('Date of expiry'),
+      },
+      required: ['documentNumber', 'surname', 'givenNames', 'dateOfBirth'],
+    },
+    identity: { nameFields: [['givenNames', 'surname']], dateOfBirthField: 'dateOfBirth' },
+  },
+  {
+    type: 'drivers_licence',
+    label: "Driver's licence",
+    description: "Driver's or driving licence / permit",
+    keywords: ["driver's licence", "driver's license", 'driving licence', 'driving license', 'licence no', 'license no', 'vehicle class', 'endorsements', 'restrictions'],
+    schema: {
+      type: 'object',
+      properties: {
+        licenceNumber: textField('Licence number'),
+        fullName: textField('Full name of the licence holder'),
+        dateOfBirth: dateField('Date of birth'),
+        address: textField('Holder address'),
+        licenceClasses: { type: 'array', items: { type: 'string' }, description: 'Vehicle classes / categories' },
+        issuingAuthority: textField('Issuing authority or state'),
+        dateOfIssue: dateField('Date of issue'),
+        dateOfExpiry: dateField('Date of expiry'),
+      },
+      required: ['licenceNumber', 'fullName', 'dateOfExpiry'],
+    },
+    identity: { nameFields: [['fullName']], dateOfBirthField: 'dateOfBirth' },
+  },
+  {
+    type: 'utility_bill',
+    label: 'Utility bill',
+    description: 'Electricity, gas, water, internet or phone bill',
+    keywords: ['electricity', 'utility', 'kwh', 'meter reading', 'account number', 'amount due', 'due date', 'billing period', 'tariff'],
+    schema: {
+      type: 'object',
+      properties: {
+        provider: textField('Utility company'),
+        accountHolder: textField('Name of the account holder'),
+        accountNumber: textField('Customer account number'),
+        serviceAddress: textField('Address the service is supplied to'),
+        billDate: dateField('Date the bill was issued'),
+        dueDate: dateField('Payment due date'),
+        amountDue: amountField('Total amount due'),
+        currency: textField('ISO 4217 currency code'),
+      },
+      required: ['provider', 'accountHolder', 'serviceAddress', 'billDate'],
+    },
+    identity: { nameFields: [['accountHolder']] },
+  },
+  {
+    type: 'bank_statement',
+    label: 'Bank statement',
+    description: 'Statement of account issued by a bank',
+    keywords: ['bank statement', 'statement period', 'opening balance', 'closing balance', 'available balance', 'account number', 'iban', 'swift', 'sort code', 'branch code'],
+    schema: {
+      type: 'object',
+      properties: {
+        bankName: textField('Name of the bank'),
+        accountHolder: textField('Name of the account holder'),
+        accountNumber: textField('Account number or IBAN'),
+        address: textField('Account holder address'),
+        statementPeriodStart: dateField('First day of the statement period'),
+        statementPeriodEnd: dateField('Last day of the statement period'),
+        openingBalance: amountField('Opening balance'),
+        closingBalance: amountField('Closing balance'),
+        currency: textField('ISO 4217 currency code'),
+      },
+      required: ['bankName', 'accountHolder', 'statementPeriodEnd'],
+    },
+    identity: { nameFields: [['accountHolder']] },
+  },
+  {
+    type: 'payslip',
+    label: 'Payslip',
+    description: 'Salary slip / pay stub from an employer',
+    keywords: ['payslip', 'pay slip', 'pay stub', 'gross pay', 'net pay', 'pay period', 'deductions', 'paye', 'tax code', 'ytd'],
+    schema: {
+      type: 'object',
+      properties: {
+        employerName: textField('Employer name'),
+        employeeName: textField('Employee name'),
+        employeeId: textField('Employee number'),
+        payPeriodStart: dateField('First day of the pay period'),
+        payPeriodEnd: dateField('Last day of the pay period'),
+        payDate: dateField('Date of payment'),
+        grossPay: amountField('Gross pay for the period'),
+        netPay: amountField('Net pay for the period'),
+        currency: textField('ISO 4217 currency code'),
+        taxReference: textField('Tax reference or code'),
+      },
+      required: ['employerName', 'employeeName', 'payDate', 'netPay'],
+    },
+    identity: { nameFields: [['employeeName']] },
+  },
+];
+
+const registry = new Map();
+
+/**
+ * Register (or replace) a document type
+ * @param {Object} definition - { type, label, description, keywords, schema, identity }
+ */
+function registerDocumentType(definition) {
+  const { type, label, schema } = definition || {};
+
+  if (!type || typeof type !== 'string' || !/^[a-z0-9_]+$/.test(type)) {
+    throw new Error(`Invalid document type identifier: ${type}`);
+  }
+  if (!label) {
+    throw new Error(`Document type ${type} is missing a label`);
+  }
+  if (!schema || schema.type !== 'object' || typeof schema.properties !== 'object') {
+    throw new Error(`Document type ${type} needs an object JSON Schema with properties`);
+  }
+
+  registry.set(type, {
+    description: '',
+    ...definition,
+    keywords: (definition.keywords || []).map(keyword => keyword.toLowerCase()),
+  });
+}
+
+/**
+ * Load extra document types from a JSON file holding an array of definitions
+ * @param {string} filePath - Path to the JSON file
+ */
+function loadDocumentTypesFile(filePath) {
+  const definitions = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+
+  if (!Array.isArray(definitions)) {
+    throw new Error(`${filePath} must contain an array of document type definitions`);
+  }
+
+  definitions.forEach(registerDocumentType);
+}
+
+/**
+ * Look up a document type, falling back to the generic type
+ * @param {string} type - Document type identifier
+ * @returns {Object} Document type definition
+ */
+function getDocumentType(type) {
+  return registry.get(type) || registry.get(GENERIC_TYPE);
+}
+
+/**
+ * All registered document types
+ * @returns {Object[]} Document type definitions
+ */
+function listDocumentTypes() {
+  return [...registry.values()];
+}
+
+BUILT_IN_TYPES.forEach(registerDocumentType);
+
+if (documentTypesFile) {
+  loadDocumentTypesFile(documentTypesFile);
+}
+
+module.exports = {
+  GENERIC_TYPE,
+  registerDocumentType,
+  getDocumentType,
+  listDocumentTypes,
+};
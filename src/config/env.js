@@ -1,17 +1,206 @@
 // src/config/env.js
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+const { PREPROCESSING_STEPS, DUPLICATE_POLICIES } = require('./constants');
 
-const requiredEnvVars = [
-  'SUPABASE_URL',
-  'SUPABASE_KEY'
-];
+// Storage backend: 'supabase' (hosted Postgres + Storage) or 'local' (disk + local job store)
+const storageBackend = (process.env.STORAGE_BACKEND || 'supabase').toLowerCase();
+
+const requiredEnvVars = storageBackend === 'supabase'
+  ? ['SUPABASE_URL', 'SUPABASE_KEY']
+  : [];
 
 const optionalEnvVars = [
   'GEMINI_API_KEY',
-  'PORT'
+  'PORT',
+  'STORAGE_BACKEND',
+  'SUPABASE_BUCKET',
+  'LOCAL_STORAGE_DIR',
+  'LOCAL_DB_FILE',
+  'RUN_WORKER_IN_PROCESS',
+  'QUEUE_CONCURRENCY',
+  'QUEUE_MAX_ATTEMPTS',
+  'QUEUE_RETRY_BASE_MS',
+  'QUEUE_POLL_INTERVAL_MS',
+  'QUEUE_STALE_AFTER_MS',
+  'PROGRESS_POLL_INTERVAL_MS',
+  'BATCH_MAX_FILES',
+  'DOCUMENT_TYPES_FILE',
+  'CLASSIFICATION_MIN_CONFIDENCE',
+  'AI_REPAIR_ATTEMPTS',
+  'AI_PROVIDERS',
+  'AI_REQUEST_TIMEOUT_MS',
+  'GEMINI_MODEL',
+  'OPENAI_BASE_URL',
+  'OPENAI_API_KEY',
+  'OPENAI_MODEL',
+  'VERIFICATION_MATCH_THRESHOLD',
+  'VERIFICATION_REVIEW_THRESHOLD',
+  'OCR_LANGUAGES',
+  'OCR_DPI',
+  'OCR_MAX_PAGES',
+  'OCR_PAGE_LIMIT',
+  'OCR_WORKERS',
+  'OCR_PREPROCESSING',
+  'VIRUS_SCANNER',
+  'CLAMAV_HOST',
+  'CLAMAV_PORT',
+  'CLAMAV_SOCKET',
+  'CLAMAV_TIMEOUT_MS',
+  'PDF_ACTIVE_CONTENT',
+  'DUPLICATE_POLICY',
+  'NEAR_DUPLICATE_MAX_DISTANCE',
+  'IDEMPOTENCY_KEY_TTL_HOURS',
+  'API_AUTH',
+  'ADMIN_API_KEY',
+  'DOCUMENT_URL_TTL_SECONDS',
+  'DOCUMENT_URL_SECRET',
+  'RETENTION_FILE_DAYS',
+  'RETENTION_DATA_DAYS',
+  'RETENTION_POLICY_FILE',
+  'RETENTION_SWEEP_INTERVAL_MINUTES',
+  'ENCRYPTION_KEYS',
+  'ENCRYPT_FILES'
 ];
 
+if (!['supabase', 'local'].includes(storageBackend)) {
+  console.error(`Invalid STORAGE_BACKEND: ${storageBackend}. Use 'supabase' or 'local'.`);
+  process.exit(1);
+}
+
+// AI providers to try, in order; unavailable ones (e.g. no API key) are skipped
+const aiProviders = (process.env.AI_PROVIDERS || 'gemini,openai,rules')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+
+const unknownProviders = aiProviders.filter(name => !['gemini', 'openai', 'rules'].includes(name));
+if (unknownProviders.length > 0) {
+  console.error(`Invalid AI_PROVIDERS entries: ${unknownProviders.join(', ')}. Use gemini, openai or rules.`);
+  process.exit(1);
+}
+
+// Preprocessing steps applied to images before OCR (see PREPROCESSING_STEPS)
+const preprocessingSteps = Object.values(PREPROCESSING_STEPS);
+const preprocessingSetting = (process.env.OCR_PREPROCESSING || 'all').trim();
+let ocrPreprocessing = preprocessingSteps;
+if (preprocessingSetting === 'none') {
+  ocrPreprocessing = [];
+} else if (preprocessingSetting !== 'all') {
+  const names = preprocessingSetting.split(',').map(name => name.trim()).filter(Boolean);
+  const unknownSteps = names.filter(name => !preprocessingSteps.includes(name));
+  if (unknownSteps.length > 0) {
+    console.error(`Invalid OCR_PREPROCESSING entries: ${unknownSteps.join(', ')}. Use all, none or: ${preprocessingSteps.join(', ')}.`);
+    process.exit(1);
+  }
+  ocrPreprocessing = preprocessingSteps.filter(step => names.includes(step));
+}
+
+// Virus scanner run on every upload: none, clamav (clamd socket) or local (EICAR-only stand-in)
+const virusScanner = (process.env.VIRUS_SCANNER || 'none').toLowerCase();
+if (!['none', 'clamav', 'local'].includes(virusScanner)) {
+  console.error(`Invalid VIRUS_SCANNER: ${virusScanner}. Use none, clamav or local.`);
+  process.exit(1);
+}
+
+// What happens to PDFs containing JavaScript, embedded files or launch actions
+const pdfActiveContent = (process.env.PDF_ACTIVE_CONTENT || 'quarantine').toLowerCase();
+if (!['quarantine', 'allow'].includes(pdfActiveContent)) {
+  console.error(`Invalid PDF_ACTIVE_CONTENT: ${pdfActiveContent}. Use quarantine or allow.`);
+  process.exit(1);
+}
+
+// Default handling of uploads identical to an earlier one; uploads may choose their own with onDuplicate
+const duplicatePolicy = (process.env.DUPLICATE_POLICY || DUPLICATE_POLICIES.REUSE).toLowerCase();
+if (!Object.values(DUPLICATE_POLICIES).includes(duplicatePolicy)) {
+  console.error(`Invalid DUPLICATE_POLICY: ${duplicatePolicy}. Use ${Object.values(DUPLICATE_POLICIES).join(', ')}.`);
+  process.exit(1);
+}
+
+// Page images whose perceptual hashes differ in at most this many of 64 bits are near duplicates
+const nearDuplicateMaxDistance = process.env.NEAR_DUPLICATE_MAX_DISTANCE !== undefined
+  ? parseInt(process.env.NEAR_DUPLICATE_MAX_DISTANCE, 10)
+  : 6;
+if (!Number.isInteger(nearDuplicateMaxDistance) || nearDuplicateMaxDistance < -1 || nearDuplicateMaxDistance > 7) {
+  console.error(`Invalid NEAR_DUPLICATE_MAX_DISTANCE: ${process.env.NEAR_DUPLICATE_MAX_DISTANCE}. Use an integer from 0 to 7, or -1 to disable.`);
+  process.exit(1);
+}
+
+// API key authentication: required (default) or disabled, which lets every request act as the default tenant
+const apiAuth = (process.env.API_AUTH || 'required').toLowerCase();
+if (!['required', 'disabled'].includes(apiAuth)) {
+  console.error(`Invalid API_AUTH: ${apiAuth}. Use required or disabled.`);
+  process.exit(1);
+}
+if (apiAuth === 'disabled') {
+  console.warn('API_AUTH is disabled: every request can read, upload and delete the default tenant\'s documents.');
+}
+
+// Document links handed out by the API expire after this many seconds
+const documentUrlTtlSeconds = process.env.DOCUMENT_URL_TTL_SECONDS !== undefined
+  ? parseInt(process.env.DOCUMENT_URL_TTL_SECONDS, 10)
+  : 300;
+if (!Number.isInteger(documentUrlTtlSeconds) || documentUrlTtlSeconds < 1 || documentUrlTtlSeconds > 86400) {
+  console.error(`Invalid DOCUMENT_URL_TTL_SECONDS: ${process.env.DOCUMENT_URL_TTL_SECONDS}. Use an integer from 1 to 86400.`);
+  process.exit(1);
+}
+
+// Default retention: original files and job data are deleted this many days after upload; 0 keeps them
+const retentionDays = (name) => {
+  const days = process.env[name] !== undefined ? parseInt(process.env[name], 10) : 0;
+  if (!Number.isInteger(days) || days < 0) {
+    console.error(`Invalid ${name}: ${process.env[name]}. Use a number of days, or 0 to keep forever.`);
+    process.exit(1);
+  }
+  return days || null;
+};
+const retentionFileDays = retentionDays('RETENTION_FILE_DAYS');
+const retentionDataDays = retentionDays('RETENTION_DATA_DAYS');
+
+const retentionSweepIntervalMinutes = process.env.RETENTION_SWEEP_INTERVAL_MINUTES !== undefined
+  ? parseInt(process.env.RETENTION_SWEEP_INTERVAL_MINUTES, 10)
+  : 60;
+if (!Number.isInteger(retentionSweepIntervalMinutes) || retentionSweepIntervalMinutes < 0) {
+  console.error(`Invalid RETENTION_SWEEP_INTERVAL_MINUTES: ${process.env.RETENTION_SWEEP_INTERVAL_MINUTES}. Use a number of minutes, or 0 to disable the sweeper.`);
+  process.exit(1);
+}
+
+// Keys that encrypt personal data at rest, as id:base64 entries of 32 bytes each. The first encrypts new
+// data; the others only decrypt data written before the last rotation (npm run rotate-keys)
+const encryptionKeys = (process.env.ENCRYPTION_KEYS || '')
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+    if (separator === -1 || !/^[A-Za-z0-9_-]{1,32}$/.test(id) || key.length !== 32) {
+      console.error('Invalid ENCRYPTION_KEYS entry. Use id:key with an id of letters, digits, - or _ and a base64 encoded 32-byte key.');
+      process.exit(1);
+    }
+    return { id, key };
+  });
+if (new Set(encryptionKeys.map(({ id }) => id)).size !== encryptionKeys.length) {
+  console.error('Invalid ENCRYPTION_KEYS: key ids must be unique.');
+  process.exit(1);
+}
+
+const encryptFiles = (process.env.ENCRYPT_FILES || 'false').toLowerCase();
+if (!['true', 'false'].includes(encryptFiles)) {
+  console.error(`Invalid ENCRYPT_FILES: ${encryptFiles}. Use true or false.`);
+  process.exit(1);
+}
+if (encryptFiles === 'true' && encryptionKeys.length === 0) {
+  console.error('ENCRYPT_FILES needs ENCRYPTION_KEYS.');
+  process.exit(1);
+}
+
+// Document links point at the API's /api/files route, signed with DOCUMENT_URL_SECRET
+if (!process.env.DOCUMENT_URL_SECRET && apiAuth === 'required') {
+  console.warn('DOCUMENT_URL_SECRET is not set: document links are signed with a random secret and stop working on restart or on another API process.');
+}
+
 // Validate required environment variables
 requiredEnvVars.forEach(envVar => {
   if (!process.env[envVar]) {
@@ -20,11 +209,100 @@ requiredEnvVars.forEach(envVar => {
   }
 });
 
+const localStorageDir = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '../../data'));
+
 // Set default values for optional environment variables
 const config = {
   supabaseUrl: process.env.SUPABASE_URL,
-  supabaseKey: process.env.SUPABASE_KEY,
+  supabaseKey: process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_KEY,
+  supabaseBucket: process.env.SUPABASE_BUCKET || 'my-files',
+  storageBackend,
+  localStorageDir,
+  // ':memory:' keeps jobs in memory only; anything else is a JSON file path
+  localDbFile: process.env.LOCAL_DB_FILE || path.join(localStorageDir, 'jobs.json'),
+  // The local job store lives in one process, so its worker must run alongside the API
+  runWorkerInProcess: storageBackend === 'local' || process.env.RUN_WORKER_IN_PROCESS !== 'false',
+  queue: {
+    concurrency: parseInt(process.env.QUEUE_CONCURRENCY, 10) || 1,
+    maxAttempts: parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 3,
+    retryBaseMs: parseInt(process.env.QUEUE_RETRY_BASE_MS, 10) || 5000,
+    pollIntervalMs: parseInt(process.env.QUEUE_POLL_INTERVAL_MS, 10) || 2000,
+    staleAfterMs: parseInt(process.env.QUEUE_STALE_AFTER_MS, 10) || 10 * 60 * 1000
+  },
+  progressPollIntervalMs: parseInt(process.env.PROGRESS_POLL_INTERVAL_MS, 10) || 2000,
+  batchMaxFiles: parseInt(process.env.BATCH_MAX_FILES, 10) || 20,
+  // JSON file of extra document types to register (see src/config/documentTypes.js)
+  documentTypesFile: process.env.DOCUMENT_TYPES_FILE || '',
+  classificationMinConfidence: parseFloat(process.env.CLASSIFICATION_MIN_CONFIDENCE) || 0.6,
+  aiProviders,
+  aiRequestTimeoutMs: parseInt(process.env.AI_REQUEST_TIMEOUT_MS, 10) || 60000,
+  // Identity verification: field scores at or above matchThreshold match, below reviewThreshold mismatch
+  verification: {
+    matchThreshold: parseFloat(process.env.VERIFICATION_MATCH_THRESHOLD) || 0.85,
+    reviewThreshold: parseFloat(process.env.VERIFICATION_REVIEW_THRESHOLD) || 0.6
+  },
+  // OCR defaults for scanned documents; uploads may override them up to ocr.pageLimit pages
+  ocr: {
+    languages: (process.env.OCR_LANGUAGES || 'eng').split(/[+,]/).map(lang => lang.trim()).filter(Boolean).join('+'),
+    dpi: parseInt(process.env.OCR_DPI, 10) || 200,
+    maxPages: parseInt(process.env.OCR_MAX_PAGES, 10) || 10,
+    pageLimit: parseInt(process.env.OCR_PAGE_LIMIT, 10) || 50,
+    // Tesseract workers in the shared pool; pages and uploads are OCR'd this many at a time
+    workers: parseInt(process.env.OCR_WORKERS, 10) || 2,
+    // Image preprocessing steps run before OCR: all, none, or a comma separated list
+    preprocessing: ocrPreprocessing
+  },
+  virusScan: {
+    scanner: virusScanner,
+    clamavHost: process.env.CLAMAV_HOST || '127.0.0.1',
+    clamavPort: parseInt(process.env.CLAMAV_PORT, 10) || 3310,
+    // A Unix socket path takes precedence over host and port
+    clamavSocket: process.env.CLAMAV_SOCKET || '',
+    timeoutMs: parseInt(process.env.CLAMAV_TIMEOUT_MS, 10) || 30000
+  },
+  pdfActiveContent,
+  duplicates: {
+    policy: duplicatePolicy,
+    // -1 turns near-duplicate detection off
+    nearMaxDistance: nearDuplicateMaxDistance
+  },
+  auth: {
+    required: apiAuth === 'required',
+    // Bootstrap key that manages API keys for every tenant; it can't read or upload documents itself
+    adminKey: process.env.ADMIN_API_KEY || ''
+  },
+  documentAccess: {
+    urlTtlSeconds: documentUrlTtlSeconds,
+    // Signs document links; without it links stop working on restart
+    urlSecret: process.env.DOCUMENT_URL_SECRET || ''
+  },
+  retention: {
+    // Days after upload; null keeps forever. RETENTION_POLICY_FILE overrides them per processing method or tenant
+    fileDays: retentionFileDays,
+    dataDays: retentionDataDays,
+    policyFile: process.env.RETENTION_POLICY_FILE || '',
+    // How often the sweeper purges expired files and jobs; 0 disables it
+    sweepIntervalMs: retentionSweepIntervalMinutes * 60 * 1000
+  },
+  encryption: {
+    keys: encryptionKeys,
+    // Stored files are encrypted too
+    encryptFiles: encryptFiles === 'true'
+  },
+  // Upload responses are replayed for retries with the same Idempotency-Key for this long
+  idempotency: {
+    ttlHours: parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24
+  },
   geminiApiKey: process.env.GEMINI_API_KEY || '',
+  geminiModel: process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+  // Any OpenAI-compatible chat completions API, e.g. a local llama.cpp or Ollama server
+  openaiBaseUrl: process.env.OPENAI_BASE_URL || '',
+  openaiApiKey: process.env.OPENAI_API_KEY || '',
+  openaiModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  // Follow-up prompts sent when the model's JSON doesn't match the document schema (0 disables)
+  aiRepairAttempts: process.env.AI_REPAIR_ATTEMPTS !== undefined
+    ? Math.max(0, parseInt(process.env.AI_REPAIR_ATTEMPTS, 10) || 0)
+    : 2,
   port: process.env.PORT || 3001,
   nodeEnv: process.env.NODE_ENV || 'development',
   uploadLimit: process.env.UPLOAD_LIMIT || '10mb'
@@ -34,8 +312,13 @@ const config = {
 if (config.nodeEnv === 'development') {
   console.log('Environment configuration:', {
     ...config,
-    supabaseKey: config.supabaseKey ? '***' : 'missing'
+    supabaseKey: config.supabaseKey ? '***' : 'missing',
+    geminiApiKey: config.geminiApiKey ? '***' : 'missing',
+    auth: { ...config.auth, adminKey: config.auth.adminKey ? '***' : 'missing' },
+    documentAccess: { ...config.documentAccess, urlSecret: config.documentAccess.urlSecret ? '***' : 'missing' },
+    encryption: { ...config.encryption, keys: config.encryption.keys.map(({ id }) => id) },
+    openaiApiKey: config.openaiApiKey ? '***' : 'missing'
   });
 }
 
-module.exports = config;
\ No newline at end of file
+module.exports = config;
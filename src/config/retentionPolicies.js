@@ -0,0 +1,106 @@
+// src/config/retentionPolicies.js
+const fs = require('fs');
+const path = require('path');
+const { retention } = require('./env');
+const { PROCESSING_METHODS } = require('./constants');
+
+// What a job keeps for a number of days after upload: its original file, and its row with the extracted data
+const RETENTION_FIELDS = ['fileDays', 'dataDays'];
+
+// Where the retention applied to a job came from, most specific first
+const POLICY_SOURCES = {
+  TENANT: 'tenant',
+  PROCESSING_METHOD: 'processing_method',
+  DEFAULT: 'default',
+};
+
+const defaults = { fileDays: retention.fileDays, dataDays: retention.dataDays };
+const methodRules = new Map();
+const tenantRules = new Map();
+
+/**
+ * Check one override: fileDays and/or dataDays, each a positive number of days or null to keep forever
+ * @param {Object} rule - Override from the policy file
+ * @param {string} name - Where it is, for error messages
+ * @returns {Object} The override's fields
+ */
+function validateRule(rule, name) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error(`Retention policy ${name} must be an object with fileDays and/or dataDays`);
+  }
+
+  const unknown = Object.keys(rule).filter(field => !RETENTION_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Retention policy ${name} has unknown fields: ${unknown.join(', ')}`);
+  }
+
+  RETENTION_FIELDS.forEach(field => {
+    if (field in rule && rule[field] !== null && !(Number.isInteger(rule[field]) && rule[field] > 0)) {
+      throw new Error(`Retention policy ${name}.${field} must be a positive number of days, or null to keep forever`);
+    }
+  });
+
+  return rule;
+}
+
+/**
+ * Load per processing method and per tenant overrides from a JSON file:
+ * { "processingMethods": { "ai": { "fileDays": 7 } }, "tenants": { "acme": { "fileDays": 1, "dataDays": 30 } } }
+ * @param {string} filePath - Path to the JSON file
+ */
+function loadRetentionPolicyFile(filePath) {
+  const policy = JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+  const { processingMethods = {}, tenants = {} } = policy || {};
+
+  Object.entries(processingMethods).forEach(([method, rule]) => {
+    if (!Object.values(PROCESSING_METHODS).includes(method)) {
+      throw new Error(`Retention policy has an unknown processing method: ${method}`);
+    }
+    methodRules.set(method, validateRule(rule, `processingMethods.${method}`));
+  });
+
+  Object.entries(tenants).forEach(([tenantId, rule]) => {
+    tenantRules.set(tenantId, validateRule(rule, `tenants.${tenantId}`));
+  });
+}
+
+/**
+ * The retention that applies to a job: a tenant override wins over a processing method override,
+ * which wins over RETENTION_FILE_DAYS / RETENTION_DATA_DAYS. Each field is resolved on its own.
+ * @param {Object} job - { tenantId, processingMethod }
+ * @returns {{ fileDays: { days: number|null, source: string }, dataDays: { days: number|null, source: string } }}
+ *   Days after upload for each field (null keeps forever) and the POLICY_SOURCES value it came from
+ */
+function resolveRetention({ tenantId, processingMethod }) {
+  const tenantRule = tenantRules.get(tenantId) || {};
+  const methodRule = methodRules.get(processingMethod) || {};
+
+  return Object.fromEntries(RETENTION_FIELDS.map(field => {
+    if (field in tenantRule) return [field, { days: tenantRule[field], source: POLICY_SOURCES.TENANT }];
+    if (field in methodRule) return [field, { days: methodRule[field], source: POLICY_SOURCES.PROCESSING_METHOD }];
+    return [field, { days: defaults[field], source: POLICY_SOURCES.DEFAULT }];
+  }));
+}
+
+/**
+ * The shortest retention any job can have for a field; nothing younger than this is ever due
+ * @param {string} field - 'fileDays' or 'dataDays'
+ * @returns {number|null} Days, or null if every job keeps it forever
+ */
+function shortestRetention(field) {
+  const days = [defaults, ...methodRules.values(), ...tenantRules.values()]
+    .map(rule => rule[field])
+    .filter(value => Number.isInteger(value));
+
+  return days.length > 0 ? Math.min(...days) : null;
+}
+
+if (retention.policyFile) {
+  loadRetentionPolicyFile(retention.policyFile);
+}
+
+module.exports = {
+  POLICY_SOURCES,
+  resolveRetention,
+  shortestRetention,
+};
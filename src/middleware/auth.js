@@ -0,0 +1,61 @@
+// src/middleware/auth.js
+const { authenticateKey, hasScope } = require('../services/apiKeys');
+const { API_SCOPES, ERROR_MESSAGES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * The API key sent with a request: "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ */
+function requestKey(req) {
+  const authorization = req.get('Authorization');
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+  return req.get('X-API-Key');
+}
+
+/**
+ * Identify the caller from its API key and attach it as req.auth ({ keyId, tenantId, scopes, name })
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const key = requestKey(req);
+    const auth = await authenticateKey(key);
+
+    if (!auth) {
+      if (key) {
+        logger.warn('Rejected API key', { path: req.originalUrl, ip: req.ip });
+      }
+      return res.status(401)
+        .set('WWW-Authenticate', 'Bearer')
+        .json({ error: key ? ERROR_MESSAGES.INVALID_API_KEY : ERROR_MESSAGES.API_KEY_REQUIRED });
+    }
+
+    req.auth = auth;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Only let keys with the scope through. Document scopes also need a tenant, which the
+ * ADMIN_API_KEY bootstrap key doesn't have.
+ * @param {string} scope - API_SCOPES value
+ */
+const requireScope = scope => (req, res, next) => {
+  if (!hasScope(req.auth, scope)) {
+    return res.status(403).json({ error: `This API key lacks the ${scope} scope.` });
+  }
+
+  if (scope !== API_SCOPES.ADMIN && !req.auth.tenantId) {
+    return res.status(403).json({ error: 'This API key only manages API keys; create a tenant key to work with documents.' });
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireScope,
+};
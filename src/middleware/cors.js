@@ -39,6 +39,8 @@ const corsOptions = {
     }
   },
   credentials: true,
+  // Lets the frontend tell a replayed upload response from a new one, and read partial document responses
+  exposedHeaders: ['Idempotent-Replayed', 'Content-Range', 'Accept-Ranges', 'Content-Disposition', 'X-Redaction-Count', 'X-Redaction-Covered-Pages'],
   optionsSuccessStatus: 200
 };
 
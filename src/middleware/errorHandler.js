@@ -1,5 +1,6 @@
 // src/middleware/errorHandler.js
 const logger = require('../utils/logger');
+const { ERROR_MESSAGES, ERROR_CODES } = require('../config/constants');
 
 const errorHandler = (error, req, res, next) => {
   logger.error('Unhandled error', error, {
@@ -19,6 +20,9 @@ const errorHandler = (error, req, res, next) => {
   } else if (error.code === 'LIMIT_UNEXPECTED_FILE') {
     statusCode = 400;
     message = 'Unexpected field';
+  } else if (error.code === 'LIMIT_FILE_COUNT') {
+    statusCode = 400;
+    message = ERROR_MESSAGES.TOO_MANY_FILES;
   } else if (error.message.includes('Invalid file type')) {
     statusCode = 400;
     message = error.message;
@@ -30,8 +34,17 @@ const errorHandler = (error, req, res, next) => {
     message = 'Resource already exists';
   }
   
+  // Coded errors the client can act on
+  let code;
+  if (error.code === ERROR_CODES.JOB_CHANGED) {
+    statusCode = 409;
+    message = error.message;
+    code = error.code;
+  }
+  
   res.status(statusCode).json({
     error: message,
+    ...(code && { code }),
     ...(process.env.NODE_ENV === 'development' && { details: error.message })
   });
 };
@@ -0,0 +1,78 @@
+// src/middleware/idempotency.js
+const { requestFingerprint, beginRequest, completeRequest, releaseRequest } = require('../services/idempotency');
+const { ERROR_CODES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+// Keys are opaque client-chosen strings such as UUIDs
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * Make a POST safe to retry: with an Idempotency-Key header, the first request's response is recorded
+ * and returned again for retries with the same key and payload, without running the handler.
+ * Runs after multer and validation, so the fingerprint covers the parsed fields and files.
+ * Server errors (5xx) are not recorded; the key is released so a retry runs the request again.
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      error: 'Invalid Idempotency-Key header. Use 1-255 visible ASCII characters, e.g. a UUID.'
+    });
+  }
+
+  try {
+    const fingerprint = requestFingerprint({
+      route: req.baseUrl + req.path,
+      fields: req.body,
+      files: req.files || (req.file ? [req.file] : []),
+    });
+
+    // Keys are per tenant, so tenants can't see or block each other's uploads
+    const scopedKey = `${req.auth.tenantId}:${key}`;
+    const result = await beginRequest(scopedKey, fingerprint);
+
+    if (result.outcome === 'mismatch') {
+      logger.warn('Idempotency key reused with a different request', { key });
+      return res.status(409).json({
+        error: 'This Idempotency-Key was already used for a different request.',
+        code: ERROR_CODES.IDEMPOTENCY_KEY_REUSED,
+      });
+    }
+
+    if (result.outcome === 'in_progress') {
+      return res.status(409).set('Retry-After', '1').json({
+        error: 'A request with this Idempotency-Key is still being processed.',
+        code: ERROR_CODES.IDEMPOTENCY_KEY_IN_PROGRESS,
+      });
+    }
+
+    if (result.outcome === 'replay') {
+      logger.info('Replaying idempotent response', { key, status: result.status });
+      return res.status(result.status).set('Idempotent-Replayed', 'true').json(result.body);
+    }
+
+    // Record whatever the handler (or the error handler) responds with before sending it,
+    // so a retry made after the response arrives is always replayed
+    const json = res.json.bind(res);
+    res.json = body => {
+      const recorded = res.statusCode >= 500
+        ? releaseRequest(scopedKey)
+        : completeRequest(scopedKey, res.statusCode, body);
+      recorded
+        .catch(error => logger.error('Failed to record idempotent response', error, { key }))
+        .then(() => json(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = idempotency;
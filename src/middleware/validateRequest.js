@@ -1,5 +1,19 @@
 // src/middleware/validateRequest.js
-const { ERROR_MESSAGES } = require('../config/constants');
+const {
+  ERROR_MESSAGES,
+  JOB_STATUS,
+  PROCESSING_METHODS,
+  JOB_SORT_FIELDS,
+  PAGINATION,
+  VERIFICATION_VERDICTS,
+  OCR_LIMITS,
+  PREPROCESSING_STEPS,
+  DUPLICATE_POLICIES,
+  API_SCOPES,
+  PII_CLASSES
+} = require('../config/constants');
+const { ocr: ocrDefaults, duplicates: duplicateDefaults } = require('../config/env');
+const { parseLanguages, parsePageRange, parsePreprocessing } = require('../services/ocrOptions');
 
 const validateUploadRequest = (req, res, next) => {
   const { firstName, lastName, dob } = req.body;
@@ -18,9 +32,322 @@ const validateUploadRequest = (req, res, next) => {
     });
   }
   
+  // Optional OCR settings; anything omitted falls back to the server defaults
+  const { ocrLanguages, ocrDpi, ocrPages, ocrMaxPages, ocrPreprocessing } = req.body;
+  const ocrOptions = {};
+  
+  if (ocrLanguages !== undefined && ocrLanguages !== '') {
+    ocrOptions.languages = parseLanguages(ocrLanguages);
+    if (!ocrOptions.languages) {
+      return res.status(400).json({ 
+        error: 'Invalid ocrLanguages. Use Tesseract language codes separated by + or commas, e.g. eng+deu.' 
+      });
+    }
+  }
+  
+  if (ocrDpi !== undefined && ocrDpi !== '') {
+    ocrOptions.dpi = Number(ocrDpi);
+    if (!Number.isInteger(ocrOptions.dpi) || ocrOptions.dpi < OCR_LIMITS.MIN_DPI || ocrOptions.dpi > OCR_LIMITS.MAX_DPI) {
+      return res.status(400).json({ 
+        error: `Invalid ocrDpi. Use an integer between ${OCR_LIMITS.MIN_DPI} and ${OCR_LIMITS.MAX_DPI}.` 
+      });
+    }
+  }
+  
+  if (ocrPages !== undefined && ocrPages !== '') {
+    if (!parsePageRange(ocrPages)) {
+      return res.status(400).json({ 
+        error: 'Invalid ocrPages. Use pages and ranges such as 1-3,5,8-.' 
+      });
+    }
+    ocrOptions.pages = String(ocrPages).replace(/\s+/g, '');
+  }
+  
+  if (ocrMaxPages !== undefined && ocrMaxPages !== '') {
+    ocrOptions.maxPages = Number(ocrMaxPages);
+    if (!Number.isInteger(ocrOptions.maxPages) || ocrOptions.maxPages < 1 || ocrOptions.maxPages > ocrDefaults.pageLimit) {
+      return res.status(400).json({ 
+        error: `Invalid ocrMaxPages. Use an integer between 1 and ${ocrDefaults.pageLimit}.` 
+      });
+    }
+  }
+  
+  if (ocrPreprocessing !== undefined && ocrPreprocessing !== '') {
+    ocrOptions.preprocessing = parsePreprocessing(ocrPreprocessing);
+    if (!ocrOptions.preprocessing) {
+      return res.status(400).json({ 
+        error: `Invalid ocrPreprocessing. Use all, none or a comma separated list of: ${Object.values(PREPROCESSING_STEPS).join(', ')}.` 
+      });
+    }
+  }
+  
+  req.ocrOptions = Object.keys(ocrOptions).length > 0 ? ocrOptions : null;
+  
+  // What to do when an identical file was uploaded before
+  const { onDuplicate } = req.body;
+  if (onDuplicate !== undefined && onDuplicate !== '' && !Object.values(DUPLICATE_POLICIES).includes(onDuplicate)) {
+    return res.status(400).json({ 
+      error: `Invalid onDuplicate. Use one of: ${Object.values(DUPLICATE_POLICIES).join(', ')}.` 
+    });
+  }
+  req.duplicatePolicy = onDuplicate || duplicateDefaults.policy;
+  
+  next();
+};
+
+const validateListQuery = (req, res, next) => {
+  const {
+    status,
+    processingMethod,
+    mimeType,
+    documentType,
+    verdict,
+    from,
+    to,
+    name,
+    sortBy = 'createdAt',
+    order = 'desc',
+    limit = PAGINATION.DEFAULT_LIMIT,
+    offset = 0
+  } = req.query;
+  
+  const parsedLimit = Number(limit);
+  const parsedOffset = Number(offset);
+  
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > PAGINATION.MAX_LIMIT) {
+    return res.status(400).json({ 
+      error: `Invalid limit. Use an integer between 1 and ${PAGINATION.MAX_LIMIT}.` 
+    });
+  }
+  
+  if (!Number.isInteger(parsedOffset) || parsedOffset < 0) {
+    return res.status(400).json({ 
+      error: 'Invalid offset. Use a non-negative integer.' 
+    });
+  }
+  
+  if (status && !Object.values(JOB_STATUS).includes(status)) {
+    return res.status(400).json({ 
+      error: `Invalid status. Use one of: ${Object.values(JOB_STATUS).join(', ')}.` 
+    });
+  }
+  
+  if (processingMethod && !Object.values(PROCESSING_METHODS).includes(processingMethod)) {
+    return res.status(400).json({ 
+      error: `Invalid processingMethod. Use one of: ${Object.values(PROCESSING_METHODS).join(', ')}.` 
+    });
+  }
+  
+  if (verdict && !Object.values(VERIFICATION_VERDICTS).includes(verdict)) {
+    return res.status(400).json({ 
+      error: `Invalid verdict. Use one of: ${Object.values(VERIFICATION_VERDICTS).join(', ')}.` 
+    });
+  }
+  
+  if (!JOB_SORT_FIELDS.includes(sortBy)) {
+    return res.status(400).json({ 
+      error: `Invalid sortBy. Use one of: ${JOB_SORT_FIELDS.join(', ')}.` 
+    });
+  }
+  
+  if (!['asc', 'desc'].includes(order)) {
+    return res.status(400).json({ 
+      error: 'Invalid order. Use asc or desc.' 
+    });
+  }
+  
+  // Date range bounds accept any date the Date constructor understands (e.g. YYYY-MM-DD or ISO 8601)
+  const dates = {};
+  for (const [key, value] of Object.entries({ from, to })) {
+    if (value === undefined) continue;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({ 
+        error: `Invalid ${key} date. Use YYYY-MM-DD or an ISO 8601 timestamp.` 
+      });
+    }
+    // A bare date as the upper bound includes that whole day
+    if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCMilliseconds(-1);
+    }
+    dates[key] = date.toISOString();
+  }
+  
+  req.listQuery = {
+    filters: {
+      status,
+      processingMethod,
+      mimeType,
+      documentType,
+      verdict,
+      createdFrom: dates.from,
+      createdTo: dates.to,
+      name: name && String(name).trim()
+    },
+    sortBy,
+    order,
+    limit: parsedLimit,
+    offset: parsedOffset
+  };
+  
+  next();
+};
+
+const validateSearchQuery = (req, res, next) => {
+  const { q, limit = PAGINATION.DEFAULT_LIMIT, offset = 0 } = req.query;
+  const query = typeof q === 'string' ? q.trim() : '';
+  
+  if (!query) {
+    return res.status(400).json({ 
+      error: 'Missing search query. Use ?q=terms.' 
+    });
+  }
+  
+  if (query.length > 200) {
+    return res.status(400).json({ 
+      error: 'Search query is too long (200 characters max).' 
+    });
+  }
+  
+  const parsedLimit = Number(limit);
+  const parsedOffset = Number(offset);
+  
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > PAGINATION.MAX_LIMIT) {
+    return res.status(400).json({ 
+      error: `Invalid limit. Use an integer between 1 and ${PAGINATION.MAX_LIMIT}.` 
+    });
+  }
+  
+  if (!Number.isInteger(parsedOffset) || parsedOffset < 0) {
+    return res.status(400).json({ 
+      error: 'Invalid offset. Use a non-negative integer.' 
+    });
+  }
+  
+  req.searchQuery = {
+    query,
+    limit: parsedLimit,
+    offset: parsedOffset
+  };
+  
+  next();
+};
+
+const TENANT_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const validateApiKeyRequest = (req, res, next) => {
+  const { name, scopes, tenantId } = req.body || {};
+  
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return res.status(400).json({ 
+      error: 'Invalid name. Give the key a label of up to 100 characters.' 
+    });
+  }
+  
+  // Scopes as a JSON array, or a comma separated string from form posts
+  const scopeList = Array.isArray(scopes)
+    ? scopes
+    : String(scopes || '').split(',').map(scope => scope.trim()).filter(Boolean);
+  const knownScopes = Object.values(API_SCOPES);
+  
+  if (scopeList.length === 0 || !scopeList.every(scope => knownScopes.includes(scope))) {
+    return res.status(400).json({ 
+      error: `Invalid scopes. Use one or more of: ${knownScopes.join(', ')}.` 
+    });
+  }
+  
+  if (tenantId !== undefined && (typeof tenantId !== 'string' || !TENANT_PATTERN.test(tenantId))) {
+    return res.status(400).json({ 
+      error: 'Invalid tenantId. Use 1-64 letters, digits, hyphens or underscores.' 
+    });
+  }
+  
+  req.apiKeyRequest = {
+    name: name.trim(),
+    scopes: [...new Set(scopeList)],
+    tenantId
+  };
+  
+  next();
+};
+
+// ?redact=all (or a bare ?redact) masks every PII class; ?redact=email,phone only those
+const validateRedaction = (req, res, next) => {
+  const { redact } = req.query;
+  const knownClasses = Object.values(PII_CLASSES);
+  
+  if (redact === undefined || ['none', 'false'].includes(redact)) {
+    req.redaction = null;
+    return next();
+  }
+  
+  const classes = ['', 'all', 'true'].includes(redact)
+    ? knownClasses
+    : String(redact).split(',').map(type => type.trim()).filter(Boolean);
+  
+  if (classes.length === 0 || !classes.every(type => knownClasses.includes(type))) {
+    return res.status(400).json({ 
+      error: `Invalid redact option. Use all, none or one or more of: ${knownClasses.join(', ')}.` 
+    });
+  }
+  
+  req.redaction = [...new Set(classes)];
+  next();
+};
+
+const validateLegalHoldRequest = (req, res, next) => {
+  const { reason = null } = req.body || {};
+  
+  if (reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+    return res.status(400).json({ 
+      error: 'Invalid reason. Use text of up to 500 characters, e.g. a case reference.' 
+    });
+  }
+  
+  req.legalHold = { reason: reason && reason.trim() ? reason.trim() : null };
+  next();
+};
+
+const validatePurgeLogQuery = (req, res, next) => {
+  const { jobId, limit = PAGINATION.DEFAULT_LIMIT, offset = 0 } = req.query;
+  
+  const parsedLimit = Number(limit);
+  const parsedOffset = Number(offset);
+  
+  if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > PAGINATION.MAX_LIMIT) {
+    return res.status(400).json({ 
+      error: `Invalid limit. Use an integer between 1 and ${PAGINATION.MAX_LIMIT}.` 
+    });
+  }
+  
+  if (!Number.isInteger(parsedOffset) || parsedOffset < 0) {
+    return res.status(400).json({ 
+      error: 'Invalid offset. Use a non-negative integer.' 
+    });
+  }
+  
+  if (jobId !== undefined && typeof jobId !== 'string') {
+    return res.status(400).json({ 
+      error: 'Invalid jobId.' 
+    });
+  }
+  
+  req.purgeLogQuery = {
+    jobId: jobId || null,
+    limit: parsedLimit,
+    offset: parsedOffset
+  };
+  
   next();
 };
 
 module.exports = {
-  validateUploadRequest
+  validateUploadRequest,
+  validateListQuery,
+  validateSearchQuery,
+  validateApiKeyRequest,
+  validateRedaction,
+  validateLegalHoldRequest,
+  validatePurgeLogQuery
 };
\ No newline at end of file
@@ -0,0 +1,19 @@
+// src/rotateKeys.js
+// Key rotation: npm run rotate-keys [-- --reencrypt]. Put the new key first in ENCRYPTION_KEYS everywhere,
+// keeping the old ones after it, run this, then drop the old keys once it reports no failures.
+// With the local backend, stop the API first: the local job store is only ever open in one process.
+require('dotenv').config();
+
+const config = require('./config/env');
+const { rotateEncryptionKeys } = require('./services/keyRotation');
+const logger = require('./utils/logger');
+
+rotateEncryptionKeys({ reencrypt: process.argv.includes('--reencrypt') })
+  .then(summary => {
+    const failed = summary.jobs.failed + summary.batches.failed + summary.files.failed;
+    process.exit(failed > 0 ? 1 : 0);
+  })
+  .catch(error => {
+    logger.error('Key rotation failed', error);
+    process.exit(1);
+  });
@@ -0,0 +1,25 @@
+// src/routes/batches.js
+const express = require('express');
+const { getBatchStatus } = require('../services/storageService');
+const { ERROR_MESSAGES } = require('../config/constants');
+
+const router = express.Router();
+
+// GET /api/batches/:batchId - Aggregate status of a batch and its jobs
+router.get('/:batchId', async (req, res, next) => {
+  try {
+    const { batchId } = req.params;
+
+    const batch = await getBatchStatus(batchId, req.auth.tenantId);
+
+    if (!batch) {
+      return res.status(404).json({ error: ERROR_MESSAGES.BATCH_NOT_FOUND });
+    }
+
+    res.status(200).json(batch);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
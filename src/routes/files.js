@@ -0,0 +1,79 @@
+// src/routes/files.js
+const express = require('express');
+const { openDocumentLink, recordAccess } = require('../services/documentAccess');
+const { ACCESS_ACTIONS, ERROR_MESSAGES } = require('../config/constants');
+
+const router = express.Router();
+
+/**
+ * The byte range asked for by a Range header. Only single ranges are served; anything else gets the whole file.
+ * @param {string|undefined} header - Range header
+ * @param {number} size - File size in bytes
+ * @returns {{ start: number, end: number }|null|false} Inclusive range, null for the whole file, false if unsatisfiable
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  return start <= end && start < size ? { start, end } : false;
+}
+
+// GET /api/files/:jobId - Serve a document through a link from GET /api/results/:jobId/document.
+// Needs no API key: the link's signature and expiry are the credential. Supports Range requests.
+router.get('/:jobId', async (req, res, next) => {
+  try {
+    const document = await openDocumentLink(req.params.jobId, req.query);
+
+    if (!document) {
+      return res.status(403).json({ error: ERROR_MESSAGES.INVALID_DOCUMENT_LINK });
+    }
+
+    const { job, buffer } = document;
+    const range = parseRange(req.get('Range'), buffer.length);
+
+    res.set({
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff',
+    });
+
+    if (range === false) {
+      return res.status(416).set('Content-Range', `bytes */${buffer.length}`).end();
+    }
+
+    await recordAccess({
+      job,
+      action: ACCESS_ACTIONS.FILE_SERVED,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null,
+      byteRange: range ? `${range.start}-${range.end}` : null,
+    });
+
+    res.type(job.mime_type || 'application/octet-stream');
+
+    if (range) {
+      return res.status(206)
+        .set('Content-Range', `bytes ${range.start}-${range.end}/${buffer.length}`)
+        .send(buffer.subarray(range.start, range.end + 1));
+    }
+
+    res.status(200).send(buffer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,26 +1,23 @@
 // src/routes/health.js
 const express = require('express');
-const { createClient } = require('@supabase/supabase-js');
+const { checkStorageHealth } = require('../services/storageService');
+const { storageBackend } = require('../config/env');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
-// Initialize Supabase client
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
-const supabase = createClient(supabaseUrl, supabaseKey);
-
 // GET /api/health - Health check endpoint
 router.get('/', async (req, res) => {
   try {
     // Check database connection
-    const { data, error } = await supabase.from('document_processing_jobs').select('count').limit(1);
-    
-    if (error) {
+    try {
+      await checkStorageHealth();
+    } catch (error) {
       logger.error('Health check failed: Database connection error', error);
       return res.status(503).json({ 
         status: 'DOWN', 
         database: 'unavailable',
+        storageBackend,
         message: 'Database connection failed' 
       });
     }
@@ -28,6 +25,7 @@ router.get('/', async (req, res) => {
     res.status(200).json({ 
       status: 'OK', 
       database: 'connected',
+      storageBackend,
       timestamp: new Date().toISOString(),
       uptime: process.uptime()
     });
@@ -40,4 +38,4 @@ router.get('/', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
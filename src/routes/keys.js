@@ -0,0 +1,70 @@
+// src/routes/keys.js
+const express = require('express');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../services/apiKeys');
+const { validateApiKeyRequest } = require('../middleware/validateRequest');
+const { ERROR_MESSAGES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Every route here needs the admin scope. Tenant admin keys manage their own tenant's keys;
+// the ADMIN_API_KEY bootstrap key (req.auth.tenantId null) manages every tenant's.
+
+// POST /api/keys - Create an API key; the key is only ever shown in this response
+router.post('/', validateApiKeyRequest, async (req, res, next) => {
+  try {
+    const { name, scopes } = req.apiKeyRequest;
+    let { tenantId } = req.apiKeyRequest;
+
+    if (req.auth.tenantId) {
+      if (tenantId && tenantId !== req.auth.tenantId) {
+        return res.status(403).json({ error: 'Keys can only be created for your own tenant.' });
+      }
+      tenantId = req.auth.tenantId;
+    } else if (!tenantId) {
+      return res.status(400).json({ error: 'Missing tenantId for the new key.' });
+    }
+
+    const { key, apiKey } = await createApiKey({ tenantId, name, scopes });
+
+    logger.info('API key created', { keyId: apiKey.keyId, tenantId, scopes, createdBy: req.auth.keyId || req.auth.name });
+
+    res.status(201).json({
+      message: 'API key created. Store it now; it cannot be shown again.',
+      key,
+      apiKey,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/keys - List API keys (never the keys themselves)
+router.get('/', async (req, res, next) => {
+  try {
+    const tenantId = req.auth.tenantId || req.query.tenantId || null;
+    const keys = await listApiKeys({ tenantId });
+    res.status(200).json({ keys });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/keys/:keyId - Revoke an API key
+router.delete('/:keyId', async (req, res, next) => {
+  try {
+    const apiKey = await revokeApiKey(req.params.keyId, req.auth.tenantId);
+
+    if (!apiKey) {
+      return res.status(404).json({ error: ERROR_MESSAGES.API_KEY_NOT_FOUND });
+    }
+
+    logger.info('API key revoked', { keyId: apiKey.keyId, tenantId: apiKey.tenantId, revokedBy: req.auth.keyId || req.auth.name });
+
+    res.status(200).json({ message: 'API key revoked', apiKey });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
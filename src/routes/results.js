@@ -1,21 +1,64 @@
 // backend/routes/results.js
 const express = require('express');
-const { getProcessingResult, getAllProcessingJobs, deleteProcessingJob } = require('../services/supabaseService');
+const {
+  getProcessingResult,
+  getDocumentPages,
+  listProcessingJobs,
+  deleteProcessingJob,
+  findTenantJob,
+} = require('../services/storageService');
+const { validateListQuery, validateRedaction, validateLegalHoldRequest } = require('../middleware/validateRequest');
+const { requireScope } = require('../middleware/auth');
+const { subscribeToJob } = require('../services/jobEvents');
+const { createDocumentLink, recordAccess, listDocumentAccess } = require('../services/documentAccess');
+const { redactResult, redactDocumentPages, renderRedactedDocument } = require('../services/documentRedactor');
+const { placeLegalHold, releaseLegalHold, recordPurge } = require('../services/retention');
+const {
+  JOB_STATUS,
+  ERROR_MESSAGES,
+  ERROR_CODES,
+  API_SCOPES,
+  ACCESS_ACTIONS,
+  PII_CLASSES,
+  PURGE_ACTIONS,
+  PURGE_REASONS,
+} = require('../config/constants');
+const { progressPollIntervalMs } = require('../config/env');
 
 const router = express.Router();
 
-// GET /api/results - Get all processing jobs
-router.get('/', async (req, res, next) => {
+const canRead = requireScope(API_SCOPES.READ);
+const canDelete = requireScope(API_SCOPES.DELETE);
+const canAdminister = requireScope(API_SCOPES.ADMIN);
+
+/**
+ * A job's pages, masked when the request asks for redaction (req.redaction, see validateRedaction)
+ * @returns {Promise<Object|null>} Document pages, or null if the job isn't found
+ */
+async function loadDocumentPages(req) {
+  const { jobId } = req.params;
+  const { tenantId } = req.auth;
+  const document = await getDocumentPages(jobId, tenantId);
+
+  if (!document || !req.redaction) {
+    return document;
+  }
+
+  return redactDocumentPages(document, req.redaction, await findTenantJob(jobId, tenantId));
+}
+
+// GET /api/results - List processing jobs with filters, sorting and pagination
+router.get('/', canRead, validateListQuery, async (req, res, next) => {
   try {
-    const jobs = await getAllProcessingJobs();
-    res.status(200).json({ jobs });
+    const { jobs, pagination } = await listProcessingJobs({ ...req.listQuery, tenantId: req.auth.tenantId });
+    res.status(200).json({ jobs, pagination });
   } catch (error) {
     next(error);
   }
 });
 
-// GET /api/results/:jobId - Retrieve processing results for a specific job
-router.get('/:jobId', async (req, res, next) => {
+// GET /api/results/:jobId - Retrieve processing results for a specific job (?redact= masks PII)
+router.get('/:jobId', canRead, validateRedaction, async (req, res, next) => {
   try {
     const { jobId } = req.params;
     
@@ -23,46 +66,280 @@ router.get('/:jobId', async (req, res, next) => {
       return res.status(400).json({ error: 'Job ID is required' });
     }
 
-    const result = await getProcessingResult(jobId);
+    const result = await getProcessingResult(jobId, req.auth.tenantId);
     
     if (!result) {
       return res.status(404).json({ error: 'Result not found' });
     }
 
-    res.status(200).json(result);
+    res.status(200).json(req.redaction ? redactResult(result, req.redaction) : result);
   } catch (error) {
     next(error);
   }
 });
 
-// GET /api/results/:jobId/document - Serve the original document
-router.get('/:jobId/document', async (req, res, next) => {
+// GET /api/results/:jobId/events - Stream job progress as Server-Sent Events
+router.get('/:jobId/events', canRead, async (req, res, next) => {
   try {
     const { jobId } = req.params;
-    
-    if (!jobId) {
-      return res.status(400).json({ error: 'Job ID is required' });
+    const { tenantId } = req.auth;
+
+    const result = await getProcessingResult(jobId, tenantId);
+
+    if (!result) {
+      return res.status(404).json({ error: 'Result not found' });
     }
 
-    const result = await getProcessingResult(jobId);
-    
-    if (!result || !result.fileUrl) {
-      return res.status(404).json({ error: 'Document not found' });
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    let closed = false;
+    let lastSent = null;
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const isFinished = status => [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.QUARANTINED].includes(status);
+
+    const cleanup = () => {
+      if (closed) return;
+      closed = true;
+      unsubscribe();
+      clearInterval(poll);
+      clearInterval(heartbeat);
+    };
+
+    const finish = (update) => {
+      send(update.status, update);
+      cleanup();
+      res.end();
+    };
+
+    const handleUpdate = (update) => {
+      if (closed) return;
+      if (isFinished(update.status)) {
+        return finish(update);
+      }
+      const key = JSON.stringify(update);
+      if (key !== lastSent) {
+        lastSent = key;
+        send('progress', update);
+      }
+    };
+
+    const snapshot = job => ({
+      jobId: job.jobId,
+      status: job.status,
+      stage: job.progressStage,
+      progress: job.progress,
+      ...(job.errorMessage && { error: job.errorMessage }),
+      ...(job.errorCode && { errorCode: job.errorCode }),
+    });
+
+    // In-process updates arrive immediately; polling covers jobs run by a separate worker
+    const unsubscribe = subscribeToJob(jobId, handleUpdate);
+    const poll = setInterval(async () => {
+      try {
+        const job = await getProcessingResult(jobId, tenantId);
+        if (!job) {
+          return finish({ jobId, status: JOB_STATUS.FAILED, error: 'Job was deleted' });
+        }
+        handleUpdate(snapshot(job));
+      } catch (error) {
+        // Keep the stream open; the next poll may succeed
+      }
+    }, progressPollIntervalMs);
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    req.on('close', cleanup);
+    handleUpdate(snapshot(result));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/results/:jobId/document - Link to the original document that expires after DOCUMENT_URL_TTL_SECONDS
+router.get('/:jobId/document', canRead, async (req, res, next) => {
+  try {
+    const link = await createDocumentLink(req.params.jobId, req.auth.tenantId);
+
+    if (!link) {
+      return res.status(404).json({ error: ERROR_MESSAGES.DOCUMENT_NOT_FOUND });
+    }
+
+    await recordAccess({
+      job: link.job,
+      action: ACCESS_ACTIONS.LINK_ISSUED,
+      auth: req.auth,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null,
+      expiresAt: link.expiresAt,
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.status(200).json({
+      fileUrl: link.url,
+      expiresAt: link.expiresAt,
+      fileName: link.job.file_name,
+      mimeType: link.job.mime_type,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/results/:jobId/document/redacted - Copy of the document with PII blacked out; all classes unless ?redact= narrows them
+router.get('/:jobId/document/redacted', canRead, validateRedaction, async (req, res, next) => {
+  try {
+    const job = await findTenantJob(req.params.jobId, req.auth.tenantId);
+
+    if (!job || !job.file_url || job.status === JOB_STATUS.QUARANTINED) {
+      return res.status(404).json({ error: ERROR_MESSAGES.DOCUMENT_NOT_FOUND });
+    }
+
+    if (job.status !== JOB_STATUS.COMPLETED) {
+      return res.status(409).json({ error: ERROR_MESSAGES.DOCUMENT_NOT_PROCESSED });
+    }
+
+    let redacted;
+    try {
+      redacted = await renderRedactedDocument(job, req.redaction || Object.values(PII_CLASSES));
+    } catch (error) {
+      if (error.code === ERROR_CODES.REDACTION_NOT_SUPPORTED) {
+        return res.status(422).json({ error: error.message, code: error.code });
+      }
+      throw error;
+    }
+
+    await recordAccess({
+      job,
+      action: ACCESS_ACTIONS.REDACTED_SERVED,
+      auth: req.auth,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null,
+    });
+
+    const baseName = (job.file_name || 'document').replace(/\.[^.]+$/, '').replace(/["\\\r\n]/g, '_');
+
+    res.set({
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Disposition': `inline; filename="${baseName}-redacted${redacted.extension}"`,
+      'X-Redaction-Count': String(redacted.masked),
+      'X-Redaction-Covered-Pages': redacted.coveredPages.join(','),
+    });
+    res.type(redacted.mimeType).status(200).send(redacted.buffer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/results/:jobId/access-log - Who retrieved the document and when; kept after the job is deleted
+router.get('/:jobId/access-log', canAdminister, async (req, res, next) => {
+  try {
+    const accesses = await listDocumentAccess(req.params.jobId, req.auth.tenantId);
+    res.status(200).json({ jobId: req.params.jobId, accesses });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/results/:jobId/pages - Per-page text of the extracted document (?redact= masks PII)
+router.get('/:jobId/pages', canRead, validateRedaction, async (req, res, next) => {
+  try {
+    const document = await loadDocumentPages(req);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Result not found' });
+    }
+
+    res.status(200).json({
+      jobId: document.jobId,
+      method: document.method,
+      pageCount: document.pages.length,
+      pages: document.pages.map(page => ({
+        pageNumber: page.pageNumber,
+        method: page.method,
+        confidence: page.confidence,
+        text: page.text,
+      })),
+      ...(document.redaction && { redaction: document.redaction }),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/results/:jobId/pages/:pageNumber - One page with its lines, blocks and bounding boxes (?redact= masks PII)
+router.get('/:jobId/pages/:pageNumber', canRead, validateRedaction, async (req, res, next) => {
+  try {
+    const pageNumber = Number(req.params.pageNumber);
+
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+      return res.status(400).json({ error: 'Invalid page number. Use a positive integer.' });
+    }
+
+    const document = await loadDocumentPages(req);
+
+    if (!document) {
+      return res.status(404).json({ error: 'Result not found' });
     }
 
-    // Return the file URL for the frontend to display
-    res.status(200).json({ 
-      fileUrl: result.fileUrl,
-      fileName: result.fileName,
-      mimeType: result.mimeType
+    const page = document.pages.find(candidate => candidate.pageNumber === pageNumber);
+
+    if (!page) {
+      return res.status(404).json({ error: ERROR_MESSAGES.PAGE_NOT_FOUND });
+    }
+
+    res.status(200).json({
+      jobId: document.jobId,
+      pageCount: document.pages.length,
+      ...page,
+      ...(document.redaction && { redaction: document.redaction }),
     });
   } catch (error) {
     next(error);
   }
 });
 
-// DELETE /api/results/:jobId - Delete a processing job
-router.delete('/:jobId', async (req, res, next) => {
+// PUT /api/results/:jobId/legal-hold - Exempt a job from retention and deletion until the hold is released
+router.put('/:jobId/legal-hold', canAdminister, validateLegalHoldRequest, async (req, res, next) => {
+  try {
+    const hold = await placeLegalHold(req.params.jobId, req.auth.tenantId, { reason: req.legalHold.reason, auth: req.auth });
+
+    if (!hold) {
+      return res.status(404).json({ error: ERROR_MESSAGES.JOB_NOT_FOUND });
+    }
+
+    res.status(200).json({ jobId: req.params.jobId, legalHold: hold });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/results/:jobId/legal-hold - Release a legal hold
+router.delete('/:jobId/legal-hold', canAdminister, async (req, res, next) => {
+  try {
+    const released = await releaseLegalHold(req.params.jobId, req.auth.tenantId);
+
+    if (!released) {
+      return res.status(404).json({ error: ERROR_MESSAGES.JOB_NOT_FOUND });
+    }
+
+    res.status(200).json({ jobId: req.params.jobId, legalHold: null });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/results/:jobId - Delete a processing job; refused while it is under legal hold
+router.delete('/:jobId', canDelete, async (req, res, next) => {
   try {
     const { jobId } = req.params;
     
@@ -70,12 +347,22 @@ router.delete('/:jobId', async (req, res, next) => {
       return res.status(400).json({ error: 'Job ID is required' });
     }
 
-    const deleted = await deleteProcessingJob(jobId);
+    let deleted;
+    try {
+      deleted = await deleteProcessingJob(jobId, req.auth.tenantId);
+    } catch (error) {
+      if (error.code === ERROR_CODES.LEGAL_HOLD) {
+        return res.status(409).json({ error: error.message, code: error.code });
+      }
+      throw error;
+    }
     
     if (!deleted) {
       return res.status(404).json({ error: 'Job not found' });
     }
 
+    await recordPurge({ job: deleted, action: PURGE_ACTIONS.JOB_PURGED, reason: PURGE_REASONS.MANUAL, auth: req.auth });
+
     res.status(200).json({ message: 'Job deleted successfully' });
   } catch (error) {
     next(error);
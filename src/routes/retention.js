@@ -0,0 +1,32 @@
+// src/routes/retention.js
+const express = require('express');
+const { describeRetention, listPurgeLog } = require('../services/retention');
+const { validatePurgeLogQuery } = require('../middleware/validateRequest');
+
+const router = express.Router();
+
+// Every route here needs the admin scope and reports on the key's own tenant, so the
+// ADMIN_API_KEY bootstrap key (no tenant) is turned away
+router.use((req, res, next) => {
+  if (!req.auth.tenantId) {
+    return res.status(403).json({ error: 'Retention is reported per tenant; use an admin key of the tenant.' });
+  }
+  next();
+});
+
+// GET /api/retention - Retention that applies to the tenant's jobs, per processing method
+router.get('/', (req, res) => {
+  res.status(200).json(describeRetention(req.auth.tenantId));
+});
+
+// GET /api/retention/purge-log - Files and jobs purged by retention or deleted by hand, newest first
+router.get('/purge-log', validatePurgeLogQuery, async (req, res, next) => {
+  try {
+    const { entries, pagination } = await listPurgeLog(req.auth.tenantId, req.purgeLogQuery);
+    res.status(200).json({ entries, pagination });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// src/routes/search.js
+const express = require('express');
+const { searchDocuments } = require('../services/storageService');
+const { validateSearchQuery } = require('../middleware/validateRequest');
+
+const router = express.Router();
+
+// GET /api/search?q= - Full-text search across extracted document text and AI fields
+router.get('/', validateSearchQuery, async (req, res, next) => {
+  try {
+    const { query, limit, offset } = req.searchQuery;
+    const { hits, pagination } = await searchDocuments(query, { tenantId: req.auth.tenantId, limit, offset });
+    res.status(200).json({ query, hits, pagination });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
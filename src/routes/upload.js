@@ -1,23 +1,70 @@
 // src/routes/upload.js
 const express = require('express');
 const multer = require('multer');
-const { processDocument } = require('../services/documentProcessor');
+const path = require('path');
+const { processDocument, processBatch } = require('../services/documentProcessor');
 const { validateUploadRequest } = require('../middleware/validateRequest');
-const { ERROR_MESSAGES } = require('../config/constants');
+const idempotency = require('../middleware/idempotency');
+const { extractDocumentsFromZip } = require('../services/archiveExtractor');
+const { declaredFileType } = require('../services/fileType');
+const { inspectUpload } = require('../services/fileSafety');
+const { ERROR_MESSAGES, ERROR_CODES, ARCHIVE_TYPES, JOB_STATUS } = require('../config/constants');
+const { batchMaxFiles } = require('../config/env');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
+const archiveTypes = Object.values(ARCHIVE_TYPES);
+const maxFileSize = 10 * 1024 * 1024; // 10MB limit
+
+// Browsers often send ZIPs as application/octet-stream, so fall back to the extension.
+// Word documents are ZIP files too, and may be sent as application/zip
+const isArchive = file => path.extname(file.originalname).toLowerCase() === '.zip'
+  || (archiveTypes.includes(file.mimetype) && !declaredFileType(file));
+
+/**
+ * Run the safety checks on each file before anything is stored, attaching the results as file.inspection
+ * @returns {Promise<{ status: number, body: Object }|null>} The response rejecting the upload, or null if it passed
+ */
+async function inspectFiles(files) {
+  try {
+    for (const file of files) {
+      file.inspection = await inspectUpload(file);
+    }
+    return null;
+  } catch (error) {
+    if (!ERROR_CODES[error.code]) throw error;
+    // A scanner outage isn't the client's fault; they can retry later
+    const status = error.code === ERROR_CODES.VIRUS_SCAN_FAILED ? 503 : 400;
+    return { status, body: { error: error.message, code: error.code } };
+  }
+}
+
 const upload = multer({
   storage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
+    fileSize: maxFileSize,
+  },
+  fileFilter: (req, file, cb) => {
+    if (declaredFileType(file)) {
+      cb(null, true);
+    } else {
+      cb(new Error(ERROR_MESSAGES.INVALID_FILE_TYPE));
+    }
+  },
+});
+
+// Batches also accept ZIP archives of documents
+const batchUpload = multer({
+  storage,
+  limits: {
+    fileSize: maxFileSize,
+    files: batchMaxFiles,
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['application/pdf', 'image/jpeg', 'image/png', 'image/jpg'];
-    if (allowedTypes.includes(file.mimetype)) {
+    if (declaredFileType(file) || isArchive(file)) {
       cb(null, true);
     } else {
       cb(new Error(ERROR_MESSAGES.INVALID_FILE_TYPE));
@@ -26,7 +73,7 @@ const upload = multer({
 });
 
 // POST /api/upload - Handle document upload and processing
-router.post('/', upload.single('file'), validateUploadRequest, async (req, res, next) => {
+router.post('/', upload.single('file'), validateUploadRequest, idempotency, async (req, res, next) => {
   try {
     const { firstName, lastName, dob, processingMethod } = req.body;
     const file = req.file;
@@ -35,29 +82,54 @@ router.post('/', upload.single('file'), validateUploadRequest, async (req, res,
       fileName: file.originalname,
       fileSize: file.size,
       processingMethod,
+      ocrOptions: req.ocrOptions,
       user: `${firstName} ${lastName}`
     });
 
+    const document = {
+      buffer: file.buffer,
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+    };
+
+    const rejection = await inspectFiles([document]);
+    if (rejection) {
+      logger.warn('Upload rejected', { fileName: file.originalname, code: rejection.body.code });
+      return res.status(rejection.status).json(rejection.body);
+    }
+
     // Process the document
-    const jobId = await processDocument({
-      file: {
-        buffer: file.buffer,
-        originalname: file.originalname,
-        mimetype: file.mimetype,
-      },
+    const { jobId, status, duplicateOf, reused } = await processDocument({
+      file: document,
       userData: {
         firstName,
         lastName,
         dob,
       },
       processingMethod: processingMethod || 'standard',
+      ocrOptions: req.ocrOptions,
+      tenantId: req.auth.tenantId,
+      duplicatePolicy: req.duplicatePolicy,
     });
 
-    logger.info('Document processing started', { jobId });
+    const { quarantine } = document.inspection;
+    logger.info(quarantine ? 'Document quarantined' : 'Document processing started', { jobId, duplicateOf, reused });
+
+    let message = 'Document uploaded successfully';
+    if (quarantine) {
+      message = `Document quarantined: ${quarantine.message}`;
+    } else if (reused) {
+      message = 'This document was already uploaded; returning the existing job';
+    } else if (duplicateOf) {
+      message = 'Document uploaded successfully; it is identical to an earlier upload, whose results will be reused';
+    }
 
     res.status(200).json({
-      message: 'Document uploaded successfully',
+      message,
       jobId,
+      status,
+      reused,
+      duplicateOf,
     });
   } catch (error) {
     logger.error('Upload route error', error);
@@ -65,4 +137,70 @@ router.post('/', upload.single('file'), validateUploadRequest, async (req, res,
   }
 });
 
+// POST /api/upload/batch - Upload several documents (or a ZIP of them) for one applicant
+router.post('/batch', batchUpload.array('files', batchMaxFiles), validateUploadRequest, idempotency, async (req, res, next) => {
+  try {
+    const { firstName, lastName, dob, processingMethod } = req.body;
+
+    let files;
+    try {
+      files = (req.files || []).flatMap(file => (
+        isArchive(file)
+          ? extractDocumentsFromZip(file.buffer, { maxFiles: batchMaxFiles, maxFileSize })
+          : [{ buffer: file.buffer, originalname: file.originalname, mimetype: file.mimetype }]
+      ));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (files.length === 0) {
+      return res.status(400).json({ error: ERROR_MESSAGES.NO_FILES });
+    }
+
+    if (files.length > batchMaxFiles) {
+      return res.status(400).json({ error: ERROR_MESSAGES.TOO_MANY_FILES });
+    }
+
+    // One rejected file rejects the whole batch, before any of it is stored
+    const rejection = await inspectFiles(files);
+    if (rejection) {
+      logger.warn('Batch upload rejected', { code: rejection.body.code });
+      return res.status(rejection.status).json(rejection.body);
+    }
+
+    logger.info('Batch upload received', {
+      fileCount: files.length,
+      processingMethod,
+      user: `${firstName} ${lastName}`
+    });
+
+    const { batchId, jobIds, jobs } = await processBatch({
+      files,
+      userData: {
+        firstName,
+        lastName,
+        dob,
+      },
+      processingMethod: processingMethod || 'standard',
+      ocrOptions: req.ocrOptions,
+      tenantId: req.auth.tenantId,
+      duplicatePolicy: req.duplicatePolicy,
+    });
+
+    logger.info('Batch processing started', { batchId, jobCount: jobIds.length });
+
+    res.status(200).json({
+      message: 'Documents uploaded successfully',
+      batchId,
+      jobIds,
+      quarantinedJobIds: jobs.filter(job => job.status === JOB_STATUS.QUARANTINED).map(job => job.jobId),
+      // Linked duplicates, by job ID: the earlier job each one takes its results from
+      duplicates: Object.fromEntries(jobs.filter(job => job.duplicateOf).map(job => [job.jobId, job.duplicateOf])),
+    });
+  } catch (error) {
+    logger.error('Batch upload route error', error);
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,49 +1,52 @@
 // backend/server.js
-const express = require('express');
-const path = require('path');
 require('dotenv').config();
 
-// Import middleware
-const cors = require('./middleware/cors');
-const errorHandler = require('./middleware/errorHandler');
-const uploadLimiter = require('./middleware/uploadLimiter');
+// The Express app (middleware and routes) is built in app.js, so tests can load it without a listening server
+const app = require('./app');
 
-// Import routes
-const uploadRoutes = require('./routes/upload');
-const resultsRoutes = require('./routes/results');
-const healthRoutes = require('./routes/health');
+const config = require('./config/env');
+const { startProcessingQueue, stopProcessingQueue } = require('./services/documentProcessor');
+const { startRetentionSweeper, stopRetentionSweeper } = require('./services/retention');
+const { checkStorageHealth } = require('./services/storageService');
+const logger = require('./utils/logger');
 
-const app = express();
 const PORT = process.env.PORT || 3001;
 
-// Middleware
-app.use(cors);
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Apply rate limiting to upload routes
-app.use('/api/upload', uploadLimiter);
-
-// Routes
-app.use('/api/upload', uploadRoutes);
-app.use('/api/results', resultsRoutes);
-app.use('/api/health', healthRoutes);
-
-// Serve static files in production
-if (process.env.NODE_ENV === 'production') {
-  app.use(express.static(path.join(__dirname, '../frontend/.next')));
-  
-  // Handle React routing, return all requests to React app
-  app.get('*', (req, res) => {
-    res.sendFile(path.join(__dirname, '../frontend/.next', 'index.html'));
+let server = null;
+
+function start() {
+  server = app.listen(PORT, () => {
+    console.log(`Server is running on port ${PORT}`);
+  });
+
+  // Process queued documents and purge expired ones here unless a separate worker (npm run worker) does
+  if (config.runWorkerInProcess) {
+    startProcessingQueue().catch(error => {
+      logger.error('Failed to start in-process worker', error);
+    });
+    startRetentionSweeper();
+  }
+}
+
+// The local job store can only be open in one process; open it before serving anything
+if (config.storageBackend === 'local') {
+  checkStorageHealth().then(start, error => {
+    logger.error('Could not open the local job store', error);
+    process.exit(1);
   });
+} else {
+  start();
 }
 
-// Error handling middleware (should be last)
-app.use(errorHandler);
+const shutdown = async (signal) => {
+  logger.info('Server shutting down', { signal });
+  if (server) server.close();
+  await stopRetentionSweeper();
+  await stopProcessingQueue();
+  process.exit(0);
+};
 
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-});
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 module.exports = app;
\ No newline at end of file
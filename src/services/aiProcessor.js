@@ -1,149 +1,217 @@
 // backend/services/aiProcessor.js
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const { GENERIC_TYPE, getDocumentType } = require('../config/documentTypes');
+const { validateAndCoerce } = require('./schemaValidator');
+const { getProviderChain } = require('./llm');
+const { aiRepairAttempts } = require('../config/env');
+const { ERROR_CODES } = require('../config/constants');
+const { createCodedError } = require('../utils/errors');
 
 /**
- * Process extracted text with AI for enhanced data extraction
+ * Build the extraction prompt for a document type from its JSON Schema
  * @param {string} text - Raw extracted text
- * @returns {Promise<Object>} AI extracted structured data
+ * @param {Object} definition - Document type definition
+ * @returns {string} Prompt
  */
-async function processWithAI(text) {
-  try {
-    // If no API key is provided, use mock data for development
-    if (!process.env.GEMINI_API_KEY) {
-      console.log('Using mock AI data - provide GEMINI_API_KEY for real AI processing');
-      return generateMockAIResponse(text);
-    }
+function buildExtractionPrompt(text, definition) {
+  return `
+    Analyze the following text extracted from a document of type "${definition.label}"
+    (${definition.description}) and extract the fields described by the JSON Schema below.
 
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-    
-    const prompt = `
-    Analyze the following text extracted from a document and extract important information.
-
-    Look for:
-    1. Important information (names, dates)
-    2. Contact information (emails, phone numbers)
-    3. Addresses
-    4. Identification numbers
-    5. Important dates
-    6. Document summary
-
-    Return ONLY a JSON object with this structure:
-    {
-      "importantInfo": {
-        "fullName": "extracted full name if found",
-        "dateOfBirth": "extracted date if found"
-      },
-      "contactInfo": {
-        "emails": ["email1", "email2"],
-        "phoneNumbers": ["phone1", "phone2"]
-      },
-      "addresses": ["address1", "address2"],
-      "identificationNumbers": ["id1", "id2"],
-      "keyDates": ["date1", "date2"],
-      "summary": "brief summary of the document content"
-    }
+    Use null for fields that are not present. Write dates as YYYY-MM-DD.
+
+    JSON Schema:
+    ${JSON.stringify(definition.schema, null, 2)}
+
+    Return ONLY a JSON object matching the schema.
 
     Text to analyze:
     ${text.substring(0, 3000)}
     `;
+}
 
-    console.log('Sending request to Gemini AI...');
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const aiText = response.text();
-    
-    console.log('Received AI response:', aiText.substring(0, 200) + '...');
-    
-    // Try to parse JSON from AI response
-    try {
-      const jsonMatch = aiText.match(/```json\n([\s\S]*?)\n```/) || aiText.match(/({[\s\S]*})/);
-      const jsonString = jsonMatch ? jsonMatch[1] || jsonMatch[0] : aiText;
-      const parsedData = JSON.parse(jsonString);
-      
-      console.log('Successfully parsed AI response');
-      return parsedData;
-    } catch (parseError) {
-      console.warn('AI response was not valid JSON, returning raw text:', parseError);
-      return { 
-        rawResponse: aiText,
-        error: "AI response could not be parsed as JSON",
-        extractedData: aiText 
-      };
-    }
-  } catch (error) {
-    console.error('Error processing with AI:', error);
-    return generateMockAIResponse(text);
+/**
+ * Pull a JSON object out of a model response
+ * @param {string} aiText - Raw model response
+ * @returns {Object} Parsed JSON
+ */
+function parseJSONResponse(aiText) {
+  const jsonMatch = aiText.match(/```json\n([\s\S]*?)\n```/) || aiText.match(/({[\s\S]*})/);
+  const jsonString = jsonMatch ? jsonMatch[1] || jsonMatch[0] : aiText;
+  return JSON.parse(jsonString);
+}
+
+/**
+ * Parse a model response and check it against the document schema
+ * @param {string} aiText - Raw model response
+ * @param {Object} schema - JSON Schema of the document type
+ * @returns {{ parsed: boolean, value: Object, errors: Array<{ path: string, message: string }> }} Coerced data and problems found
+ */
+function checkResponse(aiText, schema) {
+  let parsedData;
+  try {
+    parsedData = parseJSONResponse(aiText);
+  } catch (parseError) {
+    return {
+      parsed: false,
+      // Schema-shaped object of nulls, so consumers always see the declared fields
+      value: validateAndCoerce(null, schema).value,
+      errors: [{ path: '(root)', message: `Response is not valid JSON: ${parseError.message}` }],
+    };
   }
+
+  return { parsed: true, ...validateAndCoerce(parsedData, schema) };
 }
 
 /**
- * Generate mock AI response
+ * Build a follow-up prompt asking the model to fix its previous answer
+ * @param {string} extractionPrompt - Original extraction prompt
+ * @param {string} previousResponse - The model's previous answer
+ * @param {Array} errors - Problems found in the previous answer
+ * @returns {string} Prompt
  */
-function generateMockAIResponse(text) {
-  console.log('Generating mock AI response for text length:', text.length);
-  
-  const emailMatch = text.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/);
-  const phoneMatch = text.match(/\b(\+\d{1,2}\s?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/);
-  const idMatch = text.match(/\b\d{3}[-]?\d{2}[-]?\d{4}\b/);
+function buildRepairPrompt(extractionPrompt, previousResponse, errors) {
+  return `${extractionPrompt}
+    Your previous answer was:
+    ${previousResponse.substring(0, 3000)}
+
+    It does not match the schema:
+    ${errors.map(error => `- ${error.path}: ${error.message}`).join('\n    ')}
+
+    Fix these problems using the text above. Use null only if the value is really not in the text.
+    Return ONLY the corrected JSON object.
+    `;
+}
+
+/**
+ * Prompt a language model for a document's fields. The response is validated
+ * against the document type's schema and coerced (ISO dates, normalized phone
+ * numbers, numbers); invalid answers are sent back to the model for repair.
+ * If repair fails, the best-effort data is returned with a validationErrors list.
+ * @param {Object} provider - Language model provider
+ * @param {string} text - Raw extracted text
+ * @param {Object} definition - Document type definition
+ * @returns {Promise<Object>} Extracted structured data
+ */
+async function extractWithModel(provider, text, definition) {
+  const extractionPrompt = buildExtractionPrompt(text, definition);
+  let prompt = extractionPrompt;
+  let aiText = '';
+  let outcome = null;
+
+  for (let attempt = 0; attempt <= aiRepairAttempts; attempt++) {
+    console.log(`Sending ${definition.type} extraction request to ${provider.name} (${provider.model}), attempt ${attempt + 1}...`);
+    aiText = await provider.generate(prompt);
+
+    console.log('Received AI response:', aiText.substring(0, 200) + '...');
+
+    outcome = checkResponse(aiText, definition.schema);
+    if (outcome.errors.length === 0) {
+      console.log('AI response matches the document schema');
+      return outcome.value;
+    }
+
+    console.warn(`AI response failed validation with ${outcome.errors.length} error(s)`);
+    prompt = buildRepairPrompt(extractionPrompt, aiText, outcome.errors);
+  }
 
   return {
-    importantInfo: {
-      fullName: "Extracted from document",
-      dateOfBirth: "Not found"
-    },
-    contactInfo: {
-      emails: emailMatch ? [emailMatch[0]] : [],
-      phoneNumbers: phoneMatch ? [phoneMatch[0]] : []
-    },
-    addresses: extractAddressesFromText(text),
-    identificationNumbers: idMatch ? [idMatch[0]] : [],
-    keyDates: extractDatesFromText(text),
-    summary: "This is a mock AI extraction. Provide a real Gemini API key for actual AI processing.",
-    note: "Mock data - real AI processing requires GEMINI_API_KEY"
+    ...outcome.value,
+    ...(outcome.parsed ? {} : { rawResponse: aiText }),
+    validationErrors: outcome.errors,
   };
 }
 
 /**
- * Extract dates from text
+ * Run a deterministic extractor and validate its output like a model response
+ * @param {Object} provider - Extractor provider
+ * @param {string} text - Raw extracted text
+ * @param {Object} definition - Document type definition
+ * @returns {Object} Extracted structured data
  */
-function extractDatesFromText(text) {
-  const datePatterns = [
-    /\b\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}\b/g,
-    /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]* \d{1,2},? \d{4}\b/gi,
-    /\b\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2}\b/g
-  ];
-  
-  const dates = [];
-  datePatterns.forEach(pattern => {
-    const matches = text.match(pattern);
-    if (matches) dates.push(...matches);
-  });
-  
-  return dates.slice(0, 5);
+function extractWithRules(provider, text, definition) {
+  const { value, errors } = validateAndCoerce(provider.extract(text, definition), definition.schema);
+  return errors.length > 0 ? { ...value, validationErrors: errors } : value;
+}
+
+/**
+ * Process extracted text with AI for enhanced data extraction.
+ * Providers are tried in the configured order (AI_PROVIDERS); when one fails
+ * the next is used. The provider and model that produced the data are returned
+ * so they can be recorded on the job.
+ * @param {string} text - Raw extracted text
+ * @param {string} documentType - Registered document type whose schema drives extraction
+ * @returns {Promise<{ data: Object, provider: string, model: string }>} Extracted structured data and its source
+ */
+async function processWithAI(text, documentType = GENERIC_TYPE) {
+  const definition = getDocumentType(documentType);
+  const chain = getProviderChain();
+  const failures = [];
+
+  for (const provider of chain) {
+    try {
+      const data = provider.generate
+        ? await extractWithModel(provider, text, definition)
+        : extractWithRules(provider, text, definition);
+
+      return { data, provider: provider.name, model: provider.model };
+    } catch (error) {
+      console.error(`Error processing with ${provider.name}:`, error);
+      failures.push(`${provider.name}: ${error.message}`);
+    }
+  }
+
+  if (chain.length === 0) {
+    throw createCodedError(
+      ERROR_CODES.AI_UNAVAILABLE,
+      'No AI provider is available. Check AI_PROVIDERS and the provider API keys.',
+      { retryable: false }
+    );
+  }
+
+  throw createCodedError(ERROR_CODES.AI_FAILED, `All AI providers failed (${failures.join('; ')})`);
 }
 
 /**
- * Extract addresses from text
+ * Ask a language model which registered document type the text belongs to
+ * @param {string} text - Raw extracted text
+ * @param {Object[]} definitions - Registered document types
+ * @returns {Promise<{ documentType: string, confidence: number, provider: string, model: string }|null>} Classification, or null if no model could answer
  */
-function extractAddressesFromText(text) {
-  const addressPatterns = [
-    /\b\d+\s+[\w\s]+,?\s+(?:Ave|St|Rd|Blvd|Dr|Ln)\.?,?\s+[\w\s]+,?\s+[A-Z]{2},?\s+\d{5}\b/gi,
-    /\bP\.?O\.?\s+Box\s+\d+\b/gi,
-    /\b\d+\s+[\w\s]+\s+(?:Street|Avenue|Road|Boulevard|Drive|Lane)\b/gi
-  ];
-  
-  const addresses = [];
-  addressPatterns.forEach(pattern => {
-    const matches = text.match(pattern);
-    if (matches) addresses.push(...matches);
-  });
-  
-  return addresses.slice(0, 3);
+async function classifyWithAI(text, definitions) {
+  const prompt = `
+    Classify the document below as exactly one of these types:
+    ${definitions.map(definition => `- ${definition.type}: ${definition.label} (${definition.description})`).join('\n    ')}
+
+    Return ONLY a JSON object: {"documentType": "<type>", "confidence": <number between 0 and 1>}
+
+    Text to classify:
+    ${text.substring(0, 2000)}
+    `;
+
+  for (const provider of getProviderChain().filter(candidate => candidate.generate)) {
+    try {
+      const { documentType, confidence } = parseJSONResponse(await provider.generate(prompt));
+
+      if (!definitions.some(definition => definition.type === documentType)) {
+        console.warn(`${provider.name} returned an unknown document type:`, documentType);
+        continue;
+      }
+
+      return {
+        documentType,
+        confidence: Math.min(1, Math.max(0, Number(confidence) || 0)),
+        provider: provider.name,
+        model: provider.model,
+      };
+    } catch (error) {
+      console.error(`Error classifying with ${provider.name}:`, error);
+    }
+  }
+
+  return null;
 }
 
 module.exports = {
   processWithAI,
-};
\ No newline at end of file
+  classifyWithAI,
+};
@@ -0,0 +1,145 @@
+// src/services/apiKeys.js
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+const { API_SCOPES, DEFAULT_TENANT } = require('../config/constants');
+const { auth: config } = require('../config/env');
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'dpk_';
+// Shown in key listings so keys can be told apart without revealing them
+const DISPLAY_PREFIX_LENGTH = 12;
+// last_used_at is written at most this often per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * The public view of a stored key; the hash never leaves the server
+ */
+function toApiKey(row) {
+  return {
+    keyId: row.key_id,
+    tenantId: row.tenant_id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: row.scopes,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at || null,
+    revokedAt: row.revoked_at || null,
+  };
+}
+
+/**
+ * Whether an authenticated caller may use a scope; admin keys may do everything
+ * @param {Object} auth - Result of authenticateKey
+ * @param {string} scope - API_SCOPES value
+ * @returns {boolean}
+ */
+function hasScope(auth, scope) {
+  return auth.scopes.includes(scope) || auth.scopes.includes(API_SCOPES.ADMIN);
+}
+
+/**
+ * Resolve the caller of a request from its API key
+ * @param {string|undefined} key - Key sent with the request
+ * @returns {Promise<{ keyId: string|null, tenantId: string|null, scopes: string[], name: string }|null>}
+ *   The caller, or null for a missing, unknown or revoked key. The ADMIN_API_KEY bootstrap key has no
+ *   tenant; with API_AUTH disabled every request is an admin of the default tenant.
+ */
+async function authenticateKey(key) {
+  if (!config.required) {
+    return { keyId: null, tenantId: DEFAULT_TENANT, scopes: [API_SCOPES.ADMIN], name: 'anonymous' };
+  }
+
+  if (!key) {
+    return null;
+  }
+
+  const keyHash = hashKey(key);
+
+  // Compared as hashes, in constant time
+  if (config.adminKey && crypto.timingSafeEqual(Buffer.from(keyHash, 'hex'), Buffer.from(hashKey(config.adminKey), 'hex'))) {
+    return { keyId: null, tenantId: null, scopes: [API_SCOPES.ADMIN], name: 'ADMIN_API_KEY' };
+  }
+
+  const { apiKeyRepository } = getStorage();
+  const row = await apiKeyRepository.findByHash(keyHash);
+  if (!row || row.revoked_at) {
+    return null;
+  }
+
+  const now = new Date();
+  if (!row.last_used_at || now - new Date(row.last_used_at) > LAST_USED_INTERVAL_MS) {
+    apiKeyRepository.update(row.key_id, { last_used_at: now.toISOString() })
+      .catch(error => logger.warn('Could not record API key use', { keyId: row.key_id, error: error.message }));
+  }
+
+  return { keyId: row.key_id, tenantId: row.tenant_id, scopes: row.scopes, name: row.name };
+}
+
+/**
+ * Create an API key. The key itself is returned only here; only its hash is stored.
+ * @param {Object} params - Key details
+ * @param {string} params.tenantId - Tenant whose documents the key works with
+ * @param {string} params.name - Label, e.g. the client using the key
+ * @param {string[]} params.scopes - API_SCOPES values
+ * @returns {Promise<{ key: string, apiKey: Object }>} The secret key and its public record
+ */
+async function createApiKey({ tenantId, name, scopes }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const row = {
+    key_id: uuidv4(),
+    tenant_id: tenantId,
+    name,
+    key_prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+    key_hash: hashKey(key),
+    scopes,
+    created_at: new Date().toISOString(),
+  };
+
+  await getStorage().apiKeyRepository.insert(row);
+
+  return { key, apiKey: toApiKey(row) };
+}
+
+/**
+ * List API keys, including revoked ones
+ * @param {Object} options - List options
+ * @param {string|null} options.tenantId - Tenant whose keys are listed; null lists every tenant's
+ * @returns {Promise<Object[]>} Public key records, oldest first
+ */
+async function listApiKeys({ tenantId = null } = {}) {
+  const rows = await getStorage().apiKeyRepository.list({ tenantId });
+  return rows.map(toApiKey);
+}
+
+/**
+ * Revoke an API key; it stops working immediately
+ * @param {string} keyId - Key identifier
+ * @param {string|null} tenantId - Tenant the key must belong to; null for any tenant
+ * @returns {Promise<Object|null>} The revoked key, or null if not found
+ */
+async function revokeApiKey(keyId, tenantId = null) {
+  const { apiKeyRepository } = getStorage();
+  const row = await apiKeyRepository.findById(keyId);
+
+  if (!row || (tenantId && row.tenant_id !== tenantId)) {
+    return null;
+  }
+
+  if (!row.revoked_at) {
+    row.revoked_at = new Date().toISOString();
+    await apiKeyRepository.update(keyId, { revoked_at: row.revoked_at });
+  }
+
+  return toApiKey(row);
+}
+
+module.exports = {
+  hasScope,
+  authenticateKey,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+};
@@ -0,0 +1,86 @@
+// src/services/archiveExtractor.js
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { FILE_EXTENSIONS, ERROR_MESSAGES } = require('../config/constants');
+
+// ZIP compression methods we can expand
+const STORED = 0;
+const DEFLATED = 8;
+
+/**
+ * Expand one archive entry, never producing more than maxFileSize bytes. The sizes in the
+ * entry headers come from the archive, so they are not trusted: inflation itself is capped.
+ * @returns {Buffer|null} The contents, or null if they would be larger than maxFileSize
+ */
+function readEntry(entry, maxFileSize) {
+  const compressed = entry.getCompressedData();
+
+  if (entry.header.method === STORED) {
+    return compressed.length > maxFileSize ? null : compressed;
+  }
+
+  if (entry.header.method !== DEFLATED) {
+    throw new Error(ERROR_MESSAGES.INVALID_ARCHIVE);
+  }
+
+  try {
+    return zlib.inflateRawSync(compressed, { maxOutputLength: maxFileSize });
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+      return null;
+    }
+    throw new Error(ERROR_MESSAGES.INVALID_ARCHIVE);
+  }
+}
+
+/**
+ * Expand a ZIP archive into the supported documents it contains
+ * @param {Buffer} zipBuffer - ZIP file buffer
+ * @param {Object} limits - Extraction limits
+ * @param {number} limits.maxFiles - Maximum number of documents to extract
+ * @param {number} limits.maxFileSize - Maximum uncompressed size of one document in bytes
+ * @returns {Array<{ buffer: Buffer, originalname: string, mimetype: string }>} Extracted documents
+ */
+function extractDocumentsFromZip(zipBuffer, { maxFiles, maxFileSize }) {
+  let entries;
+  try {
+    entries = new AdmZip(zipBuffer).getEntries();
+  } catch (error) {
+    throw new Error(ERROR_MESSAGES.INVALID_ARCHIVE);
+  }
+
+  const documents = entries.filter(entry => {
+    const name = path.basename(entry.entryName);
+    return !entry.isDirectory
+      && !entry.entryName.startsWith('__MACOSX/')
+      && !name.startsWith('.')
+      // Archive entries carry no MIME type, so derive it from the extension
+      && FILE_EXTENSIONS[path.extname(name).toLowerCase()];
+  });
+
+  if (documents.length > maxFiles) {
+    throw new Error(ERROR_MESSAGES.TOO_MANY_FILES);
+  }
+
+  return documents.map(entry => {
+    const name = path.basename(entry.entryName);
+
+    // Reject on the declared size before inflating anything, then cap the inflation itself
+    // in case the declared size is wrong
+    const buffer = entry.header.size > maxFileSize ? null : readEntry(entry, maxFileSize);
+    if (!buffer) {
+      throw new Error(`${ERROR_MESSAGES.FILE_TOO_LARGE} (${name})`);
+    }
+
+    return {
+      buffer,
+      originalname: name,
+      mimetype: FILE_EXTENSIONS[path.extname(name).toLowerCase()],
+    };
+  });
+}
+
+module.exports = {
+  extractDocumentsFromZip,
+};
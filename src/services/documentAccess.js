@@ -0,0 +1,128 @@
+// src/services/documentAccess.js
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+const { findTenantJob, readStoredFile } = require('./storageService');
+const { JOB_STATUS } = require('../config/constants');
+const { documentAccess: config } = require('../config/env');
+
+// Without DOCUMENT_URL_SECRET links are signed with a per-process secret and stop working on restart
+const urlSecret = config.urlSecret || crypto.randomBytes(32).toString('hex');
+
+// Entries returned by one access log lookup
+const MAX_ACCESS_LOG_ENTRIES = 500;
+
+const linkSignature = (jobId, expires) => crypto
+  .createHmac('sha256', urlSecret)
+  .update(`${jobId}:${expires}`)
+  .digest('base64url');
+
+// Quarantined files are kept for review but never handed out
+const hasServableFile = job => Boolean(job && job.file_url && job.status !== JOB_STATUS.QUARANTINED);
+
+/**
+ * Create a time-limited link to a job's original document. Links point at the API's /api/files/:jobId
+ * route with either backend, so every download is recorded in the access log.
+ * @param {string} jobId - Job identifier
+ * @param {string} tenantId - Tenant asking for the document
+ * @returns {Promise<{ job: Object, url: string, expiresAt: string }|null>} The link, or null if the
+ *   job doesn't exist, belongs to another tenant or has no file that may be served
+ */
+async function createDocumentLink(jobId, tenantId) {
+  const job = await findTenantJob(jobId, tenantId);
+  if (!hasServableFile(job)) {
+    return null;
+  }
+
+  const expires = Math.floor(Date.now() / 1000) + config.urlTtlSeconds;
+  const expiresAt = new Date(expires * 1000).toISOString();
+  const query = new URLSearchParams({ expires, signature: linkSignature(job.job_id, expires) });
+  return { job, url: `/api/files/${encodeURIComponent(job.job_id)}?${query}`, expiresAt };
+}
+
+/**
+ * Read a document through a link made by createDocumentLink
+ * @param {string} jobId - Job identifier from the link
+ * @param {Object} params - Link query parameters
+ * @param {string} params.expires - Expiry, in seconds since the epoch
+ * @param {string} params.signature - Link signature
+ * @returns {Promise<{ job: Object, buffer: Buffer }|null>} The job and file contents, or null if the link
+ *   is invalid or expired, or the document is gone
+ */
+async function openDocumentLink(jobId, { expires, signature }) {
+  const expiresAt = Number(expires);
+  if (!Number.isInteger(expiresAt) || expiresAt * 1000 < Date.now() || typeof signature !== 'string') {
+    return null;
+  }
+
+  const expected = Buffer.from(linkSignature(jobId, expiresAt));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+
+  const job = await getStorage().jobRepository.findById(jobId);
+  if (!hasServableFile(job)) {
+    return null;
+  }
+
+  return { job, buffer: await readStoredFile(job.file_url) };
+}
+
+/**
+ * Record a retrieval of a job's document in the access log
+ * @param {Object} params - Access details
+ * @param {Object} params.job - Job row of the document
+ * @param {string} params.action - ACCESS_ACTIONS value
+ * @param {Object|null} params.auth - API key that made the request (req.auth); null for signed links
+ * @param {string} params.ip - Client address
+ * @param {string|null} params.userAgent - Client User-Agent header
+ * @param {string|null} params.expiresAt - Expiry of an issued link
+ * @param {string|null} params.byteRange - Served byte range, e.g. "0-1023", for partial responses
+ */
+async function recordAccess({ job, action, auth = null, ip, userAgent = null, expiresAt = null, byteRange = null }) {
+  await getStorage().accessLogRepository.insert({
+    access_id: uuidv4(),
+    job_id: job.job_id,
+    tenant_id: job.tenant_id,
+    action,
+    key_id: auth ? auth.keyId : null,
+    key_name: auth ? auth.name : null,
+    ip_address: ip || null,
+    user_agent: userAgent,
+    expires_at: expiresAt,
+    byte_range: byteRange,
+    created_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Access log of a job's document, including accesses from before the job was deleted
+ * @param {string} jobId - Job identifier
+ * @param {string} tenantId - Tenant asking for the log; other tenants' entries are never returned
+ * @returns {Promise<Object[]>} Entries, newest first
+ */
+async function listDocumentAccess(jobId, tenantId) {
+  const rows = await getStorage().accessLogRepository.listByJob(jobId, { limit: MAX_ACCESS_LOG_ENTRIES });
+
+  return rows
+    .filter(row => row.tenant_id === tenantId)
+    .map(row => ({
+      accessId: row.access_id,
+      action: row.action,
+      keyId: row.key_id,
+      keyName: row.key_name,
+      ip: row.ip_address,
+      userAgent: row.user_agent,
+      expiresAt: row.expires_at,
+      byteRange: row.byte_range,
+      createdAt: row.created_at,
+    }));
+}
+
+module.exports = {
+  createDocumentLink,
+  openDocumentLink,
+  recordAccess,
+  listDocumentAccess,
+};
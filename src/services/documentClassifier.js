@@ -0,0 +1,99 @@
+// src/services/documentClassifier.js
+const { GENERIC_TYPE, listDocumentTypes } = require('../config/documentTypes');
+const { classifyWithAI } = require('./aiProcessor');
+const { classificationMinConfidence } = require('../config/env');
+
+/**
+ * Classify a document by counting the distinct keywords of each registered type.
+ * Confidence grows with the winning margin: best / (best + runnerUp + 1).
+ * @param {string} text - Extracted document text
+ * @returns {{ documentType: string, confidence: number, method: string }} Classification
+ */
+function classifyByKeywords(text) {
+  const haystack = ` ${(text || '').toLowerCase().replace(/\s+/g, ' ')} `;
+
+  const scores = listDocumentTypes()
+    .filter(definition => definition.keywords.length > 0)
+    .map(definition => ({
+      type: definition.type,
+      score: definition.keywords.filter(keyword => {
+        const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`).test(haystack);
+      }).length,
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best = { score: 0 }, runnerUp = { score: 0 }] = scores;
+
+  if (best.score === 0) {
+    return { documentType: GENERIC_TYPE, confidence: 0, method: 'keywords' };
+  }
+
+  return {
+    documentType: best.type,
+    confidence: Number((best.score / (best.score + runnerUp.score + 1)).toFixed(2)),
+    method: 'keywords',
+  };
+}
+
+// MRZ document codes (first letter) mapped to document types
+const MRZ_DOCUMENT_TYPES = {
+  P: 'passport',
+  I: 'id_card',
+  A: 'id_card',
+  C: 'id_card',
+};
+
+/**
+ * Classify a document from its machine readable zone, which states the document kind
+ * @param {Object} mrz - Parsed MRZ
+ * @returns {{ documentType: string, confidence: number, method: string }|null} Classification, or null for unmapped codes
+ */
+function classifyByMRZ(mrz) {
+  const documentType = MRZ_DOCUMENT_TYPES[mrz.documentCode[0]];
+  if (!documentType) return null;
+
+  return {
+    documentType,
+    // Failed check digits suggest a misread, not a different kind of document
+    confidence: mrz.checkDigitsValid ? 1 : 0.9,
+    method: 'mrz',
+  };
+}
+
+/**
+ * Label a document with one of the registered types. A machine readable zone
+ * decides the type outright. Otherwise uses the AI model when
+ * requested and available, otherwise keyword matching. Classifications below
+ * the configured confidence fall back to the generic type.
+ * @param {string} text - Extracted document text
+ * @param {Object} options - Classification options
+ * @param {boolean} options.useAI - Try the AI classifier first
+ * @param {Object} options.mrz - Parsed MRZ found in the text, if any
+ * @returns {Promise<{ documentType: string, confidence: number, method: string }>} Classification
+ */
+async function classifyDocument(text, { useAI = false, mrz = null } = {}) {
+  let classification = mrz ? classifyByMRZ(mrz) : null;
+
+  if (!classification && useAI) {
+    const aiResult = await classifyWithAI(text, listDocumentTypes());
+    if (aiResult) {
+      classification = { ...aiResult, method: 'ai' };
+    }
+  }
+
+  if (!classification) {
+    classification = classifyByKeywords(text);
+  }
+
+  if (classification.confidence < classificationMinConfidence) {
+    return { ...classification, documentType: GENERIC_TYPE };
+  }
+
+  return classification;
+}
+
+module.exports = {
+  classifyDocument,
+  classifyByKeywords,
+};
@@ -0,0 +1,84 @@
+// src/services/documentHash.js
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Perceptual hashes are 64-bit difference hashes, stored as 16 hex digits
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+// Near-duplicate lookups index each hash in 8 one-byte bands; two hashes within 7 bits share at least one
+const BAND_COUNT = 8;
+
+/**
+ * SHA-256 of a file's contents; identical uploads have the same hash
+ * @param {Buffer} buffer - File contents
+ * @returns {string} Hex digest
+ */
+function contentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Perceptual (difference) hash of a page image: the image is shrunk to 9x8 grayscale and each
+ * bit records whether a pixel is brighter than its right neighbour. Re-scans, re-compressions
+ * and small resizes of the same page give hashes a few bits apart.
+ * @param {Buffer} imageBuffer - Page image
+ * @returns {Promise<string>} 16 hex digits
+ */
+async function perceptualHash(imageBuffer) {
+  const pixels = await sharp(imageBuffer)
+    .flatten({ background: '#ffffff' })
+    .grayscale()
+    .resize(HASH_WIDTH, HASH_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const left = pixels[y * HASH_WIDTH + x];
+      const right = pixels[y * HASH_WIDTH + x + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of bits that differ between two perceptual hashes
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} Hamming distance, 0-64
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+}
+
+/**
+ * Index keys for near-duplicate lookups: one per byte of each hash, tagged with its position.
+ * Hashes differing in at most BAND_COUNT - 1 bits always share a key.
+ * @param {string[]} hashes - Hex hashes
+ * @returns {string[]} Unique keys such as "3:af"
+ */
+function hashBands(hashes) {
+  const bands = new Set();
+  hashes.forEach(hash => {
+    for (let band = 0; band < BAND_COUNT; band++) {
+      bands.add(`${band}:${hash.slice(band * 2, band * 2 + 2)}`);
+    }
+  });
+  return [...bands];
+}
+
+module.exports = {
+  BAND_COUNT,
+  contentHash,
+  perceptualHash,
+  hammingDistance,
+  hashBands,
+};
@@ -0,0 +1,209 @@
+// src/services/documentLayout.js
+
+// Separates pages in the flat raw_text
+const PAGE_SEPARATOR = '\f';
+
+// Lines closer than this many line heights belong to the same block
+const BLOCK_GAP_RATIO = 1.5;
+// A horizontal gap wider than this many character heights becomes a tab (table cells, columns)
+const COLUMN_GAP_RATIO = 1.5;
+
+/**
+ * Remove control characters and trailing spaces; runs of spaces are kept for column alignment
+ * @param {string} text - Line of text
+ * @returns {string} Cleaned line
+ */
+function cleanLine(text) {
+  return (text || '')
+    .replace(/[\x00-\x08\x0B-\x1F\x7F-\x9F]/g, '')
+    .replace(/\s+$/, '');
+}
+
+const roundBox = ({ x0, y0, x1, y1 }) => ({
+  x0: Math.round(x0 * 10) / 10,
+  y0: Math.round(y0 * 10) / 10,
+  x1: Math.round(x1 * 10) / 10,
+  y1: Math.round(y1 * 10) / 10,
+});
+
+const unionBox = boxes => ({
+  x0: Math.min(...boxes.map(box => box.x0)),
+  y0: Math.min(...boxes.map(box => box.y0)),
+  x1: Math.max(...boxes.map(box => box.x1)),
+  y1: Math.max(...boxes.map(box => box.y1)),
+});
+
+/**
+ * Join a page's lines, dropping empty lines at the edges
+ */
+function linesToText(lines) {
+  return lines.map(line => line.text).join('\n').replace(/^\n+|\n+$/g, '');
+}
+
+/**
+ * Group consecutive lines into blocks by vertical spacing
+ */
+function groupBlocks(lines) {
+  const blocks = [];
+  let current = null;
+
+  lines.forEach(line => {
+    const height = line.bbox.y1 - line.bbox.y0 || 1;
+    if (current && line.bbox.y0 - current.lastBottom <= height * BLOCK_GAP_RATIO) {
+      current.lines.push(line);
+    } else {
+      current = { lines: [line] };
+      blocks.push(current);
+    }
+    current.lastBottom = line.bbox.y1;
+  });
+
+  return blocks.map(block => ({
+    text: linesToText(block.lines),
+    bbox: roundBox(unionBox(block.lines.map(line => line.bbox))),
+    confidence: null,
+  }));
+}
+
+/**
+ * Build a page from the text layer of a PDF page (pdf.js getTextContent output).
+ * Coordinates are PDF points with the origin moved to the top-left corner.
+ * @param {Object} textContent - { items: [{ str, transform, width, height }] }
+ * @param {number[]} view - Page box [x0, y0, x1, y1]
+ * @param {number} pageNumber - 1-based page number
+ * @returns {Object} Page layout
+ */
+function pageFromTextContent(textContent, view, pageNumber) {
+  const [viewX0, viewY0, viewX1, viewY1] = view;
+  const pageHeight = viewY1 - viewY0;
+
+  // Group text items sharing a baseline into lines, then order them top to bottom
+  const rows = new Map();
+  textContent.items
+    .filter(item => item.str && item.str.trim())
+    .forEach(item => {
+      const baseline = Math.round(item.transform[5]);
+      // Font size from the text matrix; item.height is unreliable in the bundled pdf.js
+      const height = Math.hypot(item.transform[2], item.transform[3]) || 1;
+      const x0 = item.transform[4] - viewX0;
+      const box = { x0, y0: pageHeight - (baseline - viewY0) - height, x1: x0 + item.width, y1: pageHeight - (baseline - viewY0) };
+      if (!rows.has(baseline)) rows.set(baseline, []);
+      rows.get(baseline).push({ text: item.str, box, height });
+    });
+
+  const lines = [...rows.entries()]
+    .sort(([a], [b]) => b - a)
+    .map(([, items]) => {
+      items.sort((a, b) => a.box.x0 - b.box.x0);
+      const text = items.reduce((lineText, item, index) => {
+        if (index === 0) return item.text;
+        const gap = item.box.x0 - items[index - 1].box.x1;
+        const separator = gap > item.height * COLUMN_GAP_RATIO ? '\t' : (gap > item.height * 0.1 ? ' ' : '');
+        return lineText + separator + item.text;
+      }, '');
+
+      return {
+        text: cleanLine(text),
+        bbox: roundBox(unionBox(items.map(item => item.box))),
+        confidence: null,
+      };
+    })
+    .filter(line => line.text);
+
+  return {
+    pageNumber,
+    method: 'text',
+    width: Math.round((viewX1 - viewX0) * 10) / 10,
+    height: Math.round(pageHeight * 10) / 10,
+    unit: 'pt',
+    confidence: null,
+    text: linesToText(lines),
+    lines,
+    blocks: groupBlocks(lines),
+  };
+}
+
+/**
+ * Build a page from a Tesseract recognition result. Coordinates are image pixels;
+ * confidences are 0-100 as reported by Tesseract.
+ * @param {Object} data - Tesseract result.data ({ text, confidence, lines, blocks })
+ * @param {number} pageNumber - 1-based page number
+ * @returns {Object} Page layout
+ */
+function pageFromOCR(data, pageNumber) {
+  const toEntry = item => ({
+    text: cleanLine(item.text.replace(/\n+$/, '')),
+    bbox: roundBox(item.bbox),
+    confidence: Math.round(item.confidence * 10) / 10,
+  });
+
+  const lines = (data.lines || []).map(toEntry).filter(line => line.text.trim());
+  const blocks = (data.blocks || []).map(toEntry).filter(block => block.text.trim());
+
+  return {
+    pageNumber,
+    method: 'ocr',
+    width: null,
+    height: null,
+    unit: 'px',
+    confidence: typeof data.confidence === 'number' ? Math.round(data.confidence * 10) / 10 : null,
+    text: lines.length > 0 ? linesToText(lines) : cleanLine((data.text || '').trim()),
+    lines,
+    blocks,
+  };
+}
+
+/**
+ * Build a page from plain text with no position information
+ * @param {string} text - Page text
+ * @param {number} pageNumber - 1-based page number
+ * @param {string} method - How the text was obtained
+ * @returns {Object} Page layout
+ */
+function pageFromText(text, pageNumber, method = 'text') {
+  const lines = (text || '')
+    .split(/\r?\n/)
+    .map(cleanLine)
+    .filter(line => line.trim())
+    .map(line => ({ text: line, bbox: null, confidence: null }));
+
+  return {
+    pageNumber,
+    method,
+    width: null,
+    height: null,
+    unit: null,
+    confidence: null,
+    text: linesToText(lines),
+    lines,
+    blocks: [],
+  };
+}
+
+/**
+ * Flat text for a document layout: page texts separated by form feeds
+ * @param {{ pages: Object[] }} layout - Document layout
+ * @returns {string} Raw text
+ */
+function layoutToText(layout) {
+  return layout.pages.map(page => page.text).join(PAGE_SEPARATOR);
+}
+
+/**
+ * Rebuild text-only pages from raw text, for jobs stored without a layout
+ * @param {string} rawText - Raw text
+ * @returns {Object[]} Pages without positions
+ */
+function pagesFromRawText(rawText) {
+  if (!rawText) return [];
+  return rawText.split(PAGE_SEPARATOR).map((text, index) => pageFromText(text, index + 1));
+}
+
+module.exports = {
+  PAGE_SEPARATOR,
+  pageFromTextContent,
+  pageFromOCR,
+  pageFromText,
+  layoutToText,
+  pagesFromRawText,
+};
@@ -1,42 +1,110 @@
 // src/services/documentProcessor.js
 const { v4: uuidv4 } = require('uuid');
-const { extractTextFromPDF } = require('./pdfExtractor');
-const { extractTextFromImage } = require('./imageExtractor');
+const { extractPDFLayout } = require('./pdfExtractor');
+const { extractImageLayout } = require('./imageExtractor');
+const { extractTIFFLayout } = require('./tiffExtractor');
+const { extractDOCXLayout } = require('./docxExtractor');
+const { detectFileType } = require('./fileType');
+const { layoutToText } = require('./documentLayout');
+const { resolveOCROptions } = require('./ocrOptions');
 const { processWithAI } = require('./aiProcessor');
+const { classifyDocument } = require('./documentClassifier');
+const { verifyIdentity } = require('./identityVerifier');
+const { extractMRZ } = require('./mrzParser');
 const { calculateAge } = require('./utils');
-const { storeFile, storeDocumentMetadata, updateProcessingResults } = require('./supabaseService');
-const { supabase } = require('./supabaseService');
+const { contentHash } = require('./documentHash');
+const { findExactDuplicate, findProcessedOriginal, findNearDuplicates, pageHashIndex } = require('./duplicateDetector');
+const {
+  storeFile,
+  readStoredFile,
+  storeDocumentMetadata,
+  storeBatch,
+  updateProcessingResults,
+} = require('./storageService');
+const { createJobQueue } = require('./jobQueue');
+const { startOCRPool, stopOCRPool } = require('./ocrPool');
+const { createProgressReporter, scaleProgress } = require('./jobProgress');
+const {
+  JOB_STATUS,
+  PROGRESS_STAGES,
+  FILE_TYPES,
+  ERROR_CODES,
+  WARNING_CODES,
+  DUPLICATE_POLICIES,
+} = require('../config/constants');
+const { createCodedError } = require('../utils/errors');
+const config = require('../config/env');
 const logger = require('../utils/logger');
 
+let processingQueue = null;
+
 /**
- * Process uploaded document based on the selected method
+ * Store an uploaded document and queue it for processing; quarantined uploads are stored but never queued.
+ * An upload identical to an earlier one is handled by the duplicate policy (see duplicateDetector.findExactDuplicate):
+ * it may return the earlier job, or be linked to it and share its stored file.
  * @param {Object} params - Document processing parameters
- * @returns {Promise<string>} Job ID
+ * @param {Object} params.file - { buffer, originalname, inspection } where inspection is the result of fileSafety.inspectUpload
+ * @param {string} params.tenantId - Tenant that owns the upload
+ * @param {string} params.duplicatePolicy - DUPLICATE_POLICIES value; defaults to DUPLICATE_POLICY
+ * @returns {Promise<{ jobId: string, status: string, duplicateOf: string|null, reused: boolean }>} The job for the upload
  */
 async function processDocument(params) {
-  const { file, userData, processingMethod } = params;
+  const { file, userData, processingMethod, ocrOptions, batchId, tenantId, duplicatePolicy = config.duplicates.policy } = params;
+  const { fileType, safety, quarantine } = file.inspection;
+  const fileHash = contentHash(file.buffer);
+
+  // Quarantined files are kept for review, never matched to processed ones
+  const duplicate = quarantine ? null : await findExactDuplicate({
+    contentHash: fileHash,
+    tenantId,
+    userData,
+    processingMethod,
+    ocrOptions,
+    policy: duplicatePolicy,
+  });
+
+  if (duplicate && duplicate.action === DUPLICATE_POLICIES.REUSE) {
+    logger.info('Identical document already uploaded; returning its job', { jobId: duplicate.job.job_id });
+    return { jobId: duplicate.job.job_id, status: duplicate.job.status, duplicateOf: null, reused: true };
+  }
+
   const jobId = uuidv4();
+  const duplicateOf = duplicate ? duplicate.job.job_id : null;
 
   try {
-    logger.info('Starting document processing', { jobId, processingMethod });
+    logger.info('Starting document processing', { jobId, processingMethod, duplicateOf });
 
-    // To Store file in Supabase Storage
-    const fileUrl = await storeFile(file.buffer, file.originalname, file.mimetype);
+    // To Store file in the configured blob store, typed by its content rather than its name;
+    // a linked duplicate uses the original's copy
+    const fileUrl = duplicate
+      ? duplicate.job.file_url
+      : await storeFile(file.buffer, fileType, { quarantined: Boolean(quarantine) });
 
-    // To Store initial metadata
+    // To Store initial metadata; the stored job is the queue entry
     await storeDocumentMetadata({
       jobId,
       fileUrl,
       fileName: file.originalname,
-      mimeType: file.mimetype,
+      mimeType: fileType,
       userData,
       processingMethod,
+      ocrOptions,
+      batchId,
+      tenantId,
+      safety,
+      quarantine,
+      contentHash: fileHash,
+      duplicateOf,
+      status: JOB_STATUS.QUEUED,
     });
 
-    // Process the document asynchronously
-    processDocumentAsync(jobId, file, userData, processingMethod, fileUrl);
+    if (quarantine) {
+      logger.warn('Upload quarantined', { jobId, fileName: file.originalname, code: quarantine.code, reason: quarantine.message });
+    } else if (processingQueue) {
+      processingQueue.notify();
+    }
 
-    return jobId;
+    return { jobId, status: quarantine ? JOB_STATUS.QUARANTINED : JOB_STATUS.QUEUED, duplicateOf, reused: false };
   } catch (error) {
     logger.error('Error in processDocument', error, { jobId });
     throw error;
@@ -44,69 +112,252 @@ async function processDocument(params) {
 }
 
 /**
- * Async document processing function
+ * Store several documents for one applicant as a batch of jobs
+ * @param {Object} params - Batch parameters
+ * @param {Array} params.files - Documents as { buffer, originalname, inspection }
+ * @param {string} params.tenantId - Tenant that owns the batch
+ * @param {string} params.duplicatePolicy - DUPLICATE_POLICIES value; every file gets a job in the batch,
+ *   so 'reuse' links duplicates instead
+ * @returns {Promise<{ batchId: string, jobIds: string[], jobs: Object[] }>} Batch, child job IDs and each job's processDocument result
  */
-async function processDocumentAsync(jobId, file, userData, processingMethod, fileUrl) {
-  try {
-    let rawText = '';
-
-    // Extract text based on file type
-    if (file.mimetype === 'application/pdf') {
-      logger.info('Extracting text from PDF', { jobId });
-      rawText = await extractTextFromPDF(file.buffer);
-    } else if (file.mimetype.startsWith('image/')) {
-      logger.info('Extracting text from image', { jobId });
-      rawText = await extractTextFromImage(file.buffer);
-    }
+async function processBatch(params) {
+  const { files, userData, processingMethod, ocrOptions, tenantId, duplicatePolicy = config.duplicates.policy } = params;
+  const batchId = uuidv4();
 
-    logger.info('Text extraction completed', { 
-      jobId, 
-      textLength: rawText.length,
-      processingMethod 
-    });
+  logger.info('Starting batch processing', { batchId, fileCount: files.length, processingMethod });
 
-    let aiExtractedData = null;
-    
-    // Process with AI if selected
-    if (processingMethod === 'ai') {
-      logger.info('Starting AI processing', { jobId });
-      aiExtractedData = await processWithAI(rawText);
-      logger.info('AI processing completed', { jobId });
-    }
+  await storeBatch({ batchId, userData, processingMethod, fileCount: files.length, tenantId });
 
-    // Calculate age from date of birth
-    const age = calculateAge(userData.dob);
+  const jobs = [];
+  for (const file of files) {
+    jobs.push(await processDocument({
+      file,
+      userData,
+      processingMethod,
+      ocrOptions,
+      batchId,
+      tenantId,
+      duplicatePolicy: duplicatePolicy === DUPLICATE_POLICIES.REUSE ? DUPLICATE_POLICIES.LINK : duplicatePolicy,
+    }));
+  }
 
-    // Prepare results
-    const results = {
-      rawText,
-      aiExtractedData,
-      fullName: `${userData.firstName} ${userData.lastName}`,
-      age,
-    };
+  return { batchId, jobIds: jobs.map(job => job.jobId), jobs };
+}
 
-    // Update results in database
-    await updateProcessingResults(jobId, results);
+/**
+ * Extract, classify and (for the AI method) AI-process a job's file
+ * @param {Object} job - Job row claimed from the queue
+ * @param {Function} report - The job's progress reporter
+ * @returns {Promise<Object>} Extraction results, without identity verification
+ */
+async function extractDocument(job, report) {
+  const jobId = job.job_id;
+  const mimeType = job.mime_type;
+  const processingMethod = job.processing_method;
+  const fileBuffer = await readStoredFile(job.file_url);
+  const ocrOptions = resolveOCROptions(job.ocr_options);
+  let layout = { method: null, pages: [] };
+
+  // Extraction fills 10-90% of the bar, or 10-70% when AI processing follows
+  report(PROGRESS_STAGES.EXTRACTING, 10);
+  const extractionEnd = processingMethod === 'ai' ? 70 : 90;
+  const onProgress = scaleProgress(report, 10, extractionEnd);
+
+  // The extractor is chosen from the file's content; the declared type can be wrong
+  const fileType = detectFileType(fileBuffer);
+  if (!fileType) {
+    throw createCodedError(ERROR_CODES.UNSUPPORTED_FILE_TYPE, `The content of this file is not a supported format (declared as ${mimeType}).`, { retryable: false });
+  }
+  if (fileType !== mimeType) {
+    logger.warn('File content does not match its declared type', { jobId, declared: mimeType, detected: fileType });
+  }
+
+  // Extract the page layout based on file type; the flat text is derived from it
+  if (fileType === FILE_TYPES.PDF) {
+    logger.info('Extracting text from PDF', { jobId });
+    layout = await extractPDFLayout(fileBuffer, { onProgress, ocrOptions });
+  } else if (fileType === FILE_TYPES.TIFF) {
+    logger.info('Extracting text from TIFF', { jobId });
+    layout = await extractTIFFLayout(fileBuffer, { onProgress, ocrOptions });
+  } else if (fileType === FILE_TYPES.DOCX) {
+    logger.info('Extracting text from Word document', { jobId });
+    layout = await extractDOCXLayout(fileBuffer);
+  } else {
+    logger.info('Extracting text from image', { jobId, fileType });
+    layout = await extractImageLayout(fileBuffer, { onProgress, ocrOptions, fileType });
+  }
+
+  const rawText = layoutToText(layout);
+  const warnings = layout.warnings || [];
 
-    logger.info('Document processing completed successfully', { jobId });
+  logger.info('Text extraction completed', {
+    jobId,
+    textLength: rawText.length,
+    pageCount: layout.pages.length,
+    ocrPages: layout.ocr ? layout.ocr.pages : null,
+    skippedPages: layout.ocr ? layout.ocr.skippedPages : null,
+    warnings: warnings.map(warning => warning.code),
+    processingMethod
+  });
+
+  // Scanned pages are compared with earlier documents' pages to flag re-scans; this is advisory only
+  const pageHashes = layout.pageHashes || [];
+  let nearDuplicates = [];
+  try {
+    nearDuplicates = await findNearDuplicates({ jobId, contentHash: job.content_hash, tenantId: job.tenant_id, pageHashes });
   } catch (error) {
-    logger.error(`Error processing document for job ${jobId}`, error);
-    
-    // Update status to failed
-    const { error: updateError } = await supabase
-      .from('document_processing_jobs')
-      .update({
-        status: 'failed',
-        error_message: error.message,
-      })
-      .eq('job_id', jobId);
-
-    if (updateError) {
-      logger.error('Failed to update error status:', updateError, { jobId });
+    logger.warn('Near-duplicate lookup failed', { jobId, error: error.message });
+  }
+  if (nearDuplicates.length > 0) {
+    logger.info('Near-duplicate documents found', { jobId, jobIds: nearDuplicates.map(match => match.jobId) });
+    warnings.push({
+      code: WARNING_CODES.NEAR_DUPLICATE,
+      message: `Pages of this document look like pages of ${nearDuplicates.length} earlier document(s), e.g. a re-scan.`,
+      pages: [...new Set(nearDuplicates.flatMap(match => match.pages.map(page => page.pageNumber)))].sort((a, b) => a - b),
+      jobIds: nearDuplicates.map(match => match.jobId),
+    });
+  }
+
+  // Passports and ID cards carry a machine readable zone with check digits
+  const mrz = extractMRZ(rawText);
+  if (mrz) {
+    logger.info('MRZ found', { jobId, format: mrz.format, checkDigitsValid: mrz.checkDigitsValid });
+  }
+
+  // Label the document type; an MRZ decides it, otherwise the AI method may ask the model and standard uses keywords
+  const classification = await classifyDocument(rawText, { useAI: processingMethod === 'ai', mrz });
+  logger.info('Document classified', { jobId, ...classification });
+
+  let aiResult = null;
+
+  // Process with AI if selected, using the schema registered for the document type
+  if (processingMethod === 'ai') {
+    logger.info('Starting AI processing', { jobId, documentType: classification.documentType });
+    report(PROGRESS_STAGES.AI, extractionEnd);
+    aiResult = await processWithAI(rawText, classification.documentType);
+    logger.info('AI processing completed', { jobId, provider: aiResult.provider, model: aiResult.model });
+  }
+
+  return {
+    rawText,
+    layout: { method: layout.method, pages: layout.pages },
+    ocr: layout.ocr || null,
+    warnings,
+    mrz,
+    aiExtractedData: aiResult ? aiResult.data : null,
+    aiProvider: aiResult ? aiResult.provider : null,
+    aiModel: aiResult ? aiResult.model : null,
+    documentType: classification.documentType,
+    documentTypeConfidence: classification.confidence,
+    pageHashes,
+    perceptualBands: pageHashIndex(pageHashes),
+    nearDuplicates,
+  };
+}
+
+/**
+ * The extraction results stored on a completed job, for a linked duplicate to take over
+ */
+function extractionFromJob(original) {
+  return {
+    rawText: original.raw_text,
+    layout: original.layout,
+    ocr: original.ocr_pages,
+    warnings: original.warnings || [],
+    mrz: original.mrz_data,
+    aiExtractedData: original.ai_extracted_data,
+    aiProvider: original.ai_provider,
+    aiModel: original.ai_model,
+    documentType: original.document_type,
+    documentTypeConfidence: original.document_type_confidence,
+    pageHashes: original.page_hashes || [],
+    perceptualBands: original.perceptual_bands || [],
+    nearDuplicates: original.near_duplicates || [],
+  };
+}
+
+/**
+ * Run extraction for a queued job
+ * @param {Object} job - Job row claimed from the queue
+ * @returns {Promise<Object>} Processing results
+ */
+async function runProcessingJob(job) {
+  const jobId = job.job_id;
+  const report = createProgressReporter(jobId);
+
+  // A linked duplicate takes its original's extraction (and AI results) instead of repeating them;
+  // if the original was deleted since the upload, the file is processed after all
+  const original = job.duplicate_of ? await findProcessedOriginal(job.duplicate_of) : null;
+  let extraction;
+  if (original) {
+    logger.info('Reusing the extraction of an identical document', { jobId, duplicateOf: original.job_id });
+    extraction = extractionFromJob(original);
+  } else {
+    if (job.duplicate_of) {
+      logger.warn('Original of a linked duplicate is no longer available; processing the file', { jobId, duplicateOf: job.duplicate_of });
     }
+    extraction = await extractDocument(job, report);
+  }
+
+  // Check the submitted name and DOB against the document
+  report(PROGRESS_STAGES.VERIFYING, 95);
+  const verification = verifyIdentity(
+    { firstName: job.first_name, lastName: job.last_name, dateOfBirth: job.date_of_birth },
+    {
+      documentType: extraction.documentType,
+      aiExtractedData: extraction.aiExtractedData,
+      mrz: extraction.mrz,
+      rawText: extraction.rawText,
+    }
+  );
+  logger.info('Identity verification completed', { jobId, verdict: verification.verdict, score: verification.score });
+
+  await report.flush();
+
+  logger.info('Document processing completed successfully', { jobId });
+
+  return {
+    ...extraction,
+    verification,
+    fullName: `${job.first_name} ${job.last_name}`,
+    // Calculate age from date of birth
+    age: calculateAge(job.date_of_birth),
+  };
+}
+
+/**
+ * Start processing queued jobs in this process
+ * @returns {Promise<Object>} The running queue
+ */
+async function startProcessingQueue() {
+  if (!processingQueue) {
+    // Warm up the OCR workers before the first job arrives
+    await startOCRPool();
+    processingQueue = createJobQueue({
+      ...config.queue,
+      handler: runProcessingJob,
+      onSuccess: updateProcessingResults,
+    });
+    await processingQueue.start();
+  }
+  return processingQueue;
+}
+
+/**
+ * Stop the queue, waiting for in-flight jobs to finish, then shut down the OCR workers
+ */
+async function stopProcessingQueue() {
+  if (processingQueue) {
+    await processingQueue.stop();
+    processingQueue = null;
   }
+  await stopOCRPool();
 }
 
 module.exports = {
   processDocument,
-};
\ No newline at end of file
+  processBatch,
+  runProcessingJob,
+  startProcessingQueue,
+  stopProcessingQueue,
+};
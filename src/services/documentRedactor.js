@@ -0,0 +1,328 @@
+// src/services/documentRedactor.js
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { knownPIIValues, detectPII, maskText, redactText, redactData } = require('./piiDetector');
+const { readStoredFile } = require('./storageService');
+const { normalizeLine } = require('./mrzParser');
+const { detectFileType } = require('./fileType');
+const { countPages, renderPDFPage } = require('./pdfExtractor');
+const { toReadableImage } = require('./imageExtractor');
+const { preprocessForOCR } = require('./imagePreprocessor');
+const { resolveOCROptions } = require('./ocrOptions');
+const { imagesToPDF } = require('./imagePdf');
+const { FILE_TYPES, ERROR_CODES, PII_CLASSES } = require('../config/constants');
+const { createCodedError } = require('../utils/errors');
+
+// Resolution text-layer PDF pages are rendered at
+const RENDER_DPI = 150;
+// Resolution assumed for TIFF pages that don't record one
+const DEFAULT_SCAN_DPI = 200;
+const JPEG_QUALITY = 85;
+
+// OCR'd MRZ lines can run a couple of characters past their format's length
+const MRZ_LENGTH_TOLERANCE = 2;
+
+/**
+ * The lines of a text the MRZ was read from, as they appear in it. OCR often reads them with spaces,
+ * lowercase letters or « for <<, which the MRZ pattern misses; the parsed lines were normalized from them.
+ * @param {string} text - Text to search
+ * @param {Object|null} mrz - Parsed MRZ with its lines (see mrzParser)
+ * @returns {Array<{ type: string, value: string }>} Known values
+ */
+function mrzSourceLines(text, mrz) {
+  if (typeof text !== 'string' || !mrz || !Array.isArray(mrz.lines)) {
+    return [];
+  }
+
+  return text.split(/\r?\n/)
+    .filter(line => {
+      const normalized = normalizeLine(line).replace(/<+$/, '');
+      return mrz.lines.some(mrzLine => {
+        const content = mrzLine.replace(/<+$/, '');
+        return content && normalized.startsWith(content) && normalized.length <= mrzLine.length + MRZ_LENGTH_TOLERANCE;
+      });
+    })
+    .map(line => ({ type: PII_CLASSES.ID_NUMBER, value: line.trim() }));
+}
+
+/**
+ * Values to look for in a text besides the pattern matches: fields named like a class (see
+ * piiDetector.knownPIIValues) and the MRZ lines as the text has them
+ * @param {string} text - Text about to be redacted
+ * @param {Object|null} aiExtractedData - AI output
+ * @param {Object|null} mrz - Parsed MRZ
+ */
+const knownValuesIn = (text, aiExtractedData, mrz) => [
+  ...knownPIIValues(aiExtractedData, mrz),
+  ...mrzSourceLines(text, mrz),
+];
+
+const jobKnownValues = (job, text) => knownValuesIn(text, job.ai_extracted_data, job.mrz_data);
+
+/**
+ * Where each line of a page starts in the page text, or null when the text isn't the lines joined
+ * (OCR results without line data)
+ */
+function lineOffsets(page) {
+  const lines = page.lines || [];
+  if (lines.length === 0 || lines.map(line => line.text).join('\n') !== page.text) {
+    return null;
+  }
+  let offset = 0;
+  return lines.map(line => {
+    const start = offset;
+    offset += line.text.length + 1;
+    return start;
+  });
+}
+
+/**
+ * Mask the PII in one layout page: its text, lines and blocks
+ * @returns {{ page: Object, matches: Object[] }} Redacted page and the page text matches
+ */
+function redactPage(page, classes, knownValues) {
+  const matches = detectPII(page.text, classes, knownValues);
+  const text = maskText(page.text, matches);
+  const offsets = lineOffsets(page);
+
+  // Masking keeps lengths, so lines are cut from the masked page text where they line up with it
+  const lines = (page.lines || []).map((line, index) => ({
+    ...line,
+    text: offsets ? text.slice(offsets[index], offsets[index] + line.text.length) : redactText(line.text, classes, knownValues).text,
+  }));
+  const blocks = (page.blocks || []).map(block => ({ ...block, text: redactText(block.text, classes, knownValues).text }));
+
+  return { page: { ...page, text, lines, blocks }, matches };
+}
+
+const countMatches = (counts, type) => {
+  counts[type] = (counts[type] || 0) + 1;
+};
+
+/**
+ * Mask PII in a job result (see storageService.getProcessingResult): raw text, AI output and the MRZ
+ * @param {Object} result - Job result
+ * @param {string[]} classes - PII_CLASSES values to mask
+ * @returns {Object} Result copy with a redaction summary ({ classes, masked: { [class]: count } })
+ */
+function redactResult(result, classes) {
+  const knownValues = knownValuesIn(result.rawText, result.aiExtractedData, result.mrz);
+  const masked = {};
+  const onMatch = type => countMatches(masked, type);
+
+  const rawText = redactText(result.rawText, classes, knownValues);
+  rawText.matches.forEach(match => onMatch(match.type));
+
+  return {
+    ...result,
+    rawText: rawText.text,
+    aiExtractedData: redactData(result.aiExtractedData, classes, knownValues, onMatch),
+    mrz: redactData(result.mrz, classes, knownValues, onMatch),
+    redaction: { classes, masked },
+  };
+}
+
+/**
+ * Mask PII in a job's pages (see storageService.getDocumentPages)
+ * @param {{ jobId: string, method: string, pages: Object[] }} document - Document pages
+ * @param {string[]} classes - PII_CLASSES values to mask
+ * @param {Object} job - Job row, for the values it is known to hold
+ * @returns {Object} Document copy with redacted pages and a redaction summary
+ */
+function redactDocumentPages(document, classes, job) {
+  const masked = {};
+  const pages = document.pages.map(page => {
+    const redacted = redactPage(page, classes, jobKnownValues(job, page.text));
+    redacted.matches.forEach(match => countMatches(masked, match.type));
+    return redacted.page;
+  });
+
+  return { ...document, pages, redaction: { classes, masked } };
+}
+
+/**
+ * Boxes to black out on a page image, in layout coordinates. Boxes follow the matched characters'
+ * share of their line's width, widened by a character on each side for proportional fonts.
+ * @returns {{ boxes: Object[]|null, count: number }} Boxes, or null when matches can't be placed and the
+ *   whole page must be covered
+ */
+function redactionBoxes(page, classes, knownValues) {
+  const matches = detectPII(page.text, classes, knownValues);
+  if (matches.length === 0) {
+    return { boxes: [], count: 0 };
+  }
+
+  const offsets = lineOffsets(page);
+  if (!offsets) {
+    return { boxes: null, count: matches.length };
+  }
+
+  const boxes = [];
+  for (const { start, end } of matches) {
+    for (let index = 0; index < page.lines.length; index++) {
+      const line = page.lines[index];
+      const lineStart = offsets[index];
+      const lineEnd = lineStart + line.text.length;
+      if (end <= lineStart || start >= lineEnd) continue;
+      if (!line.bbox) {
+        return { boxes: null, count: matches.length };
+      }
+
+      const charWidth = (line.bbox.x1 - line.bbox.x0) / line.text.length;
+      const padY = (line.bbox.y1 - line.bbox.y0) * 0.15;
+      boxes.push({
+        x0: line.bbox.x0 + (Math.max(start, lineStart) - lineStart - 1) * charWidth,
+        x1: line.bbox.x0 + (Math.min(end, lineEnd) - lineStart + 1) * charWidth,
+        y0: line.bbox.y0 - padY,
+        y1: line.bbox.y1 + padY,
+      });
+    }
+  }
+
+  return { boxes, count: matches.length };
+}
+
+/**
+ * Draw black boxes on a page image
+ * @param {Buffer} image - Page image
+ * @param {Object[]|null} boxes - Boxes in layout units; null covers the whole page
+ * @param {number} scale - Image pixels per layout unit
+ * @returns {Promise<sharp.Sharp>} The redacted image, ready to encode
+ */
+async function drawBoxes(image, boxes, scale) {
+  const { width, height } = await sharp(image).metadata();
+
+  if (boxes === null) {
+    return sharp({ create: { width, height, channels: 3, background: '#000000' } });
+  }
+
+  if (boxes.length === 0) {
+    return sharp(image).flatten({ background: '#ffffff' });
+  }
+
+  const rects = boxes.map(box => {
+    const x = Math.max(0, Math.floor(box.x0 * scale));
+    const y = Math.max(0, Math.floor(box.y0 * scale));
+    const boxWidth = Math.min(width, Math.ceil(box.x1 * scale)) - x;
+    const boxHeight = Math.min(height, Math.ceil(box.y1 * scale)) - y;
+    return boxWidth > 0 && boxHeight > 0 ? `<rect x="${x}" y="${y}" width="${boxWidth}" height="${boxHeight}" fill="#000"/>` : '';
+  });
+  const overlay = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${rects.join('')}</svg>`);
+
+  // Composited and flattened to plain pixels, so nothing under a box is kept
+  return sharp(await sharp(image).composite([{ input: overlay, top: 0, left: 0 }]).png().toBuffer())
+    .flatten({ background: '#ffffff' });
+}
+
+/**
+ * Redact one page image and encode it as a JPEG page for imagesToPDF
+ */
+async function redactedPDFPage(image, boxes, scale, dpi) {
+  const redacted = await drawBoxes(image, boxes, scale);
+  const { data, info } = await redacted.jpeg({ quality: JPEG_QUALITY }).toBuffer({ resolveWithObject: true });
+  return {
+    jpeg: data,
+    width: info.width,
+    height: info.height,
+    channels: info.channels,
+    widthPt: (info.width * 72) / dpi,
+    heightPt: (info.height * 72) / dpi,
+  };
+}
+
+/**
+ * Produce a copy of a job's original document with detected PII blacked out. Pages are flattened to images,
+ * so no text survives under the boxes: PDFs and TIFFs become image-only PDFs, images stay images (JPEG,
+ * or PNG for other formats). OCR'd pages are redacted on the image the OCR read (after preprocessing, e.g.
+ * straightened and cropped), which is what their text positions refer to. Pages without extracted text
+ * positions, such as pages skipped by OCR, are covered entirely.
+ * @param {Object} job - Completed job row with a layout
+ * @param {string[]} classes - PII_CLASSES values to black out
+ * @returns {Promise<{ buffer: Buffer, mimeType: string, extension: string, masked: number, coveredPages: number[] }>}
+ *   The redacted file, the number of matches blacked out and the pages covered entirely
+ * @throws {Error} REDACTION_NOT_SUPPORTED for Word documents, which have no page images
+ */
+async function renderRedactedDocument(job, classes) {
+  const buffer = await readStoredFile(job.file_url);
+  const fileType = detectFileType(buffer);
+  const layout = job.layout || { method: null, pages: [] };
+  const layoutPages = new Map(layout.pages.map(page => [page.pageNumber, page]));
+  const ocrOptions = resolveOCROptions(job.ocr_options);
+  const coveredPages = [];
+  let masked = 0;
+
+  const boxesFor = pageNumber => {
+    const page = layoutPages.get(pageNumber);
+    const { boxes, count } = page ? redactionBoxes(page, classes, jobKnownValues(job, page.text)) : { boxes: null, count: 0 };
+    masked += count;
+    if (boxes === null) coveredPages.push(pageNumber);
+    return boxes;
+  };
+
+  if (fileType === FILE_TYPES.DOCX || !fileType) {
+    throw createCodedError(ERROR_CODES.REDACTION_NOT_SUPPORTED, 'Redacted copies can only be made of PDFs and images.', { retryable: false });
+  }
+
+  if (fileType === FILE_TYPES.PDF) {
+    const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-redact-'));
+    const pdfPath = path.join(tempDir, 'document.pdf');
+    try {
+      await fs.writeFile(pdfPath, buffer);
+      const totalPages = await countPages(pdfPath);
+      const pages = [];
+
+      for (let pageNumber = 1; pageNumber <= totalPages; pageNumber++) {
+        const page = layoutPages.get(pageNumber);
+        const boxes = boxesFor(pageNumber);
+
+        if (layout.method === 'text' && page && page.width) {
+          const image = await renderPDFPage(pdfPath, pageNumber, RENDER_DPI);
+          const { width } = await sharp(image).metadata();
+          pages.push(await redactedPDFPage(image, boxes, width / page.width, RENDER_DPI));
+        } else {
+          // Re-create the image the OCR read, so its text positions line up
+          const image = await renderPDFPage(pdfPath, pageNumber, ocrOptions.dpi);
+          const prepared = boxes === null ? { buffer: image } : await preprocessForOCR(image, ocrOptions, ocrOptions.dpi);
+          pages.push(await redactedPDFPage(prepared.buffer, boxes, 1, ocrOptions.dpi));
+        }
+      }
+
+      return { buffer: imagesToPDF(pages), mimeType: FILE_TYPES.PDF, extension: '.pdf', masked, coveredPages };
+    } finally {
+      await fs.rm(tempDir, { recursive: true, force: true });
+    }
+  }
+
+  if (fileType === FILE_TYPES.TIFF) {
+    const metadata = await sharp(buffer).metadata();
+    const dpi = metadata.density || DEFAULT_SCAN_DPI;
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= (metadata.pages || 1); pageNumber++) {
+      const boxes = boxesFor(pageNumber);
+      const image = await sharp(buffer, { page: pageNumber - 1 }).png().toBuffer();
+      const prepared = boxes === null ? { buffer: image } : await preprocessForOCR(image, ocrOptions);
+      pages.push(await redactedPDFPage(prepared.buffer, boxes, 1, dpi));
+    }
+
+    return { buffer: imagesToPDF(pages), mimeType: FILE_TYPES.PDF, extension: '.pdf', masked, coveredPages };
+  }
+
+  const boxes = boxesFor(1);
+  const image = await toReadableImage(buffer, fileType);
+  const prepared = boxes === null ? { buffer: image } : await preprocessForOCR(image, ocrOptions);
+  const redacted = await drawBoxes(prepared.buffer, boxes, 1);
+
+  if (fileType === FILE_TYPES.JPEG) {
+    return { buffer: await redacted.jpeg({ quality: JPEG_QUALITY }).toBuffer(), mimeType: FILE_TYPES.JPEG, extension: '.jpg', masked, coveredPages };
+  }
+  return { buffer: await redacted.png().toBuffer(), mimeType: FILE_TYPES.PNG, extension: '.png', masked, coveredPages };
+}
+
+module.exports = {
+  redactResult,
+  redactDocumentPages,
+  renderRedactedDocument,
+};
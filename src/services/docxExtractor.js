@@ -0,0 +1,35 @@
+// src/services/docxExtractor.js
+const mammoth = require('mammoth');
+const { ERROR_CODES } = require('../config/constants');
+const { createCodedError } = require('../utils/errors');
+const { pageFromText } = require('./documentLayout');
+
+/**
+ * Extract the text of a Word (DOCX) document. Word files have no fixed pages, so the
+ * whole document becomes one page without positions; embedded images are not OCR'd.
+ * @param {Buffer} docxBuffer - DOCX file buffer
+ * @returns {Promise<{ method: string, pages: Object[], warnings: Object[] }>} Document layout with a single page
+ * @throws {Error} DOCUMENT_CORRUPT when the file can't be read, NO_TEXT_FOUND when it has no text
+ */
+async function extractDOCXLayout(docxBuffer) {
+  let result;
+  try {
+    result = await mammoth.extractRawText({ buffer: docxBuffer });
+  } catch (error) {
+    throw createCodedError(ERROR_CODES.DOCUMENT_CORRUPT, `The Word document could not be read: ${error.message}`, { retryable: false, cause: error });
+  }
+
+  result.messages.forEach(message => console.warn(`DOCX ${message.type}: ${message.message}`));
+
+  const page = pageFromText(result.value, 1);
+  if (!page.text.trim()) {
+    throw createCodedError(ERROR_CODES.NO_TEXT_FOUND, 'The Word document contains no text.', { retryable: false });
+  }
+
+  console.log(`DOCX extraction completed. Extracted ${page.text.length} characters.`);
+  return { method: 'text', pages: [page], warnings: [] };
+}
+
+module.exports = {
+  extractDOCXLayout,
+};
@@ -0,0 +1,151 @@
+// src/services/duplicateDetector.js
+const { getStorage } = require('./storage');
+const { hammingDistance, hashBands } = require('./documentHash');
+const { JOB_STATUS, DUPLICATE_POLICIES } = require('../config/constants');
+const { duplicates: duplicatesConfig } = require('../config/env');
+
+// Jobs compared page by page in one near-duplicate lookup
+const MAX_NEAR_DUPLICATE_CANDIDATES = 100;
+// Hashes with fewer set (or unset) bits than this come from near-blank pages and match each other
+const MIN_HASH_DETAIL = 8;
+
+const NEAR_DUPLICATE_COLUMNS = ['job_id', 'content_hash', 'page_hashes', 'created_at'];
+
+const sameApplicant = (job, userData) => (
+  job.first_name.trim().toLowerCase() === userData.firstName.trim().toLowerCase()
+  && job.last_name.trim().toLowerCase() === userData.lastName.trim().toLowerCase()
+  && job.date_of_birth === userData.dob
+);
+
+// OCR options are stored as validated, so equal settings serialize the same way
+const sameOptions = (job, processingMethod, ocrOptions) => (
+  job.processing_method === processingMethod
+  && JSON.stringify(job.ocr_options || null) === JSON.stringify(ocrOptions || null)
+);
+
+/**
+ * Find an earlier job for an identical file that a new upload can use instead of being processed again.
+ * Only jobs run with the same processing method and OCR options count, and only while they still hold
+ * the file (retention may have purged it).
+ * - reuse: a job for the same applicant is returned as is (queued, processing or completed);
+ *   without one, the upload is linked as below
+ * - link: the new job is linked to a completed job and takes its extraction instead of repeating it
+ * - process: duplicates are ignored
+ * @param {Object} params - Upload details
+ * @param {string} params.contentHash - SHA-256 of the upload
+ * @param {string} params.tenantId - Only the tenant's own jobs are matched
+ * @param {Object} params.userData - { firstName, lastName, dob }
+ * @param {string} params.processingMethod - 'standard' or 'ai'
+ * @param {Object|null} params.ocrOptions - OCR overrides sent with the upload
+ * @param {string} params.policy - DUPLICATE_POLICIES value
+ * @returns {Promise<{ action: string, job: Object }|null>} 'reuse' or 'link' and the earlier job, or null to process the upload
+ */
+async function findExactDuplicate({ contentHash, tenantId, userData, processingMethod, ocrOptions, policy }) {
+  if (policy === DUPLICATE_POLICIES.PROCESS) {
+    return null;
+  }
+
+  const earlier = (await getStorage().jobRepository.findByContentHash(contentHash, tenantId))
+    .filter(job => job.file_url && sameOptions(job, processingMethod, ocrOptions));
+
+  if (policy === DUPLICATE_POLICIES.REUSE) {
+    const reusable = earlier.find(job => sameApplicant(job, userData)
+      && [JOB_STATUS.QUEUED, JOB_STATUS.PROCESSING, JOB_STATUS.COMPLETED].includes(job.status));
+    if (reusable) {
+      return { action: DUPLICATE_POLICIES.REUSE, job: reusable };
+    }
+  }
+
+  const original = earlier.find(job => job.status === JOB_STATUS.COMPLETED);
+  return original ? { action: DUPLICATE_POLICIES.LINK, job: original } : null;
+}
+
+/**
+ * Load the job a linked job copies its extraction from
+ * @param {string} jobId - The original job
+ * @returns {Promise<Object|null>} The job row, or null if it is gone or no longer completed
+ */
+async function findProcessedOriginal(jobId) {
+  const original = await getStorage().jobRepository.findById(jobId);
+  return original && original.status === JOB_STATUS.COMPLETED ? original : null;
+}
+
+/**
+ * Whether a page hash carries enough detail to compare; blank pages all hash alike
+ */
+function isDetailed({ hash }) {
+  const setBits = hammingDistance(hash, '0000000000000000');
+  return setBits >= MIN_HASH_DETAIL && setBits <= 64 - MIN_HASH_DETAIL;
+}
+
+/**
+ * Index keys stored with a job's page hashes for near-duplicate lookups
+ * @param {Object[]} pageHashes - [{ pageNumber, hash }]
+ * @returns {string[]} Band keys (see documentHash.hashBands)
+ */
+function pageHashIndex(pageHashes) {
+  return hashBands(pageHashes.filter(isDetailed).map(page => page.hash));
+}
+
+/**
+ * Find processed documents with pages that look like this document's pages, e.g. a re-scan or
+ * photo of the same paper. Exact copies of this file are left out (they are linked instead), and
+ * of several identical files only the earliest job is listed.
+ * @param {Object} params - Document details
+ * @param {string} params.jobId - The job being processed
+ * @param {string} params.contentHash - Its SHA-256
+ * @param {string} params.tenantId - Only the tenant's own jobs are compared
+ * @param {Object[]} params.pageHashes - Its page hashes, [{ pageNumber, hash }]
+ * @returns {Promise<Array<{ jobId: string, distance: number, pages: Object[] }>>} Closest first; pages lists
+ *   { pageNumber, matchedPage, distance } for each page that matched
+ */
+async function findNearDuplicates({ jobId, contentHash, tenantId, pageHashes }) {
+  const maxDistance = duplicatesConfig.nearMaxDistance;
+  const detailed = (pageHashes || []).filter(isDetailed);
+  if (maxDistance < 0 || detailed.length === 0) {
+    return [];
+  }
+
+  const candidates = await getStorage().jobRepository.findByHashBands(pageHashIndex(detailed), {
+    tenantId,
+    limit: MAX_NEAR_DUPLICATE_CANDIDATES,
+    columns: NEAR_DUPLICATE_COLUMNS,
+  });
+
+  const seenHashes = new Set([contentHash].filter(Boolean));
+  const matches = [];
+
+  candidates
+    .filter(candidate => candidate.job_id !== jobId)
+    .sort((a, b) => a.created_at.localeCompare(b.created_at))
+    .forEach(candidate => {
+      if (candidate.content_hash && seenHashes.has(candidate.content_hash)) return;
+
+      const pages = detailed
+        .map(page => {
+          const closest = (candidate.page_hashes || [])
+            .map(other => ({ matchedPage: other.pageNumber, distance: hammingDistance(page.hash, other.hash) }))
+            .sort((a, b) => a.distance - b.distance)[0];
+          return closest && closest.distance <= maxDistance ? { pageNumber: page.pageNumber, ...closest } : null;
+        })
+        .filter(Boolean);
+
+      if (pages.length > 0) {
+        if (candidate.content_hash) seenHashes.add(candidate.content_hash);
+        matches.push({
+          jobId: candidate.job_id,
+          distance: Math.min(...pages.map(page => page.distance)),
+          pages,
+        });
+      }
+    });
+
+  return matches.sort((a, b) => a.distance - b.distance || b.pages.length - a.pages.length);
+}
+
+module.exports = {
+  findExactDuplicate,
+  findProcessedOriginal,
+  findNearDuplicates,
+  pageHashIndex,
+};
@@ -0,0 +1,249 @@
+// src/services/encryption.js
+const crypto = require('crypto');
+const { encryption: config } = require('../config/env');
+
+// Every value and file gets its own data key, stored next to it wrapped by an ENCRYPTION_KEYS key.
+// Rotating a key only re-wraps the data keys; the data itself stays as it is.
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const DATA_KEY_BYTES = 32;
+const WRAPPED_KEY_BYTES = IV_BYTES + TAG_BYTES + DATA_KEY_BYTES;
+
+// Encrypted values: enc:v1:<key id>:<wrapped data key>:<iv + tag + ciphertext>, base64url parts
+const VALUE_PREFIX = 'enc:v1:';
+
+// Encrypted files: magic, key id length, key id, wrapped data key, iv, tag, ciphertext
+const FILE_MAGIC = Buffer.from('DPENC1');
+
+// Blind index tokens: <key id>.<truncated HMAC of a word>, with a hash key derived from each key
+const INDEX_TOKEN_BYTES = 16;
+
+const keysById = new Map(config.keys.map(({ id, key }) => [id, key]));
+const currentKeyId = config.keys.length > 0 ? config.keys[0].id : null;
+const indexKeysById = new Map(config.keys.map(({ id, key }) => [
+  id,
+  Buffer.from(crypto.hkdfSync('sha256', key, Buffer.alloc(0), 'blind-index', 32)),
+]));
+
+/**
+ * Whether new data is encrypted, i.e. ENCRYPTION_KEYS is set
+ * @returns {boolean}
+ */
+function encryptionEnabled() {
+  return currentKeyId !== null;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function open(key, sealed, aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+function masterKey(keyId) {
+  const key = keysById.get(keyId);
+  if (!key) {
+    throw new Error(`Data is encrypted with key '${keyId}', which is not in ENCRYPTION_KEYS`);
+  }
+  return key;
+}
+
+// The data key is bound to its key id, so a wrapped key can't be passed off as another key's
+const wrapDataKey = (dataKey, keyId) => seal(masterKey(keyId), dataKey, `key:${keyId}`);
+
+const unwrapDataKey = (wrapped, keyId) => {
+  try {
+    return open(masterKey(keyId), wrapped, `key:${keyId}`);
+  } catch (error) {
+    if (keysById.has(keyId)) {
+      throw new Error(`Failed to unwrap a data key with key '${keyId}'; the key doesn't match the one the data was encrypted with`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Whether a stored value is encrypted
+ * @param {*} value - Column value
+ * @returns {boolean}
+ */
+function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(VALUE_PREFIX);
+}
+
+function parseValue(value) {
+  const [keyId, wrapped, payload] = value.slice(VALUE_PREFIX.length).split(':');
+  return { keyId, wrapped: Buffer.from(wrapped, 'base64url'), payload };
+}
+
+/**
+ * Encrypt a column value with a new data key under the current key. Null stays null.
+ * @param {*} value - Any JSON value (text, date string, object)
+ * @param {string} field - Column name; the value only decrypts under the same name
+ * @returns {string|null} Encrypted value
+ */
+function encryptValue(value, field) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  const dataKey = crypto.randomBytes(DATA_KEY_BYTES);
+  const payload = seal(dataKey, Buffer.from(JSON.stringify(value)), field);
+  return `${VALUE_PREFIX}${currentKeyId}:${wrapDataKey(dataKey, currentKeyId).toString('base64url')}:${payload.toString('base64url')}`;
+}
+
+/**
+ * Decrypt a column value; values that aren't encrypted (stored before encryption was turned on) are returned as they are
+ * @param {*} value - Column value
+ * @param {string} field - Column name it was encrypted under
+ * @returns {*} The original value
+ */
+function decryptValue(value, field) {
+  if (!isEncryptedValue(value)) {
+    return value;
+  }
+
+  const { keyId, wrapped, payload } = parseValue(value);
+  const dataKey = unwrapDataKey(wrapped, keyId);
+  return JSON.parse(open(dataKey, Buffer.from(payload, 'base64url'), field).toString('utf8'));
+}
+
+/**
+ * Re-wrap an encrypted value's data key under the current key, leaving the data as it is
+ * @param {string} value - Encrypted value
+ * @returns {string} The value under the current key (unchanged if it already was)
+ */
+function rewrapValue(value) {
+  const { keyId, wrapped, payload } = parseValue(value);
+  if (keyId === currentKeyId) {
+    return value;
+  }
+
+  const dataKey = unwrapDataKey(wrapped, keyId);
+  return `${VALUE_PREFIX}${currentKeyId}:${wrapDataKey(dataKey, currentKeyId).toString('base64url')}:${payload}`;
+}
+
+/**
+ * Whether file contents are encrypted
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean}
+ */
+function isEncryptedBuffer(buffer) {
+  return buffer.length > FILE_MAGIC.length && buffer.subarray(0, FILE_MAGIC.length).equals(FILE_MAGIC);
+}
+
+function parseBuffer(buffer) {
+  const keyIdLength = buffer[FILE_MAGIC.length];
+  const keyIdStart = FILE_MAGIC.length + 1;
+  const wrappedStart = keyIdStart + keyIdLength;
+  const payloadStart = wrappedStart + WRAPPED_KEY_BYTES;
+  return {
+    keyId: buffer.subarray(keyIdStart, wrappedStart).toString('utf8'),
+    wrapped: buffer.subarray(wrappedStart, payloadStart),
+    payload: buffer.subarray(payloadStart),
+  };
+}
+
+function formatBuffer(keyId, wrapped, payload) {
+  const id = Buffer.from(keyId, 'utf8');
+  return Buffer.concat([FILE_MAGIC, Buffer.from([id.length]), id, wrapped, payload]);
+}
+
+/**
+ * Encrypt file contents with a new data key under the current key
+ * @param {Buffer} buffer - File contents
+ * @returns {Buffer} Encrypted file
+ */
+function encryptBuffer(buffer) {
+  const dataKey = crypto.randomBytes(DATA_KEY_BYTES);
+  return formatBuffer(currentKeyId, wrapDataKey(dataKey, currentKeyId), seal(dataKey, buffer, 'file'));
+}
+
+/**
+ * Decrypt file contents; files stored without encryption are returned as they are
+ * @param {Buffer} buffer - Stored file
+ * @returns {Buffer} File contents
+ */
+function decryptBuffer(buffer) {
+  if (!isEncryptedBuffer(buffer)) {
+    return buffer;
+  }
+
+  const { keyId, wrapped, payload } = parseBuffer(buffer);
+  return open(unwrapDataKey(wrapped, keyId), payload, 'file');
+}
+
+/**
+ * Re-wrap an encrypted file's data key under the current key
+ * @param {Buffer} buffer - Encrypted file
+ * @returns {Buffer} The file under the current key (the same buffer if it already was)
+ */
+function rewrapBuffer(buffer) {
+  const { keyId, wrapped, payload } = parseBuffer(buffer);
+  if (keyId === currentKeyId) {
+    return buffer;
+  }
+
+  return formatBuffer(currentKeyId, wrapDataKey(unwrapDataKey(wrapped, keyId), currentKeyId), payload);
+}
+
+const indexToken = (keyId, term) => `${keyId}.${crypto
+  .createHmac('sha256', indexKeysById.get(keyId))
+  .update(term)
+  .digest()
+  .subarray(0, INDEX_TOKEN_BYTES)
+  .toString('base64url')}`;
+
+/**
+ * Blind index of words under the current key: equal words give equal tokens, so encrypted rows can be
+ * matched on them, but the words can't be read back without the key
+ * @param {string[]} terms - Normalized words (see searchIndex.tokenize)
+ * @returns {string[]} Distinct tokens
+ */
+function blindIndexTokens(terms) {
+  return [...new Set(terms)].map(term => indexToken(currentKeyId, term));
+}
+
+/**
+ * The tokens a word may be indexed under, one per ENCRYPTION_KEYS key, so rows indexed before the last
+ * rotation are still found
+ * @param {string} term - Normalized word
+ * @returns {string[]} Tokens
+ */
+function blindIndexCandidates(term) {
+  return [...indexKeysById.keys()].map(keyId => indexToken(keyId, term));
+}
+
+/**
+ * Whether a blind index was built under the current key
+ * @param {string[]} tokens - Stored tokens
+ * @returns {boolean}
+ */
+function isCurrentBlindIndex(tokens) {
+  return tokens.every(token => token.startsWith(`${currentKeyId}.`));
+}
+
+module.exports = {
+  encryptionEnabled,
+  currentKeyId,
+  isEncryptedValue,
+  encryptValue,
+  decryptValue,
+  rewrapValue,
+  isEncryptedBuffer,
+  encryptBuffer,
+  decryptBuffer,
+  rewrapBuffer,
+  blindIndexTokens,
+  blindIndexCandidates,
+  isCurrentBlindIndex,
+};
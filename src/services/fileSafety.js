@@ -0,0 +1,137 @@
+// src/services/fileSafety.js
+const zlib = require('zlib');
+const { FILE_TYPES, ERROR_CODES, PDF_ACTIVE_CONTENT } = require('../config/constants');
+const { pdfActiveContent: activeContentPolicy } = require('../config/env');
+const { createCodedError } = require('../utils/errors');
+const { detectFileType, declaredFileType, matchesFileType } = require('./fileType');
+const { getVirusScanner } = require('./virusScan');
+
+// PDF names that start scripts, carry attachments or run programs
+const ACTIVE_CONTENT_PATTERNS = [
+  [PDF_ACTIVE_CONTENT.JAVASCRIPT, /\/(?:JavaScript|JS)(?![\w#])/],
+  [PDF_ACTIVE_CONTENT.EMBEDDED_FILE, /\/(?:EmbeddedFiles?|FileAttachment)(?![\w#])/],
+  [PDF_ACTIVE_CONTENT.LAUNCH, /\/Launch(?![\w#])/],
+];
+
+// Compressed object streams can hide dictionaries; cap how much of them is inflated
+const MAX_INFLATED_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Decode #xx escapes in PDF names, so /J#61vaScript reads as /JavaScript
+ */
+function decodeNames(text) {
+  return text.replace(/\/[^\s/[\]<>(){}%]+/g, name => (
+    name.replace(/#([0-9a-f]{2})/gi, (escape, hex) => String.fromCharCode(parseInt(hex, 16)))
+  ));
+}
+
+/**
+ * The PDF's objects as text, with compressed object streams (/ObjStm) inflated
+ */
+function pdfObjectText(buffer) {
+  const raw = buffer.toString('latin1');
+  const parts = [raw];
+  let inflatedBytes = 0;
+
+  const streamStart = /\bobj\b((?:(?!\bendobj\b)[\s\S]){0,4096}?)\bstream\r?\n/g;
+  let match;
+  while ((match = streamStart.exec(raw)) && inflatedBytes < MAX_INFLATED_BYTES) {
+    const dictionary = decodeNames(match[1]);
+    if (!dictionary.includes('/ObjStm') || !dictionary.includes('/FlateDecode')) continue;
+
+    const start = match.index + match[0].length;
+    const end = raw.indexOf('endstream', start);
+    if (end === -1) break;
+
+    try {
+      const inflated = zlib.inflateSync(buffer.subarray(start, end), {
+        maxOutputLength: MAX_INFLATED_BYTES - inflatedBytes,
+        finishFlush: zlib.constants.Z_SYNC_FLUSH,
+      });
+      inflatedBytes += inflated.length;
+      parts.push(inflated.toString('latin1'));
+    } catch (error) {
+      // Unreadable streams are left to the extractor, which reports damaged PDFs
+    }
+  }
+
+  return parts.join('\n');
+}
+
+/**
+ * Find scripts, embedded files and launch actions in a PDF
+ * @param {Buffer} buffer - PDF file contents
+ * @returns {string[]} PDF_ACTIVE_CONTENT values found, empty for a plain document
+ */
+function findPDFActiveContent(buffer) {
+  const text = decodeNames(pdfObjectText(buffer));
+  return ACTIVE_CONTENT_PATTERNS
+    .filter(([, pattern]) => pattern.test(text))
+    .map(([kind]) => kind);
+}
+
+/**
+ * Check an upload before it is stored: its content must be a supported format matching
+ * its declared type, it is virus scanned, and PDFs are checked for active content.
+ * Rejected uploads throw; suspicious ones are returned with a quarantine reason.
+ * @param {{ buffer: Buffer, originalname: string, mimetype: string }} file - Uploaded file
+ * @returns {Promise<{ fileType: string, safety: Object, quarantine: { code: string, message: string }|null }>}
+ *   The detected type, the check results stored on the job, and why the file is quarantined, if it is
+ * @throws {Error} UNSUPPORTED_FILE_TYPE or FILE_TYPE_MISMATCH to reject the upload,
+ *   VIRUS_SCAN_FAILED when the scanner can't be reached
+ */
+async function inspectUpload(file) {
+  const fileType = detectFileType(file.buffer);
+  const declaredType = declaredFileType(file);
+
+  if (!fileType) {
+    throw createCodedError(
+      ERROR_CODES.UNSUPPORTED_FILE_TYPE,
+      `${file.originalname}: the file content is not a supported document format.`,
+      { retryable: false }
+    );
+  }
+
+  if (declaredType && !matchesFileType(declaredType, fileType)) {
+    throw createCodedError(
+      ERROR_CODES.FILE_TYPE_MISMATCH,
+      `${file.originalname}: declared as ${declaredType}, but the content is ${fileType}.`,
+      { retryable: false }
+    );
+  }
+
+  const safety = { declaredType, detectedType: fileType, activeContent: [], virusScan: null };
+  let quarantine = null;
+
+  const scanner = getVirusScanner();
+  if (scanner) {
+    let verdict;
+    try {
+      verdict = await scanner.scan(file.buffer);
+    } catch (error) {
+      throw createCodedError(ERROR_CODES.VIRUS_SCAN_FAILED, `The upload could not be virus scanned: ${error.message}`, { cause: error });
+    }
+
+    safety.virusScan = { scanner: scanner.name, infected: verdict.infected, signature: verdict.signature, scannedAt: new Date().toISOString() };
+    if (verdict.infected) {
+      quarantine = { code: ERROR_CODES.MALWARE_DETECTED, message: `Malware detected: ${verdict.signature}` };
+    }
+  }
+
+  if (fileType === FILE_TYPES.PDF) {
+    safety.activeContent = findPDFActiveContent(file.buffer);
+    if (!quarantine && safety.activeContent.length > 0 && activeContentPolicy === 'quarantine') {
+      quarantine = {
+        code: ERROR_CODES.PDF_ACTIVE_CONTENT,
+        message: `The PDF contains active content: ${safety.activeContent.join(', ')}`,
+      };
+    }
+  }
+
+  return { fileType, safety, quarantine };
+}
+
+module.exports = {
+  findPDFActiveContent,
+  inspectUpload,
+};
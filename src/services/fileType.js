@@ -0,0 +1,122 @@
+// src/services/fileType.js
+const path = require('path');
+const AdmZip = require('adm-zip');
+const { FILE_TYPES, FILE_EXTENSIONS } = require('../config/constants');
+
+const supportedTypes = Object.values(FILE_TYPES);
+
+// ISO-BMFF major brands of HEIF images; "heic"-family brands are HEVC coded
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx'];
+const HEIF_BRANDS = ['mif1', 'msf1'];
+
+// Declared types that name the same format as a detected one
+const TYPE_ALIASES = {
+  [FILE_TYPES.JPG]: FILE_TYPES.JPEG,
+  [FILE_TYPES.HEIF]: FILE_TYPES.HEIC,
+};
+const canonicalType = fileType => TYPE_ALIASES[fileType] || fileType;
+
+// Some PDF writers put a few bytes (a BOM, blank lines) before the header; allow that much and no more,
+// so a file of another kind can't pass as a PDF by carrying "%PDF-" further in
+const PDF_HEADER_WINDOW = 16;
+
+// Leading bytes of programs: Windows PE, ELF, Mach-O (both byte orders, 32 and 64 bit, universal)
+// and interpreter scripts
+const EXECUTABLE_SIGNATURES = [
+  Buffer.from('MZ'),
+  Buffer.from([0x7f, 0x45, 0x4c, 0x46]),
+  Buffer.from([0xfe, 0xed, 0xfa, 0xce]),
+  Buffer.from([0xfe, 0xed, 0xfa, 0xcf]),
+  Buffer.from([0xce, 0xfa, 0xed, 0xfe]),
+  Buffer.from([0xcf, 0xfa, 0xed, 0xfe]),
+  Buffer.from([0xca, 0xfe, 0xba, 0xbe]),
+  Buffer.from('#!'),
+];
+
+// Markup and scripts that browsers or servers would run
+const SCRIPT_START = /^(?:\xef\xbb\xbf)?\s*<(?:\?php|script|html|svg|!doctype\s+html)/i;
+
+/**
+ * Whether a file starts like a program or a script
+ */
+function isExecutable(buffer) {
+  return EXECUTABLE_SIGNATURES.some(signature => buffer.subarray(0, signature.length).equals(signature))
+    || SCRIPT_START.test(buffer.toString('latin1', 0, 64));
+}
+
+/**
+ * Whether a ZIP buffer is a Word document (DOCX files are ZIPs with a word/document.xml part)
+ */
+function isDocx(buffer) {
+  try {
+    return Boolean(new AdmZip(buffer).getEntry('word/document.xml'));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Identify a document from its leading bytes, regardless of its declared type or name
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} A FILE_TYPES value, or null if the content isn't a supported format.
+ *   Executables and scripts are always null, whatever else they contain.
+ */
+function detectFileType(buffer) {
+  if (!buffer || buffer.length < 12 || isExecutable(buffer)) return null;
+
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (ascii(0, PDF_HEADER_WINDOW + '%PDF-'.length).includes('%PDF-')) return FILE_TYPES.PDF;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return FILE_TYPES.JPEG;
+  if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) return FILE_TYPES.PNG;
+  if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return FILE_TYPES.TIFF;
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return FILE_TYPES.WEBP;
+
+  if (ascii(4, 8) === 'ftyp') {
+    const brand = ascii(8, 12);
+    if (HEIC_BRANDS.includes(brand)) return FILE_TYPES.HEIC;
+    if (HEIF_BRANDS.includes(brand)) return FILE_TYPES.HEIF;
+  }
+
+  if (ascii(0, 4) === 'PK\x03\x04' && isDocx(buffer)) return FILE_TYPES.DOCX;
+
+  return null;
+}
+
+/**
+ * The supported type an upload claims to be: its MIME type, or its extension when the
+ * MIME type is missing or generic (browsers often send HEIC as application/octet-stream)
+ * @param {{ mimetype: string, originalname: string }} file - Uploaded file
+ * @returns {string|null} A FILE_TYPES value, or null if unsupported
+ */
+function declaredFileType(file) {
+  if (supportedTypes.includes(file.mimetype)) return file.mimetype;
+  return FILE_EXTENSIONS[path.extname(file.originalname || '').toLowerCase()] || null;
+}
+
+/**
+ * Whether a declared type and a detected type are the same format
+ * @param {string} declared - Type the upload claims (see declaredFileType)
+ * @param {string} detected - Type found by detectFileType
+ * @returns {boolean} True if they match, counting aliases such as image/jpg
+ */
+function matchesFileType(declared, detected) {
+  return canonicalType(declared) === canonicalType(detected);
+}
+
+/**
+ * File extension for a type, used for stored files instead of the client's file name
+ * @param {string} fileType - A FILE_TYPES value
+ * @returns {string} Extension with its dot, e.g. ".pdf", or "" for unknown types
+ */
+function extensionForType(fileType) {
+  const match = Object.entries(FILE_EXTENSIONS).find(([, type]) => type === canonicalType(fileType));
+  return match ? match[0] : '';
+}
+
+module.exports = {
+  detectFileType,
+  declaredFileType,
+  matchesFileType,
+  extensionForType,
+};
@@ -0,0 +1,121 @@
+// src/services/idempotency.js
+const crypto = require('crypto');
+const { getStorage } = require('./storage');
+const { idempotency: config } = require('../config/env');
+
+const IN_PROGRESS = 'in_progress';
+const COMPLETED = 'completed';
+
+// A request still marked in progress after this long died with its server; its key can be retried
+const ABANDONED_AFTER_MS = 5 * 60 * 1000;
+
+/**
+ * Fingerprint of an upload request: the route, its form fields and the SHA-256 of each file.
+ * Retries of the same upload have the same fingerprint; any change to a field or file changes it.
+ * @param {Object} params - Request parts
+ * @param {string} params.route - Route path, so one key can't be used on two endpoints
+ * @param {Object} params.fields - Form fields
+ * @param {Array<{ originalname: string, buffer: Buffer }>} params.files - Uploaded files, in order
+ * @returns {string} Hex digest
+ */
+function requestFingerprint({ route, fields, files }) {
+  const canonical = JSON.stringify({
+    route,
+    fields: Object.keys(fields).sort().map(name => [name, fields[name]]),
+    files: files.map(file => [file.originalname, crypto.createHash('sha256').update(file.buffer).digest('hex')]),
+  });
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+const ttlMs = () => config.ttlHours * 60 * 60 * 1000;
+
+/**
+ * Claim an idempotency key for a request, or find out what became of an earlier request with it
+ * @param {string} key - Idempotency-Key header
+ * @param {string} fingerprint - requestFingerprint of the request
+ * @returns {Promise<{ outcome: string, status?: number, body?: Object }>} outcome is
+ *   'new' (the request should run and its response be recorded), 'replay' (with the recorded status and body),
+ *   'mismatch' (the key was used for a different request) or 'in_progress' (the first request hasn't finished)
+ */
+async function beginRequest(key, fingerprint) {
+  const { idempotencyRepository } = getStorage();
+  const now = new Date();
+  const row = { idempotency_key: key, fingerprint, state: IN_PROGRESS, created_at: now.toISOString() };
+
+  if (await idempotencyRepository.claim(row)) {
+    return { outcome: 'new' };
+  }
+
+  const existing = await idempotencyRepository.findByKey(key);
+  if (!existing) {
+    // Released between our claim and the lookup
+    return beginRequest(key, fingerprint);
+  }
+
+  const age = now - new Date(existing.created_at);
+  const expired = age > ttlMs();
+  const abandoned = existing.state === IN_PROGRESS && age > ABANDONED_AFTER_MS;
+
+  if (expired || abandoned) {
+    // Take the key over, unless another request took it first
+    const taken = await idempotencyRepository.updateWhere(key, { created_at: existing.created_at }, {
+      ...row,
+      response_status: null,
+      response_body: null,
+      completed_at: null,
+    });
+    return taken ? { outcome: 'new' } : beginRequest(key, fingerprint);
+  }
+
+  if (existing.fingerprint !== fingerprint) {
+    return { outcome: 'mismatch' };
+  }
+
+  if (existing.state === IN_PROGRESS) {
+    return { outcome: 'in_progress' };
+  }
+
+  return { outcome: 'replay', status: existing.response_status, body: existing.response_body };
+}
+
+/**
+ * Record the response to a request, to be replayed for retries with the same key
+ * @param {string} key - Idempotency-Key header
+ * @param {number} status - HTTP status
+ * @param {Object} body - JSON response body
+ */
+async function completeRequest(key, status, body) {
+  await getStorage().idempotencyRepository.update(key, {
+    state: COMPLETED,
+    response_status: status,
+    response_body: body,
+    completed_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Forget a key whose request failed without a lasting outcome, so a retry runs it again
+ * @param {string} key - Idempotency-Key header
+ */
+async function releaseRequest(key) {
+  await getStorage().idempotencyRepository.remove(key);
+}
+
+/**
+ * Delete keys past IDEMPOTENCY_KEY_TTL_HOURS. Expired keys are already ignored on lookup; this only
+ * stops them piling up.
+ * @param {Date} now - Time the TTL is measured against
+ * @returns {Promise<number>} Keys deleted
+ */
+async function purgeExpiredKeys(now = new Date()) {
+  const createdBefore = new Date(now.getTime() - ttlMs()).toISOString();
+  return getStorage().idempotencyRepository.removeExpired(createdBefore);
+}
+
+module.exports = {
+  requestFingerprint,
+  beginRequest,
+  completeRequest,
+  releaseRequest,
+  purgeExpiredKeys,
+};
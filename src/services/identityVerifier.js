@@ -0,0 +1,302 @@
+// src/services/identityVerifier.js
+const { getDocumentType } = require('../config/documentTypes');
+const { VERIFICATION_VERDICTS, VERIFICATION_FIELD_STATUS } = require('../config/constants');
+const { verification: thresholds } = require('../config/env');
+const { toISODate } = require('./utils');
+
+// Score given to an initial ("J") standing for a full name ("Jane")
+const INITIAL_SCORE = 0.85;
+// Score for a DOB whose day and month are swapped (03/04 vs 04/03)
+const SWAPPED_DATE_SCORE = 0.75;
+// Score for a DOB with two of its three parts right, e.g. an OCR digit error
+const NEAR_DATE_SCORE = 0.65;
+// Raw text scanned when no structured fields are available
+const MAX_TEXT_LENGTH = 20000;
+
+// Digits OCR commonly reads in place of letters
+const OCR_LETTERS = { 0: 'o', 1: 'l', 5: 's', 8: 'b', '|': 'l' };
+
+const DATE_CANDIDATES = [
+  /\b\d{4}[-/.]\d{1,2}[-/.]\d{1,2}\b/g,
+  /\b\d{1,2}[-/. ]\d{1,2}[-/. ]\d{2,4}\b/g,
+  /\b\d{1,2}\s+[A-Za-z]{3,9}\.?,?\s+\d{2,4}\b/g,
+  /\b[A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{4}\b/g,
+];
+
+/**
+ * Split a name into comparable tokens: accents stripped, lowercase, OCR digit
+ * confusions mapped back to letters, punctuation removed
+ * @param {string} name - Name as submitted or printed
+ * @returns {string[]} Name tokens
+ */
+function nameTokens(name) {
+  return (name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[015|8]/g, char => OCR_LETTERS[char])
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Levenshtein edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Similarity of two name tokens, 0-1
+ */
+function tokenSimilarity(a, b, initials) {
+  if (a === b) return 1;
+  if (initials && (a.length === 1 || b.length === 1) && a[0] === b[0]) return INITIAL_SCORE;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Score how well the submitted name appears in an extracted name. Word order
+ * doesn't matter, and extra names on the document (e.g. middle names) are ignored.
+ * @param {string[]} submitted - Submitted name tokens
+ * @param {string[]} extracted - Extracted name tokens
+ * @param {Object} options - Matching options
+ * @param {boolean} options.reuse - Allow one extracted token to match several submitted ones
+ * @param {boolean} options.initials - Let a single letter stand for a name
+ * @returns {number} Score, 0-1
+ */
+function scoreName(submitted, extracted, { reuse = false, initials = true } = {}) {
+  if (submitted.length === 0 || extracted.length === 0) return 0;
+
+  const available = [...extracted];
+  const total = submitted.reduce((sum, token) => {
+    let bestIndex = -1;
+    let best = 0;
+    available.forEach((candidate, index) => {
+      const similarity = tokenSimilarity(token, candidate, initials);
+      if (similarity > best) {
+        best = similarity;
+        bestIndex = index;
+      }
+    });
+    if (!reuse && bestIndex >= 0) available.splice(bestIndex, 1);
+    return sum + best;
+  }, 0);
+
+  return total / submitted.length;
+}
+
+/**
+ * Score an extracted DOB against the submitted one
+ * @param {string} submitted - Submitted DOB, YYYY-MM-DD
+ * @param {string} extracted - Extracted DOB, YYYY-MM-DD
+ * @returns {number} Score, 0-1
+ */
+function scoreDate(submitted, extracted) {
+  if (!submitted || !extracted) return 0;
+  if (submitted === extracted) return 1;
+
+  const [year, month, day] = submitted.split('-');
+  const [otherYear, otherMonth, otherDay] = extracted.split('-');
+
+  if (year === otherYear && month === otherDay && day === otherMonth) return SWAPPED_DATE_SCORE;
+
+  const sameParts = [year === otherYear, month === otherMonth, day === otherDay].filter(Boolean).length;
+  return sameParts === 2 ? NEAR_DATE_SCORE : 0;
+}
+
+/**
+ * Read a dotted path such as importantInfo.fullName
+ */
+function readPath(data, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Dates written anywhere in a text, as ISO strings
+ */
+function datesInText(text) {
+  const dates = new Set();
+  DATE_CANDIDATES.forEach(pattern => {
+    (text.match(pattern) || []).forEach(candidate => {
+      const iso = toISODate(candidate);
+      if (iso) dates.add(iso);
+    });
+  });
+  return [...dates];
+}
+
+/**
+ * Status of a field from its score
+ */
+function fieldStatus(score) {
+  if (score >= thresholds.matchThreshold) return VERIFICATION_FIELD_STATUS.MATCH;
+  if (score >= thresholds.reviewThreshold) return VERIFICATION_FIELD_STATUS.PARTIAL;
+  return VERIFICATION_FIELD_STATUS.MISMATCH;
+}
+
+/**
+ * Compare the submitted name with the names found on the document
+ * @param {string} submittedName - Submitted full name
+ * @param {Array<{ value: string, source: string }>} candidates - Names read from MRZ or extracted fields
+ * @param {string} text - Raw text, searched when there are no candidates
+ */
+function verifyName(submittedName, candidates, text) {
+  const submitted = nameTokens(submittedName);
+
+  if (candidates.length > 0) {
+    const [best] = candidates
+      .map(candidate => ({ ...candidate, score: scoreName(submitted, nameTokens(candidate.value)) }))
+      .sort((a, b) => b.score - a.score);
+
+    return {
+      submitted: submittedName,
+      extracted: best.value,
+      score: Number(best.score.toFixed(2)),
+      status: fieldStatus(best.score),
+      source: best.source,
+    };
+  }
+
+  // No structured name: look for each submitted name anywhere in the text
+  const textTokens = [...new Set(nameTokens(text))];
+  if (textTokens.length === 0) {
+    return { submitted: submittedName, extracted: null, score: 0, status: VERIFICATION_FIELD_STATUS.MISSING, source: 'raw_text' };
+  }
+
+  // Stray letters in free text aren't initials, and a poor match means "not found", not "different"
+  const score = scoreName(submitted, textTokens, { reuse: true, initials: false });
+  const status = fieldStatus(score);
+  return {
+    submitted: submittedName,
+    extracted: null,
+    score: Number(score.toFixed(2)),
+    status: status === VERIFICATION_FIELD_STATUS.MISMATCH ? VERIFICATION_FIELD_STATUS.MISSING : status,
+    source: 'raw_text',
+  };
+}
+
+/**
+ * Compare the submitted DOB with the dates found on the document
+ * @param {string} submittedDob - Submitted DOB, YYYY-MM-DD
+ * @param {Array<{ value: string, source: string }>} candidates - DOBs read from MRZ or
+ *   extracted fields, or every date in the raw text
+ */
+function verifyDateOfBirth(submittedDob, candidates) {
+  if (candidates.length === 0) {
+    return { submitted: submittedDob, extracted: null, score: 0, status: VERIFICATION_FIELD_STATUS.MISSING, source: null };
+  }
+
+  const [best] = candidates
+    .map(candidate => ({ ...candidate, score: scoreDate(submittedDob, candidate.value) }))
+    .sort((a, b) => b.score - a.score);
+
+  const status = fieldStatus(best.score);
+  if (best.source === 'raw_text' && status === VERIFICATION_FIELD_STATUS.MISMATCH) {
+    // None of the dates in the text is close; the DOB just wasn't found
+    return { submitted: submittedDob, extracted: null, score: 0, status: VERIFICATION_FIELD_STATUS.MISSING, source: 'raw_text' };
+  }
+
+  return {
+    submitted: submittedDob,
+    extracted: best.value,
+    score: best.score,
+    status,
+    source: best.source,
+  };
+}
+
+/**
+ * Overall verdict from the per-field results
+ */
+function overallVerdict(fields) {
+  const statuses = Object.values(fields)
+    .map(field => field.status)
+    .filter(status => status !== VERIFICATION_FIELD_STATUS.NOT_APPLICABLE);
+
+  if (statuses.includes(VERIFICATION_FIELD_STATUS.MISMATCH)) return VERIFICATION_VERDICTS.MISMATCH;
+  if (statuses.every(status => status === VERIFICATION_FIELD_STATUS.MISSING)) return VERIFICATION_VERDICTS.UNVERIFIABLE;
+  if (statuses.every(status => status === VERIFICATION_FIELD_STATUS.MATCH)) return VERIFICATION_VERDICTS.MATCH;
+  return VERIFICATION_VERDICTS.REVIEW;
+}
+
+/**
+ * Check the applicant's submitted name and DOB against what the document says.
+ * Uses the machine readable zone and the document type's identity fields when
+ * available, otherwise searches the raw text.
+ * @param {Object} applicant - { firstName, lastName, dateOfBirth (YYYY-MM-DD) }
+ * @param {Object} document - { documentType, aiExtractedData, mrz, rawText }
+ * @returns {Object} { verdict, score, fields: { name, dateOfBirth }, verifiedAt }
+ */
+function verifyIdentity(applicant, document) {
+  const { documentType, aiExtractedData, mrz, rawText } = document;
+  const identity = getDocumentType(documentType).identity;
+  const text = (rawText || '').substring(0, MAX_TEXT_LENGTH);
+  const submittedName = `${applicant.firstName} ${applicant.lastName}`;
+  const submittedDob = toISODate(applicant.dateOfBirth);
+
+  // Documents such as bills carry a name but no DOB
+  const dobApplicable = !identity || Boolean(identity.dateOfBirthField);
+  const nameCandidates = [];
+  let dateCandidates = [];
+
+  if (mrz) {
+    const mrzName = [mrz.givenNames, mrz.surname].filter(Boolean).join(' ');
+    if (mrzName) nameCandidates.push({ value: mrzName, source: 'mrz' });
+    // An MRZ date is only trusted when its check digit holds
+    if (mrz.dateOfBirth && mrz.checkDigits.dateOfBirth) {
+      dateCandidates.push({ value: mrz.dateOfBirth, source: 'mrz' });
+    }
+  }
+
+  if (aiExtractedData && identity) {
+    identity.nameFields
+      .map(paths => paths.map(fieldPath => readPath(aiExtractedData, fieldPath)).filter(Boolean).join(' '))
+      .filter(Boolean)
+      .forEach(value => nameCandidates.push({ value, source: 'extracted_fields' }));
+
+    if (dobApplicable) {
+      const dob = toISODate(readPath(aiExtractedData, identity.dateOfBirthField));
+      if (dob) dateCandidates.push({ value: dob, source: 'extracted_fields' });
+    }
+  }
+
+  // Fall back to the text when nothing structured has a DOB
+  if (dobApplicable && dateCandidates.length === 0) {
+    dateCandidates = datesInText(text).map(value => ({ value, source: 'raw_text' }));
+  }
+
+  const fields = {
+    name: verifyName(submittedName, nameCandidates, text),
+    dateOfBirth: dobApplicable
+      ? verifyDateOfBirth(submittedDob, dateCandidates)
+      : { submitted: submittedDob, extracted: null, score: null, status: VERIFICATION_FIELD_STATUS.NOT_APPLICABLE, source: null },
+  };
+
+  const scores = Object.values(fields).map(field => field.score).filter(score => score !== null);
+
+  return {
+    verdict: overallVerdict(fields),
+    score: Number((scores.reduce((sum, score) => sum + score, 0) / scores.length).toFixed(2)),
+    fields,
+    verifiedAt: new Date().toISOString(),
+  };
+}
+
+module.exports = {
+  verifyIdentity,
+};
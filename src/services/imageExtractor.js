@@ -1,34 +1,107 @@
 // backend/services/imageExtractor.js
-const Tesseract = require('tesseract.js');
+const sharp = require('sharp');
+const decodeHeic = require('heic-decode');
+const { recognize } = require('./ocrPool');
+const { PROGRESS_STAGES, ERROR_CODES, WARNING_CODES, FILE_TYPES } = require('../config/constants');
+const { createCodedError } = require('../utils/errors');
+const { pageFromOCR } = require('./documentLayout');
+const { resolveOCROptions } = require('./ocrOptions');
+const { preprocessForOCR } = require('./imagePreprocessor');
+const { perceptualHash } = require('./documentHash');
 
 /**
- * Extract text from image buffer using Tesseract.js
+ * Convert formats Tesseract can't read (HEIC/HEIF photos, WebP) to PNG; JPEG and PNG pass through
  * @param {Buffer} imageBuffer - Image file buffer
- * @returns {Promise<string>} Extracted text
+ * @param {string} fileType - Detected FILE_TYPES value
+ * @returns {Promise<Buffer>} JPEG or PNG image
  */
-async function extractTextFromImage(imageBuffer) {
+async function toReadableImage(imageBuffer, fileType) {
   try {
-    const result = await Tesseract.recognize(imageBuffer, 'eng', {
-      logger: progress => {
-        if (progress.status === 'recognizing text') {
-          console.log(`OCR progress: ${Math.round(progress.progress * 100)}%`);
-        }
-      }
+    if (fileType === FILE_TYPES.HEIC || fileType === FILE_TYPES.HEIF) {
+      // Prebuilt libvips only decodes AVIF, so HEVC coded photos are decoded with libheif (WebAssembly)
+      const { width, height, data } = await decodeHeic({ buffer: imageBuffer });
+      return await sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { raw: { width, height, channels: 4 } }).png().toBuffer();
+    }
+    if (fileType === FILE_TYPES.WEBP) {
+      return await sharp(imageBuffer).png().toBuffer();
+    }
+  } catch (error) {
+    throw createCodedError(ERROR_CODES.DOCUMENT_CORRUPT, `The image could not be decoded: ${error.message}`, { retryable: false, cause: error });
+  }
+  return imageBuffer;
+}
+
+/**
+ * Extract the text layout of an image buffer using the shared Tesseract pool
+ * @param {Buffer} imageBuffer - Image file buffer
+ * @param {Object} options - Extraction options
+ * @param {Function} options.onProgress - Called with { stage, page, totalPages, fraction }
+ * @param {Object} options.ocrOptions - Effective OCR options: languages, preprocessing and the DPI images are resized to
+ * @param {string} options.fileType - Detected image type (FILE_TYPES); defaults to JPEG/PNG handling
+ * @returns {Promise<{ method: string, pages: Object[], ocr: Object, warnings: Object[], pageHashes: Object[] }>} Document layout
+ *   with a single page, and the page's perceptual hash
+ * @throws {Error} DOCUMENT_CORRUPT when the image can't be decoded, OCR_FAILED when recognition fails,
+ *   NO_TEXT_FOUND when the image has no text
+ */
+async function extractImageLayout(imageBuffer, { onProgress = () => {}, ocrOptions = resolveOCROptions(null), fileType = null } = {}) {
+  const image = await toReadableImage(imageBuffer, fileType);
+  const prepared = await preprocessForOCR(image, ocrOptions);
+  const warnings = [];
+  
+  if (prepared.error) {
+    warnings.push({
+      code: WARNING_CODES.PREPROCESSING_FAILED,
+      message: 'Image preprocessing failed; the image was OCR\'d as uploaded.',
+      pages: [1],
+    });
+  }
+  
+  let result;
+  try {
+    result = await recognize(prepared.buffer, {
+      languages: ocrOptions.languages,
+      onProgress: fraction => onProgress({ stage: PROGRESS_STAGES.OCR, page: 1, totalPages: 1, fraction }),
     });
-    
-    let text = result.data.text;
-    
-    // Clean up OCR results
-    text = text.replace(/\s+/g, ' ').trim();
-    text = text.replace(/[^\w\s.,!?;:()\-@#$%&*+/=<>[\]{}]/g, '');
-    
-    return text;
   } catch (error) {
     console.error('Error extracting text from image:', error);
-    throw new Error('Failed to extract text from image: ' + error.message);
+    throw createCodedError(ERROR_CODES.OCR_FAILED, 'Failed to extract text from image: ' + error.message, { cause: error });
+  }
+  
+  const page = pageFromOCR(result.data, 1);
+  if (!page.text.trim()) {
+    throw createCodedError(ERROR_CODES.NO_TEXT_FOUND, 'OCR completed but no text was found in the image.', { retryable: false });
+  }
+  
+  const pageHashes = [];
+  try {
+    pageHashes.push({ pageNumber: 1, hash: await perceptualHash(prepared.buffer) });
+  } catch (error) {
+    console.warn(`Could not hash image: ${error.message}`);
   }
+  
+  return {
+    method: 'ocr',
+    pages: [page],
+    ocr: {
+      languages: ocrOptions.languages,
+      dpi: null,
+      pageRange: null,
+      maxPages: 1,
+      totalPages: 1,
+      pages: [1],
+      failedPages: [],
+      skippedPages: [],
+      preprocessing: {
+        steps: ocrOptions.preprocessing,
+        pages: [{ pageNumber: 1, applied: prepared.applied, ...(prepared.error && { error: prepared.error }) }],
+      },
+    },
+    warnings,
+    pageHashes,
+  };
 }
 
 module.exports = {
-  extractTextFromImage,
+  extractImageLayout,
+  toReadableImage,
 };
\ No newline at end of file
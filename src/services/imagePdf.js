@@ -0,0 +1,68 @@
+// src/services/imagePdf.js
+
+/**
+ * Build a PDF with one full-page JPEG per page and nothing else: no text layer, fonts or annotations,
+ * so nothing hidden under a page image survives.
+ * @param {Array<{ jpeg: Buffer, width: number, height: number, channels: number, widthPt: number, heightPt: number }>} pages -
+ *   JPEG data, its pixel size and channel count (1 grey, 3 RGB), and the page size in points
+ * @returns {Buffer} PDF file
+ */
+function imagesToPDF(pages) {
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = chunk => {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'latin1');
+    chunks.push(buffer);
+    length += buffer.length;
+  };
+
+  // Objects: 1 catalog, 2 page tree, then per page: page, image, content stream
+  const objectCount = 2 + pages.length * 3;
+  const pageObject = index => 3 + index * 3;
+
+  const startObject = number => {
+    offsets[number] = length;
+    write(`${number} 0 obj\n`);
+  };
+
+  write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+
+  startObject(1);
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+
+  startObject(2);
+  write(`<< /Type /Pages /Kids [${pages.map((page, index) => `${pageObject(index)} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+
+  pages.forEach((page, index) => {
+    const number = pageObject(index);
+    const widthPt = Math.round(page.widthPt * 100) / 100;
+    const heightPt = Math.round(page.heightPt * 100) / 100;
+    const content = `q ${widthPt} 0 0 ${heightPt} 0 0 cm /Im0 Do Q\n`;
+
+    startObject(number);
+    write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${widthPt} ${heightPt}] /Resources << /XObject << /Im0 ${number + 1} 0 R >> >> /Contents ${number + 2} 0 R >>\nendobj\n`);
+
+    startObject(number + 1);
+    write(`<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace ${page.channels === 1 ? '/DeviceGray' : '/DeviceRGB'} /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+    write(page.jpeg);
+    write('\nendstream\nendobj\n');
+
+    startObject(number + 2);
+    write(`<< /Length ${content.length} >>\nstream\n${content}endstream\nendobj\n`);
+  });
+
+  const xrefOffset = length;
+  write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+  for (let number = 1; number <= objectCount; number++) {
+    write(`${String(offsets[number]).padStart(10, '0')} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  imagesToPDF,
+};
@@ -0,0 +1,402 @@
+// src/services/imagePreprocessor.js
+const sharp = require('sharp');
+const { PREPROCESSING_STEPS } = require('../config/constants');
+
+// Analysis (orientation, skew, borders) runs on a copy scaled to this many pixels on its longer side
+const ANALYSIS_SIZE = 1000;
+// Deskew search: coarse sweep, then a fine one around the best coarse angle
+const MAX_SKEW_DEGREES = 10;
+const MIN_SKEW_DEGREES = 0.3;
+// Ink pixels sampled for skew and orientation scoring
+const MAX_SAMPLE_POINTS = 200000;
+// Phone photos rarely carry a real DPI; without one, the longer side is taken to be a page's 11.7 inches
+const ASSUMED_PAGE_INCHES = 11.7;
+const MAX_UPSCALE = 3;
+const MIN_DOWNSCALE = 0.25;
+const CROP_PADDING = 0.015;
+
+const WHITE = { r: 255, g: 255, b: 255, alpha: 1 };
+
+/**
+ * Decode an image pipeline to raw pixels
+ */
+async function toRaw(pipeline) {
+  const { data, info } = await pipeline.raw().toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height, channels: info.channels };
+}
+
+const fromRaw = image => sharp(image.data, {
+  raw: { width: image.width, height: image.height, channels: image.channels },
+});
+
+/**
+ * Otsu's threshold for an 8-bit grayscale buffer
+ */
+function otsuThreshold(pixels) {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < pixels.length; i++) histogram[pixels[i]] += 1;
+
+  const total = pixels.length;
+  const sum = histogram.reduce((acc, count, value) => acc + count * value, 0);
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = 0;
+  let threshold = 127;
+
+  for (let value = 0; value < 256; value++) {
+    weightBackground += histogram[value];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+
+    sumBackground += value * histogram[value];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (variance > best) {
+      best = variance;
+      threshold = value;
+    }
+  }
+
+  return threshold;
+}
+
+/**
+ * Small binarized copy (shadows flattened) used to measure orientation, skew and borders
+ * @returns {Promise<{ ink: Uint8Array, width: number, height: number, scale: number }>} 1 marks ink
+ */
+async function analysisCopy(image) {
+  const scale = Math.min(1, ANALYSIS_SIZE / Math.max(image.width, image.height));
+  const small = await binarize(await toRaw(fromRaw(image)
+    .resize(Math.max(1, Math.round(image.width * scale)), Math.max(1, Math.round(image.height * scale)))
+    .greyscale()));
+
+  const ink = new Uint8Array(small.width * small.height);
+  for (let i = 0; i < ink.length; i++) ink[i] = small.data[i] === 0 ? 1 : 0;
+
+  return { ink, width: small.width, height: small.height, scale };
+}
+
+/**
+ * Coordinates of (a sample of) the ink pixels
+ */
+function inkPoints({ ink, width }) {
+  let count = 0;
+  for (let i = 0; i < ink.length; i++) count += ink[i];
+
+  const step = Math.max(1, Math.ceil(count / MAX_SAMPLE_POINTS));
+  const xs = [];
+  const ys = [];
+  let seen = 0;
+  for (let i = 0; i < ink.length; i++) {
+    if (ink[i] && seen++ % step === 0) {
+      xs.push(i % width);
+      ys.push(Math.floor(i / width));
+    }
+  }
+  return { xs, ys };
+}
+
+/**
+ * Row of each point once the page is turned by an angle, shifted to start at 0
+ * @returns {{ rows: Int32Array, height: number }} Rows and the number of rows spanned
+ */
+function projectRows({ xs, ys }, degrees) {
+  const radians = (degrees * Math.PI) / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const rows = new Int32Array(xs.length);
+  let min = Infinity;
+  let max = -Infinity;
+
+  for (let i = 0; i < xs.length; i++) {
+    rows[i] = Math.round(ys[i] * cos - xs[i] * sin);
+    if (rows[i] < min) min = rows[i];
+    if (rows[i] > max) max = rows[i];
+  }
+  for (let i = 0; i < rows.length; i++) rows[i] -= min;
+
+  return { rows, height: rows.length ? max - min + 1 : 0 };
+}
+
+/**
+ * How strongly ink concentrates into horizontal lines when the page is turned by an angle:
+ * the sum of squared row counts of the projection profile
+ */
+function lineScore(points, degrees) {
+  const { rows, height } = projectRows(points, degrees);
+  const counts = new Float64Array(height);
+  for (let i = 0; i < rows.length; i++) counts[rows[i]] += 1;
+
+  let score = 0;
+  for (let row = 0; row < height; row++) score += counts[row] * counts[row];
+  return score;
+}
+
+/**
+ * Angle within [from, to] at which text lines are straightest
+ * @returns {{ angle: number, score: number }} Best angle and its line score
+ */
+function bestAngle(points, from, to, step) {
+  let best = { angle: 0, score: -1 };
+  for (let angle = from; angle <= to + 1e-9; angle += step) {
+    const score = lineScore(points, angle);
+    if (score > best.score) best = { angle, score };
+  }
+  return best;
+}
+
+/**
+ * Share of the ink outside each line's x-height band that lies above it. Latin text has
+ * more ascenders and capitals than descenders, so upright text scores above 0.5.
+ * @param {Int32Array} pointRows - Row of each ink point, with text lines horizontal
+ * @param {number} height - Rows spanned
+ * @returns {number|null} Ratio, or null with too few lines to tell
+ */
+function ascenderRatio(pointRows, height) {
+  const rows = new Array(height).fill(0);
+  for (let i = 0; i < pointRows.length; i++) rows[pointRows[i]] += 1;
+
+  const max = Math.max(...rows);
+  let above = 0;
+  let below = 0;
+  let lines = 0;
+  let start = -1;
+
+  for (let row = 0; row <= height; row++) {
+    const isText = row < height && rows[row] > max * 0.02;
+    if (isText && start < 0) start = row;
+    if (!isText && start >= 0) {
+      if (row - start >= 6) {
+        const line = rows.slice(start, row);
+        const peak = Math.max(...line);
+        const bandTop = line.findIndex(count => count >= peak * 0.4);
+        const bandBottom = line.length - 1 - [...line].reverse().findIndex(count => count >= peak * 0.4);
+        above += line.slice(0, bandTop).reduce((sum, count) => sum + count, 0);
+        below += line.slice(bandBottom + 1).reduce((sum, count) => sum + count, 0);
+        lines += 1;
+      }
+      start = -1;
+    }
+  }
+
+  return lines >= 3 && above + below > 0 ? above / (above + below) : null;
+}
+
+/**
+ * Detect a page turned by 90, 180 or 270 degrees
+ * @returns {number} Clockwise rotation that makes the page upright
+ */
+function detectOrientation(analysis) {
+  const points = inkPoints(analysis);
+  if (points.xs.length < 100) return 0;
+
+  // Lines of text run across the page, not down it; allow for skew when comparing
+  const turned = { xs: points.ys.map(y => analysis.height - 1 - y), ys: points.xs };
+  const across = bestAngle(points, -MAX_SKEW_DEGREES, MAX_SKEW_DEGREES, 1);
+  const down = bestAngle(turned, -MAX_SKEW_DEGREES, MAX_SKEW_DEGREES, 1);
+  const sideways = down.score > across.score * 1.2;
+
+  // With the lines straightened, check the page isn't upside down
+  const { rows, height } = projectRows(sideways ? turned : points, sideways ? down.angle : across.angle);
+  const ratio = ascenderRatio(rows, height);
+  const upsideDown = ratio !== null && ratio < 0.4;
+
+  if (sideways) return upsideDown ? 270 : 90;
+  return upsideDown ? 180 : 0;
+}
+
+/**
+ * Detect small rotation of the text lines with a projection profile sweep
+ * @returns {number} Skew in degrees; rotating by its negative straightens the page
+ */
+function detectSkew(analysis) {
+  const points = inkPoints(analysis);
+  if (points.xs.length < 100) return 0;
+
+  const coarse = bestAngle(points, -MAX_SKEW_DEGREES, MAX_SKEW_DEGREES, 0.5).angle;
+  return Math.round(bestAngle(points, coarse - 0.5, coarse + 0.5, 0.1).angle * 10) / 10;
+}
+
+/**
+ * Find the page content: skip dark surroundings (table, scanner lid) at the edges,
+ * then bound the remaining ink with a small margin
+ * @returns {{ left: number, top: number, width: number, height: number }|null} Box in analysis pixels
+ */
+function detectContentBox({ ink, width, height }) {
+  const rowInk = new Array(height).fill(0);
+  const colInk = new Array(width).fill(0);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (ink[y * width + x]) {
+        rowInk[y] += 1;
+        colInk[x] += 1;
+      }
+    }
+  }
+
+  // Mostly dark rows and columns at the edges are background, not page
+  let top = 0;
+  let bottom = height - 1;
+  let left = 0;
+  let right = width - 1;
+  while (top < bottom && rowInk[top] > width * 0.5) top++;
+  while (bottom > top && rowInk[bottom] > width * 0.5) bottom--;
+  while (left < right && colInk[left] > height * 0.5) left++;
+  while (right > left && colInk[right] > height * 0.5) right--;
+
+  // Then the ink inside the page, ignoring specks
+  const rowHasText = y => rowInk[y] > (right - left) * 0.005;
+  const colHasText = x => colInk[x] > (bottom - top) * 0.005;
+  while (top < bottom && !rowHasText(top)) top++;
+  while (bottom > top && !rowHasText(bottom)) bottom--;
+  while (left < right && !colHasText(left)) left++;
+  while (right > left && !colHasText(right)) right--;
+
+  if (right - left < width * 0.1 || bottom - top < height * 0.1) return null;
+
+  const padX = Math.round(width * CROP_PADDING);
+  const padY = Math.round(height * CROP_PADDING);
+  const box = {
+    left: Math.max(0, left - padX),
+    top: Math.max(0, top - padY),
+    width: Math.min(width, right + padX + 1) - Math.max(0, left - padX),
+    height: Math.min(height, bottom + padY + 1) - Math.max(0, top - padY),
+  };
+
+  // Not worth a crop when it removes almost nothing
+  return box.width * box.height > width * height * 0.95 ? null : box;
+}
+
+/**
+ * Flatten shadows by dividing out a heavily blurred background, then threshold with Otsu
+ */
+async function binarize(gray) {
+  const small = Math.max(1, Math.round(Math.max(gray.width, gray.height) / 16));
+  const background = await toRaw(fromRaw(gray)
+    .resize(small, small, { fit: 'inside' })
+    .blur(3)
+    .resize(gray.width, gray.height, { fit: 'fill' })
+    .greyscale());
+
+  const flattened = Buffer.alloc(gray.data.length);
+  for (let i = 0; i < flattened.length; i++) {
+    flattened[i] = Math.min(255, Math.round((gray.data[i] * 255) / Math.max(background.data[i], 1)));
+  }
+
+  const threshold = otsuThreshold(flattened);
+  for (let i = 0; i < flattened.length; i++) flattened[i] = flattened[i] > threshold ? 255 : 0;
+
+  return { ...gray, data: flattened, threshold };
+}
+
+/**
+ * Prepare an image for OCR. Steps run in a fixed order and are skipped unless listed:
+ * exifRotate, resize, orientation, deskew, grayscale, binarize, crop.
+ * @param {Buffer} input - Image file buffer (JPEG, PNG, ...)
+ * @param {Object} options - Preprocessing options
+ * @param {string[]} options.steps - Steps to run (see PREPROCESSING_STEPS)
+ * @param {number} options.targetDpi - Resolution to resize to
+ * @param {number} options.sourceDpi - Known resolution of the input (e.g. a rendered PDF page)
+ * @returns {Promise<{ buffer: Buffer, applied: Object[] }>} PNG for OCR and the steps that changed it
+ */
+async function preprocessImage(input, { steps = Object.values(PREPROCESSING_STEPS), targetDpi = 300, sourceDpi = null } = {}) {
+  const enabled = new Set(steps);
+  const applied = [];
+
+  if (enabled.size === 0) {
+    return { buffer: input, applied };
+  }
+
+  const source = sharp(input, { failOn: 'none' });
+  const metadata = await source.metadata();
+
+  // EXIF orientation from phone cameras
+  let image;
+  if (enabled.has(PREPROCESSING_STEPS.EXIF_ROTATE) && metadata.orientation && metadata.orientation !== 1) {
+    image = await toRaw(source.rotate());
+    applied.push({ step: PREPROCESSING_STEPS.EXIF_ROTATE, exifOrientation: metadata.orientation });
+  } else {
+    image = await toRaw(source);
+  }
+
+  if (enabled.has(PREPROCESSING_STEPS.RESIZE)) {
+    const density = sourceDpi || (metadata.density > 96 ? metadata.density : null);
+    const currentDpi = density || Math.max(image.width, image.height) / ASSUMED_PAGE_INCHES;
+    const scale = Math.min(MAX_UPSCALE, Math.max(MIN_DOWNSCALE, targetDpi / currentDpi));
+    if (scale < 0.9 || scale > 1.1) {
+      image = await toRaw(fromRaw(image).resize(Math.round(image.width * scale), Math.round(image.height * scale)));
+      applied.push({ step: PREPROCESSING_STEPS.RESIZE, fromDpi: Math.round(currentDpi), toDpi: targetDpi, estimated: !density });
+    }
+  }
+
+  if (enabled.has(PREPROCESSING_STEPS.ORIENTATION)) {
+    const rotation = detectOrientation(await analysisCopy(image));
+    if (rotation) {
+      image = await toRaw(fromRaw(image).rotate(rotation));
+      applied.push({ step: PREPROCESSING_STEPS.ORIENTATION, rotation });
+    }
+  }
+
+  if (enabled.has(PREPROCESSING_STEPS.DESKEW)) {
+    const skew = detectSkew(await analysisCopy(image));
+    if (Math.abs(skew) >= MIN_SKEW_DEGREES) {
+      image = await toRaw(fromRaw(image).rotate(-skew, { background: WHITE }));
+      applied.push({ step: PREPROCESSING_STEPS.DESKEW, angle: skew });
+    }
+  }
+
+  if (enabled.has(PREPROCESSING_STEPS.GRAYSCALE) || enabled.has(PREPROCESSING_STEPS.BINARIZE)) {
+    image = await toRaw(fromRaw(image).greyscale());
+    applied.push({ step: PREPROCESSING_STEPS.GRAYSCALE });
+  }
+
+  if (enabled.has(PREPROCESSING_STEPS.BINARIZE)) {
+    const { threshold, ...binary } = await binarize(image);
+    image = binary;
+    applied.push({ step: PREPROCESSING_STEPS.BINARIZE, threshold });
+  }
+
+  if (enabled.has(PREPROCESSING_STEPS.CROP)) {
+    const analysis = await analysisCopy(image);
+    const box = detectContentBox(analysis);
+    if (box) {
+      const crop = {
+        left: Math.floor(box.left / analysis.scale),
+        top: Math.floor(box.top / analysis.scale),
+        width: Math.min(image.width - Math.floor(box.left / analysis.scale), Math.ceil(box.width / analysis.scale)),
+        height: Math.min(image.height - Math.floor(box.top / analysis.scale), Math.ceil(box.height / analysis.scale)),
+      };
+      image = await toRaw(fromRaw(image).extract(crop));
+      applied.push({ step: PREPROCESSING_STEPS.CROP, ...crop });
+    }
+  }
+
+  return {
+    buffer: await fromRaw(image).png().toBuffer(),
+    applied,
+  };
+}
+
+/**
+ * Preprocess an image with a job's OCR options. A failure is logged and the original image is
+ * OCR'd instead, so preprocessing never costs a document its text.
+ * @param {Buffer} input - Image file buffer
+ * @param {Object} ocrOptions - Effective OCR options (preprocessing steps and target dpi)
+ * @param {number} sourceDpi - Known resolution of the input, if any
+ * @returns {Promise<{ buffer: Buffer, applied: Object[], error?: string }>} Image for OCR and what was done to it
+ */
+async function preprocessForOCR(input, ocrOptions, sourceDpi = null) {
+  try {
+    return await preprocessImage(input, { steps: ocrOptions.preprocessing, targetDpi: ocrOptions.dpi, sourceDpi });
+  } catch (error) {
+    console.warn('Image preprocessing failed, using the original image:', error.message);
+    return { buffer: input, applied: [], error: error.message };
+  }
+}
+
+module.exports = {
+  preprocessImage,
+  preprocessForOCR,
+};
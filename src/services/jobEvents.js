@@ -0,0 +1,32 @@
+// src/services/jobEvents.js
+const { EventEmitter } = require('events');
+
+// In-process bus for job progress and status changes. Listeners in other
+// processes (e.g. a separate worker) won't see these; they poll the job store.
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+/**
+ * Publish a job update to in-process listeners
+ * @param {string} jobId - Job identifier
+ * @param {Object} update - { status, progress, stage, ... }
+ */
+function publishJobUpdate(jobId, update) {
+  jobEvents.emit(`job:${jobId}`, { jobId, ...update });
+}
+
+/**
+ * Subscribe to updates for one job
+ * @param {string} jobId - Job identifier
+ * @param {Function} listener - Called with each update
+ * @returns {Function} Unsubscribe function
+ */
+function subscribeToJob(jobId, listener) {
+  jobEvents.on(`job:${jobId}`, listener);
+  return () => jobEvents.off(`job:${jobId}`, listener);
+}
+
+module.exports = {
+  publishJobUpdate,
+  subscribeToJob,
+};
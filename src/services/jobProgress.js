@@ -0,0 +1,70 @@
+// src/services/jobProgress.js
+const { updateJobProgress } = require('./storageService');
+const { publishJobUpdate } = require('./jobEvents');
+const { JOB_STATUS, PROGRESS_STAGES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Create a progress reporter for a job. Every update is published to
+ * in-process listeners; writes to the job store are throttled.
+ * @param {string} jobId - Job identifier
+ * @param {Object} options - Reporter options
+ * @param {number} options.minWriteIntervalMs - Minimum delay between store writes within a stage
+ * @returns {Function} report(stage, progress, detail) where progress is 0-100, with report.flush()
+ */
+function createProgressReporter(jobId, { minWriteIntervalMs = 1000 } = {}) {
+  let lastProgress = -1;
+  let lastStage = null;
+  let lastKey = null;
+  let lastWrite = 0;
+  let pendingWrite = Promise.resolve();
+
+  function report(stage, progress, detail = {}) {
+    const value = Math.max(lastProgress, Math.min(100, Math.round(progress)));
+    // Page changes are worth an event even when the percentage doesn't move
+    const key = `${stage}:${value}:${detail.page ?? ''}`;
+    if (key === lastKey) return;
+    lastKey = key;
+
+    publishJobUpdate(jobId, { status: JOB_STATUS.PROCESSING, stage, progress: value, ...detail });
+
+    const now = Date.now();
+    if (stage === lastStage && (value === lastProgress || now - lastWrite < minWriteIntervalMs)) {
+      lastProgress = value;
+      return;
+    }
+
+    lastProgress = value;
+    lastStage = stage;
+    lastWrite = now;
+    // Chain writes so they land in order and never after the final result
+    pendingWrite = pendingWrite
+      .then(() => updateJobProgress(jobId, value, stage))
+      .catch(error => {
+        logger.warn('Failed to record job progress', { jobId, stage, error: error.message });
+      });
+  }
+
+  // Resolves once every queued progress write has finished
+  report.flush = () => pendingWrite;
+
+  return report;
+}
+
+/**
+ * Map an extractor's progress within a range of the overall job progress
+ * @param {Function} report - Reporter from createProgressReporter
+ * @param {number} from - Overall progress at the start of the step
+ * @param {number} to - Overall progress at the end of the step
+ * @returns {Function} Extractor callback receiving { stage, page, totalPages, fraction }
+ */
+function scaleProgress(report, from, to) {
+  return ({ stage = PROGRESS_STAGES.EXTRACTING, fraction = 0, ...detail }) => {
+    report(stage, from + (to - from) * fraction, detail);
+  };
+}
+
+module.exports = {
+  createProgressReporter,
+  scaleProgress,
+};
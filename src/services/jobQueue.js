@@ -0,0 +1,212 @@
+// src/services/jobQueue.js
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+const { publishJobUpdate } = require('./jobEvents');
+const { JOB_STATUS, ERROR_CODES } = require('../config/constants');
+const logger = require('../utils/logger');
+
+/**
+ * Create a queue that runs jobs persisted in the job store.
+ * Jobs are claimed with a compare-and-set on their status, so several
+ * workers can share one store without picking up the same job twice.
+ * @param {Object} options - Queue options
+ * @param {Function} options.handler - async (job) => results; called with the claimed job row
+ * @param {Function} options.onSuccess - async (jobId, results) => void; persists the results
+ * @param {number} options.concurrency - Number of jobs processed at once
+ * @param {number} options.maxAttempts - Attempts before a job is marked failed
+ * @param {number} options.retryBaseMs - Base delay for exponential retry backoff
+ * @param {number} options.pollIntervalMs - Delay between polls when the queue is empty
+ * @param {number} options.staleAfterMs - Age of a lease after which a processing job is considered orphaned
+ * @returns {{ start: Function, stop: Function, notify: Function }}
+ */
+function createJobQueue({
+  handler,
+  onSuccess,
+  concurrency = 1,
+  maxAttempts = 3,
+  retryBaseMs = 5000,
+  pollIntervalMs = 2000,
+  staleAfterMs = 10 * 60 * 1000,
+}) {
+  const workerId = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+  const heartbeatMs = Math.max(1000, Math.floor(staleAfterMs / 3));
+  const repository = () => getStorage().jobRepository;
+
+  let running = false;
+  let loops = [];
+  const sleepers = new Set();
+
+  const sleep = (ms) => new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      sleepers.delete(done);
+      resolve();
+    }
+    sleepers.add(done);
+  });
+
+  /**
+   * Put orphaned jobs back in the queue: processing jobs whose lease has
+   * not been renewed (their worker died) or that predate the queue.
+   */
+  async function recoverOrphanedJobs() {
+    const cutoff = Date.now() - staleAfterMs;
+    const processing = await repository().findByStatus(JOB_STATUS.PROCESSING);
+    let recovered = 0;
+
+    for (const job of processing) {
+      if (job.locked_at && new Date(job.locked_at).getTime() > cutoff) continue;
+
+      const requeued = await repository().updateWhere(
+        job.job_id,
+        { status: JOB_STATUS.PROCESSING, locked_at: job.locked_at ?? null },
+        { status: JOB_STATUS.QUEUED, locked_by: null, locked_at: null, next_run_at: null }
+      );
+      if (requeued) recovered++;
+    }
+
+    if (recovered > 0) {
+      logger.warn('Recovered orphaned processing jobs', { recovered, workerId });
+    }
+    return recovered;
+  }
+
+  async function claimNext() {
+    const candidates = await repository().findReady(new Date().toISOString(), concurrency * 2);
+
+    for (const job of candidates) {
+      const lockedAt = new Date().toISOString();
+      const claimed = await repository().updateWhere(
+        job.job_id,
+        { status: JOB_STATUS.QUEUED },
+        {
+          status: JOB_STATUS.PROCESSING,
+          locked_by: workerId,
+          locked_at: lockedAt,
+          attempts: (job.attempts || 0) + 1,
+        }
+      );
+      if (claimed) {
+        return { ...job, status: JOB_STATUS.PROCESSING, locked_by: workerId, locked_at: lockedAt, attempts: (job.attempts || 0) + 1 };
+      }
+    }
+
+    return null;
+  }
+
+  async function runJob(job) {
+    const jobId = job.job_id;
+
+    // Renew the lease while the job runs so recovery leaves it alone
+    const heartbeat = setInterval(() => {
+      repository()
+        .updateWhere(jobId, { locked_by: workerId }, { locked_at: new Date().toISOString() })
+        .catch(error => logger.warn('Failed to renew job lease', { jobId, error: error.message }));
+    }, heartbeatMs);
+
+    try {
+      logger.info('Job claimed', { jobId, workerId, attempt: job.attempts });
+      const results = await handler(job);
+      await onSuccess(jobId, results);
+      await repository().update(jobId, { locked_by: null, locked_at: null, error_message: null, error_code: null });
+      publishJobUpdate(jobId, { status: JOB_STATUS.COMPLETED, progress: 100 });
+    } catch (error) {
+      await handleFailure(job, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  async function handleFailure(job, error) {
+    const jobId = job.job_id;
+    const attempts = job.attempts || 1;
+    const retryable = error.retryable !== false && attempts < maxAttempts;
+    // Only known codes are exposed; anything else is reported as a generic processing failure
+    const errorCode = ERROR_CODES[error.code] ? error.code : ERROR_CODES.PROCESSING_FAILED;
+
+    try {
+      if (retryable) {
+        const delayMs = retryBaseMs * 2 ** (attempts - 1);
+        logger.warn('Job failed, scheduling retry', { jobId, attempts, delayMs, error: error.message });
+        await repository().update(jobId, {
+          status: JOB_STATUS.QUEUED,
+          locked_by: null,
+          locked_at: null,
+          next_run_at: new Date(Date.now() + delayMs).toISOString(),
+          error_message: error.message,
+          error_code: errorCode,
+        });
+        publishJobUpdate(jobId, { status: JOB_STATUS.QUEUED, error: error.message, errorCode, retryInMs: delayMs });
+      } else {
+        logger.error(`Job ${jobId} failed after ${attempts} attempt(s)`, error);
+        await repository().update(jobId, {
+          status: JOB_STATUS.FAILED,
+          locked_by: null,
+          locked_at: null,
+          error_message: error.message,
+          error_code: errorCode,
+        });
+        publishJobUpdate(jobId, { status: JOB_STATUS.FAILED, error: error.message, errorCode });
+      }
+    } catch (updateError) {
+      logger.error('Failed to update error status:', updateError, { jobId });
+    }
+  }
+
+  async function loop() {
+    while (running) {
+      let job = null;
+      try {
+        job = await claimNext();
+      } catch (error) {
+        logger.error('Failed to poll job queue', error, { workerId });
+      }
+
+      if (job) {
+        await runJob(job);
+      } else if (running) {
+        await sleep(pollIntervalMs);
+      }
+    }
+  }
+
+  return {
+    workerId,
+
+    /**
+     * Recover orphaned jobs, then start the worker loops
+     */
+    async start() {
+      if (running) return;
+      await recoverOrphanedJobs();
+      running = true;
+      loops = Array.from({ length: concurrency }, () => loop());
+      logger.info('Job queue started', { workerId, concurrency });
+    },
+
+    /**
+     * Stop polling and wait for in-flight jobs to finish
+     */
+    async stop() {
+      running = false;
+      [...sleepers].forEach(done => done());
+      await Promise.all(loops);
+      loops = [];
+      logger.info('Job queue stopped', { workerId });
+    },
+
+    /**
+     * Wake an idle worker loop after a job has been enqueued
+     */
+    notify() {
+      const [done] = sleepers;
+      if (done) done();
+    },
+  };
+}
+
+module.exports = {
+  createJobQueue,
+};
@@ -0,0 +1,223 @@
+// src/services/keyRotation.js
+const { getStorageBackend } = require('./storage');
+const { ENCRYPTED_COLUMNS, BLIND_INDEXES, buildBlindIndexes } = require('./storage/encryptedStorage');
+const {
+  currentKeyId,
+  isEncryptedValue,
+  encryptValue,
+  decryptValue,
+  rewrapValue,
+  isEncryptedBuffer,
+  encryptBuffer,
+  decryptBuffer,
+  rewrapBuffer,
+  isCurrentBlindIndex,
+} = require('./encryption');
+const { encryption: config } = require('../config/env');
+const logger = require('../utils/logger');
+
+// Jobs read per page
+const ROTATION_BATCH_SIZE = 100;
+
+// A job updated between reading and writing it (e.g. by a worker) is read again this many times
+const UPDATE_ATTEMPTS = 3;
+
+const JOB_COLUMNS = [
+  'job_id',
+  'batch_id',
+  'file_url',
+  'mime_type',
+  'updated_at',
+  ...ENCRYPTED_COLUMNS.jobs,
+  ...Object.keys(BLIND_INDEXES.jobs),
+];
+
+/**
+ * The changes that put a row's encrypted columns under the current key
+ * @param {Object} row - Row as stored
+ * @param {string[]} columns - Encrypted columns
+ * @param {boolean} reencrypt - Encrypt with new data keys instead of re-wrapping the old ones
+ * @returns {Object} Changed columns; empty if the row is already under the current key
+ */
+function rotateColumns(row, columns, reencrypt) {
+  const changes = {};
+
+  columns.forEach(column => {
+    const value = row[column];
+    if (value === null || value === undefined) return;
+
+    let rotated;
+    if (!isEncryptedValue(value)) {
+      rotated = encryptValue(value, column);
+    } else if (reencrypt) {
+      rotated = encryptValue(decryptValue(value, column), column);
+    } else {
+      rotated = rewrapValue(value);
+    }
+
+    if (rotated !== value) {
+      changes[column] = rotated;
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * The changes that rebuild a row's blind indexes under the current key, for indexes that are missing
+ * (rows stored before encryption was turned on) or were built under an older key
+ * @param {Object} row - Row as stored
+ * @param {Object} indexes - Blind indexes (see BLIND_INDEXES)
+ * @returns {Object} Rebuilt index columns
+ */
+function rotateIndexes(row, indexes) {
+  const stale = Object.fromEntries(Object.entries(indexes)
+    .filter(([indexColumn]) => !Array.isArray(row[indexColumn]) || !isCurrentBlindIndex(row[indexColumn])));
+
+  const plaintext = Object.fromEntries(Object.values(stale).flat()
+    .map(column => [column, decryptValue(row[column], column)]));
+  return buildBlindIndexes(plaintext, stale);
+}
+
+/**
+ * Put a job's encrypted columns and blind indexes under the current key, retrying if the job changes in between
+ * @returns {Promise<boolean>} True if the job was updated
+ */
+async function rotateJob(jobRepository, job, reencrypt) {
+  let current = job;
+
+  for (let attempt = 1; attempt <= UPDATE_ATTEMPTS; attempt++) {
+    const changes = {
+      ...rotateColumns(current, ENCRYPTED_COLUMNS.jobs, reencrypt),
+      ...rotateIndexes(current, BLIND_INDEXES.jobs),
+    };
+    if (Object.keys(changes).length === 0) {
+      return false;
+    }
+
+    if (await jobRepository.updateWhere(current.job_id, { updated_at: current.updated_at }, changes)) {
+      return true;
+    }
+
+    current = await jobRepository.findById(current.job_id);
+    if (!current) {
+      return false;
+    }
+  }
+
+  throw new Error(`Job ${job.job_id} kept changing while its keys were rotated`);
+}
+
+/**
+ * Put a stored file under the current key. Files stored unencrypted are only encrypted with ENCRYPT_FILES.
+ * @returns {Promise<boolean>} True if the file was rewritten
+ */
+async function rotateFile(blobStore, job, reencrypt) {
+  const filePath = blobStore.pathFromUrl(job.file_url);
+  const stored = await blobStore.get(filePath);
+
+  let rotated;
+  if (!isEncryptedBuffer(stored)) {
+    rotated = config.encryptFiles ? encryptBuffer(stored) : stored;
+  } else if (reencrypt) {
+    rotated = encryptBuffer(decryptBuffer(stored));
+  } else {
+    rotated = rewrapBuffer(stored);
+  }
+
+  if (rotated === stored) {
+    return false;
+  }
+
+  await blobStore.replace(filePath, rotated, job.mime_type);
+  return true;
+}
+
+/**
+ * Encrypt personal data stored before encryption was turned on and re-wrap everything encrypted with an
+ * older key under the current (first) ENCRYPTION_KEYS key, rebuilding blind indexes with it, so older keys
+ * can be retired. Works on the
+ * stored data directly; safe to run while workers process jobs, and to run again after a failure.
+ * @param {Object} options - Rotation options
+ * @param {boolean} options.reencrypt - Also replace the data keys, re-encrypting the data itself
+ * @returns {Promise<{ jobs: Object, batches: Object, files: Object }>} { scanned, updated, failed } for each
+ */
+async function rotateEncryptionKeys({ reencrypt = false } = {}) {
+  if (!currentKeyId) {
+    throw new Error('ENCRYPTION_KEYS is not set; there is no key to rotate to');
+  }
+
+  const { blobStore, jobRepository, batchRepository } = getStorageBackend();
+  const summary = {
+    jobs: { scanned: 0, updated: 0, failed: 0 },
+    batches: { scanned: 0, updated: 0, failed: 0 },
+    files: { scanned: 0, updated: 0, failed: 0 },
+  };
+  const batchIds = new Set();
+  // Linked duplicates share their original's file
+  const filePaths = new Set();
+
+  for (let offset = 0; ; offset += ROTATION_BATCH_SIZE) {
+    const { rows } = await jobRepository.findPage({
+      sort: { column: 'created_at', ascending: true },
+      limit: ROTATION_BATCH_SIZE,
+      offset,
+      columns: JOB_COLUMNS,
+    });
+
+    for (const job of rows) {
+      summary.jobs.scanned++;
+      try {
+        if (await rotateJob(jobRepository, job, reencrypt)) {
+          summary.jobs.updated++;
+        }
+      } catch (error) {
+        logger.error('Failed to rotate job keys', error, { jobId: job.job_id });
+        summary.jobs.failed++;
+      }
+
+      if (job.batch_id) {
+        batchIds.add(job.batch_id);
+      }
+
+      if (job.file_url && !filePaths.has(job.file_url)) {
+        filePaths.add(job.file_url);
+        summary.files.scanned++;
+        try {
+          if (await rotateFile(blobStore, job, reencrypt)) {
+            summary.files.updated++;
+          }
+        } catch (error) {
+          logger.error('Failed to rotate file keys', error, { jobId: job.job_id });
+          summary.files.failed++;
+        }
+      }
+    }
+
+    if (rows.length < ROTATION_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  for (const batchId of batchIds) {
+    summary.batches.scanned++;
+    try {
+      const batch = await batchRepository.findById(batchId);
+      const changes = batch ? rotateColumns(batch, ENCRYPTED_COLUMNS.batches, reencrypt) : {};
+      if (Object.keys(changes).length > 0) {
+        await batchRepository.update(batchId, changes);
+        summary.batches.updated++;
+      }
+    } catch (error) {
+      logger.error('Failed to rotate batch keys', error, { batchId });
+      summary.batches.failed++;
+    }
+  }
+
+  logger.info('Encryption keys rotated', { keyId: currentKeyId, ...summary });
+  return summary;
+}
+
+module.exports = {
+  rotateEncryptionKeys,
+};
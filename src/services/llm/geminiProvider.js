@@ -0,0 +1,48 @@
+// src/services/llm/geminiProvider.js
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+/**
+ * Create a Google Gemini provider
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - Gemini API key
+ * @param {string} options.model - Model name, e.g. gemini-1.5-flash
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {{ name: string, model: string, isAvailable: Function, generate: Function }}
+ */
+function createGeminiProvider({ apiKey, model, timeoutMs }) {
+  const genAI = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+
+  /**
+   * Send a prompt and return the model's text response
+   * @param {string} prompt - Prompt text
+   * @returns {Promise<string>} Response text
+   */
+  async function generate(prompt) {
+    const generativeModel = genAI.getGenerativeModel({ model });
+    let timer;
+
+    // The SDK has no request timeout of its own
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Gemini request timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+
+    try {
+      const result = await Promise.race([generativeModel.generateContent(prompt), timeout]);
+      const response = await result.response;
+      return response.text();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    name: 'gemini',
+    model,
+    isAvailable: () => Boolean(genAI),
+    generate,
+  };
+}
+
+module.exports = {
+  createGeminiProvider,
+};
@@ -0,0 +1,44 @@
+// src/services/llm/index.js
+const config = require('../../config/env');
+const { createGeminiProvider } = require('./geminiProvider');
+const { createOpenAIProvider } = require('./openaiProvider');
+const { createRuleBasedProvider } = require('./ruleBasedProvider');
+
+/**
+ * Extraction providers. Every provider has a name, a model and isAvailable().
+ * Language models implement generate(prompt) -> Promise<string>; deterministic
+ * extractors implement extract(text, definition) -> Object instead.
+ */
+const providers = {
+  gemini: () => createGeminiProvider({
+    apiKey: config.geminiApiKey,
+    model: config.geminiModel,
+    timeoutMs: config.aiRequestTimeoutMs,
+  }),
+  openai: () => createOpenAIProvider({
+    baseUrl: config.openaiBaseUrl,
+    apiKey: config.openaiApiKey,
+    model: config.openaiModel,
+    timeoutMs: config.aiRequestTimeoutMs,
+  }),
+  rules: () => createRuleBasedProvider(),
+};
+
+let chain = null;
+
+/**
+ * The configured providers (AI_PROVIDERS) in fallback order, skipping unavailable ones
+ * @returns {Object[]} Providers to try, first choice first
+ */
+function getProviderChain() {
+  if (!chain) {
+    chain = config.aiProviders
+      .map(name => providers[name]())
+      .filter(provider => provider.isAvailable());
+  }
+  return chain;
+}
+
+module.exports = {
+  getProviderChain,
+};
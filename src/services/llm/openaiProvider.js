@@ -0,0 +1,64 @@
+// src/services/llm/openaiProvider.js
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Create a provider for any OpenAI-compatible chat completions API
+ * (OpenAI, or a local server such as llama.cpp or Ollama)
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - API base URL, e.g. http://localhost:11434/v1
+ * @param {string} options.apiKey - Bearer token; local servers usually need none
+ * @param {string} options.model - Model name
+ * @param {number} options.timeoutMs - Request timeout
+ * @returns {{ name: string, model: string, isAvailable: Function, generate: Function }}
+ */
+function createOpenAIProvider({ baseUrl, apiKey, model, timeoutMs }) {
+  const endpoint = `${(baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '')}/chat/completions`;
+
+  /**
+   * Send a prompt and return the model's text response
+   * @param {string} prompt - Prompt text
+   * @returns {Promise<string>} Response text
+   */
+  async function generate(prompt) {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0,
+      }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`Chat completion request failed with ${response.status}: ${body.substring(0, 200)}`);
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+
+    if (typeof content !== 'string') {
+      throw new Error('Chat completion response has no message content');
+    }
+
+    return content;
+  }
+
+  return {
+    name: 'openai',
+    model,
+    // The default endpoint needs a key; a custom one (local server) may not
+    isAvailable: () => Boolean(apiKey || baseUrl),
+    generate,
+  };
+}
+
+module.exports = {
+  createOpenAIProvider,
+};
@@ -0,0 +1,139 @@
+// src/services/llm/ruleBasedProvider.js
+const { GENERIC_TYPE } = require('../../config/documentTypes');
+
+const MAX_VALUE_LENGTH = 120;
+const SUMMARY_LENGTH = 200;
+
+/**
+ * Extract dates from text
+ */
+function extractDatesFromText(text) {
+  const datePatterns = [
+    /\b\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4}\b/g,
+    /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]* \d{1,2},? \d{4}\b/gi,
+    /\b\d{4}[\/\-]\d{1,2}[\/\-]\d{1,2}\b/g
+  ];
+
+  const dates = [];
+  datePatterns.forEach(pattern => {
+    const matches = text.match(pattern);
+    if (matches) dates.push(...matches);
+  });
+
+  return dates.slice(0, 5);
+}
+
+/**
+ * Extract addresses from text
+ */
+function extractAddressesFromText(text) {
+  const addressPatterns = [
+    /\b\d+\s+[\w\s]+,?\s+(?:Ave|St|Rd|Blvd|Dr|Ln)\.?,?\s+[\w\s]+,?\s+[A-Z]{2},?\s+\d{5}\b/gi,
+    /\bP\.?O\.?\s+Box\s+\d+\b/gi,
+    /\b\d+\s+[\w\s]+\s+(?:Street|Avenue|Road|Boulevard|Drive|Lane)\b/gi
+  ];
+
+  const addresses = [];
+  addressPatterns.forEach(pattern => {
+    const matches = text.match(pattern);
+    if (matches) addresses.push(...matches);
+  });
+
+  return addresses.slice(0, 3);
+}
+
+/**
+ * Labels a field may be printed under: its name split into words and its description
+ * @param {string} key - Property name, e.g. dateOfBirth
+ * @param {Object} schema - Property schema
+ * @returns {string[]} Lowercase labels, longest first
+ */
+function labelsFor(key, schema) {
+  const labels = [key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase()];
+  if (schema.description) {
+    labels.push(schema.description.toLowerCase());
+  }
+  return [...new Set(labels)].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Find the value printed after a label, e.g. "Date of birth: 03/04/1990"
+ * @param {string} text - Document text
+ * @param {string[]} labels - Labels to look for
+ * @returns {string|null} Value, or null if no label is found
+ */
+function findLabelledValue(text, labels) {
+  for (const label of labels) {
+    const escaped = label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    const match = text.match(new RegExp(`(?:^|\\n)[ \\t]*${escaped}(?![a-z0-9])[ \\t]*[:\\-#]?[ \\t]*([^\\n]+)`, 'i'));
+    if (match && match[1].trim()) {
+      return match[1].trim().substring(0, MAX_VALUE_LENGTH);
+    }
+  }
+  return null;
+}
+
+/**
+ * Generic document extraction with pattern matching
+ */
+function extractGenericFields(text) {
+  const emailMatch = text.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g);
+  const phoneMatch = text.match(/(?:\+\d{1,3}\s?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g);
+  const idMatch = text.match(/\b\d{3}[-]?\d{2}[-]?\d{4}\b/g);
+  const collapsed = text.replace(/\s+/g, ' ').trim();
+
+  return {
+    importantInfo: {
+      fullName: findLabelledValue(text, ['full name', 'name']),
+      dateOfBirth: findLabelledValue(text, ['date of birth', 'dob', 'born'])
+    },
+    contactInfo: {
+      emails: emailMatch ? [...new Set(emailMatch)].slice(0, 5) : [],
+      phoneNumbers: phoneMatch ? [...new Set(phoneMatch)].slice(0, 5) : []
+    },
+    addresses: extractAddressesFromText(text),
+    identificationNumbers: idMatch ? [...new Set(idMatch)].slice(0, 5) : [],
+    keyDates: extractDatesFromText(text),
+    summary: collapsed.length > SUMMARY_LENGTH
+      ? `${collapsed.substring(0, SUMMARY_LENGTH)}...`
+      : collapsed || null
+  };
+}
+
+/**
+ * Create the rule-based extractor. It needs no model, so it is always
+ * available and works as the last resort of the provider chain.
+ * @returns {{ name: string, model: string, isAvailable: Function, extract: Function }}
+ */
+function createRuleBasedProvider() {
+  /**
+   * Extract the top-level scalar fields of a document type by their printed labels
+   * @param {string} text - Raw extracted text
+   * @param {Object} definition - Document type definition
+   * @returns {Object} Extracted fields (not yet validated)
+   */
+  function extract(text, definition) {
+    if (definition.type === GENERIC_TYPE) {
+      return extractGenericFields(text);
+    }
+
+    const data = {};
+    Object.entries(definition.schema.properties).forEach(([key, schema]) => {
+      data[key] = ['string', 'number', 'integer'].includes(schema.type)
+        ? findLabelledValue(text, labelsFor(key, schema))
+        : null;
+    });
+    return data;
+  }
+
+  return {
+    name: 'rules',
+    model: 'rule-based',
+    isAvailable: () => true,
+    extract,
+  };
+}
+
+module.exports = {
+  createRuleBasedProvider,
+};
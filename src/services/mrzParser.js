@@ -0,0 +1,250 @@
+// src/services/mrzParser.js
+
+// ICAO 9303 layouts: line count and characters per line
+const MRZ_FORMATS = {
+  TD1: { lines: 3, length: 30 },
+  TD2: { lines: 2, length: 36 },
+  TD3: { lines: 2, length: 44 },
+};
+
+// OCR may drop or add a couple of trailing filler characters
+const LENGTH_TOLERANCE = 2;
+const CHECK_WEIGHTS = [7, 3, 1];
+
+// Characters OCR confuses in fields that can only hold digits, or only letters
+const TO_DIGIT = { O: '0', Q: '0', D: '0', I: '1', L: '1', Z: '2', S: '5', G: '6', B: '8' };
+const TO_LETTER = { 0: 'O', 1: 'I', 2: 'Z', 5: 'S', 6: 'G', 8: 'B' };
+
+const asDigits = value => value.replace(/[A-Z]/g, char => TO_DIGIT[char] || char);
+const asLetters = value => value.replace(/[0-9]/g, char => TO_LETTER[char] || char);
+const stripFiller = value => value.replace(/</g, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * ICAO 9303 check digit: weights 7, 3, 1 over digits (0-9), letters (A=10..Z=35) and filler (<=0)
+ * @param {string} value - Field including filler characters
+ * @returns {string} Check digit
+ */
+function computeCheckDigit(value) {
+  const sum = [...value].reduce((total, char, index) => {
+    let charValue = 0;
+    if (/[0-9]/.test(char)) charValue = Number(char);
+    else if (/[A-Z]/.test(char)) charValue = char.charCodeAt(0) - 55;
+    return total + charValue * CHECK_WEIGHTS[index % 3];
+  }, 0);
+  return String(sum % 10);
+}
+
+/**
+ * Compare a field with its check digit. A filler check digit is valid for an all-filler field.
+ */
+function checkDigitMatches(value, checkDigit) {
+  if (checkDigit === '<') return /^<*$/.test(value);
+  return computeCheckDigit(value) === checkDigit;
+}
+
+/**
+ * MRZ date (YYMMDD) to YYYY-MM-DD
+ * @param {string} value - Six digits
+ * @param {boolean} future - Expiry dates are this century; birth dates aren't in the future
+ * @returns {string|null} ISO date, or null if invalid
+ */
+function mrzDate(value, future) {
+  if (!/^\d{6}$/.test(value)) return null;
+
+  const yy = Number(value.slice(0, 2));
+  const month = Number(value.slice(2, 4));
+  const day = Number(value.slice(4, 6));
+  const currentYY = new Date().getFullYear() % 100;
+  const year = future || yy <= currentYY ? 2000 + yy : 1900 + yy;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Split the name field: SURNAME<<GIVEN<NAMES
+ */
+function parseNames(value) {
+  const [surname, ...given] = asLetters(value).split('<<');
+  return {
+    surname: stripFiller(surname),
+    givenNames: stripFiller(given.join('<')),
+  };
+}
+
+/**
+ * Normalize a line of OCR text into MRZ characters
+ */
+function normalizeLine(line) {
+  return line
+    .toUpperCase()
+    .replace(/[«‹]/g, '<<')
+    .replace(/\s+/g, '');
+}
+
+/**
+ * Pad or trim a line to its format's length
+ */
+function fitLine(line, length) {
+  return line.length >= length ? line.slice(0, length) : line.padEnd(length, '<');
+}
+
+/**
+ * Find MRZ lines in extracted text
+ * @param {string} text - Extracted text with line breaks preserved
+ * @returns {{ format: string, lines: string[] }|null} MRZ lines, or null if there are none
+ */
+function findMRZ(text) {
+  const lines = (text || '')
+    .split(/\r?\n/)
+    .map(normalizeLine)
+    .filter(Boolean);
+
+  const isCandidate = (line, length) => /^[A-Z0-9<]+$/.test(line)
+    && line.includes('<')
+    && Math.abs(line.length - length) <= LENGTH_TOLERANCE;
+
+  // Longest layouts first, so a TD3 pair isn't mistaken for something shorter
+  for (const format of ['TD3', 'TD2', 'TD1']) {
+    const { lines: count, length } = MRZ_FORMATS[format];
+
+    for (let start = 0; start + count <= lines.length; start++) {
+      const group = lines.slice(start, start + count);
+      if (group.every(line => isCandidate(line, length)) && /^[A-Z][A-Z0-9<]/.test(group[0])) {
+        return { format, lines: group.map(line => fitLine(line, length)) };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse the second line shared by TD2 and TD3, which differ only in where the
+ * optional data ends and the composite check digit sits
+ */
+function parseLongSecondLine(line, optionalEnd, compositeIndex) {
+  const documentNumber = line.slice(0, 9);
+  const birth = asDigits(line.slice(13, 19));
+  const expiry = asDigits(line.slice(21, 27));
+  const optional = line.slice(28, optionalEnd);
+  const digit = index => asDigits(line[index]);
+
+  return {
+    fields: {
+      documentNumber: stripFiller(documentNumber),
+      nationality: asLetters(line.slice(10, 13)).replace(/</g, ''),
+      dateOfBirth: mrzDate(birth, false),
+      sex: line[20] === '<' ? 'X' : line[20],
+      dateOfExpiry: mrzDate(expiry, true),
+      optionalData: stripFiller(optional),
+    },
+    checks: {
+      documentNumber: checkDigitMatches(documentNumber, digit(9)),
+      dateOfBirth: checkDigitMatches(birth, digit(19)),
+      dateOfExpiry: checkDigitMatches(expiry, digit(27)),
+      composite: checkDigitMatches(
+        line.slice(0, 10) + birth + digit(19) + expiry + digit(27) + line.slice(28, compositeIndex),
+        digit(compositeIndex)
+      ),
+    },
+  };
+}
+
+function parseTD3([line1, line2]) {
+  const { fields, checks } = parseLongSecondLine(line2, 42, 43);
+  // The passport personal number has its own check digit at position 42
+  checks.optionalData = checkDigitMatches(line2.slice(28, 42), asDigits(line2[42]));
+  return { line1, fields, checks, namesField: line1.slice(5, 44) };
+}
+
+function parseTD2([line1, line2]) {
+  const { fields, checks } = parseLongSecondLine(line2, 35, 35);
+  return { line1, fields, checks, namesField: line1.slice(5, 36) };
+}
+
+function parseTD1([line1, line2, line3]) {
+  let documentNumber = line1.slice(5, 14);
+  let documentCheck = line1[14];
+  let optional = line1.slice(15, 30);
+
+  // Document numbers longer than 9 characters continue in the optional field,
+  // followed by their check digit; position 14 then holds filler
+  if (documentCheck === '<') {
+    const overflow = optional.match(/^([A-Z0-9]*?)([0-9])</) || optional.match(/^([A-Z0-9]*)([0-9])$/);
+    if (overflow) {
+      documentNumber += overflow[1];
+      documentCheck = overflow[2];
+      optional = optional.slice(overflow[0].length);
+    }
+  }
+
+  const birth = asDigits(line2.slice(0, 6));
+  const expiry = asDigits(line2.slice(8, 14));
+  const digit = (line, index) => asDigits(line[index]);
+
+  return {
+    line1,
+    namesField: line3,
+    fields: {
+      documentNumber: stripFiller(documentNumber),
+      nationality: asLetters(line2.slice(15, 18)).replace(/</g, ''),
+      dateOfBirth: mrzDate(birth, false),
+      sex: line2[7] === '<' ? 'X' : line2[7],
+      dateOfExpiry: mrzDate(expiry, true),
+      optionalData: stripFiller(`${optional}<${line2.slice(18, 29)}`),
+    },
+    checks: {
+      documentNumber: checkDigitMatches(documentNumber, asDigits(documentCheck)),
+      dateOfBirth: checkDigitMatches(birth, digit(line2, 6)),
+      dateOfExpiry: checkDigitMatches(expiry, digit(line2, 14)),
+      composite: checkDigitMatches(
+        line1.slice(5, 30) + birth + digit(line2, 6) + expiry + digit(line2, 14) + line2.slice(18, 29),
+        digit(line2, 29)
+      ),
+    },
+  };
+}
+
+const PARSERS = { TD1: parseTD1, TD2: parseTD2, TD3: parseTD3 };
+
+/**
+ * Parse MRZ lines into document fields and check-digit results
+ * @param {{ format: string, lines: string[] }} mrz - Output of findMRZ
+ * @returns {Object} Parsed MRZ: format, documentCode, issuingState, names, document
+ *   number, nationality, dateOfBirth, sex, dateOfExpiry, optionalData, checkDigits,
+ *   checkDigitsValid, failedChecks and the normalized lines
+ */
+function parseMRZ({ format, lines }) {
+  const { line1, fields, checks, namesField } = PARSERS[format](lines);
+  const failedChecks = Object.keys(checks).filter(check => !checks[check]);
+
+  return {
+    format,
+    documentCode: line1.slice(0, 2).replace(/</g, ''),
+    issuingState: asLetters(line1.slice(2, 5)).replace(/</g, ''),
+    ...parseNames(namesField),
+    ...fields,
+    checkDigits: checks,
+    checkDigitsValid: failedChecks.length === 0,
+    failedChecks,
+    lines,
+  };
+}
+
+/**
+ * Detect and parse a machine readable zone in extracted text
+ * @param {string} text - Extracted text with line breaks preserved
+ * @returns {Object|null} Parsed MRZ (see parseMRZ), or null if none was found
+ */
+function extractMRZ(text) {
+  const mrz = findMRZ(text);
+  return mrz ? parseMRZ(mrz) : null;
+}
+
+module.exports = {
+  extractMRZ,
+  computeCheckDigit,
+  normalizeLine,
+};
@@ -0,0 +1,105 @@
+// src/services/ocrOptions.js
+const { ocr: defaults } = require('../config/env');
+const { PREPROCESSING_STEPS } = require('../config/constants');
+
+// Tesseract language codes (eng, deu, chi_sim, ...) joined with '+'
+const LANGUAGES_PATTERN = /^[a-z]{3}(_[a-z]+)*(\+[a-z]{3}(_[a-z]+)*)*$/i;
+
+/**
+ * Normalize a language list such as "eng, deu" or "eng+deu" to Tesseract's "eng+deu"
+ * @param {string} value - Languages separated by '+' or ','
+ * @returns {string|null} Normalized languages, or null if invalid
+ */
+function parseLanguages(value) {
+  const languages = String(value)
+    .split(/[+,]/)
+    .map(lang => lang.trim().toLowerCase())
+    .filter(Boolean)
+    .join('+');
+  return LANGUAGES_PATTERN.test(languages) ? languages : null;
+}
+
+/**
+ * Parse a list of preprocessing steps: "all", "none" or names such as "deskew,binarize"
+ * @param {string} value - Steps separated by commas
+ * @returns {string[]|null} Steps in the order they run, or null if any name is unknown
+ */
+function parsePreprocessing(value) {
+  const allSteps = Object.values(PREPROCESSING_STEPS);
+  const names = String(value).split(',').map(name => name.trim()).filter(Boolean);
+
+  if (names.length === 1 && names[0].toLowerCase() === 'all') return allSteps;
+  if (names.length === 1 && names[0].toLowerCase() === 'none') return [];
+  if (names.length === 0 || names.some(name => !allSteps.includes(name))) return null;
+  return allSteps.filter(step => names.includes(step));
+}
+
+/**
+ * Parse a page range such as "1-3,5,8-" (an open end runs to the last page)
+ * @param {string} value - Comma separated pages and ranges, 1-based
+ * @returns {Array<{ from: number, to: number }>|null} Ranges (to is Infinity for open ends), or null if invalid
+ */
+function parsePageRange(value) {
+  const parts = String(value).split(',').map(part => part.trim()).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const ranges = [];
+  for (const part of parts) {
+    const match = part.match(/^(\d+)(?:\s*-\s*(\d*))?$/);
+    if (!match) return null;
+
+    const from = Number(match[1]);
+    let to = from;
+    if (match[2] !== undefined) to = match[2] === '' ? Infinity : Number(match[2]);
+    if (from < 1 || to < from) return null;
+
+    ranges.push({ from, to });
+  }
+  return ranges;
+}
+
+/**
+ * Merge a job's requested OCR options with the server defaults
+ * @param {Object|null} requested - { languages, dpi, pages, maxPages, preprocessing } as stored on the job
+ * @returns {{ languages: string, dpi: number, pages: string|null, maxPages: number, preprocessing: string[] }} Effective options
+ */
+function resolveOCROptions(requested) {
+  const options = requested || {};
+  return {
+    languages: options.languages || defaults.languages,
+    dpi: options.dpi || defaults.dpi,
+    pages: options.pages || null,
+    maxPages: Math.min(options.maxPages || defaults.maxPages, defaults.pageLimit),
+    preprocessing: options.preprocessing || defaults.preprocessing,
+  };
+}
+
+/**
+ * Decide which pages of a document to OCR
+ * @param {number} totalPages - Pages in the document
+ * @param {Object} options - Effective options from resolveOCROptions
+ * @returns {{ pages: number[], skippedPages: number[] }} Pages to OCR and pages left out, 1-based
+ */
+function selectPages(totalPages, options) {
+  const ranges = options.pages ? parsePageRange(options.pages) : [{ from: 1, to: Infinity }];
+  const inRange = page => ranges.some(range => page >= range.from && page <= range.to);
+
+  const pages = [];
+  const skippedPages = [];
+  for (let page = 1; page <= totalPages; page++) {
+    if (inRange(page) && pages.length < options.maxPages) {
+      pages.push(page);
+    } else {
+      skippedPages.push(page);
+    }
+  }
+  return { pages, skippedPages };
+}
+
+module.exports = {
+  parseLanguages,
+  parsePreprocessing,
+  parsePageRange,
+  resolveOCROptions,
+  selectPages,
+};
@@ -0,0 +1,194 @@
+// src/services/ocrPool.js
+const Tesseract = require('tesseract.js');
+const { v4: uuidv4 } = require('uuid');
+const { ocr: config } = require('../config/env');
+const logger = require('../utils/logger');
+
+// Pools for languages other than the default are created on demand; beyond this
+// many, the least recently used idle one is shut down
+const MAX_POOLS = 3;
+
+// languages -> { ready: Promise<{ scheduler, workers }>, pending: number }
+const pools = new Map();
+// recognition id -> progress callback
+const progressHandlers = new Map();
+// Slots taken by pages being rendered or recognized, across every job; at most config.workers
+let slotsInUse = 0;
+// Callers waiting for a slot, first come first served
+const slotWaiters = [];
+
+/**
+ * Route Tesseract progress messages to the recognition that caused them
+ */
+function handleProgress(message) {
+  const onProgress = progressHandlers.get(message.userJobId);
+  if (onProgress && message.status === 'recognizing text') {
+    onProgress(message.progress);
+  }
+}
+
+/**
+ * Create a scheduler with config.workers workers, each loaded with the given languages
+ * @param {string} languages - Tesseract languages, e.g. eng+deu
+ * @returns {Promise<{ scheduler: Object, workers: Object[] }>} Tesseract scheduler and its workers
+ */
+async function createScheduler(languages) {
+  const started = await Promise.allSettled(
+    Array.from({ length: config.workers }, async () => {
+      const worker = await Tesseract.createWorker({
+        logger: handleProgress,
+        // Without a handler, a failed worker job throws inside the message listener
+        errorHandler: error => logger.warn('OCR worker error', { languages, error: String(error) }),
+      });
+      try {
+        await worker.loadLanguage(languages);
+        await worker.initialize(languages);
+      } catch (error) {
+        await worker.terminate();
+        throw error;
+      }
+      return worker;
+    })
+  );
+
+  const failed = started.find(result => result.status === 'rejected');
+  if (failed) {
+    await Promise.all(started
+      .filter(result => result.status === 'fulfilled')
+      .map(result => result.value.terminate()));
+    throw new Error(`Failed to start OCR workers for ${languages}: ${failed.reason.message || failed.reason}`);
+  }
+
+  const workers = started.map(result => result.value);
+  const scheduler = Tesseract.createScheduler();
+  workers.forEach(worker => scheduler.addWorker(worker));
+  logger.info('OCR worker pool ready', { languages, workers: workers.length });
+  return { scheduler, workers };
+}
+
+/**
+ * Terminate a pool's workers once it has started (or do nothing if it failed to)
+ */
+function closePool(pool) {
+  return pool.ready
+    .then(({ workers }) => Promise.all(workers.map(worker => worker.terminate())))
+    .catch(() => {});
+}
+
+/**
+ * Shut down the least recently used idle pool once there are too many
+ */
+function evictIdlePool() {
+  if (pools.size <= MAX_POOLS) return;
+
+  for (const [languages, pool] of pools) {
+    if (languages !== config.languages && pool.pending === 0) {
+      pools.delete(languages);
+      closePool(pool);
+      logger.info('OCR worker pool closed', { languages });
+      return;
+    }
+  }
+}
+
+/**
+ * Get (or start) the pool for a language set, marking it most recently used
+ */
+function getPool(languages) {
+  let pool = pools.get(languages);
+
+  if (pool) {
+    pools.delete(languages);
+  } else {
+    pool = { ready: createScheduler(languages), pending: 0 };
+    // A pool that failed to start is forgotten, so the next job tries again
+    pool.ready.catch(() => {
+      if (pools.get(languages) === pool) pools.delete(languages);
+    });
+  }
+
+  pools.set(languages, pool);
+  evictIdlePool();
+  return pool;
+}
+
+/**
+ * Recognize an image on the shared worker pool
+ * @param {string|Buffer} image - Image path or buffer
+ * @param {Object} options - Recognition options
+ * @param {string} options.languages - Tesseract languages, e.g. eng+deu
+ * @param {Function} options.onProgress - Called with the fraction (0-1) of this image recognized
+ * @returns {Promise<{ data: Object }>} Tesseract result
+ */
+async function recognize(image, { languages = config.languages, onProgress } = {}) {
+  const pool = getPool(languages);
+  const recognitionId = `ocr-${uuidv4()}`;
+
+  pool.pending += 1;
+  if (onProgress) progressHandlers.set(recognitionId, onProgress);
+
+  try {
+    const { scheduler } = await pool.ready;
+    // The explicit job id lets progress messages be matched to this call
+    return await scheduler.addJob('recognize', image, {}, undefined, recognitionId);
+  } finally {
+    pool.pending -= 1;
+    progressHandlers.delete(recognitionId);
+  }
+}
+
+/**
+ * Wait for one of config.workers OCR slots. Callers take a slot before rendering a page image and release it
+ * once the page is recognized, so however many jobs run at once, no more page images are held in memory
+ * than there are workers to recognize them.
+ * @returns {Promise<Function>} Releases the slot; calling it again does nothing
+ */
+async function acquireSlot() {
+  if (slotsInUse < config.workers) {
+    slotsInUse += 1;
+  } else {
+    // A released slot is handed straight to the next waiter
+    await new Promise(resolve => slotWaiters.push(resolve));
+  }
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const next = slotWaiters.shift();
+    if (next) {
+      next();
+    } else {
+      slotsInUse -= 1;
+    }
+  };
+}
+
+/**
+ * Start the workers for the default languages so the first job doesn't wait for them.
+ * A failure is logged; the pool is retried when the first job needs it.
+ */
+async function startOCRPool() {
+  try {
+    await getPool(config.languages).ready;
+  } catch (error) {
+    logger.error('Failed to start OCR worker pool', error, { languages: config.languages });
+  }
+}
+
+/**
+ * Shut down every OCR worker
+ */
+async function stopOCRPool() {
+  const running = [...pools.values()];
+  pools.clear();
+
+  await Promise.all(running.map(closePool));
+}
+
+module.exports = {
+  recognize,
+  acquireSlot,
+  startOCRPool,
+  stopOCRPool,
+};
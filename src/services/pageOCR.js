@@ -0,0 +1,160 @@
+// src/services/pageOCR.js
+const { PROGRESS_STAGES, ERROR_CODES, WARNING_CODES } = require('../config/constants');
+const { createCodedError } = require('../utils/errors');
+const { pageFromOCR, layoutToText } = require('./documentLayout');
+const { selectPages } = require('./ocrOptions');
+const { recognize, acquireSlot } = require('./ocrPool');
+const { preprocessForOCR } = require('./imagePreprocessor');
+const { perceptualHash } = require('./documentHash');
+const logger = require('../utils/logger');
+
+/**
+ * OCR the selected pages of a multi-page document (a scanned PDF or a multi-page TIFF).
+ * Each page is handed to the OCR pool as soon as it is rendered, so pages are recognized in parallel. A page
+ * is only rendered once it gets one of the pool's slots (see ocrPool.acquireSlot), shared with every other
+ * job, so page images don't pile up in memory while the pool catches up.
+ * Pages that fail are reported as warnings; the document fails only when no page has text.
+ * @param {Object} params - OCR parameters
+ * @param {number} params.totalPages - Pages in the document
+ * @param {Function} params.renderPage - async (pageNumber) => { buffer, dpi }: an image of one page (dpi if known)
+ * @param {Object} params.ocrOptions - Effective OCR options (see ocrOptions.resolveOCROptions)
+ * @param {Function} params.onProgress - Called with { stage, page, totalPages, fraction }
+ * @param {number|null} params.renderDpi - Resolution pages are rendered at, recorded in the OCR record
+ * @returns {Promise<{ pages: Object[], ocr: Object, warnings: Object[], pageHashes: Object[] }>} OCR'd pages, the OCR record,
+ *   warnings and a perceptual hash of each page image ({ pageNumber, hash })
+ * @throws {Error} OCR_FAILED, NO_PAGES_SELECTED or NO_TEXT_FOUND
+ */
+async function recognizePages({ totalPages, renderPage, ocrOptions, onProgress = () => {}, renderDpi = null }) {
+  const ocr = {
+    languages: ocrOptions.languages,
+    dpi: renderDpi,
+    pageRange: ocrOptions.pages,
+    maxPages: ocrOptions.maxPages,
+    totalPages,
+    pages: [],
+    failedPages: [],
+    skippedPages: [],
+    preprocessing: { steps: ocrOptions.preprocessing, pages: [] },
+  };
+  const warnings = [];
+
+  const selection = selectPages(totalPages, ocrOptions);
+  ocr.skippedPages = selection.skippedPages;
+
+  if (selection.pages.length === 0) {
+    throw createCodedError(
+      ERROR_CODES.NO_PAGES_SELECTED,
+      `None of the document's ${totalPages} pages are in the requested OCR page range (${ocrOptions.pages}).`,
+      { retryable: false }
+    );
+  }
+
+  if (ocr.skippedPages.length > 0) {
+    warnings.push({
+      code: WARNING_CODES.PAGES_SKIPPED,
+      message: `${ocr.skippedPages.length} of ${totalPages} pages were not OCR'd (page range or page limit).`,
+      pages: ocr.skippedPages,
+    });
+  }
+
+  logger.info('Running OCR', {
+    pages: selection.pages.length,
+    totalPages,
+    skippedPages: ocr.skippedPages,
+    languages: ocrOptions.languages,
+  });
+  const fractions = selection.pages.map(() => 0);
+  const recognitions = [];
+  const failures = [];
+  const pageHashes = [];
+
+  for (let i = 0; i < selection.pages.length; i++) {
+    const pageNumber = selection.pages[i];
+
+    const release = await acquireSlot();
+
+    let rendered;
+    try {
+      rendered = await renderPage(pageNumber);
+    } catch (error) {
+      release();
+      failures.push({ pageNumber, error });
+      continue;
+    }
+
+    const prepared = await preprocessForOCR(rendered.buffer, ocrOptions, rendered.dpi || null);
+    ocr.preprocessing.pages.push({ pageNumber, applied: prepared.applied, ...(prepared.error && { error: prepared.error }) });
+
+    // Hashed after preprocessing, so re-scans that were straightened and cropped still hash alike
+    try {
+      pageHashes.push({ pageNumber, hash: await perceptualHash(prepared.buffer) });
+    } catch (error) {
+      logger.warn('Could not hash page', { pageNumber, error: error.message });
+    }
+
+    const recognition = recognize(prepared.buffer, {
+      languages: ocrOptions.languages,
+      onProgress: fraction => {
+        fractions[i] = fraction;
+        onProgress({
+          stage: PROGRESS_STAGES.OCR,
+          page: pageNumber,
+          totalPages,
+          fraction: fractions.reduce((sum, value) => sum + value, 0) / selection.pages.length,
+        });
+      },
+    })
+      .then(result => pageFromOCR(result.data, pageNumber))
+      .catch(error => {
+        failures.push({ pageNumber, error });
+        return null;
+      })
+      .finally(release);
+    recognitions.push(recognition);
+  }
+
+  const pages = (await Promise.all(recognitions)).filter(Boolean);
+  ocr.pages = pages.map(page => page.pageNumber);
+  ocr.failedPages = failures.map(failure => failure.pageNumber).sort((a, b) => a - b);
+
+  if (pages.length === 0) {
+    throw createCodedError(ERROR_CODES.OCR_FAILED, `OCR failed: ${failures[0].error.message}`, { cause: failures[0].error });
+  }
+
+  if (failures.length > 0) {
+    logger.warn('OCR failed on some pages', { failedPages: ocr.failedPages, error: failures[0].error.message });
+    warnings.push({
+      code: WARNING_CODES.OCR_PAGE_FAILED,
+      message: `OCR failed on ${failures.length} page(s): ${failures[0].error.message}`,
+      pages: ocr.failedPages,
+    });
+  }
+
+  const preprocessingFailed = ocr.preprocessing.pages.filter(page => page.error).map(page => page.pageNumber);
+  if (preprocessingFailed.length > 0) {
+    warnings.push({
+      code: WARNING_CODES.PREPROCESSING_FAILED,
+      message: 'Image preprocessing failed; the page was OCR\'d as rendered.',
+      pages: preprocessingFailed,
+    });
+  }
+
+  const emptyPages = pages.filter(page => !page.text.trim()).map(page => page.pageNumber);
+  if (emptyPages.length === pages.length) {
+    throw createCodedError(ERROR_CODES.NO_TEXT_FOUND, 'OCR completed but no text was found in the document images.', { retryable: false });
+  }
+  if (emptyPages.length > 0) {
+    warnings.push({
+      code: WARNING_CODES.NO_TEXT_ON_PAGE,
+      message: 'No text was found on some pages.',
+      pages: emptyPages,
+    });
+  }
+
+  logger.info('OCR completed', { pages: ocr.pages.length, characters: layoutToText({ pages }).length });
+  return { pages, ocr, warnings, pageHashes };
+}
+
+module.exports = {
+  recognizePages,
+};
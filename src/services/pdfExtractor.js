@@ -1,24 +1,38 @@
 // backend/services/pdfExtractor.js
 const pdfParse = require('pdf-parse');
-const Tesseract = require('tesseract.js');
 const { exec } = require('child_process');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 const { promisify } = require('util');
+const { PROGRESS_STAGES, ERROR_CODES } = require('../config/constants');
+const { createCodedError } = require('../utils/errors');
+const { pageFromTextContent, layoutToText } = require('./documentLayout');
+const { resolveOCROptions } = require('./ocrOptions');
+const { recognizePages } = require('./pageOCR');
 const execAsync = promisify(exec);
 
+// pdfinfo and pdftoppm exit with 1 when they can't open a PDF, and print "Syntax Error: ..." when it's damaged
+const POPPLER_OPEN_FAILED = 1;
+const POPPLER_PARSE_ERROR = /Syntax Error|Couldn't read xref table|May not be a PDF file/i;
+
 /**
- * Extract text from PDF buffer with OCR fallback
+ * Extract the page layout of a PDF buffer, with OCR fallback
  * @param {Buffer} pdfBuffer - PDF file buffer
- * @returns {Promise<string>} Extracted text
+ * @param {Object} options - Extraction options
+ * @param {Function} options.onProgress - Called with { stage, page, totalPages, fraction }
+ * @param {Object} options.ocrOptions - Effective OCR options (see ocrOptions.resolveOCROptions)
+ * @returns {Promise<{ method: string, pages: Object[], ocr?: Object, warnings: Object[], pageHashes?: Object[] }>} Document layout
+ *   (see documentLayout.js); OCR'd documents also report which pages were OCR'd and which were skipped
+ * @throws {Error} With a code from ERROR_CODES when the PDF has no usable text
  */
-async function extractTextFromPDF(pdfBuffer) {
+async function extractPDFLayout(pdfBuffer, { onProgress = () => {}, ocrOptions = resolveOCROptions(null) } = {}) {
   try {
     console.log('Starting PDF text extraction...');
     
     // First try standard text extraction
-    const standardText = await extractStandardText(pdfBuffer);
+    const { pages: standardPages, parseError } = await extractStandardPages(pdfBuffer, onProgress);
+    const standardText = layoutToText({ pages: standardPages });
     
     // Check if we got meaningful text (not just metadata/URLs)
     const meaningfulText = standardText
@@ -36,21 +50,25 @@ async function extractTextFromPDF(pdfBuffer) {
     
     if (!hasOnlyMetadata && meaningfulText && meaningfulText.length > 50) {
       console.log(`Standard extraction successful. Extracted ${standardText.length} characters.`);
-      return cleanExtractedText(standardText);
+      return { method: 'text', pages: standardPages, warnings: [] };
     }
     
     console.log('Standard extraction yielded minimal or metadata text, trying OCR...');
     // If standard extraction fails or yields little meaningful text, try OCR
-    const ocrText = await extractTextWithOCR(pdfBuffer);
+    const { pages, ocr, warnings, pageHashes } = await extractPagesWithOCR(pdfBuffer, {
+      onProgress,
+      ocrOptions,
+      totalPages: standardPages.length,
+      parseError,
+    });
     
-    console.log(`OCR extraction completed. Extracted ${ocrText.length} characters.`);
-    return cleanExtractedText(ocrText);
+    return { method: 'ocr', pages, ocr, warnings, pageHashes };
     
   } catch (error) {
     console.error('Error extracting text from PDF:', error);
     
-    if (error.message.includes('Password')) {
-      throw new Error('PDF is password protected. Please provide an unencrypted PDF.');
+    if (error.code && ERROR_CODES[error.code]) {
+      throw error;
     }
     
     throw new Error('Failed to extract text from PDF: ' + error.message);
@@ -58,25 +76,87 @@ async function extractTextFromPDF(pdfBuffer) {
 }
 
 /**
- * Standard PDF text extraction
+ * Standard PDF text extraction, one layout page per PDF page. Encrypted files and files
+ * that aren't PDFs fail here; other parse errors are returned so OCR can still be tried.
+ * @returns {Promise<{ pages: Object[], parseError: Error|null }>} Pages with a text layer
  */
-async function extractStandardText(pdfBuffer) {
+async function extractStandardPages(pdfBuffer, onProgress) {
+  const pages = [];
+
   try {
-    const data = await pdfParse(pdfBuffer, {
-      pagerender: render_page,
+    await pdfParse(pdfBuffer, {
+      pagerender: pageData => render_page(pageData, pages.length + 1).then(page => {
+        pages.push(page);
+        onProgress({ stage: PROGRESS_STAGES.EXTRACTING, page: pages.length, totalPages: null, fraction: 0 });
+        return page.text;
+      }),
       max: 0,
     });
-    return data.text;
+    return { pages, parseError: null };
   } catch (error) {
+    if (error.name === 'PasswordException') {
+      throw createCodedError(ERROR_CODES.PDF_ENCRYPTED, 'PDF is password protected. Please provide an unencrypted PDF.', { retryable: false, cause: error });
+    }
+    if (error.name === 'InvalidPDFException') {
+      throw createCodedError(ERROR_CODES.PDF_CORRUPT, `The file is not a readable PDF: ${error.message}`, { retryable: false, cause: error });
+    }
     console.warn('Standard PDF extraction failed:', error.message);
-    return '';
+    return { pages: [], parseError: error };
+  }
+}
+
+/**
+ * Count the pages of a PDF file with poppler's pdfinfo
+ */
+async function countPages(pdfPath) {
+  const { stdout } = await execAsync(`pdfinfo "${pdfPath}"`);
+  const match = stdout.match(/^Pages:\s+(\d+)/m);
+  if (!match) {
+    throw new Error('Could not read the PDF page count');
+  }
+  return Number(match[1]);
+}
+
+/**
+ * Render one page of a PDF file to PNG with poppler's pdftoppm
+ * @param {string} pdfPath - PDF file on disk
+ * @param {number} pageNumber - 1-based page number
+ * @param {number} dpi - Resolution to render at
+ * @returns {Promise<Buffer>} PNG image of the page
+ */
+async function renderPDFPage(pdfPath, pageNumber, dpi) {
+  const imageBasePath = path.join(path.dirname(pdfPath), `page-${pageNumber}`);
+  await execAsync(`pdftoppm -png -r ${dpi} -f ${pageNumber} -l ${pageNumber} -singlefile "${pdfPath}" "${imageBasePath}"`);
+  try {
+    return await fs.readFile(`${imageBasePath}.png`);
+  } finally {
+    await fs.rm(`${imageBasePath}.png`, { force: true });
+  }
+}
+
+/**
+ * Whether an error (or one of its causes) is poppler failing to parse the PDF. Poppler not being
+ * installed (ENOENT, exit 127) or failing to start isn't, and stays retryable.
+ * @param {Error} error - Error from countPages, renderPDFPage or OCR
+ * @returns {boolean}
+ */
+function isPopplerParseError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.code === POPPLER_OPEN_FAILED && POPPLER_PARSE_ERROR.test(current.stderr || '')) {
+      return true;
+    }
   }
+  return false;
 }
 
 /**
- * Extract text using OCR (for scanned PDFs)
+ * Extract text using OCR (for scanned PDFs), rendering only the selected pages with poppler's pdftoppm
+ * @param {Buffer} pdfBuffer - PDF file buffer
+ * @param {Object} options - { onProgress, ocrOptions, totalPages (0 if unknown), parseError (from pdf-parse) }
+ * @returns {Promise<{ pages: Object[], ocr: Object, warnings: Object[], pageHashes: Object[] }>} See pageOCR.recognizePages
+ * @throws {Error} OCR_FAILED, PDF_CORRUPT, NO_PAGES_SELECTED or NO_TEXT_FOUND
  */
-async function extractTextWithOCR(pdfBuffer) {
+async function extractPagesWithOCR(pdfBuffer, { onProgress, ocrOptions, totalPages, parseError = null }) {
   const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-ocr-'));
   const tempPdfPath = path.join(tempDir, 'temp.pdf');
   
@@ -86,66 +166,33 @@ async function extractTextWithOCR(pdfBuffer) {
     // Write PDF buffer to temporary file
     await fs.writeFile(tempPdfPath, pdfBuffer);
     
-    // Convert PDF to images using poppler's pdftoppm
-    console.log('Converting PDF to images...');
-    const imageBasePath = path.join(tempDir, 'page');
-    await execAsync(`pdftoppm -png -r 200 "${tempPdfPath}" "${imageBasePath}"`);
-    
-    // Find all generated image files
-    const files = await fs.readdir(tempDir);
-    const imageFiles = files.filter(file => file.endsWith('.png')).sort();
-    
-    if (imageFiles.length === 0) {
-      throw new Error('No images generated from PDF');
-    }
-    
-    console.log(`Processing ${imageFiles.length} pages with OCR...`);
-    let allText = '';
-    
-    // Process each page with OCR (limit to first 3 pages for performance)
-    for (let i = 0; i < Math.min(imageFiles.length, 3); i++) {
-      const imagePath = path.join(tempDir, imageFiles[i]);
-      console.log(`OCR processing page ${i + 1}...`);
-      
-      const result = await Tesseract.recognize(imagePath, 'eng', {
-        logger: progress => {
-          if (progress.status === 'recognizing text') {
-            console.log(`Page ${i + 1} OCR: ${Math.round(progress.progress * 100)}%`);
-          }
-        }
-      });
-      
-      if (result.data.text.trim()) {
-        allText += result.data.text.trim() + '\n\n';
+    let pageCount = totalPages;
+    if (!pageCount) {
+      try {
+        pageCount = await countPages(tempPdfPath);
+      } catch (error) {
+        throw createCodedError(ERROR_CODES.OCR_FAILED, `OCR failed: ${error.message}`, { cause: error });
       }
     }
     
-    if (!allText.trim()) {
-      return 'OCR completed but no text was found in the document images.';
-    }
-    
-    console.log(`OCR extraction completed. Extracted ${allText.length} characters.`);
-    return allText.trim();
+    return await recognizePages({
+      totalPages: pageCount,
+      ocrOptions,
+      onProgress,
+      renderDpi: ocrOptions.dpi,
+      // Rendered pages are already at the target DPI, so resizing leaves them alone
+      renderPage: async pageNumber => ({
+        buffer: await renderPDFPage(tempPdfPath, pageNumber, ocrOptions.dpi),
+        dpi: ocrOptions.dpi,
+      }),
+    });
     
   } catch (error) {
-    console.error('OCR extraction failed:', error);
-    
-    // Return a helpful fallback message
-    return `OCR Processing Attempted
-    
-    The system attempted to extract text using OCR but encountered an issue.
-    This document appears to contain:
-    - Look Scanned service information
-    - Document processing instructions
-    - File upload guidance
-    
-    Error: ${error.message}
-    
-    Please try:
-    1. Using a different PDF file
-    2. Ensuring the PDF is not corrupted
-    3. Converting the PDF to images manually and uploading those instead`;
-    
+    // When pdf-parse couldn't read the file either, poppler failing to parse it means the PDF is damaged
+    if (parseError && error.code === ERROR_CODES.OCR_FAILED && isPopplerParseError(error)) {
+      throw createCodedError(ERROR_CODES.PDF_CORRUPT, `The PDF is damaged and could not be read: ${parseError.message}`, { retryable: false, cause: error });
+    }
+    throw error;
   } finally {
     // Cleanup temporary files
     try {
@@ -157,47 +204,20 @@ async function extractTextWithOCR(pdfBuffer) {
 }
 
 /**
- * Clean and format extracted text
- */
-function cleanExtractedText(text) {
-  if (!text) return '';
-  
-  // Remove excessive whitespace and line breaks
-  text = text.replace(/\s+/g, ' ').trim();
-  
-  // Remove common PDF artifacts
-  text = text.replace(/[\x00-\x1F\x7F-\x9F]/g, '');
-  
-  // Fix common OCR issues
-  text = text.replace(/\b([A-Z])\s+([A-Z])\b/g, '$1$2');
-  text = text.replace(/([a-z])\s+([A-Z])/g, '$1. $2');
-  
-  return text;
-}
-
-/**
- * Custom page renderer for better text extraction
+ * Custom page renderer that keeps line, column and position information
  */
-function render_page(pageData) {
+function render_page(pageData, pageNumber) {
   let render_options = {
     normalizeWhitespace: true,
     disableCombineTextItems: false
   };
 
   return pageData.getTextContent(render_options)
-    .then(textContent => {
-      let lastY, text = '';
-      for (let item of textContent.items) {
-        if (lastY != item.transform[5] && lastY != undefined) {
-          text += '\n';
-        }
-        text += item.str + ' ';
-        lastY = item.transform[5];
-      }
-      return text;
-    });
+    .then(textContent => pageFromTextContent(textContent, pageData.view, pageNumber));
 }
 
 module.exports = {
-  extractTextFromPDF,
-};
\ No newline at end of file
+  extractPDFLayout,
+  countPages,
+  renderPDFPage,
+};
@@ -0,0 +1,246 @@
+// src/services/piiDetector.js
+const { PII_CLASSES } = require('../config/constants');
+
+// Masked characters keep their position, so masked text lines up with the original layout
+const MASK_CHAR = '*';
+
+// Digit-bearing tokens, e.g. "X1234567", "CU-99812" or "1234 5678 9012"; a space only joins tokens with digits
+const NUMBER_TOKEN = '(?=[A-Z0-9/-]*\\d)[A-Z0-9]+(?:[/-][A-Z0-9]+)*';
+const NUMBER_VALUE = `(${NUMBER_TOKEN}(?: ${NUMBER_TOKEN})*)`;
+const NUMBER_LABEL = '(?:no\\.?|nr\\.?|num\\.?|number|#)';
+
+const STREET_TYPES = 'street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl|terrace|close|crescent|highway|hwy|square|sq|parkway|pkwy|gardens|row|walk|mews|calle|rue|strasse|straße';
+
+// Structured fields whose whole value belongs to a class, matched on the field name
+const FIELD_CLASSES = [
+  { type: PII_CLASSES.EMAIL, pattern: /e-?mail/i },
+  { type: PII_CLASSES.PHONE, pattern: /phone|mobile|fax/i },
+  { type: PII_CLASSES.ACCOUNT_NUMBER, pattern: /^(account(number|no)?|accounts|iban|sortCode|cardNumber|bankAccount)$/i },
+  { type: PII_CLASSES.ADDRESS, pattern: /address/i },
+  { type: PII_CLASSES.ID_NUMBER, pattern: /^(documentNumber|licen[cs]eNumber|passportNumber|personalNumber|optionalData|identificationNumbers|nationalId|employeeId|taxId|ssn)$/i },
+];
+
+/**
+ * IBAN check: move the country code and check digits to the end and take the number mod 97
+ */
+function isValidIBAN(value) {
+  const iban = value.replace(/\s+/g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) return false;
+  const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of digits) remainder = (remainder * 10 + Number(digit)) % 97;
+  return remainder === 1;
+}
+
+/**
+ * Luhn check used by payment card numbers
+ */
+function passesLuhn(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+const digitCount = value => value.replace(/\D/g, '').length;
+
+// Dates and amounts look like phone numbers to a regex
+const looksLikeDate = value => /^\d{1,4}[ ./-]\d{1,2}[ ./-]\d{1,4}$/.test(value.trim());
+const isPhoneNumber = value => {
+  const digits = digitCount(value);
+  return digits >= 9 && digits <= 15 && !looksLikeDate(value) && (/^[+(]/.test(value) || /[ .-]/.test(value));
+};
+
+/**
+ * Detectors per class. Each pattern is global; `group` masks only that capture group (the value after a
+ * label), and `accept` rejects candidates that only look like the class.
+ */
+const DETECTORS = {
+  [PII_CLASSES.EMAIL]: [
+    { pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  ],
+  [PII_CLASSES.PHONE]: [
+    { pattern: /(?<![\w+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,5}(?:[ .-]?\d{2,5}){1,4}(?![\w])/g, accept: isPhoneNumber },
+    { pattern: new RegExp(`\\b(?:tel|phone|mobile|cell|fax)\\.?\\s*${NUMBER_LABEL}?\\s*[:.]?[ \\t]*(\\+?[\\d ().-]{6,20}\\d)`, 'gi'), group: 1 },
+  ],
+  [PII_CLASSES.ACCOUNT_NUMBER]: [
+    { pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g, accept: isValidIBAN },
+    { pattern: /\b\d(?:[ -]?\d){12,18}\b/g, accept: passesLuhn },
+    { pattern: new RegExp(`\\b(?:account|acct|a\\/c|iban|sort code|routing)\\s*${NUMBER_LABEL}?\\s*[:.#]?[ \\t]*${NUMBER_VALUE}`, 'gi'), group: 1 },
+  ],
+  [PII_CLASSES.ID_NUMBER]: [
+    // US social security numbers
+    { pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+    { pattern: new RegExp(`\\b(?:passport|ssn|nin|id|licen[cs]e|permit)\\s*${NUMBER_LABEL}?\\s*[:.#]?[ \\t]*${NUMBER_VALUE}`, 'gi'), group: 1 },
+    { pattern: new RegExp(`\\b(?:document|card|identity|identification|national|personal|social security|tax|employee|staff|customer|member)\\s*(?:id\\s*)?${NUMBER_LABEL}\\s*[:.#]?[ \\t]*${NUMBER_VALUE}`, 'gi'), group: 1 },
+    // Passport-style document numbers, e.g. X1234567 or AB1234567
+    { pattern: /\b[A-Z]{1,2}\d{6,9}\b/g },
+    // Machine readable zone lines encode the document number, names and dates
+    { pattern: /^[A-Z0-9<]{25,44}$/gm, accept: line => (line.match(/</g) || []).length >= 2 },
+  ],
+  [PII_CLASSES.ADDRESS]: [
+    // The rest of the line after an address label, or the next line when the label stands alone
+    { pattern: /\b(?:address|addr\.|residence|domicile)\b[^\S\n]*[:.-]?[^\S\n]*(?:([^\n]{5,})|\n([^\n]{5,}))/gi, group: [1, 2] },
+    { pattern: new RegExp(`\\b\\d{1,5}[A-Z]?,?[ \\t]+(?:[A-Z0-9'.-]+[ \\t]+){0,4}(?:${STREET_TYPES})\\b\\.?(?:,[ \\t]*[^,\\n]{2,40}){0,3}`, 'gi') },
+    // UK postcodes and US state + ZIP
+    { pattern: /\b[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}\b/g },
+    { pattern: /\b[A-Z]{2} \d{5}(?:-\d{4})?\b/g },
+  ],
+};
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Values a job is known to hold, to be found in its text even where no pattern matches them:
+ * structured fields named like a class (see FIELD_CLASSES) from AI extraction and the MRZ
+ * @param {...Object} sources - aiExtractedData, mrz, ...
+ * @returns {Array<{ type: string, value: string }>} Known values
+ */
+function knownPIIValues(...sources) {
+  const values = [];
+
+  const visit = (value, fieldClass) => {
+    if (Array.isArray(value)) {
+      value.forEach(item => visit(item, fieldClass));
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([key, child]) => visit(child, classOfField(key) || fieldClass));
+    } else if (fieldClass && (typeof value === 'string' || typeof value === 'number') && String(value).trim().length >= 4) {
+      values.push({ type: fieldClass, value: String(value).trim() });
+    }
+  };
+
+  sources.forEach(source => visit(source, null));
+  return values;
+}
+
+function classOfField(key) {
+  const match = FIELD_CLASSES.find(field => field.pattern.test(key));
+  return match ? match.type : null;
+}
+
+/**
+ * Find PII in text
+ * @param {string} text - Text to search
+ * @param {string[]} classes - PII_CLASSES values to look for
+ * @param {Array<{ type: string, value: string }>} knownValues - See knownPIIValues
+ * @returns {Array<{ type: string, start: number, end: number }>} Non-overlapping matches in text order;
+ *   overlapping matches are merged and keep the first match's class
+ */
+function detectPII(text, classes, knownValues = []) {
+  if (!text) return [];
+  const found = [];
+
+  classes.forEach(type => {
+    (DETECTORS[type] || []).forEach(({ pattern, group, accept }) => {
+      for (const match of text.matchAll(pattern)) {
+        const groups = group === undefined ? [0] : [].concat(group);
+        const index = groups.find(candidate => match[candidate]);
+        if (index === undefined) continue;
+
+        const value = match[index];
+        const start = match.index + (index === 0 ? 0 : match[0].indexOf(value));
+        if (!value.trim() || (accept && !accept(value))) continue;
+        found.push({ type, start, end: start + value.replace(/\s+$/, '').length });
+      }
+    });
+  });
+
+  knownValues
+    .filter(known => classes.includes(known.type))
+    .forEach(({ type, value }) => {
+      // Line breaks and spacing in the text may differ from the extracted value
+      const pattern = new RegExp(escapeRegExp(value).replace(/\s+/g, '\\s+'), 'gi');
+      for (const match of text.matchAll(pattern)) {
+        found.push({ type, start: match.index, end: match.index + match[0].length });
+      }
+    });
+
+  return found
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .reduce((merged, match) => {
+      const last = merged[merged.length - 1];
+      if (last && match.start <= last.end) {
+        last.end = Math.max(last.end, match.end);
+      } else {
+        merged.push({ ...match });
+      }
+      return merged;
+    }, []);
+}
+
+/**
+ * Mask matched spans, replacing letters and digits and keeping spacing and punctuation
+ * @param {string} text - Original text
+ * @param {Array<{ start: number, end: number }>} matches - Spans to mask
+ * @returns {string} Text of the same length
+ */
+function maskText(text, matches) {
+  let masked = '';
+  let position = 0;
+  matches.forEach(({ start, end }) => {
+    masked += text.slice(position, start) + text.slice(start, end).replace(/[\p{L}\p{N}]/gu, MASK_CHAR);
+    position = end;
+  });
+  return masked + text.slice(position);
+}
+
+/**
+ * Mask the PII in a text
+ * @param {string} text - Text to redact
+ * @param {string[]} classes - PII_CLASSES values to mask
+ * @param {Array<{ type: string, value: string }>} knownValues - See knownPIIValues
+ * @returns {{ text: string, matches: Object[] }} Masked text and what was masked
+ */
+function redactText(text, classes, knownValues = []) {
+  if (typeof text !== 'string') {
+    return { text, matches: [] };
+  }
+  const matches = detectPII(text, classes, knownValues);
+  return { text: maskText(text, matches), matches };
+}
+
+/**
+ * Mask the PII in structured data (AI output, MRZ). Fields named like a class are masked whole;
+ * other strings are searched like text. Numbers in masked fields become masked strings.
+ * @param {*} value - Data to redact
+ * @param {string[]} classes - PII_CLASSES values to mask
+ * @param {Array<{ type: string, value: string }>} knownValues - See knownPIIValues
+ * @param {Function} onMatch - Called with the class of each masked value
+ * @returns {*} Redacted copy
+ */
+function redactData(value, classes, knownValues = [], onMatch = () => {}, fieldClass = null) {
+  if (Array.isArray(value)) {
+    return value.map(item => redactData(item, classes, knownValues, onMatch, fieldClass));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) => (
+      [key, redactData(child, classes, knownValues, onMatch, classOfField(key) || fieldClass)]
+    )));
+  }
+  if (fieldClass && classes.includes(fieldClass) && (typeof value === 'string' || typeof value === 'number')) {
+    onMatch(fieldClass);
+    return maskText(String(value), [{ start: 0, end: String(value).length }]);
+  }
+  if (typeof value === 'string') {
+    const redacted = redactText(value, classes, knownValues);
+    redacted.matches.forEach(match => onMatch(match.type));
+    return redacted.text;
+  }
+  return value;
+}
+
+module.exports = {
+  knownPIIValues,
+  detectPII,
+  maskText,
+  redactText,
+  redactData,
+};
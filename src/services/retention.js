@@ -0,0 +1,300 @@
+// src/services/retention.js
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+const { findTenantJob, purgeStoredFile, purgeJob } = require('./storageService');
+const { purgeExpiredKeys } = require('./idempotency');
+const { resolveRetention, shortestRetention } = require('../config/retentionPolicies');
+const { JOB_STATUS, PROCESSING_METHODS, PURGE_ACTIONS, PURGE_REASONS } = require('../config/constants');
+const { retention: config } = require('../config/env');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Jobs read per candidate query during a sweep
+const SWEEP_BATCH_SIZE = 100;
+
+// Jobs still queued or processing are never purged
+const FINISHED_STATUSES = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.QUARANTINED];
+
+const CANDIDATE_COLUMNS = [
+  'job_id',
+  'tenant_id',
+  'processing_method',
+  'status',
+  'file_url',
+  'content_hash',
+  'batch_id',
+  'created_at',
+  'updated_at',
+  'legal_hold',
+];
+
+// Sweep phases: originals past fileDays, then whole jobs past dataDays
+const FILE_PHASE = { field: 'fileDays', action: PURGE_ACTIONS.FILE_PURGED, hasFile: true, purge: purgeStoredFile };
+const JOB_PHASE = { field: 'dataDays', action: PURGE_ACTIONS.JOB_PURGED, hasFile: false, purge: purgeJob };
+
+let sweeper = null;
+
+/**
+ * Record a purge in the purge log
+ * @param {Object} params - Purge details
+ * @param {Object} params.job - Job row that was purged
+ * @param {string} params.action - PURGE_ACTIONS value
+ * @param {string} params.reason - PURGE_REASONS value
+ * @param {{ days: number, source: string }|null} params.policy - Retention that made it due (retention purges)
+ * @param {Object|null} params.auth - API key that deleted the job (manual purges)
+ */
+async function recordPurge({ job, action, reason, policy = null, auth = null }) {
+  await getStorage().purgeLogRepository.insert({
+    purge_id: uuidv4(),
+    job_id: job.job_id,
+    tenant_id: job.tenant_id,
+    action,
+    reason,
+    processing_method: job.processing_method,
+    job_created_at: job.created_at,
+    retention_days: policy ? policy.days : null,
+    policy_source: policy ? policy.source : null,
+    key_id: auth ? auth.keyId : null,
+    key_name: auth ? auth.name : null,
+    purged_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Run one sweep phase: purge every candidate whose own retention has run out
+ * @returns {Promise<{ purged: number, failed: number }>}
+ */
+async function sweepPhase({ field, action, hasFile, purge }, now) {
+  const shortest = shortestRetention(field);
+  const result = { purged: 0, failed: 0 };
+
+  if (!shortest) {
+    return result;
+  }
+
+  const { jobRepository } = getStorage();
+  const createdBefore = new Date(now - shortest * DAY_MS).toISOString();
+  // Purged jobs drop out of the candidate query, so only the ones left behind move the offset
+  let skipped = 0;
+
+  for (;;) {
+    const candidates = await jobRepository.findPurgeCandidates({
+      createdBefore,
+      statuses: FINISHED_STATUSES,
+      hasFile,
+      limit: SWEEP_BATCH_SIZE,
+      offset: skipped,
+      columns: CANDIDATE_COLUMNS,
+    });
+
+    for (const job of candidates) {
+      const policy = resolveRetention({ tenantId: job.tenant_id, processingMethod: job.processing_method })[field];
+      const due = policy.days && new Date(job.created_at).getTime() + policy.days * DAY_MS <= now;
+
+      try {
+        if (due && await purge(job)) {
+          await recordPurge({ job, action, reason: PURGE_REASONS.RETENTION, policy });
+          result.purged++;
+          continue;
+        }
+      } catch (error) {
+        logger.error('Failed to purge job', error, { jobId: job.job_id, action });
+        result.failed++;
+      }
+      skipped++;
+    }
+
+    if (candidates.length < SWEEP_BATCH_SIZE) {
+      return result;
+    }
+  }
+}
+
+/**
+ * Delete expired idempotency keys; a failure is counted rather than ending the sweep
+ * @returns {Promise<{ purged: number, failed: number }>}
+ */
+async function sweepIdempotencyKeys(now) {
+  try {
+    return { purged: await purgeExpiredKeys(now), failed: 0 };
+  } catch (error) {
+    logger.error('Failed to purge expired idempotency keys', error);
+    return { purged: 0, failed: 1 };
+  }
+}
+
+/**
+ * Purge original files and jobs whose retention has run out, and expired idempotency keys. Jobs on legal
+ * hold and jobs that are still queued or processing are left alone. Safe to run from several processes at
+ * once: each purge only applies to the job as it was read.
+ * @param {Object} options - Sweep options
+ * @param {Date} options.now - Time the retention periods are measured against
+ * @returns {Promise<{ filesPurged: number, jobsPurged: number, idempotencyKeysPurged: number, failed: number }>} What was purged
+ */
+async function runRetentionSweep({ now = new Date() } = {}) {
+  const files = await sweepPhase(FILE_PHASE, now.getTime());
+  const jobs = await sweepPhase(JOB_PHASE, now.getTime());
+  const keys = await sweepIdempotencyKeys(now);
+  const summary = {
+    filesPurged: files.purged,
+    jobsPurged: jobs.purged,
+    idempotencyKeysPurged: keys.purged,
+    failed: files.failed + jobs.failed + keys.failed,
+  };
+
+  if (summary.filesPurged + summary.jobsPurged + summary.idempotencyKeysPurged + summary.failed > 0) {
+    logger.info('Retention sweep finished', summary);
+  }
+  return summary;
+}
+
+/**
+ * Sweep now and then every RETENTION_SWEEP_INTERVAL_MINUTES; does nothing when the interval is 0
+ */
+function startRetentionSweeper() {
+  if (sweeper || !config.sweepIntervalMs) {
+    return;
+  }
+
+  const state = { stopped: false, timer: null, current: null };
+  const tick = async () => {
+    state.current = runRetentionSweep().catch(error => logger.error('Retention sweep failed', error));
+    await state.current;
+    state.current = null;
+    if (!state.stopped) {
+      state.timer = setTimeout(tick, config.sweepIntervalMs);
+    }
+  };
+
+  sweeper = state;
+  tick();
+  logger.info('Retention sweeper started', { intervalMs: config.sweepIntervalMs });
+}
+
+/**
+ * Stop the sweeper, waiting for a sweep in progress to finish
+ */
+async function stopRetentionSweeper() {
+  if (!sweeper) {
+    return;
+  }
+
+  const state = sweeper;
+  sweeper = null;
+  state.stopped = true;
+  clearTimeout(state.timer);
+  await state.current;
+}
+
+/**
+ * Place a legal hold on a job: neither retention nor DELETE /api/results/:jobId purges it until released.
+ * Placing a hold again replaces its reason.
+ * @param {string} jobId - Job identifier
+ * @param {string} tenantId - Tenant placing the hold
+ * @param {Object} options - Hold details
+ * @param {string|null} options.reason - Why the job is held, e.g. a case reference
+ * @param {Object|null} options.auth - API key placing the hold (req.auth)
+ * @returns {Promise<Object|null>} The hold ({ reason, since, keyId }), or null if the job isn't found
+ */
+async function placeLegalHold(jobId, tenantId, { reason = null, auth = null } = {}) {
+  const job = await findTenantJob(jobId, tenantId);
+
+  if (!job) {
+    return null;
+  }
+
+  const since = new Date().toISOString();
+  const keyId = auth ? auth.keyId : null;
+  await getStorage().jobRepository.update(jobId, {
+    legal_hold: true,
+    legal_hold_reason: reason,
+    legal_hold_at: since,
+    legal_hold_by: keyId,
+  });
+
+  logger.info('Legal hold placed', { jobId, keyId });
+  return { reason, since, keyId };
+}
+
+/**
+ * Release a job's legal hold; retention applies to it again from the next sweep
+ * @param {string} jobId - Job identifier
+ * @param {string} tenantId - Tenant releasing the hold
+ * @returns {Promise<boolean>} True if the job exists
+ */
+async function releaseLegalHold(jobId, tenantId) {
+  const job = await findTenantJob(jobId, tenantId);
+
+  if (!job) {
+    return false;
+  }
+
+  await getStorage().jobRepository.update(jobId, {
+    legal_hold: false,
+    legal_hold_reason: null,
+    legal_hold_at: null,
+    legal_hold_by: null,
+  });
+
+  logger.info('Legal hold released', { jobId });
+  return true;
+}
+
+/**
+ * A tenant's purge log, including jobs that no longer exist
+ * @param {string} tenantId - Tenant whose entries are listed
+ * @param {Object} options - { jobId, limit, offset }
+ * @returns {Promise<{ entries: Object[], pagination: Object }>} Entries, newest first
+ */
+async function listPurgeLog(tenantId, { jobId = null, limit = 50, offset = 0 } = {}) {
+  const { rows, total } = await getStorage().purgeLogRepository.list({ tenantId, jobId, limit, offset });
+
+  return {
+    entries: rows.map(row => ({
+      purgeId: row.purge_id,
+      jobId: row.job_id,
+      action: row.action,
+      reason: row.reason,
+      processingMethod: row.processing_method,
+      jobCreatedAt: row.job_created_at,
+      retentionDays: row.retention_days,
+      policySource: row.policy_source,
+      keyId: row.key_id,
+      keyName: row.key_name,
+      purgedAt: row.purged_at,
+    })),
+    pagination: {
+      limit,
+      offset,
+      total,
+      hasMore: offset + rows.length < total,
+    },
+  };
+}
+
+/**
+ * The retention a tenant's jobs get, per processing method
+ * @param {string} tenantId - Tenant
+ * @returns {Object} { tenantId, sweepIntervalMinutes, processingMethods: { [method]: { fileDays, dataDays } } }
+ *   where each field is { days, source } (days null keeps forever)
+ */
+function describeRetention(tenantId) {
+  return {
+    tenantId,
+    sweepIntervalMinutes: config.sweepIntervalMs / 60000,
+    processingMethods: Object.fromEntries(Object.values(PROCESSING_METHODS)
+      .map(processingMethod => [processingMethod, resolveRetention({ tenantId, processingMethod })])),
+  };
+}
+
+module.exports = {
+  runRetentionSweep,
+  startRetentionSweeper,
+  stopRetentionSweeper,
+  recordPurge,
+  placeLegalHold,
+  releaseLegalHold,
+  listPurgeLog,
+  describeRetention,
+};
@@ -0,0 +1,160 @@
+// src/services/schemaValidator.js
+const { isValidEmail, toISODate, normalizePhoneNumber } = require('./utils');
+
+// Values models use to mean "not present"
+const EMPTY_VALUES = ['', 'n/a', 'na', 'none', 'null', 'not found', 'not available', 'unknown', '-'];
+
+const isEmpty = value => value === null
+  || value === undefined
+  || (typeof value === 'string' && EMPTY_VALUES.includes(value.trim().toLowerCase()));
+
+/**
+ * Coerce a string according to its declared format
+ */
+function coerceFormat(value, format) {
+  switch (format) {
+    case 'date':
+      return toISODate(value);
+    case 'phone':
+      return normalizePhoneNumber(value);
+    case 'email': {
+      const email = String(value).trim().toLowerCase();
+      return isValidEmail(email) ? email : null;
+    }
+    default:
+      return String(value).trim();
+  }
+}
+
+/**
+ * Parse numbers written with currency symbols, spaces or thousands separators
+ */
+function coerceNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const text = String(value).replace(/[^\d.,-]/g, '');
+  // "1.234,56" uses a decimal comma; otherwise commas are thousands separators
+  const normalized = /,\d{1,2}$/.test(text) && text.includes('.')
+    ? text.replace(/\./g, '').replace(',', '.')
+    : text.replace(/,/g, '');
+  const number = parseFloat(normalized);
+  return Number.isFinite(number) ? number : null;
+}
+
+function coerceBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(text)) return true;
+  if (['false', 'no', 'n', '0'].includes(text)) return false;
+  return null;
+}
+
+/**
+ * Validate a value against a JSON Schema subset (object, array, string, number,
+ * integer, boolean, properties, required, items, enum, format), coercing it
+ * into the declared shape as it goes.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - Path of the value, for error messages
+ * @returns {{ value: *, errors: Array<{ path: string, message: string }> }} Coerced value and errors
+ */
+function validateAndCoerce(value, schema, path = '') {
+  const errors = [];
+  const at = path || '(root)';
+
+  if (isEmpty(value)) {
+    if (schema.type === 'array') return { value: [], errors };
+    if (schema.type === 'object') {
+      return validateAndCoerce({}, schema, path);
+    }
+    return { value: null, errors };
+  }
+
+  switch (schema.type) {
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ path: at, message: 'Expected an object' });
+        return { value: validateAndCoerce({}, schema, path).value, errors };
+      }
+
+      // Keep properties the schema doesn't declare; declared ones are coerced
+      const result = { ...value };
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        const child = validateAndCoerce(value[key], propertySchema, path ? `${path}.${key}` : key);
+        result[key] = child.value;
+        errors.push(...child.errors);
+      });
+
+      (schema.required || []).forEach(key => {
+        const missing = result[key] === null
+          || (Array.isArray(result[key]) && result[key].length === 0);
+        if (missing && !errors.some(error => error.path === (path ? `${path}.${key}` : key))) {
+          errors.push({ path: path ? `${path}.${key}` : key, message: 'Required field is missing' });
+        }
+      });
+
+      return { value: result, errors };
+    }
+
+    case 'array': {
+      // A single value where a list was expected becomes a one-item list
+      const items = Array.isArray(value) ? value : [value];
+      const result = [];
+      items.forEach((item, index) => {
+        if (isEmpty(item)) return;
+        const child = validateAndCoerce(item, schema.items || {}, `${path}[${index}]`);
+        if (child.value !== null) result.push(child.value);
+        errors.push(...child.errors);
+      });
+      return { value: result, errors };
+    }
+
+    case 'number':
+    case 'integer': {
+      let number = coerceNumber(value);
+      if (number !== null && schema.type === 'integer') number = Math.round(number);
+      if (number === null) {
+        errors.push({ path: at, message: `Expected a ${schema.type}, got ${JSON.stringify(value)}` });
+      }
+      return { value: number, errors };
+    }
+
+    case 'boolean': {
+      const bool = coerceBoolean(value);
+      if (bool === null) {
+        errors.push({ path: at, message: `Expected a boolean, got ${JSON.stringify(value)}` });
+      }
+      return { value: bool, errors };
+    }
+
+    case 'string': {
+      if (typeof value === 'object') {
+        errors.push({ path: at, message: 'Expected a string' });
+        return { value: null, errors };
+      }
+
+      let text = coerceFormat(value, schema.format);
+      if (text === null) {
+        errors.push({ path: at, message: `Invalid ${schema.format}: ${JSON.stringify(value)}` });
+        return { value: null, errors };
+      }
+
+      if (schema.enum) {
+        const match = schema.enum.find(option => option.toLowerCase() === text.toLowerCase());
+        if (!match) {
+          errors.push({ path: at, message: `Expected one of ${schema.enum.join(', ')}, got ${JSON.stringify(value)}` });
+          return { value: null, errors };
+        }
+        text = match;
+      }
+
+      return { value: text, errors };
+    }
+
+    default:
+      return { value, errors };
+  }
+}
+
+module.exports = {
+  validateAndCoerce,
+};
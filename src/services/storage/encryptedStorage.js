@@ -0,0 +1,141 @@
+// src/services/storage/encryptedStorage.js
+const {
+  encryptionEnabled,
+  encryptValue,
+  decryptValue,
+  encryptBuffer,
+  decryptBuffer,
+  blindIndexTokens,
+} = require('../encryption');
+const { tokenize, flattenValues } = require('./searchIndex');
+const { encryption: config } = require('../../config/env');
+
+// Personal data encrypted at rest when ENCRYPTION_KEYS is set. Columns that are filtered or sorted on
+// by the database (status, verdicts, file names, dates) stay readable.
+const ENCRYPTED_COLUMNS = {
+  jobs: [
+    'first_name',
+    'last_name',
+    'full_name',
+    'date_of_birth',
+    'raw_text',
+    'layout',
+    'mrz_data',
+    'ai_extracted_data',
+    'verification',
+  ],
+  batches: ['first_name', 'last_name', 'date_of_birth'],
+};
+
+// Blind indexes kept next to encrypted columns, so jobs can still be filtered by name and searched: each
+// index column holds the blind index tokens of the words in its columns. An index is rebuilt whenever its
+// columns are written, which is always together.
+const BLIND_INDEXES = {
+  jobs: {
+    name_index: ['first_name', 'last_name'],
+    search_index: ['raw_text', 'ai_extracted_data'],
+  },
+  batches: {},
+};
+
+// Repository methods that write rows, and which of their arguments holds the columns
+const WRITE_ARGUMENTS = { insert: 0, update: 1, updateWhere: 2 };
+
+const mapColumns = (row, columns, transform) => {
+  if (!row || typeof row !== 'object') return row;
+  const result = { ...row };
+  columns.filter(column => column in result).forEach(column => {
+    result[column] = transform(result[column], column);
+  });
+  return result;
+};
+
+/**
+ * Blind indexes of a row's plaintext, for the indexes whose columns it holds
+ * @param {Object} row - Row or changes, before encryption
+ * @param {Object} indexes - Index column to its columns (see BLIND_INDEXES)
+ * @returns {Object} Index column to its tokens
+ */
+function buildBlindIndexes(row, indexes) {
+  return Object.fromEntries(Object.entries(indexes)
+    .filter(([, columns]) => columns.some(column => column in row))
+    .map(([indexColumn, columns]) => [
+      indexColumn,
+      blindIndexTokens(tokenize(columns.map(column => flattenValues(row[column])).join(' '))),
+    ]));
+}
+
+/**
+ * Decrypt whatever a repository read returns: a row, a list of rows or { rows, total }
+ * @param {*} result - Repository result
+ * @param {string[]} columns - Encrypted columns
+ * @returns {*} The result with its rows decrypted
+ */
+function decryptResult(result, columns) {
+  if (Array.isArray(result)) {
+    return result.map(row => mapColumns(row, columns, decryptValue));
+  }
+  if (result && Array.isArray(result.rows)) {
+    return { ...result, rows: result.rows.map(row => mapColumns(row, columns, decryptValue)) };
+  }
+  return mapColumns(result, columns, decryptValue);
+}
+
+/**
+ * Wrap a repository so rows are encrypted on the way in, with their blind indexes, and decrypted on the way out
+ * @param {Object} repository - Backend repository
+ * @param {string[]} columns - Encrypted columns
+ * @param {Object} indexes - Blind indexes (see BLIND_INDEXES)
+ * @returns {Object} Repository with the same methods
+ */
+function encryptRepository(repository, columns, indexes) {
+  return Object.fromEntries(Object.entries(repository).map(([name, method]) => [name, async (...args) => {
+    if (name in WRITE_ARGUMENTS && encryptionEnabled()) {
+      const index = WRITE_ARGUMENTS[name];
+      const row = { ...args[index], ...buildBlindIndexes(args[index], indexes) };
+      args[index] = mapColumns(row, columns, encryptValue);
+    }
+    return decryptResult(await method(...args), columns);
+  }]));
+}
+
+/**
+ * Wrap a blob store so files are encrypted when ENCRYPT_FILES is set. Files are always decrypted on the way out.
+ * @param {Object} blobStore - Backend blob store
+ * @returns {Object} Blob store
+ */
+function encryptBlobStore(blobStore) {
+  return {
+    ...blobStore,
+
+    async put(filePath, buffer, mimeType) {
+      return blobStore.put(filePath, config.encryptFiles ? encryptBuffer(buffer) : buffer, mimeType);
+    },
+
+    async get(filePath) {
+      return decryptBuffer(await blobStore.get(filePath));
+    },
+  };
+}
+
+/**
+ * Encrypt personal data and, with ENCRYPT_FILES, stored files at rest. Values stored before encryption
+ * was turned on are read as they are; npm run rotate-keys encrypts them.
+ * @param {Object} storage - Storage backend
+ * @returns {Object} The backend with its blob store, job and batch repositories wrapped
+ */
+function withEncryption(storage) {
+  return {
+    ...storage,
+    blobStore: encryptBlobStore(storage.blobStore),
+    jobRepository: encryptRepository(storage.jobRepository, ENCRYPTED_COLUMNS.jobs, BLIND_INDEXES.jobs),
+    batchRepository: encryptRepository(storage.batchRepository, ENCRYPTED_COLUMNS.batches, BLIND_INDEXES.batches),
+  };
+}
+
+module.exports = {
+  ENCRYPTED_COLUMNS,
+  BLIND_INDEXES,
+  buildBlindIndexes,
+  withEncryption,
+};
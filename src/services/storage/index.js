@@ -0,0 +1,49 @@
+// src/services/storage/index.js
+const config = require('../../config/env');
+const { createSupabaseStorage } = require('./supabaseStorage');
+const { createLocalStorage } = require('./localStorage');
+const { withEncryption } = require('./encryptedStorage');
+
+const backends = {
+  supabase: () => createSupabaseStorage({
+    url: config.supabaseUrl,
+    key: config.supabaseKey,
+    bucket: config.supabaseBucket,
+  }),
+  local: () => createLocalStorage({
+    dir: config.localStorageDir,
+    dbFile: config.localDbFile,
+  }),
+};
+
+let backend = null;
+let storage = null;
+
+/**
+ * Get the configured storage backend as it stores data, with personal data and files still encrypted.
+ * Only key rotation works on this; everything else uses getStorage.
+ * @returns {Object} See getStorage
+ */
+function getStorageBackend() {
+  if (!backend) {
+    backend = backends[config.storageBackend]();
+  }
+  return backend;
+}
+
+/**
+ * Get the configured storage backend, creating it on first use. Personal data is encrypted and decrypted
+ * on the way through (see encryptedStorage.js).
+ * @returns {{ blobStore: Object, jobRepository: Object, batchRepository: Object, idempotencyRepository: Object, apiKeyRepository: Object, accessLogRepository: Object, purgeLogRepository: Object }}
+ */
+function getStorage() {
+  if (!storage) {
+    storage = withEncryption(getStorageBackend());
+  }
+  return storage;
+}
+
+module.exports = {
+  getStorage,
+  getStorageBackend,
+};
@@ -0,0 +1,547 @@
+// src/services/storage/localStorage.js
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { createSearchIndex } = require('./searchIndex');
+
+const IN_MEMORY = ':memory:';
+
+// Whether a blind index holds one of the candidate tokens of every term (see encryption.blindIndexCandidates)
+const matchesBlindIndex = (tokens, terms) => {
+  const indexed = new Set(tokens || []);
+  return terms.every(candidates => candidates.some(token => indexed.has(token)));
+};
+
+// The job store file is rewritten at most this often; changes made in between go out together
+const MIN_WRITE_INTERVAL_MS = 500;
+
+/**
+ * Whether a process is running
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it runs, as another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Take the job store's lock file for this process, released when it exits. The store is a
+ * file each process rewrites from its own memory, so a second process would silently undo the
+ * first one's writes; it is refused instead. A lock left by a process that is gone is taken over.
+ * @param {string} lockFile - Lock file path, next to the job store
+ * @throws {Error} If another running process holds the lock
+ */
+async function acquireLock(lockFile) {
+  await fs.mkdir(path.dirname(lockFile), { recursive: true });
+
+  for (;;) {
+    try {
+      await fs.writeFile(lockFile, String(process.pid), { flag: 'wx' });
+      process.once('exit', () => fsSync.rmSync(lockFile, { force: true }));
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const pid = parseInt(await fs.readFile(lockFile, 'utf8').catch(() => ''), 10);
+    if (pid && pid !== process.pid && isRunning(pid)) {
+      throw new Error(
+        `The local job store is in use by process ${pid} (${lockFile}). It supports one process at a time: `
+        + 'stop that process first, or use STORAGE_BACKEND=supabase to run several'
+      );
+    }
+    await fs.rm(lockFile, { force: true });
+  }
+}
+
+/**
+ * Create the local storage backend (files on disk, jobs in memory or a JSON file). A JSON job store
+ * belongs to one process at a time (see acquireLock); each change rewrites the whole file.
+ * @param {Object} options - Backend options
+ * @param {string} options.dir - Directory for stored files
+ * @param {string} options.dbFile - Job store file path, or ':memory:' to skip persistence
+ * @returns {{ blobStore: Object, jobRepository: Object, batchRepository: Object, idempotencyRepository: Object, apiKeyRepository: Object, accessLogRepository: Object, purgeLogRepository: Object }}
+ */
+function createLocalStorage({ dir, dbFile }) {
+  const filesDir = path.join(dir, 'files');
+
+  // Reject anything that would escape the files directory
+  const resolveFilePath = (filePath) => {
+    const resolved = path.resolve(filesDir, filePath);
+    if (path.dirname(resolved) !== path.resolve(filesDir)) {
+      throw new Error(`Invalid file path: ${filePath}`);
+    }
+    return resolved;
+  };
+
+  // Files are never served from the directory directly; the API streams them through signed document links
+  const blobStore = {
+    /**
+     * Write a file to the files directory
+     * @returns {Promise<string>} Path of the stored file, recorded as the job's file_url
+     */
+    async put(filePath, buffer) {
+      await fs.mkdir(filesDir, { recursive: true });
+      await fs.writeFile(resolveFilePath(filePath), buffer, { flag: 'wx' });
+      return filePath;
+    },
+
+    async get(filePath) {
+      return fs.readFile(resolveFilePath(filePath));
+    },
+
+    // Overwrite a stored file in one step, for key rotation
+    async replace(filePath, buffer) {
+      const resolved = resolveFilePath(filePath);
+      const tempFile = `${resolved}.${process.pid}.tmp`;
+      await fs.writeFile(tempFile, buffer);
+      await fs.rename(tempFile, resolved);
+    },
+
+    async remove(filePath) {
+      await fs.rm(resolveFilePath(filePath), { force: true });
+    },
+
+    // Jobs stored before files were private recorded a /api/files/<path> URL
+    pathFromUrl(fileUrl) {
+      return decodeURIComponent(fileUrl.split('/').pop());
+    },
+  };
+
+  // Each table maps a primary key to its row
+  const tables = {
+    jobs: new Map(),
+    batches: new Map(),
+    idempotencyKeys: new Map(),
+    apiKeys: new Map(),
+    accessLog: new Map(),
+    purgeLog: new Map(),
+  };
+  const keys = {
+    jobs: 'job_id',
+    batches: 'batch_id',
+    idempotencyKeys: 'idempotency_key',
+    apiKeys: 'key_id',
+    accessLog: 'access_id',
+    purgeLog: 'purge_id',
+  };
+  const jobs = tables.jobs;
+  const searchIndex = createSearchIndex();
+  let loaded = null;
+
+  // Job writes go through these so the search index stays in step
+  const saveJob = (row) => {
+    jobs.set(row.job_id, row);
+    searchIndex.upsert(row);
+  };
+  const deleteJob = (jobId) => {
+    jobs.delete(jobId);
+    searchIndex.remove(jobId);
+  };
+  let writeChain = Promise.resolve();
+  // The next write, while it waits for the one in progress or the write interval
+  let queuedWrite = null;
+  let lastWriteAt = 0;
+
+  const load = () => {
+    if (!loaded) {
+      loaded = (async () => {
+        if (dbFile === IN_MEMORY) return;
+        await acquireLock(`${dbFile}.lock`);
+        try {
+          const data = JSON.parse(await fs.readFile(dbFile, 'utf8'));
+          // Early stores held a bare array of jobs
+          const contents = Array.isArray(data) ? { jobs: data } : data;
+          Object.entries(tables).forEach(([name, table]) => {
+            (contents[name] || []).forEach(row => table.set(row[keys[name]], row));
+          });
+          jobs.forEach(row => searchIndex.upsert(row));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw new Error(`Failed to load local job store: ${error.message}`);
+          }
+        }
+      })();
+    }
+    return loaded;
+  };
+
+  // Serialise writes and replace the file atomically so a crash never leaves it half-written. Every change
+  // made before a queued write starts joins it, so a burst of updates (e.g. progress ticks) is one write.
+  const persist = () => {
+    if (dbFile === IN_MEMORY) return Promise.resolve();
+    if (queuedWrite) return queuedWrite;
+    queuedWrite = writeChain.catch(() => {}).then(async () => {
+      const wait = lastWriteAt + MIN_WRITE_INTERVAL_MS - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      queuedWrite = null;
+      lastWriteAt = Date.now();
+      const tempFile = `${dbFile}.${process.pid}.tmp`;
+      const contents = Object.fromEntries(
+        Object.entries(tables).map(([name, table]) => [name, [...table.values()]])
+      );
+      await fs.mkdir(path.dirname(dbFile), { recursive: true });
+      await fs.writeFile(tempFile, JSON.stringify(contents));
+      await fs.rename(tempFile, dbFile);
+    });
+    writeChain = queuedWrite;
+    return queuedWrite;
+  };
+
+  const now = () => new Date().toISOString();
+
+  const jobRepository = {
+    async insert(row) {
+      await load();
+      if (jobs.has(row.job_id)) {
+        const error = new Error(`Job already exists: ${row.job_id}`);
+        error.code = '23505';
+        throw error;
+      }
+      const timestamp = now();
+      saveJob({ created_at: timestamp, updated_at: timestamp, ...row });
+      await persist();
+    },
+
+    async update(jobId, changes) {
+      await load();
+      const row = jobs.get(jobId);
+      if (!row) return;
+      saveJob({ ...row, ...changes, updated_at: now() });
+      await persist();
+    },
+
+    async findById(jobId) {
+      await load();
+      const row = jobs.get(jobId);
+      return row ? { ...row } : null;
+    },
+
+    async findPage({ filters = {}, sort, limit, offset, columns }) {
+      await load();
+      const name = filters.name && filters.name.toLowerCase();
+      const compare = (a, b) => {
+        const left = a[sort.column];
+        const right = b[sort.column];
+        // Nulls sort last in either direction, matching the Postgres query
+        if (left == null || right == null) {
+          return ((left == null) - (right == null)) || a.job_id.localeCompare(b.job_id);
+        }
+        const order = String(left).localeCompare(String(right));
+        return (sort.ascending ? order : -order) || a.job_id.localeCompare(b.job_id);
+      };
+
+      const matches = [...jobs.values()]
+        .filter(row => ['tenant_id', 'status', 'processing_method', 'mime_type', 'document_type', 'verification_verdict']
+          .every(column => !filters[column] || row[column] === filters[column]))
+        .filter(row => !filters.created_from || row.created_at >= filters.created_from)
+        .filter(row => !filters.created_to || row.created_at <= filters.created_to)
+        .filter(row => !name || (filters.name_terms
+          ? (row.file_name || '').toLowerCase().includes(name)
+            || (filters.name_terms.length > 0 && matchesBlindIndex(row.name_index, filters.name_terms))
+          : ['first_name', 'last_name', 'full_name', 'file_name']
+            .some(column => (row[column] || '').toLowerCase().includes(name))))
+        .sort(compare);
+
+      return {
+        rows: matches
+          .slice(offset, offset + limit)
+          .map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? null]))),
+        total: matches.length,
+      };
+    },
+
+    async findByStatus(status) {
+      await load();
+      return [...jobs.values()]
+        .filter(row => row.status === status)
+        .map(row => ({ ...row }))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    },
+
+    async findByBatch(batchId) {
+      await load();
+      return [...jobs.values()]
+        .filter(row => row.batch_id === batchId)
+        .map(row => ({ ...row }))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    },
+
+    // A tenant's jobs for files with this SHA-256, oldest first
+    async findByContentHash(contentHash, tenantId) {
+      await load();
+      return [...jobs.values()]
+        .filter(row => row.content_hash === contentHash && row.tenant_id === tenantId)
+        .map(row => ({ ...row }))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    },
+
+    // A tenant's jobs sharing any perceptual hash band key, newest first
+    async findByHashBands(bands, { tenantId, limit, columns }) {
+      await load();
+      const keys = new Set(bands);
+      return [...jobs.values()]
+        .filter(row => row.tenant_id === tenantId && (row.perceptual_bands || []).some(band => keys.has(band)))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, limit)
+        .map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? null])));
+    },
+
+    // Jobs the retention sweeper may purge, oldest first: not on legal hold, in one of the statuses,
+    // uploaded before createdBefore and, with hasFile, still holding a file
+    async findPurgeCandidates({ createdBefore, statuses, hasFile, limit, offset, columns }) {
+      await load();
+      return [...jobs.values()]
+        .filter(row => !row.legal_hold && statuses.includes(row.status) && row.created_at < createdBefore)
+        .filter(row => !hasFile || row.file_url)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at) || a.job_id.localeCompare(b.job_id))
+        .slice(offset, offset + limit)
+        .map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? null])));
+    },
+
+    async findReady(timestamp, limit) {
+      const queued = await jobRepository.findByStatus('queued');
+      return queued
+        .filter(row => !row.next_run_at || row.next_run_at <= timestamp)
+        .slice(0, limit);
+    },
+
+    async updateWhere(jobId, conditions, changes) {
+      await load();
+      const row = jobs.get(jobId);
+      const matches = row && Object.entries(conditions)
+        .every(([column, value]) => (row[column] ?? null) === value);
+      if (!matches) return false;
+      saveJob({ ...row, ...changes, updated_at: now() });
+      await persist();
+      return true;
+    },
+
+    async remove(jobId) {
+      await load();
+      deleteJob(jobId);
+      // Like the ON DELETE SET NULL reference in schema.sql
+      [...jobs.values()]
+        .filter(row => row.duplicate_of === jobId)
+        .forEach(row => saveJob({ ...row, duplicate_of: null }));
+      await persist();
+    },
+
+    // Compare-and-set delete, as updateWhere: true if the job was deleted
+    async removeWhere(jobId, conditions) {
+      await load();
+      const row = jobs.get(jobId);
+      const matches = row && Object.entries(conditions)
+        .every(([column, value]) => (row[column] ?? null) === value);
+      if (!matches) return false;
+      await jobRepository.remove(jobId);
+      return true;
+    },
+
+    // Full-text search over a tenant's extracted text and AI fields: { rows: [...columns, rank, snippet], total }
+    async search(query, { tenantId, limit, offset, columns }) {
+      await load();
+      const { hits, total } = searchIndex.search(query, {
+        limit,
+        offset,
+        filter: jobId => jobs.get(jobId).tenant_id === tenantId,
+      });
+      return {
+        rows: hits.map(({ jobId, rank, snippet }) => ({
+          ...Object.fromEntries(columns.map(column => [column, jobs.get(jobId)[column] ?? null])),
+          rank,
+          snippet,
+        })),
+        total,
+      };
+    },
+
+    // A tenant's jobs whose search_index holds every term, newest first: { rows, total }
+    async searchIndexed(terms, { tenantId, limit, offset, columns }) {
+      await load();
+      const matches = [...jobs.values()]
+        .filter(row => row.tenant_id === tenantId && matchesBlindIndex(row.search_index, terms))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at) || a.job_id.localeCompare(b.job_id));
+      return {
+        rows: matches
+          .slice(offset, offset + limit)
+          .map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? null]))),
+        total: matches.length,
+      };
+    },
+
+    async ping() {
+      await load();
+    },
+  };
+
+  const batchRepository = {
+    async insert(row) {
+      await load();
+      tables.batches.set(row.batch_id, { created_at: now(), ...row });
+      await persist();
+    },
+
+    async findById(batchId) {
+      await load();
+      const row = tables.batches.get(batchId);
+      return row ? { ...row } : null;
+    },
+
+    async update(batchId, changes) {
+      await load();
+      const row = tables.batches.get(batchId);
+      if (!row) return;
+      tables.batches.set(batchId, { ...row, ...changes });
+      await persist();
+    },
+
+    async remove(batchId) {
+      await load();
+      tables.batches.delete(batchId);
+      await persist();
+    },
+  };
+
+  const idempotencyRepository = {
+    // Insert the key's row unless the key is already taken: true if inserted
+    async claim(row) {
+      await load();
+      if (tables.idempotencyKeys.has(row.idempotency_key)) return false;
+      tables.idempotencyKeys.set(row.idempotency_key, row);
+      await persist();
+      return true;
+    },
+
+    async findByKey(key) {
+      await load();
+      const row = tables.idempotencyKeys.get(key);
+      return row ? { ...row } : null;
+    },
+
+    async update(key, changes) {
+      await load();
+      const row = tables.idempotencyKeys.get(key);
+      if (!row) return;
+      tables.idempotencyKeys.set(key, { ...row, ...changes });
+      await persist();
+    },
+
+    // Compare-and-set update, as jobRepository.updateWhere
+    async updateWhere(key, conditions, changes) {
+      await load();
+      const row = tables.idempotencyKeys.get(key);
+      const matches = row && Object.entries(conditions)
+        .every(([column, value]) => (row[column] ?? null) === value);
+      if (!matches) return false;
+      tables.idempotencyKeys.set(key, { ...row, ...changes });
+      await persist();
+      return true;
+    },
+
+    async remove(key) {
+      await load();
+      tables.idempotencyKeys.delete(key);
+      await persist();
+    },
+
+    // Delete keys claimed before createdBefore: the number deleted
+    async removeExpired(createdBefore) {
+      await load();
+      const expired = [...tables.idempotencyKeys.values()].filter(row => row.created_at < createdBefore);
+      if (expired.length === 0) return 0;
+      expired.forEach(row => tables.idempotencyKeys.delete(row.idempotency_key));
+      await persist();
+      return expired.length;
+    },
+  };
+
+  const apiKeyRepository = {
+    async insert(row) {
+      await load();
+      tables.apiKeys.set(row.key_id, { created_at: now(), ...row });
+      await persist();
+    },
+
+    async findById(keyId) {
+      await load();
+      const row = tables.apiKeys.get(keyId);
+      return row ? { ...row } : null;
+    },
+
+    async findByHash(keyHash) {
+      await load();
+      const row = [...tables.apiKeys.values()].find(candidate => candidate.key_hash === keyHash);
+      return row ? { ...row } : null;
+    },
+
+    // Keys of one tenant, or of every tenant when tenantId is null; oldest first
+    async list({ tenantId = null } = {}) {
+      await load();
+      return [...tables.apiKeys.values()]
+        .filter(row => !tenantId || row.tenant_id === tenantId)
+        .map(row => ({ ...row }))
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    },
+
+    async update(keyId, changes) {
+      await load();
+      const row = tables.apiKeys.get(keyId);
+      if (!row) return;
+      tables.apiKeys.set(keyId, { ...row, ...changes });
+      await persist();
+    },
+  };
+
+  // Entries outlive the jobs they record, so deleted documents keep their access history
+  const accessLogRepository = {
+    async insert(row) {
+      await load();
+      tables.accessLog.set(row.access_id, { created_at: now(), ...row });
+      await persist();
+    },
+
+    // Newest first
+    async listByJob(jobId, { limit }) {
+      await load();
+      return [...tables.accessLog.values()]
+        .filter(row => row.job_id === jobId)
+        .map(row => ({ ...row }))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at))
+        .slice(0, limit);
+    },
+  };
+
+  // Like the access log, entries outlive the jobs they record
+  const purgeLogRepository = {
+    async insert(row) {
+      await load();
+      tables.purgeLog.set(row.purge_id, { purged_at: now(), ...row });
+      await persist();
+    },
+
+    // A tenant's entries, optionally for one job, newest first: { rows, total }
+    async list({ tenantId, jobId = null, limit, offset }) {
+      await load();
+      const matches = [...tables.purgeLog.values()]
+        .filter(row => row.tenant_id === tenantId && (!jobId || row.job_id === jobId))
+        .sort((a, b) => b.purged_at.localeCompare(a.purged_at));
+      return {
+        rows: matches.slice(offset, offset + limit).map(row => ({ ...row })),
+        total: matches.length,
+      };
+    },
+  };
+
+  return { blobStore, jobRepository, batchRepository, idempotencyRepository, apiKeyRepository, accessLogRepository, purgeLogRepository };
+}
+
+module.exports = {
+  createLocalStorage,
+};
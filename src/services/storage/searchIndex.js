@@ -0,0 +1,180 @@
+// src/services/storage/searchIndex.js
+const { isEncryptedValue } = require('../encryption');
+
+// Highlight markers placed around matched terms in snippets. Control characters
+// never survive text extraction, so they can't collide with document content.
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+// BM25 tuning constants
+const K1 = 1.2;
+const B = 0.75;
+const SNIPPET_RADIUS = 80;
+
+/**
+ * Lowercase, strip accents and split text into searchable terms
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms in order of appearance
+ */
+function tokenize(text) {
+  return (text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1);
+}
+
+/**
+ * Flatten the string values of an AI extraction into searchable text
+ * @param {*} value - ai_extracted_data or a nested part of it
+ * @returns {string} Space-separated string values
+ */
+function flattenValues(value) {
+  if (value == null) return '';
+  if (typeof value === 'object') {
+    return Object.values(value).map(flattenValues).filter(Boolean).join(' ');
+  }
+  return String(value);
+}
+
+/**
+ * Searchable text for a job row
+ * @param {Object} row - Job row
+ * @returns {string} Extracted text followed by AI field values
+ */
+function searchableText(row) {
+  return [row.raw_text, flattenValues(row.ai_extracted_data)].filter(Boolean).join(' ');
+}
+
+/**
+ * Build a snippet around the first matched term, with matches wrapped in highlight markers
+ * @param {string} text - Document text
+ * @param {string[]} terms - Query terms
+ * @returns {string} Snippet
+ */
+function buildSnippet(text, terms) {
+  const folded = text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+  // Match offsets come from the folded text; show the original only when they line up with it
+  const source = folded.length === text.length ? text : folded;
+  const pattern = new RegExp(
+    `(?<![A-Za-z0-9])(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(?![A-Za-z0-9])`,
+    'gi'
+  );
+
+  const first = pattern.exec(folded);
+  const center = first ? first.index : 0;
+  const start = Math.max(0, center - SNIPPET_RADIUS);
+  const end = Math.min(source.length, center + SNIPPET_RADIUS);
+
+  // Matches are found in the folded text ("malmo") and marked at the same offsets of the shown text ("Malmö")
+  let window = '';
+  let cursor = start;
+  pattern.lastIndex = start;
+  for (let match = pattern.exec(folded); match && match[0] && match.index < end; match = pattern.exec(folded)) {
+    const matchEnd = Math.min(match.index + match[0].length, end);
+    window += `${source.slice(cursor, match.index)}${HIGHLIGHT_START}${source.slice(match.index, matchEnd)}${HIGHLIGHT_END}`;
+    cursor = matchEnd;
+  }
+  window += source.slice(cursor, end);
+
+  return `${start > 0 ? '...' : ''}${window.trim()}${end < source.length ? '...' : ''}`;
+}
+
+/**
+ * Create an in-memory inverted index over job text, ranked with BM25.
+ * Stands in for the Postgres full-text index when running without a database. Only plaintext is indexed.
+ * @returns {{ upsert: Function, remove: Function, search: Function }}
+ */
+function createSearchIndex() {
+  const documents = new Map(); // jobId -> { termCounts, length, text }
+  const postings = new Map(); // term -> Set of jobIds
+  let totalLength = 0;
+
+  function remove(jobId) {
+    const doc = documents.get(jobId);
+    if (!doc) return;
+    doc.termCounts.forEach((count, term) => {
+      const ids = postings.get(term);
+      ids.delete(jobId);
+      if (ids.size === 0) postings.delete(term);
+    });
+    totalLength -= doc.length;
+    documents.delete(jobId);
+  }
+
+  function upsert(row) {
+    remove(row.job_id);
+
+    // Encrypted values are searched through the search_index blind index; ciphertext is never indexed
+    const text = searchableText({
+      raw_text: isEncryptedValue(row.raw_text) ? null : row.raw_text,
+      ai_extracted_data: isEncryptedValue(row.ai_extracted_data) ? null : row.ai_extracted_data,
+    });
+    const terms = tokenize(text);
+    if (terms.length === 0) return;
+
+    const termCounts = new Map();
+    terms.forEach(term => termCounts.set(term, (termCounts.get(term) || 0) + 1));
+    termCounts.forEach((count, term) => {
+      if (!postings.has(term)) postings.set(term, new Set());
+      postings.get(term).add(row.job_id);
+    });
+
+    documents.set(row.job_id, { termCounts, length: terms.length, text });
+    totalLength += terms.length;
+  }
+
+  /**
+   * Find documents containing every query term
+   * @param {string} query - Free-text query
+   * @param {Object} options - { limit, offset, filter } where filter(jobId) keeps only matching documents
+   * @returns {{ hits: Array<{ jobId: string, rank: number, snippet: string }>, total: number }} Hits, best first
+   */
+  function search(query, { limit, offset, filter = () => true }) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || documents.size === 0) return { hits: [], total: 0 };
+
+    const candidates = terms
+      .map(term => postings.get(term) || new Set())
+      .reduce((acc, ids) => new Set([...acc].filter(id => ids.has(id))));
+
+    const averageLength = totalLength / documents.size;
+
+    const ranked = [...candidates]
+      .filter(filter)
+      .map(jobId => {
+        const doc = documents.get(jobId);
+        const rank = terms.reduce((score, term) => {
+          const frequency = doc.termCounts.get(term);
+          const documentCount = postings.get(term).size;
+          const idf = Math.log(1 + (documents.size - documentCount + 0.5) / (documentCount + 0.5));
+          return score + idf * (frequency * (K1 + 1))
+            / (frequency + K1 * (1 - B + B * doc.length / averageLength));
+        }, 0);
+
+        return { jobId, rank };
+      })
+      .sort((a, b) => b.rank - a.rank);
+
+    // Snippets only for the requested page
+    const hits = ranked.slice(offset, offset + limit).map(hit => ({
+      ...hit,
+      snippet: buildSnippet(documents.get(hit.jobId).text, terms),
+    }));
+
+    return { hits, total: ranked.length };
+  }
+
+  return { upsert, remove, search };
+}
+
+module.exports = {
+  createSearchIndex,
+  tokenize,
+  flattenValues,
+  searchableText,
+  buildSnippet,
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+};
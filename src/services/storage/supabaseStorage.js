@@ -0,0 +1,640 @@
+// src/services/storage/supabaseStorage.js
+const { createClient } = require('@supabase/supabase-js');
+
+const JOBS_TABLE = 'document_processing_jobs';
+const BATCHES_TABLE = 'document_batches';
+const IDEMPOTENCY_TABLE = 'upload_idempotency_keys';
+const API_KEYS_TABLE = 'api_keys';
+const ACCESS_LOG_TABLE = 'document_access_log';
+const PURGE_LOG_TABLE = 'document_purge_log';
+
+/**
+ * Create the Supabase storage backend (Storage bucket for files, Postgres for jobs)
+ * @param {Object} options - Backend options
+ * @param {string} options.url - Supabase project URL
+ * @param {string} options.key - Supabase service key
+ * @param {string} options.bucket - Storage bucket name
+ * @returns {{ blobStore: Object, jobRepository: Object, batchRepository: Object, idempotencyRepository: Object, apiKeyRepository: Object, accessLogRepository: Object, purgeLogRepository: Object }}
+ */
+function createSupabaseStorage({ url, key, bucket }) {
+  const supabase = createClient(url, key);
+
+  // The bucket is private; files are handed out as signed URLs that expire
+  const blobStore = {
+    /**
+     * Upload a file to the bucket
+     * @returns {Promise<string>} Path of the stored file, recorded as the job's file_url
+     */
+    async put(filePath, buffer, mimeType) {
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(filePath, buffer, {
+          contentType: mimeType,
+          upsert: false,
+        });
+
+      if (error) {
+        throw new Error(`Failed to upload file to Supabase: ${error.message}`);
+      }
+
+      return filePath;
+    },
+
+    async get(filePath) {
+      const { data, error } = await supabase.storage.from(bucket).download(filePath);
+
+      if (error) {
+        throw new Error(`Failed to download file from Supabase: ${error.message}`);
+      }
+
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    // Overwrite a stored file, for key rotation
+    async replace(filePath, buffer, mimeType) {
+      const { error } = await supabase.storage
+        .from(bucket)
+        .upload(filePath, buffer, {
+          contentType: mimeType,
+          upsert: true,
+        });
+
+      if (error) {
+        throw new Error(`Failed to replace file in Supabase: ${error.message}`);
+      }
+    },
+
+    async remove(filePath) {
+      const { error } = await supabase.storage.from(bucket).remove([filePath]);
+
+      if (error) {
+        throw new Error(`Failed to delete file from Supabase: ${error.message}`);
+      }
+    },
+
+    // Jobs stored before the bucket was private recorded the file's public URL
+    pathFromUrl(fileUrl) {
+      const marker = `/object/public/${bucket}/`;
+      const index = fileUrl.indexOf(marker);
+      return index === -1 ? fileUrl : decodeURIComponent(fileUrl.slice(index + marker.length).split('?')[0]);
+    },
+  };
+
+  const jobRepository = {
+    async insert(row) {
+      const { error } = await supabase.from(JOBS_TABLE).insert([row]).select();
+
+      if (error) {
+        throw new Error(`Failed to store document metadata: ${error.message}`);
+      }
+    },
+
+    async update(jobId, changes) {
+      const { error } = await supabase
+        .from(JOBS_TABLE)
+        .update(changes)
+        .eq('job_id', jobId);
+
+      if (error) {
+        throw new Error(`Failed to update job: ${error.message}`);
+      }
+    },
+
+    async findById(jobId) {
+      const { data, error } = await supabase
+        .from(JOBS_TABLE)
+        .select('*')
+        .eq('job_id', jobId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') { // No rows found
+          return null;
+        }
+        throw new Error(`Failed to fetch job: ${error.message}`);
+      }
+
+      return data;
+    },
+
+    // One page of jobs: { filters, sort: { column, ascending }, limit, offset, columns }
+    async findPage({ filters = {}, sort, limit, offset, columns }) {
+      let query = supabase
+        .from(JOBS_TABLE)
+        .select(columns.join(','), { count: 'exact' });
+
+      ['tenant_id', 'status', 'processing_method', 'mime_type', 'document_type', 'verification_verdict'].forEach(column => {
+        if (filters[column]) query = query.eq(column, filters[column]);
+      });
+      if (filters.created_from) query = query.gte('created_at', filters.created_from);
+      if (filters.created_to) query = query.lte('created_at', filters.created_to);
+      if (filters.name) {
+        // Strip characters that carry meaning in PostgREST filter syntax
+        const pattern = `%${filters.name.replace(/[,()%*\\]/g, ' ').trim()}%`;
+        if (filters.name_terms) {
+          // Encrypted names are matched on their blind index, every word against one of the names
+          const words = filters.name_terms.map(candidates => `name_index.ov.{${candidates.join(',')}}`);
+          query = query.or([`file_name.ilike.${pattern}`, ...(words.length > 0 ? [`and(${words.join(',')})`] : [])].join(','));
+        } else {
+          query = query.or(['first_name', 'last_name', 'full_name', 'file_name']
+            .map(column => `${column}.ilike.${pattern}`)
+            .join(','));
+        }
+      }
+
+      const { data, error, count } = await query
+        .order(sort.column, { ascending: sort.ascending, nullsFirst: false })
+        .order('job_id', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Failed to fetch processing jobs: ${error.message}`);
+      }
+
+      return { rows: data, total: count };
+    },
+
+    // A tenant's jobs whose search_index holds one of the candidate tokens of every term, newest first
+    async searchIndexed(terms, { tenantId, limit, offset, columns }) {
+      let query = supabase
+        .from(JOBS_TABLE)
+        .select(columns.join(','), { count: 'exact' })
+        .eq('tenant_id', tenantId);
+
+      terms.forEach(candidates => {
+        query = query.overlaps('search_index', candidates);
+      });
+
+      const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .order('job_id', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Failed to search documents: ${error.message}`);
+      }
+
+      return { rows: data, total: count };
+    },
+
+    // Full-text search of a tenant's documents via the search_documents function in schema.sql
+    async search(query, { tenantId, limit, offset, columns }) {
+      const { data, error } = await supabase.rpc('search_documents', {
+        search_query: query,
+        search_tenant: tenantId,
+        result_limit: limit,
+        result_offset: offset,
+      });
+
+      if (error) {
+        throw new Error(`Failed to search documents: ${error.message}`);
+      }
+
+      return {
+        rows: data.map(row => ({
+          ...Object.fromEntries(columns.map(column => [column, row[column] ?? null])),
+          rank: row.rank,
+          snippet: row.snippet,
+        })),
+        total: data.length ? Number(data[0].total_count) : 0,
+      };
+    },
+
+    async findByStatus(status) {
+      const { data, error } = await supabase
+        .from(JOBS_TABLE)
+        .select('*')
+        .eq('status', status)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to fetch ${status} jobs: ${error.message}`);
+      }
+
+      return data;
+    },
+
+    async findByBatch(batchId) {
+      const { data, error } = await supabase
+        .from(JOBS_TABLE)
+        .select('*')
+        .eq('batch_id', batchId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to fetch batch jobs: ${error.message}`);
+      }
+
+      return data;
+    },
+
+    // A tenant's jobs for files with this SHA-256, oldest first
+    async findByContentHash(contentHash, tenantId) {
+      const { data, error } = await supabase
+        .from(JOBS_TABLE)
+        .select('*')
+        .eq('content_hash', contentHash)
+        .eq('tenant_id', tenantId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to fetch jobs by content hash: ${error.message}`);
+      }
+
+      return data;
+    },
+
+    // A tenant's jobs sharing any perceptual hash band key, newest first (GIN indexed, see schema.sql)
+    async findByHashBands(bands, { tenantId, limit, columns }) {
+      const { data, error } = await supabase
+        .from(JOBS_TABLE)
+        .select(columns.join(','))
+        .eq('tenant_id', tenantId)
+        .overlaps('perceptual_bands', bands)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        throw new Error(`Failed to fetch near-duplicate candidates: ${error.message}`);
+      }
+
+      return data;
+    },
+
+    // Jobs the retention sweeper may purge, oldest first: not on legal hold, in one of the statuses,
+    // uploaded before createdBefore and, with hasFile, still holding a file
+    async findPurgeCandidates({ createdBefore, statuses, hasFile, limit, offset, columns }) {
+      let query = supabase
+        .from(JOBS_TABLE)
+        .select(columns.join(','))
+        .eq('legal_hold', false)
+        .in('status', statuses)
+        .lt('created_at', createdBefore);
+
+      if (hasFile) query = query.not('file_url', 'is', null);
+
+      const { data, error } = await query
+        .order('created_at', { ascending: true })
+        .order('job_id', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Failed to fetch jobs due for purging: ${error.message}`);
+      }
+
+      return data;
+    },
+
+    // Queued jobs whose retry time has passed, oldest first
+    async findReady(now, limit) {
+      const { data, error } = await supabase
+        .from(JOBS_TABLE)
+        .select('*')
+        .eq('status', 'queued')
+        .or(`next_run_at.is.null,next_run_at.lte.${now}`)
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        throw new Error(`Failed to fetch queued jobs: ${error.message}`);
+      }
+
+      return data;
+    },
+
+    // Compare-and-set update: only applies when every condition still holds
+    async updateWhere(jobId, conditions, changes) {
+      let query = supabase
+        .from(JOBS_TABLE)
+        .update(changes)
+        .eq('job_id', jobId);
+
+      Object.entries(conditions).forEach(([column, value]) => {
+        query = value === null ? query.is(column, null) : query.eq(column, value);
+      });
+
+      const { data, error } = await query.select('job_id');
+
+      if (error) {
+        throw new Error(`Failed to update job: ${error.message}`);
+      }
+
+      return data.length > 0;
+    },
+
+    async remove(jobId) {
+      const { error } = await supabase
+        .from(JOBS_TABLE)
+        .delete()
+        .eq('job_id', jobId);
+
+      if (error) {
+        throw new Error(`Failed to delete job: ${error.message}`);
+      }
+    },
+
+    // Compare-and-set delete, as updateWhere: true if the job was deleted
+    async removeWhere(jobId, conditions) {
+      let query = supabase
+        .from(JOBS_TABLE)
+        .delete()
+        .eq('job_id', jobId);
+
+      Object.entries(conditions).forEach(([column, value]) => {
+        query = value === null ? query.is(column, null) : query.eq(column, value);
+      });
+
+      const { data, error } = await query.select('job_id');
+
+      if (error) {
+        throw new Error(`Failed to delete job: ${error.message}`);
+      }
+
+      return data.length > 0;
+    },
+
+    async ping() {
+      const { error } = await supabase.from(JOBS_TABLE).select('count').limit(1);
+
+      if (error) {
+        throw new Error(`Database connection failed: ${error.message}`);
+      }
+    },
+  };
+
+  const batchRepository = {
+    async insert(row) {
+      const { error } = await supabase.from(BATCHES_TABLE).insert([row]);
+
+      if (error) {
+        throw new Error(`Failed to store batch: ${error.message}`);
+      }
+    },
+
+    async findById(batchId) {
+      const { data, error } = await supabase
+        .from(BATCHES_TABLE)
+        .select('*')
+        .eq('batch_id', batchId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') { // No rows found
+          return null;
+        }
+        throw new Error(`Failed to fetch batch: ${error.message}`);
+      }
+
+      return data;
+    },
+
+    async update(batchId, changes) {
+      const { error } = await supabase
+        .from(BATCHES_TABLE)
+        .update(changes)
+        .eq('batch_id', batchId);
+
+      if (error) {
+        throw new Error(`Failed to update batch: ${error.message}`);
+      }
+    },
+
+    async remove(batchId) {
+      const { error } = await supabase
+        .from(BATCHES_TABLE)
+        .delete()
+        .eq('batch_id', batchId);
+
+      if (error) {
+        throw new Error(`Failed to delete batch: ${error.message}`);
+      }
+    },
+  };
+
+  const idempotencyRepository = {
+    // Insert the key's row unless the key is already taken: true if inserted
+    async claim(row) {
+      const { error } = await supabase.from(IDEMPOTENCY_TABLE).insert([row]);
+
+      if (error) {
+        if (error.code === '23505') { // Unique violation: the key is taken
+          return false;
+        }
+        throw new Error(`Failed to store idempotency key: ${error.message}`);
+      }
+
+      return true;
+    },
+
+    async findByKey(key) {
+      const { data, error } = await supabase
+        .from(IDEMPOTENCY_TABLE)
+        .select('*')
+        .eq('idempotency_key', key)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') { // No rows found
+          return null;
+        }
+        throw new Error(`Failed to fetch idempotency key: ${error.message}`);
+      }
+
+      return data;
+    },
+
+    async update(key, changes) {
+      const { error } = await supabase
+        .from(IDEMPOTENCY_TABLE)
+        .update(changes)
+        .eq('idempotency_key', key);
+
+      if (error) {
+        throw new Error(`Failed to update idempotency key: ${error.message}`);
+      }
+    },
+
+    // Compare-and-set update: only applies when every condition still holds
+    async updateWhere(key, conditions, changes) {
+      let query = supabase
+        .from(IDEMPOTENCY_TABLE)
+        .update(changes)
+        .eq('idempotency_key', key);
+
+      Object.entries(conditions).forEach(([column, value]) => {
+        query = value === null ? query.is(column, null) : query.eq(column, value);
+      });
+
+      const { data, error } = await query.select('idempotency_key');
+
+      if (error) {
+        throw new Error(`Failed to update idempotency key: ${error.message}`);
+      }
+
+      return data.length > 0;
+    },
+
+    async remove(key) {
+      const { error } = await supabase
+        .from(IDEMPOTENCY_TABLE)
+        .delete()
+        .eq('idempotency_key', key);
+
+      if (error) {
+        throw new Error(`Failed to delete idempotency key: ${error.message}`);
+      }
+    },
+
+    // Delete keys claimed before createdBefore: the number deleted
+    async removeExpired(createdBefore) {
+      const { data, error } = await supabase
+        .from(IDEMPOTENCY_TABLE)
+        .delete()
+        .lt('created_at', createdBefore)
+        .select('idempotency_key');
+
+      if (error) {
+        throw new Error(`Failed to delete expired idempotency keys: ${error.message}`);
+      }
+
+      return data.length;
+    },
+  };
+
+  const apiKeyRepository = {
+    async insert(row) {
+      const { error } = await supabase.from(API_KEYS_TABLE).insert([row]);
+
+      if (error) {
+        throw new Error(`Failed to store API key: ${error.message}`);
+      }
+    },
+
+    async findById(keyId) {
+      const { data, error } = await supabase
+        .from(API_KEYS_TABLE)
+        .select('*')
+        .eq('key_id', keyId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') { // No rows found
+          return null;
+        }
+        throw new Error(`Failed to fetch API key: ${error.message}`);
+      }
+
+      return data;
+    },
+
+    async findByHash(keyHash) {
+      const { data, error } = await supabase
+        .from(API_KEYS_TABLE)
+        .select('*')
+        .eq('key_hash', keyHash)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') { // No rows found
+          return null;
+        }
+        throw new Error(`Failed to fetch API key: ${error.message}`);
+      }
+
+      return data;
+    },
+
+    // Keys of one tenant, or of every tenant when tenantId is null; oldest first
+    async list({ tenantId = null } = {}) {
+      let query = supabase
+        .from(API_KEYS_TABLE)
+        .select('*')
+        .order('created_at', { ascending: true });
+
+      if (tenantId) query = query.eq('tenant_id', tenantId);
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to list API keys: ${error.message}`);
+      }
+
+      return data;
+    },
+
+    async update(keyId, changes) {
+      const { error } = await supabase
+        .from(API_KEYS_TABLE)
+        .update(changes)
+        .eq('key_id', keyId);
+
+      if (error) {
+        throw new Error(`Failed to update API key: ${error.message}`);
+      }
+    },
+  };
+
+  // Entries outlive the jobs they record, so deleted documents keep their access history
+  const accessLogRepository = {
+    async insert(row) {
+      const { error } = await supabase.from(ACCESS_LOG_TABLE).insert([row]);
+
+      if (error) {
+        throw new Error(`Failed to record document access: ${error.message}`);
+      }
+    },
+
+    // Newest first
+    async listByJob(jobId, { limit }) {
+      const { data, error } = await supabase
+        .from(ACCESS_LOG_TABLE)
+        .select('*')
+        .eq('job_id', jobId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) {
+        throw new Error(`Failed to fetch document access log: ${error.message}`);
+      }
+
+      return data;
+    },
+  };
+
+  // Like the access log, entries outlive the jobs they record
+  const purgeLogRepository = {
+    async insert(row) {
+      const { error } = await supabase.from(PURGE_LOG_TABLE).insert([row]);
+
+      if (error) {
+        throw new Error(`Failed to record purge: ${error.message}`);
+      }
+    },
+
+    // A tenant's entries, optionally for one job, newest first: { rows, total }
+    async list({ tenantId, jobId = null, limit, offset }) {
+      let query = supabase
+        .from(PURGE_LOG_TABLE)
+        .select('*', { count: 'exact' })
+        .eq('tenant_id', tenantId);
+
+      if (jobId) query = query.eq('job_id', jobId);
+
+      const { data, error, count } = await query
+        .order('purged_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Failed to fetch purge log: ${error.message}`);
+      }
+
+      return { rows: data, total: count };
+    },
+  };
+
+  return { blobStore, jobRepository, batchRepository, idempotencyRepository, apiKeyRepository, accessLogRepository, purgeLogRepository };
+}
+
+module.exports = {
+  createSupabaseStorage,
+};
@@ -0,0 +1,639 @@
+// backend/services/storageService.js
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('./storage');
+const { HIGHLIGHT_START, HIGHLIGHT_END, tokenize, searchableText, buildSnippet } = require('./storage/searchIndex');
+const { pagesFromRawText } = require('./documentLayout');
+const { extensionForType } = require('./fileType');
+const { encryptionEnabled, blindIndexCandidates } = require('./encryption');
+const { resolveRetention } = require('../config/retentionPolicies');
+const { JOB_STATUS, BATCH_STATUS, PROGRESS_STAGES, ERROR_CODES, ERROR_MESSAGES } = require('../config/constants');
+const { createCodedError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Stored names of quarantined files start with this, so they stand out in the blob store
+const QUARANTINE_PREFIX = 'quarantine-';
+
+// A job being deleted by hand is re-read this many times if it changes under the delete
+const DELETE_ATTEMPTS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The blind index candidates of each word of a query, to match encrypted jobs on (see encryptedStorage.js)
+const blindIndexTerms = text => [...new Set(tokenize(text))].map(blindIndexCandidates);
+
+/**
+ * Store uploaded file in the configured blob store
+ * @param {Buffer} fileBuffer - File buffer
+ * @param {string} mimeType - File type detected from its content; decides the stored extension
+ * @param {Object} options - Storage options
+ * @param {boolean} options.quarantined - Store the file as quarantined
+ * @returns {Promise<string>} Path of the stored file, recorded as the job's file_url
+ */
+async function storeFile(fileBuffer, mimeType, { quarantined = false } = {}) {
+  // The client's file name is not trusted for the extension
+  const filePath = `${quarantined ? QUARANTINE_PREFIX : ''}${uuidv4()}${extensionForType(mimeType)}`;
+
+  return getStorage().blobStore.put(filePath, fileBuffer, mimeType);
+}
+
+/**
+ * Load a job if it belongs to the tenant; other tenants' jobs look the same as missing ones
+ * @param {string} jobId - Job identifier
+ * @param {string} tenantId - Tenant asking for the job
+ * @returns {Promise<Object|null>} Job row or null
+ */
+async function findTenantJob(jobId, tenantId) {
+  const job = await getStorage().jobRepository.findById(jobId);
+  return job && job.tenant_id === tenantId ? job : null;
+}
+
+/**
+ * Read a stored file back using the file_url recorded on its job
+ * @param {string} fileUrl - Path returned by storeFile, or the URL recorded by older versions
+ * @returns {Promise<Buffer>} File contents
+ */
+async function readStoredFile(fileUrl) {
+  const { blobStore } = getStorage();
+  return blobStore.get(blobStore.pathFromUrl(fileUrl));
+}
+
+/**
+ * Store document metadata for a new processing job
+ * @param {Object} params - Document and processing data
+ * @returns {Promise<string>} Job ID
+ */
+async function storeDocumentMetadata(params) {
+  const {
+    jobId,
+    fileUrl,
+    fileName,
+    mimeType,
+    userData,
+    processingMethod,
+    ocrOptions = null,
+    batchId = null,
+    tenantId,
+    safety = null,
+    quarantine = null,
+    contentHash = null,
+    duplicateOf = null,
+    status = JOB_STATUS.PROCESSING
+  } = params;
+
+  await getStorage().jobRepository.insert({
+    job_id: jobId,
+    file_url: fileUrl,
+    file_name: fileName,
+    mime_type: mimeType,
+    first_name: userData.firstName,
+    last_name: userData.lastName,
+    date_of_birth: userData.dob,
+    processing_method: processingMethod,
+    ocr_options: ocrOptions,
+    batch_id: batchId,
+    tenant_id: tenantId,
+    safety_checks: safety,
+    content_hash: contentHash,
+    duplicate_of: duplicateOf,
+    status: quarantine ? JOB_STATUS.QUARANTINED : status,
+    error_code: quarantine ? quarantine.code : null,
+    error_message: quarantine ? quarantine.message : null,
+    progress: 5,
+    progress_stage: PROGRESS_STAGES.UPLOADED,
+    created_at: new Date().toISOString(),
+  });
+
+  return jobId;
+}
+
+/**
+ * Store a batch record grouping several uploads
+ * @param {Object} params - Batch data
+ * @returns {Promise<string>} Batch ID
+ */
+async function storeBatch(params) {
+  const { batchId, userData, processingMethod, fileCount, tenantId } = params;
+
+  await getStorage().batchRepository.insert({
+    batch_id: batchId,
+    tenant_id: tenantId,
+    first_name: userData.firstName,
+    last_name: userData.lastName,
+    date_of_birth: userData.dob,
+    processing_method: processingMethod,
+    file_count: fileCount,
+    created_at: new Date().toISOString(),
+  });
+
+  return batchId;
+}
+
+/**
+ * Get a batch with the status of each child job
+ * @param {string} batchId - Batch identifier
+ * @param {string} tenantId - Tenant asking for the batch
+ * @returns {Promise<Object|null>} Batch status or null if not found
+ */
+async function getBatchStatus(batchId, tenantId) {
+  const { batchRepository, jobRepository } = getStorage();
+  const batch = await batchRepository.findById(batchId);
+
+  if (!batch || batch.tenant_id !== tenantId) {
+    return null;
+  }
+
+  const jobs = await jobRepository.findByBatch(batchId);
+  const counts = Object.values(JOB_STATUS).reduce((acc, status) => ({ ...acc, [status]: 0 }), {});
+  jobs.forEach(job => { counts[job.status] = (counts[job.status] || 0) + 1; });
+
+  return {
+    batchId: batch.batch_id,
+    status: aggregateBatchStatus(counts, jobs.length),
+    fullName: `${batch.first_name} ${batch.last_name}`,
+    processingMethod: batch.processing_method,
+    total: jobs.length,
+    counts,
+    progress: jobs.length
+      ? Math.round(jobs.reduce((sum, job) => sum + (job.progress || 0), 0) / jobs.length)
+      : 0,
+    createdAt: batch.created_at,
+    jobs: jobs.map(job => ({
+      jobId: job.job_id,
+      fileName: job.file_name,
+      status: job.status,
+      progress: job.progress,
+      verdict: job.verification_verdict,
+      errorMessage: job.error_message,
+      errorCode: job.error_code || null,
+    })),
+  };
+}
+
+/**
+ * Derive a batch's overall status from its job counts
+ */
+function aggregateBatchStatus(counts, total) {
+  if (total === 0) return BATCH_STATUS.QUEUED;
+  if (counts[JOB_STATUS.QUEUED] + counts[JOB_STATUS.PROCESSING] > 0) return BATCH_STATUS.PROCESSING;
+  if (counts[JOB_STATUS.COMPLETED] === total) return BATCH_STATUS.COMPLETED;
+  if (counts[JOB_STATUS.FAILED] + counts[JOB_STATUS.QUARANTINED] === total) return BATCH_STATUS.FAILED;
+  return BATCH_STATUS.PARTIAL;
+}
+
+/**
+ * Update processing results and mark the job completed
+ * @param {string} jobId - Job identifier
+ * @param {Object} results - Processing results
+ */
+async function updateProcessingResults(jobId, results) {
+  await getStorage().jobRepository.update(jobId, {
+    status: JOB_STATUS.COMPLETED,
+    progress: 100,
+    progress_stage: PROGRESS_STAGES.SAVED,
+    raw_text: results.rawText,
+    layout: results.layout,
+    ocr_pages: results.ocr,
+    warnings: results.warnings,
+    mrz_data: results.mrz,
+    ai_extracted_data: results.aiExtractedData,
+    ai_provider: results.aiProvider,
+    ai_model: results.aiModel,
+    document_type: results.documentType,
+    document_type_confidence: results.documentTypeConfidence,
+    verification: results.verification,
+    verification_verdict: results.verification ? results.verification.verdict : null,
+    page_hashes: results.pageHashes,
+    perceptual_bands: results.perceptualBands,
+    near_duplicates: results.nearDuplicates,
+    full_name: results.fullName,
+    age: results.age,
+    completed_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Record pipeline progress on a job
+ * @param {string} jobId - Job identifier
+ * @param {number} progress - Overall progress, 0-100
+ * @param {string} stage - Current pipeline stage
+ */
+async function updateJobProgress(jobId, progress, stage) {
+  await getStorage().jobRepository.update(jobId, {
+    progress,
+    progress_stage: stage,
+  });
+}
+
+/**
+ * Mark a job as failed
+ * @param {string} jobId - Job identifier
+ * @param {string} errorMessage - Reason for the failure
+ * @param {string} errorCode - Machine-readable reason (ERROR_CODES)
+ */
+async function markJobFailed(jobId, errorMessage, errorCode = ERROR_CODES.PROCESSING_FAILED) {
+  await getStorage().jobRepository.update(jobId, {
+    status: JOB_STATUS.FAILED,
+    error_message: errorMessage,
+    error_code: errorCode,
+  });
+}
+
+/**
+ * Get processing result by job ID
+ * @param {string} jobId - Job identifier
+ * @param {string} tenantId - Tenant asking for the result
+ * @returns {Promise<Object|null>} Processing result or null if not found
+ */
+async function getProcessingResult(jobId, tenantId) {
+  const data = await findTenantJob(jobId, tenantId);
+
+  if (!data) {
+    return null;
+  }
+
+  return {
+    jobId: data.job_id,
+    status: data.status,
+    progress: data.progress,
+    progressStage: data.progress_stage,
+    fullName: data.full_name || `${data.first_name} ${data.last_name}`,
+    age: data.age,
+    rawText: data.raw_text,
+    pageCount: data.layout ? data.layout.pages.length : null,
+    ocr: data.ocr_pages,
+    warnings: data.warnings || [],
+    mrz: data.mrz_data,
+    aiExtractedData: data.ai_extracted_data,
+    aiProvider: data.ai_provider,
+    aiModel: data.ai_model,
+    documentType: data.document_type,
+    documentTypeConfidence: data.document_type_confidence,
+    verification: data.verification,
+    processingMethod: data.processing_method,
+    safety: data.safety_checks || null,
+    contentHash: data.content_hash || null,
+    duplicateOf: data.duplicate_of || null,
+    nearDuplicates: data.near_duplicates || [],
+    // The file itself is only handed out as an expiring link, from GET /api/results/:jobId/document
+    fileName: data.file_name,
+    mimeType: data.mime_type,
+    errorMessage: data.error_message,
+    errorCode: data.error_code || null,
+    batchId: data.batch_id,
+    retention: describeJobRetention(data),
+    legalHold: data.legal_hold
+      ? { reason: data.legal_hold_reason, since: data.legal_hold_at, keyId: data.legal_hold_by }
+      : null,
+  };
+}
+
+/**
+ * When a job's file and data are due to be purged under its retention policy
+ * @param {Object} job - Job row
+ * @returns {{ filePurgedAt: string|null, fileExpiresAt: string|null, dataExpiresAt: string|null }} Expiry times,
+ *   null when kept forever; a legal hold postpones both
+ */
+function describeJobRetention(job) {
+  const policy = resolveRetention({ tenantId: job.tenant_id, processingMethod: job.processing_method });
+  const expiresAt = ({ days }) => (days ? new Date(new Date(job.created_at).getTime() + days * DAY_MS).toISOString() : null);
+
+  return {
+    filePurgedAt: job.file_purged_at || null,
+    fileExpiresAt: job.file_url ? expiresAt(policy.fileDays) : null,
+    dataExpiresAt: expiresAt(policy.dataDays),
+  };
+}
+
+/**
+ * Get the extracted pages of a job. Jobs stored before layouts were recorded
+ * get text-only pages split from raw_text.
+ * @param {string} jobId - Job identifier
+ * @param {string} tenantId - Tenant asking for the pages
+ * @returns {Promise<{ jobId: string, method: string, pages: Object[] }|null>} Pages, or null if the job doesn't exist
+ */
+async function getDocumentPages(jobId, tenantId) {
+  const data = await findTenantJob(jobId, tenantId);
+
+  if (!data) {
+    return null;
+  }
+
+  return {
+    jobId: data.job_id,
+    method: data.layout ? data.layout.method : null,
+    pages: data.layout ? data.layout.pages : pagesFromRawText(data.raw_text),
+  };
+}
+
+// Columns loaded for list views; never the large raw_text / ai_extracted_data blobs
+const LIST_COLUMNS = [
+  'job_id',
+  'file_name',
+  'mime_type',
+  'first_name',
+  'last_name',
+  'full_name',
+  'status',
+  'progress',
+  'processing_method',
+  'document_type',
+  'verification_verdict',
+  'error_code',
+  'batch_id',
+  'created_at',
+  'completed_at',
+];
+
+// API sort keys (JOB_SORT_FIELDS) mapped to job columns
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  completedAt: 'completed_at',
+  fileName: 'file_name',
+  status: 'status',
+};
+
+/**
+ * List a tenant's processing jobs one page at a time
+ * @param {Object} options - List options
+ * @param {string} options.tenantId - Tenant whose jobs are listed
+ * @param {Object} options.filters - { status, processingMethod, mimeType, documentType, verdict, createdFrom, createdTo, name };
+ *   while names are encrypted, name matches whole words of the first and last name, or part of the file name
+ * @param {string} options.sortBy - One of SORT_COLUMNS' keys
+ * @param {string} options.order - 'asc' or 'desc'
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Number of jobs to skip
+ * @returns {Promise<{ jobs: Array, pagination: Object }>} Page of jobs and pagination info
+ */
+async function listProcessingJobs({ tenantId, filters = {}, sortBy = 'createdAt', order = 'desc', limit = 20, offset = 0 }) {
+  const { rows, total } = await getStorage().jobRepository.findPage({
+    filters: {
+      tenant_id: tenantId,
+      status: filters.status,
+      processing_method: filters.processingMethod,
+      mime_type: filters.mimeType,
+      document_type: filters.documentType,
+      verification_verdict: filters.verdict,
+      created_from: filters.createdFrom,
+      created_to: filters.createdTo,
+      name: filters.name,
+      name_terms: filters.name && encryptionEnabled() ? blindIndexTerms(filters.name) : undefined,
+    },
+    sort: { column: SORT_COLUMNS[sortBy], ascending: order === 'asc' },
+    limit,
+    offset,
+    columns: LIST_COLUMNS,
+  });
+
+  return {
+    jobs: rows.map(job => ({
+      jobId: job.job_id,
+      fileName: job.file_name,
+      mimeType: job.mime_type,
+      fullName: job.full_name || `${job.first_name} ${job.last_name}`,
+      status: job.status,
+      progress: job.progress,
+      processingMethod: job.processing_method,
+      documentType: job.document_type,
+      verdict: job.verification_verdict,
+      errorCode: job.error_code || null,
+      batchId: job.batch_id,
+      createdAt: job.created_at,
+      completedAt: job.completed_at
+    })),
+    pagination: {
+      limit,
+      offset,
+      total,
+      hasMore: offset + rows.length < total,
+    },
+  };
+}
+
+const SEARCH_COLUMNS = [
+  'job_id',
+  'file_name',
+  'mime_type',
+  'first_name',
+  'last_name',
+  'full_name',
+  'status',
+  'processing_method',
+  'created_at',
+];
+
+/**
+ * Escape a snippet for HTML and turn highlight markers into <mark> tags
+ */
+function formatSnippet(snippet) {
+  return (snippet || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_END).join('</mark>');
+}
+
+/**
+ * Search encrypted jobs on their blind index. The database can't rank text it can't read, so hits come
+ * newest first without a score; snippets are cut from the decrypted text of the requested page only.
+ * @returns {Promise<{ rows: Object[], total: number }>} Rows as jobRepository.search returns them
+ */
+async function searchEncryptedJobs(query, { tenantId, limit, offset }) {
+  const words = tokenize(query);
+  const terms = blindIndexTerms(query);
+  if (terms.length === 0) {
+    return { rows: [], total: 0 };
+  }
+
+  const { rows, total } = await getStorage().jobRepository.searchIndexed(terms, {
+    tenantId,
+    limit,
+    offset,
+    columns: [...SEARCH_COLUMNS, 'raw_text', 'ai_extracted_data'],
+  });
+
+  return {
+    rows: rows.map(row => ({ ...row, rank: null, snippet: buildSnippet(searchableText(row), words) })),
+    total,
+  };
+}
+
+/**
+ * Search extracted text and AI fields across a tenant's jobs
+ * @param {string} query - Free-text query; every term must match
+ * @param {Object} options - { tenantId, limit, offset }
+ * @returns {Promise<{ hits: Array, pagination: Object }>} Ranked hits with highlighted snippets; while extracted
+ *   text is encrypted, hits are newest first and score is null
+ */
+async function searchDocuments(query, { tenantId, limit = 20, offset = 0 }) {
+  const { rows, total } = encryptionEnabled()
+    ? await searchEncryptedJobs(query, { tenantId, limit, offset })
+    : await getStorage().jobRepository.search(query, {
+      tenantId,
+      limit,
+      offset,
+      columns: SEARCH_COLUMNS,
+    });
+
+  return {
+    hits: rows.map(job => ({
+      jobId: job.job_id,
+      fileName: job.file_name,
+      mimeType: job.mime_type,
+      fullName: job.full_name || `${job.first_name} ${job.last_name}`,
+      status: job.status,
+      processingMethod: job.processing_method,
+      createdAt: job.created_at,
+      score: job.rank,
+      snippet: formatSnippet(job.snippet),
+    })),
+    pagination: {
+      limit,
+      offset,
+      total,
+      hasMore: offset + rows.length < total,
+    },
+  };
+}
+
+/**
+ * Delete a job's stored file from the blob store, unless linked duplicates still use it
+ * (they share the original's file, which goes with the last job using it)
+ * @param {Object} job - Job row whose file_url is being dropped
+ */
+async function removeStoredFile(job) {
+  const { blobStore, jobRepository } = getStorage();
+  const sharedFile = job.content_hash && (await jobRepository.findByContentHash(job.content_hash, job.tenant_id))
+    .some(other => other.job_id !== job.job_id && other.file_url === job.file_url);
+
+  if (!sharedFile) {
+    await blobStore.remove(blobStore.pathFromUrl(job.file_url));
+  }
+}
+
+/**
+ * Delete a job's original file but keep the job and its extracted data. Nothing happens if the job
+ * changed since it was read (e.g. a legal hold was placed), so a stale row never purges a file.
+ * @param {Object} job - Job row with file_url and updated_at as read
+ * @returns {Promise<boolean>} True if the file was purged
+ */
+async function purgeStoredFile(job) {
+  const { jobRepository } = getStorage();
+  const claimed = await jobRepository.updateWhere(
+    job.job_id,
+    { updated_at: job.updated_at },
+    { file_url: null, file_purged_at: new Date().toISOString() }
+  );
+
+  if (!claimed) {
+    return false;
+  }
+
+  try {
+    await removeStoredFile(job);
+  } catch (error) {
+    // Put the file back on the job so a later purge retries it
+    await jobRepository.update(job.job_id, { file_url: job.file_url, file_purged_at: null });
+    throw error;
+  }
+
+  return true;
+}
+
+/**
+ * Delete a job with its extracted data and stored file, and its batch once the batch is empty.
+ * Nothing happens if the job's status or legal hold changed since it was read. Unlike purgeStoredFile
+ * this doesn't compare updated_at: a running job's progress and lease heartbeats bump it every few
+ * seconds, and shouldn't stop the job from being deleted.
+ * @param {Object} job - Job row with status and legal_hold as read
+ * @returns {Promise<boolean>} True if the job was deleted
+ */
+async function purgeJob(job) {
+  const { jobRepository, batchRepository } = getStorage();
+  const unchanged = { status: job.status, legal_hold: job.legal_hold ?? null };
+
+  if (!(await jobRepository.removeWhere(job.job_id, unchanged))) {
+    return false;
+  }
+
+  if (job.file_url) {
+    try {
+      await removeStoredFile(job);
+    } catch (storageError) {
+      // The job is gone either way; the file is left behind in the blob store
+      logger.warn('Job deleted, but its file could not be removed from storage', { jobId: job.job_id, error: storageError.message });
+    }
+  }
+
+  // Batches hold the applicant's name and date of birth, so they go with their last job
+  if (job.batch_id && (await jobRepository.findByBatch(job.batch_id)).length === 0) {
+    await batchRepository.remove(job.batch_id);
+  }
+
+  return true;
+}
+
+/**
+ * Delete a processing job and its stored file
+ * @param {string} jobId - Job identifier
+ * @param {string} tenantId - Tenant deleting the job
+ * @returns {Promise<Object|null>} The deleted job row, or null if not found
+ * @throws {Error} LEGAL_HOLD if the job is under legal hold, JOB_CHANGED if it kept changing
+ *   (finishing, or going on and off hold) across every attempt to delete it
+ */
+async function deleteProcessingJob(jobId, tenantId) {
+  try {
+    for (let attempt = 0; attempt < DELETE_ATTEMPTS; attempt++) {
+      const job = await findTenantJob(jobId, tenantId);
+
+      if (!job) {
+        return null;
+      }
+
+      if (job.legal_hold) {
+        throw createCodedError(ERROR_CODES.LEGAL_HOLD, ERROR_MESSAGES.LEGAL_HOLD, { retryable: false });
+      }
+
+      // The job finished or was put on hold since it was read; read it again and retry
+      if (await purgeJob(job)) {
+        return job;
+      }
+    }
+
+    throw createCodedError(ERROR_CODES.JOB_CHANGED, ERROR_MESSAGES.JOB_CHANGED);
+  } catch (error) {
+    if (error.code !== ERROR_CODES.LEGAL_HOLD) {
+      logger.error('Failed to delete job', error, { jobId });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check that the job store is reachable
+ * @returns {Promise<void>} Rejects if the store is unavailable
+ */
+async function checkStorageHealth() {
+  await getStorage().jobRepository.ping();
+}
+
+module.exports = {
+  storeFile,
+  findTenantJob,
+  readStoredFile,
+  storeDocumentMetadata,
+  storeBatch,
+  getBatchStatus,
+  updateProcessingResults,
+  updateJobProgress,
+  markJobFailed,
+  getProcessingResult,
+  getDocumentPages,
+  listProcessingJobs,
+  searchDocuments,
+  deleteProcessingJob,
+  purgeStoredFile,
+  purgeJob,
+  checkStorageHealth,
+};
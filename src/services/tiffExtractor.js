@@ -0,0 +1,41 @@
+// src/services/tiffExtractor.js
+const sharp = require('sharp');
+const { ERROR_CODES } = require('../config/constants');
+const { createCodedError } = require('../utils/errors');
+const { resolveOCROptions } = require('./ocrOptions');
+const { recognizePages } = require('./pageOCR');
+
+/**
+ * Extract the text layout of a TIFF, OCR'ing each page like a scanned PDF page.
+ * The OCR page range and page limit apply to multi-page TIFFs as they do to PDFs.
+ * @param {Buffer} tiffBuffer - TIFF file buffer
+ * @param {Object} options - Extraction options
+ * @param {Function} options.onProgress - Called with { stage, page, totalPages, fraction }
+ * @param {Object} options.ocrOptions - Effective OCR options (see ocrOptions.resolveOCROptions)
+ * @returns {Promise<{ method: string, pages: Object[], ocr: Object, warnings: Object[], pageHashes: Object[] }>} Document layout
+ * @throws {Error} DOCUMENT_CORRUPT, OCR_FAILED, NO_PAGES_SELECTED or NO_TEXT_FOUND
+ */
+async function extractTIFFLayout(tiffBuffer, { onProgress = () => {}, ocrOptions = resolveOCROptions(null) } = {}) {
+  let metadata;
+  try {
+    metadata = await sharp(tiffBuffer).metadata();
+  } catch (error) {
+    throw createCodedError(ERROR_CODES.DOCUMENT_CORRUPT, `The file is not a readable TIFF: ${error.message}`, { retryable: false, cause: error });
+  }
+
+  const { pages, ocr, warnings, pageHashes } = await recognizePages({
+    totalPages: metadata.pages || 1,
+    ocrOptions,
+    onProgress,
+    // Each page is decoded to PNG, keeping the resolution it was scanned at
+    renderPage: async pageNumber => ({
+      buffer: await sharp(tiffBuffer, { page: pageNumber - 1 }).png().toBuffer(),
+    }),
+  });
+
+  return { method: 'ocr', pages, ocr, warnings, pageHashes };
+}
+
+module.exports = {
+  extractTIFFLayout,
+};
@@ -38,8 +38,100 @@ function calculateAge(dobString) {
     return phoneRegex.test(phone);
   }
   
+  const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+  
+  /**
+   * Build a YYYY-MM-DD string, or null if the parts aren't a real date
+   */
+  function isoDateFromParts(year, month, day) {
+    if (year < 100) {
+      // Two-digit years: assume the most recent century that isn't in the future
+      const currentYear = new Date().getFullYear();
+      year += 2000;
+      if (year > currentYear) year -= 100;
+    }
+    
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+    
+    return date.toISOString().slice(0, 10);
+  }
+  
+  /**
+   * Normalize a date written in a common format to YYYY-MM-DD.
+   * Ambiguous numeric dates (e.g. 03/04/2020) are read day-first unless the
+   * second number can only be a day.
+   * @param {string} value - Date such as 2020-04-03, 03/04/2020, 3 Apr 2020 or April 3, 2020
+   * @returns {string|null} ISO date, or null if it can't be parsed
+   */
+  function toISODate(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim().toLowerCase();
+    let match;
+    
+    // 2020-04-03, 2020/04/03, 2020.04.03, 2020-04-03T10:00:00Z
+    if ((match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[t\s].*)?$/))) {
+      return isoDateFromParts(+match[1], +match[2], +match[3]);
+    }
+    
+    // 20200403
+    if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+      return isoDateFromParts(+match[1], +match[2], +match[3]);
+    }
+    
+    // 03/04/2020, 03-04-20, 03.04.2020
+    if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/))) {
+      const [first, second, year] = [+match[1], +match[2], +match[3]];
+      return second > 12
+        ? isoDateFromParts(year, first, second)
+        : isoDateFromParts(year, second, first);
+    }
+    
+    // 3 Apr 2020, 03 APR 20, 3rd of April 2020
+    if ((match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?(?:\s+of)?[\s.-]+([a-z]{3})[a-z]*\.?[\s.,-]+(\d{2}|\d{4})$/))) {
+      const month = MONTHS.indexOf(match[2]) + 1;
+      return month ? isoDateFromParts(+match[3], month, +match[1]) : null;
+    }
+    
+    // April 3, 2020 / Apr 3rd 2020
+    if ((match = text.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{2}|\d{4})$/))) {
+      const month = MONTHS.indexOf(match[1]) + 1;
+      return month ? isoDateFromParts(+match[3], month, +match[2]) : null;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Normalize a phone number to digits with an optional leading +
+   * (international "00" prefixes become +)
+   * @param {string} phone - Phone number as written
+   * @returns {string|null} Normalized number, or null if it isn't 7-15 digits
+   */
+  function normalizePhoneNumber(phone) {
+    if (phone === null || phone === undefined) return null;
+    let text = String(phone).trim().replace(/(?:ext|x)\.?\s*\d+$/i, '');
+    
+    if (text.startsWith('00')) {
+      text = `+${text.slice(2)}`;
+    }
+    
+    const international = text.startsWith('+');
+    const digits = text.replace(/\D/g, '');
+    
+    if (digits.length < 7 || digits.length > 15) {
+      return null;
+    }
+    
+    return international ? `+${digits}` : digits;
+  }
+  
   module.exports = {
     calculateAge,
     isValidEmail,
     isValidPhone,
+    toISODate,
+    normalizePhoneNumber,
   };
\ No newline at end of file
@@ -0,0 +1,101 @@
+// src/services/virusScan/clamavScanner.js
+const net = require('net');
+
+// clamd's default StreamMaxLength is 25MB; chunks just need to stay well below it
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Create a scanner that streams files to a ClamAV daemon (clamd) with the INSTREAM command.
+ * Anything that speaks the clamd protocol works, e.g. a clamd sidecar container.
+ * @param {Object} options - Scanner options
+ * @param {string} options.host - clamd host
+ * @param {number} options.port - clamd TCP port
+ * @param {string} options.socketPath - clamd Unix socket; used instead of host and port when set
+ * @param {number} options.timeoutMs - Time allowed for connecting, sending and the verdict
+ * @returns {{ name: string, scan: Function }}
+ */
+function createClamAVScanner({ host, port, socketPath, timeoutMs }) {
+  /**
+   * Scan a file
+   * @param {Buffer} buffer - File contents
+   * @returns {Promise<{ infected: boolean, signature: string|null }>} Verdict
+   */
+  function scan(buffer) {
+    return new Promise((resolve, reject) => {
+      const socket = socketPath ? net.createConnection(socketPath) : net.createConnection({ host, port });
+      const replies = [];
+      let settled = false;
+
+      const settle = (error, verdict) => {
+        if (settled) return;
+        settled = true;
+        socket.destroy();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(verdict);
+        }
+      };
+
+      const finish = reply => {
+        try {
+          settle(null, parseReply(reply));
+        } catch (error) {
+          settle(error);
+        }
+      };
+
+      socket.setTimeout(timeoutMs, () => settle(new Error(`ClamAV did not answer within ${timeoutMs} ms`)));
+      socket.on('error', error => settle(new Error(`ClamAV connection failed: ${error.message}`)));
+
+      socket.on('connect', () => {
+        // Null-terminated command, then length-prefixed chunks ended by a zero-length chunk
+        socket.write('zINSTREAM\0');
+        for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+          const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+          const size = Buffer.alloc(4);
+          size.writeUInt32BE(chunk.length);
+          socket.write(size);
+          socket.write(chunk);
+        }
+        socket.write(Buffer.alloc(4));
+      });
+
+      socket.on('data', data => {
+        replies.push(data);
+        const reply = Buffer.concat(replies).toString('utf8');
+        // The reply is one null-terminated line: "stream: OK", "stream: <name> FOUND" or "<message> ERROR"
+        if (reply.includes('\0')) {
+          finish(reply.replace(/\0[\s\S]*$/, '').trim());
+        }
+      });
+
+      socket.on('end', () => {
+        finish(Buffer.concat(replies).toString('utf8').replace(/\0/g, '').trim());
+      });
+    });
+  }
+
+  return {
+    name: 'clamav',
+    scan,
+  };
+}
+
+/**
+ * Turn a clamd INSTREAM reply into a verdict; clamd errors and empty replies throw
+ */
+function parseReply(reply) {
+  const found = reply.match(/^stream: (.+) FOUND$/);
+  if (found) {
+    return { infected: true, signature: found[1] };
+  }
+  if (/^stream: OK$/.test(reply)) {
+    return { infected: false, signature: null };
+  }
+  throw new Error(reply ? `ClamAV error: ${reply}` : 'ClamAV closed the connection without a verdict');
+}
+
+module.exports = {
+  createClamAVScanner,
+};
@@ -0,0 +1,35 @@
+// src/services/virusScan/index.js
+const { virusScan: config } = require('../../config/env');
+const { createClamAVScanner } = require('./clamavScanner');
+const { createLocalScanner } = require('./localScanner');
+
+/**
+ * Virus scanners. Every scanner has a name and scan(buffer) -> Promise<{ infected, signature }>;
+ * scan rejects when the file couldn't be scanned.
+ */
+const scanners = {
+  clamav: () => createClamAVScanner({
+    host: config.clamavHost,
+    port: config.clamavPort,
+    socketPath: config.clamavSocket,
+    timeoutMs: config.timeoutMs,
+  }),
+  local: () => createLocalScanner(),
+};
+
+let scanner;
+
+/**
+ * The configured scanner (VIRUS_SCANNER)
+ * @returns {Object|null} Scanner, or null when scanning is disabled
+ */
+function getVirusScanner() {
+  if (scanner === undefined) {
+    scanner = scanners[config.scanner] ? scanners[config.scanner]() : null;
+  }
+  return scanner;
+}
+
+module.exports = {
+  getVirusScanner,
+};
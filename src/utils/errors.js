@@ -0,0 +1,23 @@
+// src/utils/errors.js
+
+/**
+ * Create an error carrying a machine-readable code (see ERROR_CODES in constants.js)
+ * @param {string} code - Error code
+ * @param {string} message - Human-readable message
+ * @param {Object} options - Error options
+ * @param {boolean} options.retryable - False for failures a retry can't fix (the queue fails the job at once)
+ * @param {Error} options.cause - Underlying error
+ * @returns {Error} Error with code (and retryable when false) set
+ */
+function createCodedError(code, message, { retryable = true, cause } = {}) {
+  const error = new Error(message, cause ? { cause } : undefined);
+  error.code = code;
+  if (!retryable) {
+    error.retryable = false;
+  }
+  return error;
+}
+
+module.exports = {
+  createCodedError,
+};
@@ -0,0 +1,33 @@
+// src/worker.js
+// Standalone worker: processes queued documents and purges expired ones without serving HTTP.
+require('dotenv').config();
+
+const config = require('./config/env');
+const { startProcessingQueue, stopProcessingQueue } = require('./services/documentProcessor');
+const { startRetentionSweeper, stopRetentionSweeper } = require('./services/retention');
+const logger = require('./utils/logger');
+
+if (config.storageBackend === 'local') {
+  logger.error('The local storage backend keeps jobs in the API process; run the worker in-process instead');
+  process.exit(1);
+}
+
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info('Worker shutting down', { signal });
+  await stopRetentionSweeper();
+  await stopProcessingQueue();
+  process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+startProcessingQueue().catch(error => {
+  logger.error('Failed to start worker', error);
+  process.exit(1);
+});
+startRetentionSweeper();
@@ -0,0 +1,134 @@
+// tests/middleware/auth.test.js
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const app = require('../../src/app');
+const { createApiKey } = require('../../src/services/apiKeys');
+const { getStorage } = require('../../src/services/storage');
+const { ERROR_MESSAGES } = require('../../src/config/constants');
+
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+
+const bearer = key => ({ Authorization: `Bearer ${key}` });
+const keyFor = (tenantId, scopes) => createApiKey({ tenantId, name: `${tenantId} ${scopes.join(' ')}`, scopes }).then(({ key }) => key);
+
+async function insertJob(tenantId, rawText) {
+  const jobId = uuidv4();
+  await getStorage().jobRepository.insert({
+    job_id: jobId,
+    tenant_id: tenantId,
+    file_name: `${jobId}.pdf`,
+    mime_type: 'application/pdf',
+    first_name: 'Anna',
+    last_name: 'Eriksson',
+    date_of_birth: '1974-08-12',
+    processing_method: 'standard',
+    status: 'completed',
+    raw_text: rawText,
+  });
+  return jobId;
+}
+
+describe('authentication', () => {
+  test('rejects requests without a key or with an unknown key', async () => {
+    const missing = await request(app).get('/api/results');
+    expect(missing.status).toBe(401);
+    expect(missing.headers['www-authenticate']).toBe('Bearer');
+    expect(missing.body).toEqual({ error: ERROR_MESSAGES.API_KEY_REQUIRED });
+
+    const unknown = await request(app).get('/api/results').set(bearer('dpk_not-a-real-key'));
+    expect(unknown.status).toBe(401);
+    expect(unknown.body).toEqual({ error: ERROR_MESSAGES.INVALID_API_KEY });
+  });
+
+  test('accepts a key in X-API-Key as well as Authorization', async () => {
+    const key = await keyFor('acme', ['read']);
+    expect((await request(app).get('/api/results').set('X-API-Key', key)).status).toBe(200);
+    expect((await request(app).get('/api/results').set(bearer(key))).status).toBe(200);
+  });
+
+  test('leaves health checks public', async () => {
+    expect((await request(app).get('/api/health')).status).not.toBe(401);
+  });
+
+  test('rejects a revoked key', async () => {
+    const key = await keyFor('acme', ['read']);
+    const [{ keyId }] = (await request(app).get('/api/keys').set(bearer(ADMIN_API_KEY)).query({ tenantId: 'acme' })).body.keys.slice(-1);
+
+    expect((await request(app).delete(`/api/keys/${keyId}`).set(bearer(ADMIN_API_KEY))).status).toBe(200);
+    expect((await request(app).get('/api/results').set(bearer(key))).status).toBe(401);
+  });
+});
+
+describe('scopes', () => {
+  test('refuse routes the key has no scope for', async () => {
+    const key = await keyFor('acme', ['upload']);
+
+    const read = await request(app).get('/api/results').set(bearer(key));
+    expect(read.status).toBe(403);
+    expect(read.body).toEqual({ error: 'This API key lacks the read scope.' });
+
+    expect((await request(app).get('/api/search').query({ q: 'passport' }).set(bearer(key))).status).toBe(403);
+    expect((await request(app).delete(`/api/results/${uuidv4()}`).set(bearer(key))).status).toBe(403);
+    expect((await request(app).get('/api/keys').set(bearer(key))).status).toBe(403);
+  });
+
+  test('admin keys have every document scope within their tenant', async () => {
+    const key = await keyFor('acme', ['admin']);
+    expect((await request(app).get('/api/results').set(bearer(key))).status).toBe(200);
+  });
+
+  test('the ADMIN_API_KEY has no tenant, so it manages keys but cannot touch documents', async () => {
+    expect((await request(app).get('/api/keys').set(bearer(ADMIN_API_KEY))).status).toBe(200);
+
+    const read = await request(app).get('/api/results').set(bearer(ADMIN_API_KEY));
+    expect(read.status).toBe(403);
+    expect(read.body.error).toMatch(/only manages API keys/);
+    expect((await request(app).get('/api/search').query({ q: 'passport' }).set(bearer(ADMIN_API_KEY))).status).toBe(403);
+    expect((await request(app).post('/api/upload').set(bearer(ADMIN_API_KEY))).status).toBe(403);
+  });
+});
+
+describe('tenant isolation', () => {
+  let jobA;
+  let tenantA;
+  let tenantB;
+
+  beforeAll(async () => {
+    jobA = await insertJob('tenant-a', 'PASSPORT Surname ERIKSSON Place of birth Gothenburg');
+    await insertJob('tenant-b', 'DRIVING LICENCE Place of birth Gothenburg');
+    tenantA = await keyFor('tenant-a', ['read', 'delete']);
+    tenantB = await keyFor('tenant-b', ['read', 'delete']);
+  });
+
+  test("a tenant cannot read another tenant's job", async () => {
+    expect((await request(app).get(`/api/results/${jobA}`).set(bearer(tenantA))).status).toBe(200);
+    expect((await request(app).get(`/api/results/${jobA}`).set(bearer(tenantB))).status).toBe(404);
+    expect((await request(app).get(`/api/results/${jobA}/document`).set(bearer(tenantB))).status).toBe(404);
+
+    const { body } = await request(app).get('/api/results').query({ limit: 100 }).set(bearer(tenantB));
+    expect(body.jobs.map(job => job.jobId)).not.toContain(jobA);
+  });
+
+  test("a tenant's search only finds its own jobs", async () => {
+    const hitsFor = key => request(app).get('/api/search').query({ q: 'gothenburg' }).set(bearer(key))
+      .then(({ body }) => body.hits.map(hit => hit.jobId));
+
+    expect(await hitsFor(tenantA)).toEqual([jobA]);
+    expect(await hitsFor(tenantB)).not.toContain(jobA);
+  });
+
+  test("a tenant cannot delete another tenant's job", async () => {
+    expect((await request(app).delete(`/api/results/${jobA}`).set(bearer(tenantB))).status).toBe(404);
+    expect(await getStorage().jobRepository.findById(jobA)).not.toBeNull();
+  });
+
+  test("a tenant admin cannot create or revoke another tenant's keys", async () => {
+    const admin = await keyFor('tenant-b', ['admin']);
+    const create = await request(app).post('/api/keys').set(bearer(admin)).send({ name: 'sneaky', scopes: ['read'], tenantId: 'tenant-a' });
+    expect(create.status).toBe(403);
+
+    const { body } = await request(app).get('/api/keys').set(bearer(ADMIN_API_KEY)).query({ tenantId: 'tenant-a' });
+    const revoke = await request(app).delete(`/api/keys/${body.keys[0].keyId}`).set(bearer(admin));
+    expect(revoke.status).toBe(404);
+  });
+});
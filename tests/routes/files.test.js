@@ -0,0 +1,65 @@
+// tests/routes/files.test.js
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const app = require('../../src/app');
+const { createApiKey } = require('../../src/services/apiKeys');
+const { storeFile } = require('../../src/services/storageService');
+const { getStorage } = require('../../src/services/storage');
+
+const TENANT = 'files-tenant';
+const CONTENTS = Buffer.from('%PDF-1.4 served document');
+
+let auth;
+let jobId;
+
+beforeAll(async () => {
+  const { key } = await createApiKey({ tenantId: TENANT, name: 'files', scopes: ['read', 'admin'] });
+  auth = { Authorization: `Bearer ${key}` };
+
+  jobId = uuidv4();
+  await getStorage().jobRepository.insert({
+    job_id: jobId,
+    tenant_id: TENANT,
+    file_name: 'passport.pdf',
+    mime_type: 'application/pdf',
+    file_url: await storeFile(CONTENTS, 'application/pdf'),
+    status: 'completed',
+  });
+});
+
+describe('GET /api/files/:jobId', () => {
+  test('serves the document through the link, recording the link and every download', async () => {
+    const link = await request(app).get(`/api/results/${jobId}/document`).set(auth);
+    expect(link.status).toBe(200);
+    expect(link.body.fileUrl).toMatch(new RegExp(`^/api/files/${jobId}\\?`));
+
+    const whole = await request(app).get(link.body.fileUrl);
+    expect(whole.status).toBe(200);
+    expect(whole.headers['content-type']).toBe('application/pdf');
+    expect(whole.body.equals(CONTENTS)).toBe(true);
+
+    const part = await request(app).get(link.body.fileUrl).set('Range', 'bytes=0-7');
+    expect(part.status).toBe(206);
+    expect(part.headers['content-range']).toBe(`bytes 0-7/${CONTENTS.length}`);
+    expect(part.body.toString()).toBe('%PDF-1.4');
+
+    const { body } = await request(app).get(`/api/results/${jobId}/access-log`).set(auth);
+    expect(body.accesses.map(({ action, byteRange }) => ({ action, byteRange })))
+      .toEqual(expect.arrayContaining([
+        { action: 'file_served', byteRange: '0-7' },
+        { action: 'file_served', byteRange: null },
+        { action: 'link_issued', byteRange: null },
+      ]));
+    expect(body.accesses).toHaveLength(3);
+  });
+
+  test('answers 403 for a tampered link and 416 for a range past the end', async () => {
+    const { body: { fileUrl } } = await request(app).get(`/api/results/${jobId}/document`).set(auth);
+
+    expect((await request(app).get(`${fileUrl}A`)).status).toBe(403);
+
+    const outside = await request(app).get(fileUrl).set('Range', `bytes=${CONTENTS.length}-`);
+    expect(outside.status).toBe(416);
+    expect(outside.headers['content-range']).toBe(`bytes */${CONTENTS.length}`);
+  });
+});
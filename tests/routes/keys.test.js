@@ -0,0 +1,42 @@
+// tests/routes/keys.test.js
+const request = require('supertest');
+const app = require('../../src/app');
+
+const admin = { Authorization: `Bearer ${process.env.ADMIN_API_KEY}` };
+
+describe('/api/keys', () => {
+  test('creates a key that works at once, and shows it only when created', async () => {
+    const created = await request(app).post('/api/keys').set(admin).send({ name: 'intake', scopes: ['read'], tenantId: 'globex' });
+    expect(created.status).toBe(201);
+    expect(created.body.key).toMatch(/^dpk_/);
+    expect(created.body.apiKey).toMatchObject({ tenantId: 'globex', name: 'intake', scopes: ['read'], revokedAt: null });
+
+    expect((await request(app).get('/api/results').set('X-API-Key', created.body.key)).status).toBe(200);
+
+    const { body } = await request(app).get('/api/keys').set(admin).query({ tenantId: 'globex' });
+    expect(body.keys.map(key => key.keyId)).toContain(created.body.apiKey.keyId);
+    expect(JSON.stringify(body)).not.toContain(created.body.key);
+  });
+
+  test('gives tenant admins keys for their own tenant', async () => {
+    const { body: { key } } = await request(app).post('/api/keys').set(admin).send({ name: 'globex admin', scopes: ['admin'], tenantId: 'globex' });
+
+    const created = await request(app).post('/api/keys').set('X-API-Key', key).send({ name: 'reader', scopes: 'read,delete' });
+    expect(created.status).toBe(201);
+    expect(created.body.apiKey).toMatchObject({ tenantId: 'globex', scopes: ['read', 'delete'] });
+  });
+
+  test('rejects invalid names, scopes and tenants', async () => {
+    const create = body => request(app).post('/api/keys').set(admin).send(body);
+
+    expect((await create({ name: '', scopes: ['read'], tenantId: 'globex' })).status).toBe(400);
+    expect((await create({ name: 'intake', scopes: ['everything'], tenantId: 'globex' })).status).toBe(400);
+    expect((await create({ name: 'intake', scopes: ['read'], tenantId: 'globex corp' })).status).toBe(400);
+    expect((await create({ name: 'intake', scopes: ['read'], tenantId: ['globex'] })).status).toBe(400);
+    expect((await create({ name: 'intake', scopes: ['read'] })).status).toBe(400);
+  });
+
+  test('returns 404 for an unknown key', async () => {
+    expect((await request(app).delete('/api/keys/no-such-key').set(admin)).status).toBe(404);
+  });
+});
@@ -0,0 +1,144 @@
+// tests/routes/results.test.js
+const request = require('supertest');
+const { v4: uuidv4 } = require('uuid');
+const app = require('../../src/app');
+const { createApiKey } = require('../../src/services/apiKeys');
+const { getStorage } = require('../../src/services/storage');
+const { ERROR_CODES, ERROR_MESSAGES } = require('../../src/config/constants');
+
+const TENANT = 'results-tenant';
+
+let auth;
+
+beforeAll(async () => {
+  const { key } = await createApiKey({ tenantId: TENANT, name: 'results', scopes: ['read', 'delete'] });
+  auth = { Authorization: `Bearer ${key}` };
+});
+
+async function insertJob(overrides = {}) {
+  const jobId = uuidv4();
+  await getStorage().jobRepository.insert({
+    job_id: jobId,
+    tenant_id: TENANT,
+    file_name: 'passport.pdf',
+    mime_type: 'application/pdf',
+    processing_method: 'standard',
+    status: 'completed',
+    ...overrides,
+  });
+  return jobId;
+}
+
+describe('DELETE /api/results/:jobId', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('deletes the job', async () => {
+    const jobId = await insertJob();
+    expect((await request(app).delete(`/api/results/${jobId}`).set(auth)).status).toBe(200);
+    expect((await request(app).delete(`/api/results/${jobId}`).set(auth)).status).toBe(404);
+  });
+
+  test('answers 409 JOB_CHANGED when the job changes under every attempt', async () => {
+    const jobId = await insertJob({ status: 'processing' });
+    const { jobRepository } = getStorage();
+    const findById = jobRepository.findById;
+
+    // The status flips after every read, so the delete never matches what it read
+    jest.spyOn(jobRepository, 'findById').mockImplementation(async id => {
+      const row = await findById.call(jobRepository, id);
+      await jobRepository.update(id, { status: row.status === 'processing' ? 'queued' : 'processing' });
+      return row;
+    });
+
+    const res = await request(app).delete(`/api/results/${jobId}`).set(auth);
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ error: ERROR_MESSAGES.JOB_CHANGED, code: ERROR_CODES.JOB_CHANGED });
+  });
+});
+
+describe('GET /api/results', () => {
+  const LIST_TENANT = 'list-tenant';
+  let listAuth;
+
+  const list = query => request(app).get('/api/results').query(query).set(listAuth);
+  const jobIdsOf = res => res.body.jobs.map(job => job.jobId);
+
+  beforeAll(async () => {
+    const { key } = await createApiKey({ tenantId: LIST_TENANT, name: 'lists', scopes: ['read'] });
+    listAuth = { Authorization: `Bearer ${key}` };
+
+    const jobs = [
+      { job_id: 'list-1', file_name: 'a-passport.pdf', status: 'completed', processing_method: 'ai', verification_verdict: 'match', created_at: '2024-03-01T09:00:00.000Z' },
+      { job_id: 'list-2', file_name: 'b-licence.png', mime_type: 'image/png', status: 'failed', created_at: '2024-03-02T09:00:00.000Z' },
+      { job_id: 'list-3', file_name: 'c-passport.pdf', status: 'completed', verification_verdict: 'mismatch', created_at: '2024-03-03T09:00:00.000Z' },
+      { job_id: 'list-4', file_name: 'd-statement.pdf', status: 'queued', first_name: 'Bo', last_name: 'Lind', created_at: '2024-03-04T09:00:00.000Z' },
+      { job_id: 'list-5', file_name: 'e-passport.pdf', status: 'completed', processing_method: 'ai', created_at: '2024-03-05T09:00:00.000Z' },
+    ];
+    for (const job of jobs) {
+      await getStorage().jobRepository.insert({
+        tenant_id: LIST_TENANT,
+        mime_type: 'application/pdf',
+        first_name: 'Anna',
+        last_name: 'Eriksson',
+        processing_method: 'standard',
+        ...job,
+      });
+    }
+  });
+
+  test('lists newest first, a page at a time', async () => {
+    const first = await list({ limit: 2 });
+    expect(first.status).toBe(200);
+    expect(jobIdsOf(first)).toEqual(['list-5', 'list-4']);
+    expect(first.body.pagination).toEqual({ limit: 2, offset: 0, total: 5, hasMore: true });
+    expect(first.body.jobs[0]).toMatchObject({ fileName: 'e-passport.pdf', fullName: 'Anna Eriksson', processingMethod: 'ai' });
+
+    const last = await list({ limit: 2, offset: 4 });
+    expect(jobIdsOf(last)).toEqual(['list-1']);
+    expect(last.body.pagination).toEqual({ limit: 2, offset: 4, total: 5, hasMore: false });
+
+    expect(jobIdsOf(await list({ offset: 10 }))).toEqual([]);
+    expect((await list({})).body.pagination.limit).toBe(20);
+  });
+
+  test('sorts by the requested field and order', async () => {
+    expect(jobIdsOf(await list({ sortBy: 'fileName', order: 'asc' }))).toEqual(['list-1', 'list-2', 'list-3', 'list-4', 'list-5']);
+    expect(jobIdsOf(await list({ sortBy: 'createdAt', order: 'asc', limit: 1 }))).toEqual(['list-1']);
+  });
+
+  test('filters by status, method, type, verdict, dates and name', async () => {
+    expect(jobIdsOf(await list({ status: 'completed' }))).toEqual(['list-5', 'list-3', 'list-1']);
+    expect(jobIdsOf(await list({ status: 'completed', processingMethod: 'ai' }))).toEqual(['list-5', 'list-1']);
+    expect(jobIdsOf(await list({ mimeType: 'image/png' }))).toEqual(['list-2']);
+    expect(jobIdsOf(await list({ verdict: 'mismatch' }))).toEqual(['list-3']);
+    // A bare date as the upper bound includes that whole day
+    expect(jobIdsOf(await list({ from: '2024-03-02', to: '2024-03-03' }))).toEqual(['list-3', 'list-2']);
+    expect(jobIdsOf(await list({ name: 'LIND' }))).toEqual(['list-4']);
+    expect(jobIdsOf(await list({ name: 'passport', limit: 1 }))).toEqual(['list-5']);
+    expect((await list({ name: 'passport', limit: 1 })).body.pagination.total).toBe(3);
+  });
+
+  test.each([
+    [{ limit: 0 }, /Invalid limit/],
+    [{ limit: 101 }, /Invalid limit/],
+    [{ limit: 'ten' }, /Invalid limit/],
+    [{ offset: -1 }, /Invalid offset/],
+    [{ offset: 1.5 }, /Invalid offset/],
+    [{ status: 'archived' }, /Invalid status/],
+    [{ processingMethod: 'magic' }, /Invalid processingMethod/],
+    [{ verdict: 'maybe' }, /Invalid verdict/],
+    [{ sortBy: 'firstName' }, /Invalid sortBy/],
+    [{ order: 'up' }, /Invalid order/],
+    [{ from: 'last tuesday' }, /Invalid from date/],
+  ])('rejects %o with a 400', async (query, message) => {
+    const res = await list(query);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(message);
+  });
+
+  test('accepts the largest page', async () => {
+    expect((await list({ limit: 100 })).status).toBe(200);
+  });
+});
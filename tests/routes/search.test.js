@@ -0,0 +1,87 @@
+// tests/routes/search.test.js
+const request = require('supertest');
+const app = require('../../src/app');
+const { createApiKey } = require('../../src/services/apiKeys');
+const { getStorage } = require('../../src/services/storage');
+
+const keyFor = tenantId => createApiKey({ tenantId, name: 'search', scopes: ['read'] })
+  .then(({ key }) => ({ Authorization: `Bearer ${key}` }));
+
+describe('GET /api/search', () => {
+  let acme;
+  let globex;
+
+  const search = (auth, query) => request(app).get('/api/search').query(query).set(auth);
+  const jobIdsOf = res => res.body.hits.map(hit => hit.jobId);
+
+  beforeAll(async () => {
+    acme = await keyFor('search-acme');
+    globex = await keyFor('search-globex');
+
+    const jobs = [
+      ['passport', 'search-acme', 'PASSPORT Surname ERIKSSON Given names ANNA Place of birth Malmö Nationality SWEDISH', { documentNumber: 'L898902C3' }],
+      ['statement', 'search-acme', 'Bank statement for Anna Eriksson. Payments to Malmö Energi, Malmö Parkering and Malmö Stad. Balance 1200 SEK', null],
+      ['licence', 'search-acme', 'DRIVING LICENCE Eriksson Anna Categories B', null],
+      ['other-tenant', 'search-globex', 'PASSPORT Surname ERIKSSON Place of birth Malmö', null],
+    ];
+    for (const [jobId, tenantId, rawText, aiData] of jobs) {
+      await getStorage().jobRepository.insert({
+        job_id: jobId,
+        tenant_id: tenantId,
+        file_name: `${jobId}.pdf`,
+        mime_type: 'application/pdf',
+        first_name: 'Anna',
+        last_name: 'Eriksson',
+        processing_method: 'standard',
+        status: 'completed',
+        raw_text: rawText,
+        ai_extracted_data: aiData,
+      });
+    }
+  });
+
+  test('ranks documents where the terms are more prominent first', async () => {
+    const res = await search(acme, { q: 'malmö' });
+    expect(res.status).toBe(200);
+    expect(jobIdsOf(res)).toEqual(['statement', 'passport']);
+    expect(res.body.hits[0].score).toBeGreaterThan(res.body.hits[1].score);
+    expect(res.body.hits[0]).toMatchObject({ fileName: 'statement.pdf', fullName: 'Anna Eriksson', status: 'completed' });
+    expect(res.body.hits[1].snippet).toContain('<mark>Malmö</mark>');
+  });
+
+  test('needs every term, ignoring case and accents, and searches AI fields too', async () => {
+    expect(jobIdsOf(await search(acme, { q: 'ERIKSSON malmo' }))).toEqual(['statement', 'passport']);
+    expect(jobIdsOf(await search(acme, { q: 'eriksson categories' }))).toEqual(['licence']);
+    expect(jobIdsOf(await search(acme, { q: 'l898902c3' }))).toEqual(['passport']);
+    expect(jobIdsOf(await search(acme, { q: 'eriksson lisbon' }))).toEqual([]);
+  });
+
+  test("only finds the caller's tenant's documents", async () => {
+    expect(jobIdsOf(await search(globex, { q: 'eriksson' }))).toEqual(['other-tenant']);
+    expect(jobIdsOf(await search(acme, { q: 'eriksson' }))).not.toContain('other-tenant');
+  });
+
+  test('pages through the hits', async () => {
+    const first = await search(acme, { q: 'anna', limit: 2 });
+    expect(first.body.hits).toHaveLength(2);
+    expect(first.body.pagination).toEqual({ limit: 2, offset: 0, total: 3, hasMore: true });
+
+    const rest = await search(acme, { q: 'anna', limit: 2, offset: 2 });
+    expect(rest.body.hits).toHaveLength(1);
+    expect(rest.body.pagination.hasMore).toBe(false);
+    expect(jobIdsOf(rest)).not.toContain(jobIdsOf(first)[0]);
+  });
+
+  test.each([
+    [{}, /Missing search query/],
+    [{ q: '   ' }, /Missing search query/],
+    [{ q: 'x'.repeat(201) }, /too long/],
+    [{ q: 'anna', limit: 0 }, /Invalid limit/],
+    [{ q: 'anna', limit: 101 }, /Invalid limit/],
+    [{ q: 'anna', offset: -5 }, /Invalid offset/],
+  ])('rejects %o with a 400', async (query, message) => {
+    const res = await search(acme, query);
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(message);
+  });
+});
@@ -0,0 +1,31 @@
+// tests/routes/upload.test.js
+const request = require('supertest');
+const app = require('../../src/app');
+const { createApiKey } = require('../../src/services/apiKeys');
+const { batchMaxFiles } = require('../../src/config/env');
+const { ERROR_MESSAGES } = require('../../src/config/constants');
+
+describe('POST /api/upload/batch', () => {
+  let key;
+
+  beforeAll(async () => {
+    ({ key } = await createApiKey({ tenantId: 'acme', name: 'uploads', scopes: ['upload'] }));
+  });
+
+  test('rejects more files than BATCH_MAX_FILES with a 400', async () => {
+    let req = request(app)
+      .post('/api/upload/batch')
+      .set('Authorization', `Bearer ${key}`)
+      .field('firstName', 'Anna')
+      .field('lastName', 'Eriksson')
+      .field('dob', '1974-08-12');
+
+    for (let i = 0; i <= batchMaxFiles; i++) {
+      req = req.attach('files', Buffer.from('%PDF-1.4 test'), { filename: `page-${i}.pdf`, contentType: 'application/pdf' });
+    }
+
+    const res = await req;
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ error: ERROR_MESSAGES.TOO_MANY_FILES });
+  });
+});
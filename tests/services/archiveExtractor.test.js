@@ -0,0 +1,64 @@
+// tests/services/archiveExtractor.test.js
+const AdmZip = require('adm-zip');
+const { extractDocumentsFromZip } = require('../../src/services/archiveExtractor');
+const { ERROR_MESSAGES } = require('../../src/config/constants');
+
+const LIMITS = { maxFiles: 5, maxFileSize: 1024 * 1024 };
+
+function zipOf(files) {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, contents]) => zip.addFile(name, contents));
+  return zip.toBuffer();
+}
+
+/**
+ * Overwrite the uncompressed size of every entry, in the local and central directory headers
+ */
+function withDeclaredSize(zipBuffer, size) {
+  const patched = Buffer.from(zipBuffer);
+  for (let offset = 0; offset < patched.length - 4; offset++) {
+    const signature = patched.readUInt32LE(offset);
+    if (signature === 0x04034b50) {
+      patched.writeUInt32LE(size, offset + 22);
+    } else if (signature === 0x02014b50) {
+      patched.writeUInt32LE(size, offset + 24);
+    }
+  }
+  return patched;
+}
+
+describe('extractDocumentsFromZip', () => {
+  test('extracts supported documents and skips everything else', () => {
+    const documents = extractDocumentsFromZip(zipOf({
+      'scans/passport.pdf': Buffer.from('%PDF-1.4 passport'),
+      'scans/notes.txt': Buffer.from('notes'),
+      '__MACOSX/scans/._passport.pdf': Buffer.from('resource fork'),
+    }), LIMITS);
+
+    expect(documents).toEqual([
+      { buffer: Buffer.from('%PDF-1.4 passport'), originalname: 'passport.pdf', mimetype: 'application/pdf' },
+    ]);
+  });
+
+  test('rejects an entry larger than the limit', () => {
+    const zip = zipOf({ 'large.pdf': Buffer.alloc(LIMITS.maxFileSize + 1) });
+    expect(() => extractDocumentsFromZip(zip, LIMITS)).toThrow(`${ERROR_MESSAGES.FILE_TOO_LARGE} (large.pdf)`);
+  });
+
+  test('stops inflating an entry that declares a size of 0 at the limit', () => {
+    // 8MB of zeros deflates to a few KB
+    const bomb = withDeclaredSize(zipOf({ 'bomb.pdf': Buffer.alloc(8 * LIMITS.maxFileSize) }), 0);
+    expect(new AdmZip(bomb).getEntries()[0].header.size).toBe(0);
+
+    expect(() => extractDocumentsFromZip(bomb, LIMITS)).toThrow(`${ERROR_MESSAGES.FILE_TOO_LARGE} (bomb.pdf)`);
+  });
+
+  test('rejects more documents than maxFiles', () => {
+    const zip = zipOf({ 'a.pdf': Buffer.from('a'), 'b.pdf': Buffer.from('b') });
+    expect(() => extractDocumentsFromZip(zip, { ...LIMITS, maxFiles: 1 })).toThrow(ERROR_MESSAGES.TOO_MANY_FILES);
+  });
+
+  test('rejects data that is not a ZIP', () => {
+    expect(() => extractDocumentsFromZip(Buffer.from('not a zip'), LIMITS)).toThrow(ERROR_MESSAGES.INVALID_ARCHIVE);
+  });
+});
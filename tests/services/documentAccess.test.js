@@ -0,0 +1,57 @@
+// tests/services/documentAccess.test.js
+const { v4: uuidv4 } = require('uuid');
+const { createDocumentLink, openDocumentLink } = require('../../src/services/documentAccess');
+const { getStorage } = require('../../src/services/storage');
+
+const TENANT = 'acme';
+const CONTENTS = Buffer.from('%PDF-1.4 test document');
+
+const linkParams = url => Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+
+describe('document links', () => {
+  const jobId = uuidv4();
+  const filePath = `${jobId}.pdf`;
+
+  beforeAll(async () => {
+    const { blobStore, jobRepository } = getStorage();
+    await blobStore.put(filePath, CONTENTS, 'application/pdf');
+    await jobRepository.insert({ job_id: jobId, tenant_id: TENANT, file_url: filePath, status: 'completed' });
+  });
+
+  afterAll(async () => {
+    await getStorage().blobStore.remove(filePath);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('a link opens the document until it expires', async () => {
+    const link = await createDocumentLink(jobId, TENANT);
+    expect(link.url).toMatch(new RegExp(`^/api/files/${jobId}\\?`));
+
+    const opened = await openDocumentLink(jobId, linkParams(link.url));
+    expect(opened.buffer.equals(CONTENTS)).toBe(true);
+
+    jest.useFakeTimers({ now: new Date(link.expiresAt).getTime() + 1000 });
+    expect(await openDocumentLink(jobId, linkParams(link.url))).toBeNull();
+  });
+
+  test('rejects links with a tampered signature, expiry or job', async () => {
+    const { url } = await createDocumentLink(jobId, TENANT);
+    const { expires, signature } = linkParams(url);
+    const flipped = (signature[0] === 'A' ? 'B' : 'A') + signature.slice(1);
+
+    expect(await openDocumentLink(jobId, { expires, signature: flipped })).toBeNull();
+    expect(await openDocumentLink(jobId, { expires: String(Number(expires) + 3600), signature })).toBeNull();
+    expect(await openDocumentLink(uuidv4(), { expires, signature })).toBeNull();
+    expect(await openDocumentLink(jobId, { expires, signature: undefined })).toBeNull();
+  });
+
+  test('only the owning tenant gets a link, and never for quarantined files', async () => {
+    expect(await createDocumentLink(jobId, 'other-tenant')).toBeNull();
+
+    await getStorage().jobRepository.update(jobId, { status: 'quarantined' });
+    expect(await createDocumentLink(jobId, TENANT)).toBeNull();
+  });
+});
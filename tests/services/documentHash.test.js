@@ -0,0 +1,81 @@
+// tests/services/documentHash.test.js
+const sharp = require('sharp');
+const { BAND_COUNT, contentHash, perceptualHash, hammingDistance, hashBands } = require('../../src/services/documentHash');
+
+/**
+ * A grayscale page of 9x8 blocks with pseudo-random shades, the same for the same seed
+ */
+function page(seed, { width = 180, height = 160 } = {}) {
+  let state = seed;
+  const random = () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+  const shades = Array.from({ length: 72 }, () => Math.floor(random() * 256));
+
+  const pixels = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels[y * width + x] = shades[Math.floor(y * 8 / height) * 9 + Math.floor(x * 9 / width)];
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 1 } });
+}
+
+// A hash with the given bits (0 = most significant) flipped
+const flip = (hash, bits) => bits
+  .reduce((value, bit) => value ^ (1n << BigInt(63 - bit)), BigInt(`0x${hash}`))
+  .toString(16)
+  .padStart(16, '0');
+
+describe('contentHash', () => {
+  test('is the SHA-256 of the bytes', () => {
+    expect(contentHash(Buffer.from('abc'))).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+});
+
+describe('perceptualHash', () => {
+  test('barely changes when a page is re-encoded, resized or lightened', async () => {
+    const original = await perceptualHash(await page(1).png().toBuffer());
+    const rescanned = await perceptualHash(await page(1, { width: 450, height: 400 }).linear(0.9, 20).jpeg({ quality: 60 }).toBuffer());
+
+    expect(original).toMatch(/^[0-9a-f]{16}$/);
+    expect(hammingDistance(original, rescanned)).toBeLessThanOrEqual(6);
+  });
+
+  test('differs widely between different pages', async () => {
+    const one = await perceptualHash(await page(1).png().toBuffer());
+    const other = await perceptualHash(await page(2).png().toBuffer());
+    expect(hammingDistance(one, other)).toBeGreaterThan(16);
+  });
+});
+
+describe('hammingDistance', () => {
+  test('counts differing bits', () => {
+    expect(hammingDistance('0000000000000000', '0000000000000000')).toBe(0);
+    expect(hammingDistance('0000000000000000', 'ffffffffffffffff')).toBe(64);
+    expect(hammingDistance('f0f0000000000001', '00f0000000000000')).toBe(5);
+  });
+});
+
+describe('hashBands', () => {
+  const hash = '8f3a61c0d2e47b19';
+
+  test('gives one key per byte, tagged with its position', () => {
+    const bands = hashBands([hash]);
+    expect(bands).toHaveLength(BAND_COUNT);
+    expect(bands).toEqual(['0:8f', '1:3a', '2:61', '3:c0', '4:d2', '5:e4', '6:7b', '7:19']);
+    expect(hashBands([hash, hash])).toEqual(bands);
+  });
+
+  test('share a key between hashes up to BAND_COUNT - 1 bits apart', () => {
+    // Seven flipped bits spread over seven bytes leave the last byte intact
+    const near = flip(hash, [0, 8, 16, 24, 32, 40, 48]);
+    expect(hammingDistance(hash, near)).toBe(7);
+    expect(hashBands([near]).filter(key => hashBands([hash]).includes(key))).toEqual(['7:19']);
+
+    // One bit in every byte: nothing shared, as the lookup only promises up to 7 bits
+    const far = flip(hash, [0, 8, 16, 24, 32, 40, 48, 56]);
+    expect(hashBands([far]).some(key => hashBands([hash]).includes(key))).toBe(false);
+  });
+});
@@ -0,0 +1,65 @@
+// tests/services/documentRedactor.test.js
+const { redactResult, redactDocumentPages } = require('../../src/services/documentRedactor');
+const { extractMRZ } = require('../../src/services/mrzParser');
+
+// An OCR'd passport page: the MRZ pattern alone misses the second line, read with a space in it
+const RAW_TEXT = [
+  'PASSPORT',
+  'Surname ERIKSSON',
+  'Passport No. L898902C3',
+  'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+  'L898902C3 6UTO7408122F1204159ZE184226B<<<<<10',
+].join('\n');
+
+const result = () => ({
+  jobId: 'job-1',
+  rawText: RAW_TEXT,
+  aiExtractedData: { documentNumber: 'L898902C3', surname: 'ERIKSSON', email: 'anna@example.com' },
+  mrz: extractMRZ(RAW_TEXT),
+});
+
+describe('redactResult', () => {
+  test('masks the MRZ lines in the raw text as they were read', () => {
+    const redacted = redactResult(result(), ['id_number']);
+    const lines = redacted.rawText.split('\n');
+
+    expect(redacted.rawText).toHaveLength(RAW_TEXT.length);
+    expect(lines.slice(0, 2)).toEqual(['PASSPORT', 'Surname ERIKSSON']);
+    expect(lines[2]).toBe('Passport No. *********');
+    expect(lines[3]).not.toMatch(/[A-Z0-9]/);
+    expect(lines[4]).not.toMatch(/[A-Z0-9]/);
+  });
+
+  test('masks the same values in the AI output and the MRZ', () => {
+    const redacted = redactResult(result(), ['id_number', 'email']);
+
+    expect(redacted.aiExtractedData).toEqual({ documentNumber: '*********', surname: 'ERIKSSON', email: '****@*******.***' });
+    expect(redacted.mrz.documentNumber).toBe('*********');
+    expect(redacted.mrz.lines.some(line => line.includes('L898902C3'))).toBe(false);
+    expect(redacted.redaction.classes).toEqual(['id_number', 'email']);
+    expect(redacted.redaction.masked.id_number).toBeGreaterThan(0);
+  });
+
+  test('leaves classes that were not asked for', () => {
+    const redacted = redactResult(result(), ['email']);
+
+    expect(redacted.rawText).toBe(RAW_TEXT);
+    expect(redacted.mrz.documentNumber).toBe('L898902C3');
+  });
+});
+
+describe('redactDocumentPages', () => {
+  test('masks page text, lines and blocks alike', () => {
+    const lines = RAW_TEXT.split('\n').map(text => ({ text }));
+    const document = { jobId: 'job-1', method: 'ocr', pages: [{ pageNumber: 1, text: RAW_TEXT, lines, blocks: [{ text: lines[4].text }] }] };
+    const { mrz, aiExtractedData } = result();
+
+    const redacted = redactDocumentPages(document, ['id_number'], { ai_extracted_data: aiExtractedData, mrz_data: mrz });
+    const [page] = redacted.pages;
+
+    expect(page.lines.map(line => line.text).join('\n')).toBe(page.text);
+    expect(page.lines[4].text).not.toMatch(/[A-Z0-9]/);
+    expect(page.blocks[0].text).not.toMatch(/[A-Z0-9]/);
+    expect(redacted.redaction.masked.id_number).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,163 @@
+// tests/services/duplicateDetector.test.js
+const { v4: uuidv4 } = require('uuid');
+const { processDocument } = require('../../src/services/documentProcessor');
+const { findExactDuplicate, findNearDuplicates, pageHashIndex } = require('../../src/services/duplicateDetector');
+const { deleteProcessingJob } = require('../../src/services/storageService');
+const { contentHash } = require('../../src/services/documentHash');
+const { getStorage } = require('../../src/services/storage');
+const { JOB_STATUS } = require('../../src/config/constants');
+
+const ANNA = { firstName: 'Anna', lastName: 'Eriksson', dob: '1974-08-12' };
+const BO = { firstName: 'Bo', lastName: 'Lind', dob: '1980-01-31' };
+const CARL = { firstName: 'Carl', lastName: 'Berg', dob: '1969-05-02' };
+
+// A new file for each test, so uploads only match their own test's jobs
+const newFile = () => Buffer.from(`%PDF-1.4 ${uuidv4()}`);
+
+function upload(buffer, { tenantId = 'acme', userData = ANNA, policy, processingMethod = 'standard', ocrOptions = null } = {}) {
+  return processDocument({
+    file: { buffer, originalname: 'passport.pdf', inspection: { fileType: 'application/pdf', safety: {}, quarantine: null } },
+    userData,
+    processingMethod,
+    ocrOptions,
+    tenantId,
+    duplicatePolicy: policy,
+  });
+}
+
+const complete = jobId => getStorage().jobRepository.update(jobId, { status: JOB_STATUS.COMPLETED });
+const findJob = jobId => getStorage().jobRepository.findById(jobId);
+
+describe('exact duplicates', () => {
+  test('reuse returns the earlier job for the same applicant, even before it completes', async () => {
+    const file = newFile();
+    const first = await upload(file, { policy: 'reuse' });
+    const again = await upload(file, { policy: 'reuse', userData: { ...ANNA, firstName: ' anna ' } });
+
+    expect(again).toEqual({ jobId: first.jobId, status: JOB_STATUS.QUEUED, duplicateOf: null, reused: true });
+  });
+
+  test('reuse links a different applicant to a completed original, sharing its file', async () => {
+    const file = newFile();
+    const first = await upload(file, { policy: 'reuse' });
+
+    // Nothing to link to until the original completes
+    expect((await upload(file, { policy: 'reuse', userData: CARL })).duplicateOf).toBeNull();
+
+    await complete(first.jobId);
+    const linked = await upload(file, { policy: 'reuse', userData: BO });
+    expect(linked).toMatchObject({ duplicateOf: first.jobId, reused: false, status: JOB_STATUS.QUEUED });
+    expect((await findJob(linked.jobId)).file_url).toBe((await findJob(first.jobId)).file_url);
+  });
+
+  test('link always creates a new job, linked to the completed original', async () => {
+    const file = newFile();
+    const first = await upload(file, { policy: 'link' });
+    await complete(first.jobId);
+
+    const linked = await upload(file, { policy: 'link' });
+    expect(linked.jobId).not.toBe(first.jobId);
+    expect(linked).toMatchObject({ duplicateOf: first.jobId, reused: false });
+  });
+
+  test('process ignores duplicates', async () => {
+    const file = newFile();
+    const first = await upload(file, { policy: 'process' });
+    await complete(first.jobId);
+
+    const again = await upload(file, { policy: 'process' });
+    expect(again).toMatchObject({ duplicateOf: null, reused: false });
+    expect((await findJob(again.jobId)).file_url).not.toBe((await findJob(first.jobId)).file_url);
+  });
+
+  test('only match jobs with the same settings, tenant and a file still stored', async () => {
+    const file = newFile();
+    const first = await upload(file, { policy: 'process', ocrOptions: { dpi: 300 } });
+    await complete(first.jobId);
+    const lookup = overrides => findExactDuplicate({
+      contentHash: contentHash(file),
+      tenantId: 'acme',
+      userData: ANNA,
+      processingMethod: 'standard',
+      ocrOptions: { dpi: 300 },
+      policy: 'reuse',
+      ...overrides,
+    });
+
+    expect(await lookup()).toMatchObject({ action: 'reuse', job: { job_id: first.jobId } });
+    expect(await lookup({ ocrOptions: null })).toBeNull();
+    expect(await lookup({ processingMethod: 'ai' })).toBeNull();
+    expect(await lookup({ tenantId: 'globex' })).toBeNull();
+
+    // Retention purged the original file
+    await getStorage().jobRepository.update(first.jobId, { file_url: null });
+    expect(await lookup()).toBeNull();
+  });
+
+  test('deleting the original keeps the file its linked duplicate still uses', async () => {
+    const file = newFile();
+    const original = await upload(file, { policy: 'link' });
+    await complete(original.jobId);
+    const linked = await upload(file, { policy: 'link' });
+    const { blobStore } = getStorage();
+    const filePath = (await findJob(original.jobId)).file_url;
+
+    expect(await deleteProcessingJob(original.jobId, 'acme')).toMatchObject({ job_id: original.jobId });
+    expect((await blobStore.get(filePath)).equals(file)).toBe(true);
+
+    // The last job using the file takes it with it
+    await deleteProcessingJob(linked.jobId, 'acme');
+    await expect(blobStore.get(filePath)).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+});
+
+describe('near duplicates', () => {
+  const PAGE = '8f3a61c0d2e47b19';
+  // 5 bits from PAGE, within the default NEAR_DUPLICATE_MAX_DISTANCE of 6
+  const RESCAN = '8f3a61c0d2e47b06';
+  const OTHER = '71c5ae3f2d1b84e6';
+  const BLANK = '0000000000000000';
+
+  async function insertHashed(jobId, pageHashes, overrides = {}) {
+    await getStorage().jobRepository.insert({
+      job_id: jobId,
+      tenant_id: 'near',
+      content_hash: `hash-of-${jobId}`,
+      status: JOB_STATUS.COMPLETED,
+      page_hashes: pageHashes,
+      perceptual_bands: pageHashIndex(pageHashes),
+      ...overrides,
+    });
+  }
+
+  beforeAll(async () => {
+    await insertHashed('scan', [{ pageNumber: 1, hash: OTHER }, { pageNumber: 2, hash: PAGE }]);
+    await insertHashed('scan-copy', [{ pageNumber: 1, hash: OTHER }, { pageNumber: 2, hash: PAGE }], { content_hash: 'hash-of-scan' });
+    await insertHashed('blank', [{ pageNumber: 1, hash: BLANK }]);
+    await insertHashed('elsewhere', [{ pageNumber: 1, hash: PAGE }], { tenant_id: 'other' });
+  });
+
+  const nearTo = (pageHashes, overrides = {}) => findNearDuplicates({ jobId: 'new', contentHash: 'hash-of-new', tenantId: 'near', pageHashes, ...overrides });
+
+  test('finds jobs with a matching page, listing identical files once', async () => {
+    expect(await nearTo([{ pageNumber: 1, hash: RESCAN }])).toEqual([
+      { jobId: 'scan', distance: 5, pages: [{ pageNumber: 1, matchedPage: 2, distance: 5 }] },
+    ]);
+  });
+
+  test('leaves out exact copies, the job itself and pages too far apart', async () => {
+    expect(await nearTo([{ pageNumber: 1, hash: PAGE }], { contentHash: 'hash-of-scan' })).toEqual([]);
+    expect(await nearTo([{ pageNumber: 1, hash: PAGE }], { jobId: 'scan', contentHash: 'hash-of-scan' })).toEqual([]);
+    expect(await nearTo([{ pageNumber: 1, hash: flip8(PAGE) }])).toEqual([]);
+  });
+
+  test('never matches blank pages', async () => {
+    expect(pageHashIndex([{ pageNumber: 1, hash: BLANK }])).toEqual([]);
+    expect(await nearTo([{ pageNumber: 1, hash: BLANK }])).toEqual([]);
+  });
+});
+
+// Flip the top bit of every byte: 8 bits away, past the largest allowed distance
+function flip8(hash) {
+  return (BigInt(`0x${hash}`) ^ 0x8080808080808080n).toString(16).padStart(16, '0');
+}
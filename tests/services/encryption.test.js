@@ -0,0 +1,214 @@
+// tests/services/encryption.test.js
+const crypto = require('crypto');
+
+const newKey = id => `${id}:${crypto.randomBytes(32).toString('base64')}`;
+
+/**
+ * Load fresh copies of the modules with ENCRYPTION_KEYS set, since keys are read when they load
+ */
+function withKeys(keys, load) {
+  const previous = process.env.ENCRYPTION_KEYS;
+  process.env.ENCRYPTION_KEYS = keys.join(',');
+  try {
+    let modules;
+    jest.isolateModules(() => {
+      modules = load();
+    });
+    return modules;
+  } finally {
+    if (previous === undefined) {
+      delete process.env.ENCRYPTION_KEYS;
+    } else {
+      process.env.ENCRYPTION_KEYS = previous;
+    }
+  }
+}
+
+const loadEncryption = keys => withKeys(keys, () => require('../../src/services/encryption'));
+
+const loadServices = keys => withKeys(keys, () => ({
+  encryption: require('../../src/services/encryption'),
+  storage: require('../../src/services/storage'),
+  storageService: require('../../src/services/storageService'),
+  keyRotation: require('../../src/services/keyRotation'),
+  encryptedStorage: require('../../src/services/storage/encryptedStorage'),
+}));
+
+const KEY_1 = newKey('k1');
+const KEY_2 = newKey('k2');
+
+describe('column values', () => {
+  const encryption = loadEncryption([KEY_1]);
+
+  test('round-trip text, dates and objects, leaving null and plaintext alone', () => {
+    const layout = { pages: [{ pageNumber: 1, text: 'Anna' }] };
+    const encrypted = encryption.encryptValue(layout, 'layout');
+
+    expect(encrypted).toMatch(/^enc:v1:k1:/);
+    expect(encryption.isEncryptedValue(encrypted)).toBe(true);
+    expect(encryption.decryptValue(encrypted, 'layout')).toEqual(layout);
+    expect(encryption.decryptValue(encryption.encryptValue('1974-08-12', 'date_of_birth'), 'date_of_birth')).toBe('1974-08-12');
+    expect(encryption.encryptValue(null, 'raw_text')).toBeNull();
+    expect(encryption.decryptValue('stored before encryption', 'raw_text')).toBe('stored before encryption');
+  });
+
+  test('give every value its own data key', () => {
+    expect(encryption.encryptValue('Anna', 'first_name')).not.toBe(encryption.encryptValue('Anna', 'first_name'));
+  });
+
+  test('only decrypt under the column they were encrypted for', () => {
+    const encrypted = encryption.encryptValue('Anna', 'first_name');
+    expect(() => encryption.decryptValue(encrypted, 'last_name')).toThrow();
+  });
+
+  test('fail to decrypt when the value was tampered with', () => {
+    const encrypted = encryption.encryptValue('Anna', 'first_name');
+    const tampered = encrypted.slice(0, -2) + (encrypted.endsWith('AA') ? 'BB' : 'AA');
+    expect(() => encryption.decryptValue(tampered, 'first_name')).toThrow();
+  });
+});
+
+describe('files', () => {
+  const encryption = loadEncryption([KEY_1]);
+
+  test('round-trip, leaving unencrypted files alone', () => {
+    const file = Buffer.from('%PDF-1.4 document');
+    const encrypted = encryption.encryptBuffer(file);
+
+    expect(encryption.isEncryptedBuffer(encrypted)).toBe(true);
+    expect(encrypted.includes(file)).toBe(false);
+    expect(encryption.decryptBuffer(encrypted).equals(file)).toBe(true);
+    expect(encryption.decryptBuffer(file)).toBe(file);
+  });
+});
+
+describe('key rotation', () => {
+  const before = loadEncryption([KEY_1]);
+  const during = loadEncryption([KEY_2, KEY_1]);
+  const after = loadEncryption([KEY_2]);
+
+  test('re-wraps values and files under the new key without touching the data', () => {
+    const value = before.encryptValue('Eriksson', 'last_name');
+    const file = before.encryptBuffer(Buffer.from('scan'));
+
+    const rewrapped = during.rewrapValue(value);
+    expect(rewrapped).toMatch(/^enc:v1:k2:/);
+    expect(rewrapped.split(':').pop()).toBe(value.split(':').pop());
+    expect(during.rewrapValue(rewrapped)).toBe(rewrapped);
+
+    expect(after.decryptValue(rewrapped, 'last_name')).toBe('Eriksson');
+    expect(after.decryptBuffer(during.rewrapBuffer(file)).toString()).toBe('scan');
+  });
+
+  test('values under a retired key no longer decrypt', () => {
+    const value = before.encryptValue('Eriksson', 'last_name');
+    expect(() => after.decryptValue(value, 'last_name')).toThrow("key 'k1', which is not in ENCRYPTION_KEYS");
+  });
+
+  test('blind index tokens are stable per key and looked up under every key', () => {
+    const [token] = before.blindIndexTokens(['anna']);
+
+    expect(before.blindIndexTokens(['anna', 'anna'])).toEqual([token]);
+    expect(during.blindIndexCandidates('anna')).toContain(token);
+    expect(during.isCurrentBlindIndex([token])).toBe(false);
+    expect(during.isCurrentBlindIndex(during.blindIndexTokens(['anna']))).toBe(true);
+  });
+});
+
+describe('encrypted storage', () => {
+  const TENANT = 'acme';
+
+  const job = (jobId, overrides = {}) => ({
+    job_id: jobId,
+    tenant_id: TENANT,
+    file_name: `${jobId}.pdf`,
+    mime_type: 'application/pdf',
+    first_name: 'Ánna',
+    last_name: 'Eriksson',
+    date_of_birth: '1974-08-12',
+    processing_method: 'standard',
+    status: 'completed',
+    ...overrides,
+  });
+
+  test('stores ciphertext and blind indexes, and still filters by name and searches', async () => {
+    const { storage, storageService } = loadServices([KEY_1]);
+    await storage.getStorage().jobRepository.insert(job('job-1'));
+    await storage.getStorage().jobRepository.insert(job('job-2', { first_name: 'Bo', last_name: 'Lind' }));
+    await storage.getStorage().jobRepository.update('job-1', {
+      raw_text: 'PASSPORT Surname ERIKSSON Place of birth Madrid',
+      ai_extracted_data: { documentNumber: 'L898902C3' },
+    });
+
+    const stored = await storage.getStorageBackend().jobRepository.findById('job-1');
+    expect(stored.first_name).toMatch(/^enc:v1:k1:/);
+    expect(stored.raw_text).toMatch(/^enc:v1:k1:/);
+    expect(stored.name_index).toHaveLength(2);
+    expect(JSON.stringify(stored)).not.toMatch(/eriksson|madrid/i);
+
+    const byName = name => storageService.listProcessingJobs({ tenantId: TENANT, filters: { name } })
+      .then(({ jobs }) => jobs.map(({ jobId }) => jobId));
+    expect(await byName('anna eriksson')).toEqual(['job-1']);
+    expect(await byName('ERIKSSON')).toEqual(['job-1']);
+    expect(await byName('eriks')).toEqual([]);
+    expect(await byName('job-2')).toEqual(['job-2']);
+
+    const { hits } = await storageService.searchDocuments('madrid l898902c3', { tenantId: TENANT });
+    expect(hits).toHaveLength(1);
+    expect(hits[0]).toMatchObject({ jobId: 'job-1', fullName: 'Ánna Eriksson', score: null });
+    expect(hits[0].snippet).toContain('<mark>Madrid</mark>');
+    expect((await storageService.searchDocuments('madrid lisbon', { tenantId: TENANT })).hits).toEqual([]);
+    expect((await storageService.searchDocuments('madrid', { tenantId: 'other' })).hits).toEqual([]);
+  });
+
+  test('keeps ciphertext out of the local full-text index', async () => {
+    const { storage } = loadServices([KEY_1]);
+    await storage.getStorage().jobRepository.insert(job('job-1', { raw_text: 'PASSPORT Place of birth Madrid' }));
+
+    const backend = storage.getStorageBackend().jobRepository;
+    const stored = await backend.findById('job-1');
+    const ciphertextWord = stored.raw_text.split(':').pop().split(/[^a-z0-9]+/i).find(word => word.length > 3);
+    const search = query => backend.search(query, { tenantId: TENANT, limit: 10, offset: 0, columns: ['job_id'] });
+
+    expect(await search('madrid')).toEqual({ rows: [], total: 0 });
+    expect(await search('enc')).toEqual({ rows: [], total: 0 });
+    expect(await search(ciphertextWord)).toEqual({ rows: [], total: 0 });
+  });
+
+  test('rotation encrypts plaintext rows and moves values and indexes to the new key', async () => {
+    const before = loadServices([KEY_1]);
+    const { storage, storageService, keyRotation } = loadServices([KEY_2, KEY_1]);
+    const backend = storage.getStorageBackend().jobRepository;
+
+    // One job stored before encryption was turned on, one under the old key
+    await backend.insert(job('plain', { raw_text: 'stored in plaintext' }));
+    const encryptedRow = { ...job('old-key'), raw_text: 'under the old key' };
+    await backend.insert({
+      ...encryptedRow,
+      ...before.encryptedStorage.buildBlindIndexes(encryptedRow, before.encryptedStorage.BLIND_INDEXES.jobs),
+      first_name: before.encryption.encryptValue(encryptedRow.first_name, 'first_name'),
+      last_name: before.encryption.encryptValue(encryptedRow.last_name, 'last_name'),
+      date_of_birth: before.encryption.encryptValue(encryptedRow.date_of_birth, 'date_of_birth'),
+      raw_text: before.encryption.encryptValue(encryptedRow.raw_text, 'raw_text'),
+    });
+
+    const summary = await keyRotation.rotateEncryptionKeys();
+    expect(summary.jobs).toEqual({ scanned: 2, updated: 2, failed: 0 });
+
+    for (const jobId of ['plain', 'old-key']) {
+      const stored = await backend.findById(jobId);
+      ['first_name', 'last_name', 'date_of_birth', 'raw_text'].forEach(column => {
+        expect(stored[column]).toMatch(/^enc:v1:k2:/);
+      });
+      expect(stored.name_index.every(token => token.startsWith('k2.'))).toBe(true);
+      expect(stored.search_index.every(token => token.startsWith('k2.'))).toBe(true);
+    }
+
+    expect((await storage.getStorage().jobRepository.findById('old-key')).raw_text).toBe('under the old key');
+    const { jobs } = await storageService.listProcessingJobs({ tenantId: TENANT, filters: { name: 'anna' } });
+    expect(jobs.map(({ jobId }) => jobId).sort()).toEqual(['old-key', 'plain']);
+
+    // Everything is under the new key now, so a second run changes nothing
+    expect((await keyRotation.rotateEncryptionKeys()).jobs).toEqual({ scanned: 2, updated: 0, failed: 0 });
+  });
+});
@@ -0,0 +1,152 @@
+// tests/services/fileSafety.test.js
+const zlib = require('zlib');
+const { ERROR_CODES, JOB_STATUS } = require('../../src/config/constants');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+/**
+ * Load fresh copies of modules with environment variables set, since config is read when they load
+ */
+function withEnv(vars, load) {
+  const previous = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  try {
+    let modules;
+    jest.isolateModules(() => {
+      modules = load();
+    });
+    return modules;
+  } finally {
+    Object.entries(previous).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  }
+}
+
+const loadFileSafety = (vars = {}) => withEnv(vars, () => require('../../src/services/fileSafety'));
+
+const pdf = (...objects) => Buffer.concat([
+  Buffer.from('%PDF-1.7\n'),
+  ...objects.map(object => (Buffer.isBuffer(object) ? object : Buffer.from(`${object}\n`, 'latin1'))),
+  Buffer.from('%%EOF\n'),
+]);
+
+/**
+ * An object stream (/ObjStm) holding the objects, deflated so they don't appear in the raw file
+ */
+function objectStream(objects) {
+  const data = zlib.deflateSync(Buffer.from(objects, 'latin1'));
+  return Buffer.concat([
+    Buffer.from(`5 0 obj\n<< /Type /ObjStm /N 1 /First 4 /Filter /FlateDecode /Length ${data.length} >>\nstream\n`),
+    data,
+    Buffer.from('\nendstream\nendobj\n'),
+  ]);
+}
+
+const upload = (buffer, overrides = {}) => ({ buffer, originalname: 'document.pdf', mimetype: 'application/pdf', ...overrides });
+
+describe('findPDFActiveContent', () => {
+  const { findPDFActiveContent } = loadFileSafety();
+
+  test('finds nothing in a plain document', () => {
+    expect(findPDFActiveContent(pdf('1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj'))).toEqual([]);
+  });
+
+  test('finds scripts, embedded files and launch actions', () => {
+    expect(findPDFActiveContent(pdf(
+      '1 0 obj\n<< /Type /Catalog /OpenAction << /S /JavaScript /JS (app.alert(1)) >> >>\nendobj',
+      '2 0 obj\n<< /Names << /EmbeddedFiles 3 0 R >> >>\nendobj',
+      '4 0 obj\n<< /S /Launch /F (cmd.exe) >>\nendobj'
+    ))).toEqual(['JavaScript', 'EmbeddedFile', 'Launch']);
+  });
+
+  test('decodes #xx escapes in names and ignores longer names', () => {
+    expect(findPDFActiveContent(pdf('1 0 obj\n<< /S /J#61vaScr#69pt >>\nendobj'))).toEqual(['JavaScript']);
+    expect(findPDFActiveContent(pdf('1 0 obj\n<< /JSONData 1 /Launcher 2 >>\nendobj'))).toEqual([]);
+  });
+
+  test('looks inside compressed object streams', () => {
+    const hidden = pdf(objectStream('6 0 << /S /Launch /F (cmd.exe) >>'));
+    expect(hidden.includes('/Launch')).toBe(false);
+    expect(findPDFActiveContent(hidden)).toEqual(['Launch']);
+  });
+});
+
+describe('inspectUpload', () => {
+  test('rejects content that is not a supported format, or not the declared type', async () => {
+    const { inspectUpload } = loadFileSafety();
+
+    await expect(inspectUpload(upload(Buffer.from('MZ\x90\0 this program cannot be run in DOS mode %PDF-'))))
+      .rejects.toMatchObject({ code: ERROR_CODES.UNSUPPORTED_FILE_TYPE, retryable: false });
+    await expect(inspectUpload(upload(pdf(), { originalname: 'photo.png', mimetype: 'image/png' })))
+      .rejects.toMatchObject({ code: ERROR_CODES.FILE_TYPE_MISMATCH, retryable: false });
+  });
+
+  test('quarantines PDFs with active content unless PDF_ACTIVE_CONTENT=allow', async () => {
+    const scripted = pdf('1 0 obj\n<< /OpenAction << /S /JavaScript /JS (x) >> >>\nendobj');
+
+    const quarantined = await loadFileSafety().inspectUpload(upload(scripted));
+    expect(quarantined.fileType).toBe('application/pdf');
+    expect(quarantined.safety).toMatchObject({ declaredType: 'application/pdf', activeContent: ['JavaScript'], virusScan: null });
+    expect(quarantined.quarantine).toMatchObject({ code: ERROR_CODES.PDF_ACTIVE_CONTENT });
+
+    const allowed = await loadFileSafety({ PDF_ACTIVE_CONTENT: 'allow' }).inspectUpload(upload(scripted));
+    expect(allowed.safety.activeContent).toEqual(['JavaScript']);
+    expect(allowed.quarantine).toBeNull();
+  });
+
+  test('quarantines files the virus scanner flags and records clean scans', async () => {
+    const { inspectUpload } = loadFileSafety({ VIRUS_SCANNER: 'local' });
+
+    const infected = await inspectUpload(upload(pdf(`% ${EICAR}`)));
+    expect(infected.safety.virusScan).toMatchObject({ scanner: 'local', infected: true, signature: 'Eicar-Test-Signature' });
+    expect(infected.quarantine).toEqual({ code: ERROR_CODES.MALWARE_DETECTED, message: 'Malware detected: Eicar-Test-Signature' });
+
+    const clean = await inspectUpload(upload(pdf()));
+    expect(clean.safety.virusScan).toMatchObject({ scanner: 'local', infected: false, signature: null });
+    expect(clean.quarantine).toBeNull();
+  });
+
+  test('rejects the upload when the scanner cannot be reached', async () => {
+    // Nothing listens on port 1
+    const { inspectUpload } = loadFileSafety({ VIRUS_SCANNER: 'clamav', CLAMAV_HOST: '127.0.0.1', CLAMAV_PORT: '1' });
+    await expect(inspectUpload(upload(pdf()))).rejects.toMatchObject({ code: ERROR_CODES.VIRUS_SCAN_FAILED });
+  });
+});
+
+describe('quarantined uploads', () => {
+  const { inspectUpload } = loadFileSafety({ VIRUS_SCANNER: 'local' });
+  const { processDocument } = require('../../src/services/documentProcessor');
+  const { getStorage } = require('../../src/services/storage');
+
+  const submit = async buffer => {
+    const file = upload(buffer);
+    file.inspection = await inspectUpload(file);
+    return processDocument({
+      file,
+      userData: { firstName: 'Anna', lastName: 'Eriksson', dob: '1974-08-12' },
+      processingMethod: 'standard',
+      tenantId: 'acme',
+    });
+  };
+
+  test('are stored apart with their reason, never queued, and never matched as duplicates', async () => {
+    const infected = pdf(`% ${EICAR}`);
+    const result = await submit(infected);
+    expect(result).toMatchObject({ status: JOB_STATUS.QUARANTINED, duplicateOf: null, reused: false });
+
+    const job = await getStorage().jobRepository.findById(result.jobId);
+    expect(job).toMatchObject({ status: JOB_STATUS.QUARANTINED, error_code: ERROR_CODES.MALWARE_DETECTED });
+    expect(job.file_url).toMatch(/^quarantine-/);
+    expect((await getStorage().blobStore.get(job.file_url)).equals(infected)).toBe(true);
+
+    // The same file again is quarantined on its own, not reused or linked
+    const again = await submit(infected);
+    expect(again).toMatchObject({ status: JOB_STATUS.QUARANTINED, duplicateOf: null, reused: false });
+    expect(again.jobId).not.toBe(result.jobId);
+  });
+});
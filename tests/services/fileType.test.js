@@ -0,0 +1,73 @@
+// tests/services/fileType.test.js
+const AdmZip = require('adm-zip');
+const { detectFileType, declaredFileType, matchesFileType, extensionForType } = require('../../src/services/fileType');
+const { FILE_TYPES } = require('../../src/config/constants');
+
+const bytes = (...parts) => Buffer.concat(parts.map(part => (typeof part === 'string' ? Buffer.from(part, 'latin1') : Buffer.from(part))));
+const padded = buffer => Buffer.concat([buffer, Buffer.alloc(64)]);
+
+function zipOf(files) {
+  const zip = new AdmZip();
+  Object.entries(files).forEach(([name, contents]) => zip.addFile(name, Buffer.from(contents)));
+  return zip.toBuffer();
+}
+
+describe('detectFileType', () => {
+  test('identifies each supported format from its leading bytes', () => {
+    expect(detectFileType(padded(bytes('%PDF-1.7\n')))).toBe(FILE_TYPES.PDF);
+    expect(detectFileType(padded(bytes([0xff, 0xd8, 0xff, 0xe0])))).toBe(FILE_TYPES.JPEG);
+    expect(detectFileType(padded(bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])))).toBe(FILE_TYPES.PNG);
+    expect(detectFileType(padded(bytes('II*\0')))).toBe(FILE_TYPES.TIFF);
+    expect(detectFileType(padded(bytes('MM\0*')))).toBe(FILE_TYPES.TIFF);
+    expect(detectFileType(padded(bytes('RIFF\0\0\0\0WEBP')))).toBe(FILE_TYPES.WEBP);
+    expect(detectFileType(padded(bytes('\0\0\0\x18ftypheic')))).toBe(FILE_TYPES.HEIC);
+    expect(detectFileType(padded(bytes('\0\0\0\x18ftypmif1')))).toBe(FILE_TYPES.HEIF);
+    expect(detectFileType(zipOf({ 'word/document.xml': '<w:document/>' }))).toBe(FILE_TYPES.DOCX);
+  });
+
+  test('finds nothing in plain ZIPs, text and short files', () => {
+    expect(detectFileType(zipOf({ 'notes.txt': 'notes' }))).toBeNull();
+    expect(detectFileType(padded(bytes('just some text')))).toBeNull();
+    expect(detectFileType(bytes('%PDF-1.7'))).toBeNull();
+    expect(detectFileType(null)).toBeNull();
+  });
+
+  test('allows a little leading junk before a PDF header, but not a header further in', () => {
+    expect(detectFileType(padded(bytes([0xef, 0xbb, 0xbf], '\r\n%PDF-1.4\n')))).toBe(FILE_TYPES.PDF);
+    expect(detectFileType(padded(bytes(' '.repeat(16), '%PDF-1.4\n')))).toBe(FILE_TYPES.PDF);
+    expect(detectFileType(padded(bytes(' '.repeat(17), '%PDF-1.4\n')))).toBeNull();
+    expect(detectFileType(padded(bytes('GIF89a', '\0'.repeat(200), '%PDF-1.4\n')))).toBeNull();
+  });
+
+  test('rejects executables and scripts even when they carry a PDF header', () => {
+    const disguised = [
+      bytes('MZ%PDF-1.4\n'),
+      bytes([0x7f, 0x45, 0x4c, 0x46], '%PDF-1.4\n'),
+      bytes([0xcf, 0xfa, 0xed, 0xfe], '%PDF-1.4\n'),
+      bytes([0xca, 0xfe, 0xba, 0xbe], '%PDF-1.4\n'),
+      bytes('#!/bin/sh\n%PDF-1.4\n'),
+      bytes('<script>%PDF-1.4</script>'),
+      bytes([0xef, 0xbb, 0xbf], '\n<!DOCTYPE html>%PDF-'),
+      bytes('<svg onload=alert(1)>%PDF-'),
+      bytes('<?php %PDF- ?>'),
+    ];
+
+    disguised.forEach(buffer => expect(detectFileType(padded(buffer))).toBeNull());
+  });
+});
+
+describe('declared types', () => {
+  test('fall back to the extension when the MIME type is missing or generic', () => {
+    expect(declaredFileType({ mimetype: 'image/png', originalname: 'scan.jpg' })).toBe(FILE_TYPES.PNG);
+    expect(declaredFileType({ mimetype: 'application/octet-stream', originalname: 'IMG_0001.HEIC' })).toBe(FILE_TYPES.HEIC);
+    expect(declaredFileType({ mimetype: 'application/octet-stream', originalname: 'setup.exe' })).toBeNull();
+  });
+
+  test('match detected types through their aliases', () => {
+    expect(matchesFileType(FILE_TYPES.JPG, FILE_TYPES.JPEG)).toBe(true);
+    expect(matchesFileType(FILE_TYPES.HEIF, FILE_TYPES.HEIC)).toBe(true);
+    expect(matchesFileType(FILE_TYPES.PNG, FILE_TYPES.JPEG)).toBe(false);
+    expect(extensionForType(FILE_TYPES.JPG)).toBe('.jpg');
+    expect(extensionForType('text/plain')).toBe('');
+  });
+});
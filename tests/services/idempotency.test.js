@@ -0,0 +1,21 @@
+// tests/services/idempotency.test.js
+const { beginRequest, completeRequest, purgeExpiredKeys } = require('../../src/services/idempotency');
+const { getStorage } = require('../../src/services/storage');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('purgeExpiredKeys', () => {
+  test('deletes keys past the TTL and keeps recent ones', async () => {
+    await beginRequest('first-key', 'fingerprint-a');
+    await completeRequest('first-key', 202, { jobId: 'job-1' });
+    await beginRequest('second-key', 'fingerprint-b');
+
+    // 25 hours on, both keys are past the default 24 hour TTL
+    expect(await purgeExpiredKeys(new Date(Date.now() + 25 * HOUR_MS))).toBe(2);
+    expect(await getStorage().idempotencyRepository.findByKey('first-key')).toBeNull();
+
+    await beginRequest('recent-key', 'fingerprint-c');
+    expect(await purgeExpiredKeys()).toBe(0);
+    expect(await getStorage().idempotencyRepository.findByKey('recent-key')).toMatchObject({ state: 'in_progress' });
+  });
+});
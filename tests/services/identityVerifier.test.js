@@ -0,0 +1,90 @@
+// tests/services/identityVerifier.test.js
+const { verifyIdentity } = require('../../src/services/identityVerifier');
+const { extractMRZ } = require('../../src/services/mrzParser');
+
+const applicant = { firstName: 'Anna', lastName: 'Eriksson', dateOfBirth: '1974-08-12' };
+
+const passport = aiExtractedData => ({ documentType: 'passport', aiExtractedData, mrz: null, rawText: '' });
+
+describe('verifyIdentity', () => {
+  test('matches extracted fields regardless of word order and middle names', () => {
+    const result = verifyIdentity(applicant, passport({
+      givenNames: 'ANNA MARIA',
+      surname: 'ERIKSSON',
+      dateOfBirth: '12/08/1974',
+    }));
+
+    expect(result.verdict).toBe('match');
+    expect(result.score).toBe(1);
+    expect(result.fields.name).toMatchObject({ status: 'match', source: 'extracted_fields' });
+    expect(result.fields.dateOfBirth).toMatchObject({ status: 'match', extracted: '1974-08-12' });
+  });
+
+  test('tolerates accents and OCR digit confusions in names', () => {
+    const result = verifyIdentity(
+      { ...applicant, firstName: 'Ánna' },
+      passport({ givenNames: 'ANNA', surname: 'ER1KSSON', dateOfBirth: '1974-08-12' })
+    );
+
+    expect(result.fields.name.status).toBe('match');
+  });
+
+  test('sends a swapped day and month to review', () => {
+    const result = verifyIdentity(applicant, passport({ givenNames: 'Anna', surname: 'Eriksson', dateOfBirth: '1974-12-08' }));
+
+    expect(result.fields.dateOfBirth).toMatchObject({ status: 'partial', score: 0.75 });
+    expect(result.verdict).toBe('review');
+  });
+
+  test('reports a different person as a mismatch', () => {
+    const result = verifyIdentity(applicant, passport({ givenNames: 'Bob', surname: 'Marley', dateOfBirth: '1945-02-06' }));
+
+    expect(result.fields.name.status).toBe('mismatch');
+    expect(result.fields.dateOfBirth.status).toBe('mismatch');
+    expect(result.verdict).toBe('mismatch');
+  });
+
+  test('prefers the MRZ and only trusts its DOB when the check digit holds', () => {
+    const mrz = extractMRZ([
+      'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+      'L898902C36UTO7408122F1204159ZE184226B<<<<<10',
+    ].join('\n'));
+    const result = verifyIdentity(applicant, { documentType: 'passport', aiExtractedData: null, mrz, rawText: '' });
+
+    expect(result.fields.name).toMatchObject({ status: 'match', source: 'mrz' });
+    expect(result.fields.dateOfBirth).toMatchObject({ status: 'match', source: 'mrz' });
+
+    const broken = { ...mrz, checkDigits: { ...mrz.checkDigits, dateOfBirth: false } };
+    const unchecked = verifyIdentity(applicant, { documentType: 'passport', aiExtractedData: null, mrz: broken, rawText: '' });
+    expect(unchecked.fields.dateOfBirth.source).not.toBe('mrz');
+  });
+
+  test('falls back to the raw text and treats absent data as missing, not mismatched', () => {
+    const found = verifyIdentity(applicant, {
+      documentType: 'generic',
+      aiExtractedData: null,
+      mrz: null,
+      rawText: 'Name: Anna Eriksson\nBorn 12 August 1974',
+    });
+    expect(found.fields.name).toMatchObject({ status: 'match', source: 'raw_text' });
+    expect(found.fields.dateOfBirth.status).toBe('match');
+
+    const absent = verifyIdentity(applicant, { documentType: 'generic', aiExtractedData: null, mrz: null, rawText: 'Total due 12.00' });
+    expect(absent.fields.name.status).toBe('missing');
+    expect(absent.fields.dateOfBirth.status).toBe('missing');
+    expect(absent.verdict).toBe('unverifiable');
+  });
+
+  test('skips the DOB for documents that carry none', () => {
+    const result = verifyIdentity(applicant, {
+      documentType: 'utility_bill',
+      aiExtractedData: { accountHolder: 'Mrs A Eriksson' },
+      mrz: null,
+      rawText: '',
+    });
+
+    expect(result.fields.dateOfBirth.status).toBe('not_applicable');
+    expect(result.fields.name.status).toBe('match');
+    expect(result.verdict).toBe('match');
+  });
+});
@@ -0,0 +1,195 @@
+// tests/services/jobQueue.test.js
+const { JOB_STATUS, ERROR_CODES } = require('../../src/config/constants');
+const { createCodedError } = require('../../src/utils/errors');
+
+/**
+ * Fresh queue and storage modules, so each test starts with an empty in-memory job store
+ */
+function load() {
+  let modules;
+  jest.isolateModules(() => {
+    modules = {
+      createJobQueue: require('../../src/services/jobQueue').createJobQueue,
+      jobRepository: require('../../src/services/storage').getStorage().jobRepository,
+    };
+  });
+  return modules;
+}
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the queue');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const insertJob = (jobRepository, jobId, overrides = {}) => jobRepository.insert({
+  job_id: jobId,
+  tenant_id: 'acme',
+  status: JOB_STATUS.QUEUED,
+  ...overrides,
+});
+
+const statusOf = (jobRepository, jobId) => jobRepository.findById(jobId).then(job => job.status);
+
+describe('createJobQueue', () => {
+  let queues;
+  let jobRepository;
+  let createJobQueue;
+
+  beforeEach(() => {
+    ({ createJobQueue, jobRepository } = load());
+    queues = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(queues.map(queue => queue.stop()));
+  });
+
+  // Completes jobs by default; options override the handler and queue settings
+  const startQueue = async (options = {}) => {
+    const queue = createJobQueue({
+      handler: async () => ({}),
+      onSuccess: jobId => jobRepository.update(jobId, { status: JOB_STATUS.COMPLETED }),
+      pollIntervalMs: 10,
+      retryBaseMs: 20,
+      ...options,
+    });
+    queues.push(queue);
+    await queue.start();
+    return queue;
+  };
+
+  test('workers sharing a store claim each job exactly once', async () => {
+    const jobIds = ['job-1', 'job-2', 'job-3', 'job-4', 'job-5', 'job-6'];
+    await Promise.all(jobIds.map(jobId => insertJob(jobRepository, jobId)));
+
+    const claims = [];
+    const handler = async job => {
+      claims.push(job.job_id);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      return {};
+    };
+    await Promise.all([startQueue({ handler, concurrency: 2 }), startQueue({ handler, concurrency: 2 })]);
+
+    await waitFor(async () => (await Promise.all(jobIds.map(jobId => statusOf(jobRepository, jobId))))
+      .every(status => status === JOB_STATUS.COMPLETED));
+
+    expect(claims.sort()).toEqual(jobIds);
+    const job = await jobRepository.findById('job-1');
+    expect(job).toMatchObject({ attempts: 1, locked_by: null, locked_at: null });
+  });
+
+  test('retries failures with exponential backoff, then fails the job', async () => {
+    await insertJob(jobRepository, 'flaky');
+    const attemptedAt = [];
+    await startQueue({
+      maxAttempts: 3,
+      handler: async () => {
+        attemptedAt.push(Date.now());
+        throw new Error('OCR engine crashed');
+      },
+    });
+
+    const retry = await waitFor(async () => {
+      const job = await jobRepository.findById('flaky');
+      return job.attempts === 1 && job.status === JOB_STATUS.QUEUED && job;
+    });
+    expect(retry).toMatchObject({ locked_by: null, error_message: 'OCR engine crashed', error_code: ERROR_CODES.PROCESSING_FAILED });
+    expect(retry.next_run_at).toBeTruthy();
+
+    await waitFor(async () => (await statusOf(jobRepository, 'flaky')) === JOB_STATUS.FAILED);
+    expect(await jobRepository.findById('flaky')).toMatchObject({ attempts: 3, locked_by: null });
+
+    // 20 ms before the second attempt, then 40 ms before the third
+    expect(attemptedAt).toHaveLength(3);
+    expect(attemptedAt[1] - attemptedAt[0]).toBeGreaterThanOrEqual(20);
+    expect(attemptedAt[2] - attemptedAt[1]).toBeGreaterThanOrEqual(40);
+  });
+
+  test('fails at once on errors a retry cannot fix, keeping their code', async () => {
+    await insertJob(jobRepository, 'encrypted');
+    let attempts = 0;
+    await startQueue({
+      handler: async () => {
+        attempts++;
+        throw createCodedError(ERROR_CODES.PDF_ENCRYPTED, 'The PDF is password protected', { retryable: false });
+      },
+    });
+
+    await waitFor(async () => (await statusOf(jobRepository, 'encrypted')) === JOB_STATUS.FAILED);
+    expect(await jobRepository.findById('encrypted')).toMatchObject({ attempts: 1, error_code: ERROR_CODES.PDF_ENCRYPTED });
+    expect(attempts).toBe(1);
+  });
+
+  test('renews the lease of a running job', async () => {
+    await insertJob(jobRepository, 'long');
+    let finish;
+    const claimed = new Promise(resolve => {
+      startQueue({
+        // Leases go stale after 3 s and are renewed every second
+        staleAfterMs: 3000,
+        handler: job => {
+          resolve(job);
+          return new Promise(done => { finish = done; });
+        },
+      });
+    });
+
+    const job = await claimed;
+    const renewed = await waitFor(async () => {
+      const row = await jobRepository.findById('long');
+      return row.locked_at > job.locked_at && row;
+    }, 3000);
+    expect(renewed).toMatchObject({ status: JOB_STATUS.PROCESSING, locked_by: job.locked_by });
+
+    finish({});
+    await waitFor(async () => (await statusOf(jobRepository, 'long')) === JOB_STATUS.COMPLETED);
+  });
+
+  test('requeues processing jobs whose lease went stale, and leaves live ones alone', async () => {
+    const stale = new Date(Date.now() - 60 * 1000).toISOString();
+    const live = new Date().toISOString();
+    await insertJob(jobRepository, 'orphaned', { status: JOB_STATUS.PROCESSING, locked_by: 'dead-worker', locked_at: stale, attempts: 1 });
+    await insertJob(jobRepository, 'unleased', { status: JOB_STATUS.PROCESSING });
+    await insertJob(jobRepository, 'running', { status: JOB_STATUS.PROCESSING, locked_by: 'other-worker', locked_at: live, attempts: 1 });
+
+    const claims = [];
+    await startQueue({
+      staleAfterMs: 30 * 1000,
+      handler: async job => {
+        claims.push(job.job_id);
+        return {};
+      },
+    });
+
+    await waitFor(async () => (await statusOf(jobRepository, 'orphaned')) === JOB_STATUS.COMPLETED
+      && (await statusOf(jobRepository, 'unleased')) === JOB_STATUS.COMPLETED);
+
+    expect(claims.sort()).toEqual(['orphaned', 'unleased']);
+    expect(await jobRepository.findById('orphaned')).toMatchObject({ attempts: 2 });
+    expect(await jobRepository.findById('running')).toMatchObject({ status: JOB_STATUS.PROCESSING, locked_by: 'other-worker', locked_at: live });
+  });
+
+  test('skips jobs whose retry is not due yet', async () => {
+    await insertJob(jobRepository, 'later', { next_run_at: new Date(Date.now() + 60 * 1000).toISOString() });
+    await insertJob(jobRepository, 'now');
+    await startQueue();
+
+    await waitFor(async () => (await statusOf(jobRepository, 'now')) === JOB_STATUS.COMPLETED);
+    expect(await statusOf(jobRepository, 'later')).toBe(JOB_STATUS.QUEUED);
+  });
+
+  test('notify wakes an idle worker', async () => {
+    const queue = await startQueue({ pollIntervalMs: 60 * 1000 });
+    // Let the worker find the queue empty and go to sleep
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    await insertJob(jobRepository, 'new');
+    queue.notify();
+    await waitFor(async () => (await statusOf(jobRepository, 'new')) === JOB_STATUS.COMPLETED, 1000);
+  });
+});
@@ -0,0 +1,112 @@
+// tests/services/mrzParser.test.js
+const { extractMRZ, computeCheckDigit } = require('../../src/services/mrzParser');
+
+// ICAO 9303 specimens
+const TD3 = [
+  'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<',
+  'L898902C36UTO7408122F1204159ZE184226B<<<<<10',
+];
+const TD2 = [
+  'I<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<',
+  'D231458907UTO7408122F1204159<<<<<<<6',
+];
+const TD1 = [
+  'I<UTOD231458907<<<<<<<<<<<<<<<',
+  '7408122F1204159UTO<<<<<<<<<<<6',
+  'ERIKSSON<<ANNA<MARIA<<<<<<<<<<',
+];
+
+const withText = lines => ['PASSPORT', 'Surname / Nom', ...lines, ''].join('\n');
+
+describe('computeCheckDigit', () => {
+  test('weights digits, letters and filler 7, 3, 1', () => {
+    expect(computeCheckDigit('L898902C3')).toBe('6');
+    expect(computeCheckDigit('740812')).toBe('2');
+    expect(computeCheckDigit('120415')).toBe('9');
+    expect(computeCheckDigit('<<<<<<')).toBe('0');
+  });
+});
+
+describe('extractMRZ', () => {
+  test('parses a TD3 passport', () => {
+    const mrz = extractMRZ(withText(TD3));
+
+    expect(mrz).toMatchObject({
+      format: 'TD3',
+      documentCode: 'P',
+      issuingState: 'UTO',
+      surname: 'ERIKSSON',
+      givenNames: 'ANNA MARIA',
+      documentNumber: 'L898902C3',
+      nationality: 'UTO',
+      dateOfBirth: '1974-08-12',
+      sex: 'F',
+      dateOfExpiry: '2012-04-15',
+      optionalData: 'ZE184226B',
+      checkDigitsValid: true,
+      failedChecks: [],
+    });
+  });
+
+  test('parses a TD2 card', () => {
+    const mrz = extractMRZ(withText(TD2));
+
+    expect(mrz).toMatchObject({
+      format: 'TD2',
+      documentCode: 'I',
+      surname: 'ERIKSSON',
+      givenNames: 'ANNA MARIA',
+      documentNumber: 'D23145890',
+      dateOfBirth: '1974-08-12',
+      checkDigitsValid: true,
+    });
+  });
+
+  test('parses a TD1 card', () => {
+    const mrz = extractMRZ(withText(TD1));
+
+    expect(mrz).toMatchObject({
+      format: 'TD1',
+      documentCode: 'I',
+      issuingState: 'UTO',
+      surname: 'ERIKSSON',
+      givenNames: 'ANNA MARIA',
+      documentNumber: 'D23145890',
+      nationality: 'UTO',
+      dateOfBirth: '1974-08-12',
+      sex: 'F',
+      dateOfExpiry: '2012-04-15',
+      checkDigitsValid: true,
+    });
+  });
+
+  test('reports the fields whose check digits fail', () => {
+    // Birth date altered, composite left as it was
+    const line2 = TD3[1].replace('740812', '740813');
+    const mrz = extractMRZ(withText([TD3[0], line2]));
+
+    expect(mrz.checkDigitsValid).toBe(false);
+    expect(mrz.failedChecks).toEqual(expect.arrayContaining(['dateOfBirth', 'composite']));
+    expect(mrz.checkDigits.documentNumber).toBe(true);
+  });
+
+  test('fails the document number check when a character is misread', () => {
+    const mrz = extractMRZ(withText([TD3[0], TD3[1].replace('L898902C3', 'L898902C8')]));
+
+    expect(mrz.checkDigits.documentNumber).toBe(false);
+    expect(mrz.failedChecks).toContain('documentNumber');
+  });
+
+  test('maps OCR letter/digit confusions in numeric fields', () => {
+    // O read for 0 in the birth date
+    const mrz = extractMRZ(withText([TD3[0], TD3[1].replace('7408122', '74O8122')]));
+
+    expect(mrz.dateOfBirth).toBe('1974-08-12');
+    expect(mrz.checkDigits.dateOfBirth).toBe(true);
+  });
+
+  test('returns null when the text has no MRZ', () => {
+    expect(extractMRZ('Invoice 2024-001\nTotal 12.00')).toBeNull();
+    expect(extractMRZ('')).toBeNull();
+  });
+});
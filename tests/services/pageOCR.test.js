@@ -0,0 +1,118 @@
+// tests/services/pageOCR.test.js
+const sharp = require('sharp');
+
+// Recognitions finish when the test says so, so the pages in flight can be counted
+jest.mock('../../src/services/ocrPool', () => ({
+  ...jest.requireActual('../../src/services/ocrPool'),
+  recognize: jest.fn(),
+}));
+
+const { recognize, acquireSlot } = require('../../src/services/ocrPool');
+const { recognizePages } = require('../../src/services/pageOCR');
+const { resolveOCROptions } = require('../../src/services/ocrOptions');
+const { ocr: ocrConfig } = require('../../src/config/env');
+
+const OCR_OPTIONS = { ...resolveOCROptions(null), preprocessing: [] };
+
+// Let pending promise callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('acquireSlot', () => {
+  test('hands out OCR_WORKERS slots, then one per release in the order they were asked for', async () => {
+    const held = await Promise.all(Array.from({ length: ocrConfig.workers }, acquireSlot));
+    const order = [];
+    const first = acquireSlot().then(release => { order.push('first'); return release; });
+    const second = acquireSlot().then(release => { order.push('second'); return release; });
+    await settle();
+    expect(order).toEqual([]);
+
+    // Releasing twice frees one slot
+    held[0]();
+    held[0]();
+    await settle();
+    expect(order).toEqual(['first']);
+
+    held.slice(1).forEach(release => release());
+    await settle();
+    expect(order).toEqual(['first', 'second']);
+    (await first)();
+    (await second)();
+  });
+});
+
+describe('recognizePages', () => {
+  let pageImage;
+  let recognitions;
+  let inFlight;
+  let maxInFlight;
+
+  beforeAll(async () => {
+    pageImage = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#ffffff' } }).png().toBuffer();
+  });
+
+  beforeEach(() => {
+    recognitions = [];
+    inFlight = 0;
+    maxInFlight = 0;
+    recognize.mockReset().mockImplementation(() => new Promise(resolve => recognitions.push(resolve)));
+  });
+
+  // Pages count as in flight from rendering until their recognition finishes
+  const renderPage = async () => {
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    return { buffer: pageImage, dpi: 200 };
+  };
+
+  // Preprocessing and hashing run on sharp's thread pool, so wait in real time
+  const waitFor = async condition => {
+    for (let i = 0; i < 500 && !condition(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  // Finish recognitions one at a time, as they come, until every document is done
+  async function runDocuments(documents) {
+    let done = false;
+    const all = Promise.all(documents).finally(() => {
+      done = true;
+    });
+
+    while (!done) {
+      await waitFor(() => done || recognitions.length > 0);
+      if (recognitions.length > 0) {
+        inFlight -= 1;
+        recognitions.shift()({ data: { text: 'PASSPORT' } });
+      }
+    }
+    return all;
+  }
+
+  test('keeps at most OCR_WORKERS pages in flight across concurrent documents', async () => {
+    const [first, second] = await runDocuments([
+      recognizePages({ totalPages: 4, renderPage, ocrOptions: OCR_OPTIONS }),
+      recognizePages({ totalPages: 3, renderPage, ocrOptions: OCR_OPTIONS }),
+    ]);
+
+    expect(first.ocr.pages).toEqual([1, 2, 3, 4]);
+    expect(second.ocr.pages).toEqual([1, 2, 3]);
+    expect(recognize).toHaveBeenCalledTimes(7);
+    expect(maxInFlight).toBe(ocrConfig.workers);
+  });
+
+  test('frees the slot of a page that fails to render', async () => {
+    const failingRender = async pageNumber => {
+      if (pageNumber === 1) throw new Error('render failed');
+      return renderPage();
+    };
+
+    const [{ ocr, warnings }] = await runDocuments([
+      recognizePages({ totalPages: 3, renderPage: failingRender, ocrOptions: OCR_OPTIONS }),
+    ]);
+
+    expect(ocr.pages).toEqual([2, 3]);
+    expect(ocr.failedPages).toEqual([1]);
+    expect(warnings.map(warning => warning.code)).toContain('OCR_PAGE_FAILED');
+    expect(recognize).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,97 @@
+// tests/services/piiDetector.test.js
+const { knownPIIValues, detectPII, maskText, redactText, redactData } = require('../../src/services/piiDetector');
+
+const ALL_CLASSES = ['id_number', 'email', 'phone', 'account_number', 'address'];
+
+const found = (text, classes = ALL_CLASSES, knownValues = []) => detectPII(text, classes, knownValues)
+  .map(match => ({ type: match.type, value: text.slice(match.start, match.end) }));
+
+describe('detectPII', () => {
+  test('finds emails and phone numbers but not dates', () => {
+    expect(found('Contact: anna.eriksson@example.com, +44 20 7946 0958. Born 12.08.1974')).toEqual([
+      { type: 'email', value: 'anna.eriksson@example.com' },
+      { type: 'phone', value: '+44 20 7946 0958' },
+    ]);
+  });
+
+  test('only takes IBANs and card numbers that pass their checks', () => {
+    expect(found('IBAN GB82 WEST 1234 5698 7654 32')).toEqual([
+      { type: 'account_number', value: 'GB82 WEST 1234 5698 7654 32' },
+    ]);
+    expect(found('Ref GB82 WEST 1234 5698 7654 33', ['account_number'])).toEqual([]);
+    expect(found('Card 4111 1111 1111 1111', ['account_number'])).toEqual([
+      { type: 'account_number', value: '4111 1111 1111 1111' },
+    ]);
+    expect(found('Order 4111 1111 1111 1112', ['account_number'])).toEqual([]);
+  });
+
+  test('masks only the value after a label', () => {
+    expect(found('Passport No: X1234567', ['id_number'])).toEqual([{ type: 'id_number', value: 'X1234567' }]);
+    expect(found('Customer number: CU-99812', ['id_number'])).toEqual([{ type: 'id_number', value: 'CU-99812' }]);
+  });
+
+  test('finds MRZ lines', () => {
+    const text = 'P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<\nL898902C36UTO7408122F1204159ZE184226B<<<<<10';
+    expect(found(text, ['id_number']).map(match => match.value)).toEqual(text.split('\n'));
+  });
+
+  test('finds addresses after a label and by street type or postcode', () => {
+    expect(found('Address: 221B Baker Street, London NW1 6XE', ['address'])).toEqual([
+      { type: 'address', value: '221B Baker Street, London NW1 6XE' },
+    ]);
+  });
+
+  test('finds known values of the requested classes despite different spacing and case', () => {
+    const knownValues = [{ type: 'id_number', value: 'AB 123 456' }];
+    expect(found('ref ab 123\n456 ok', ['id_number'], knownValues)).toEqual([{ type: 'id_number', value: 'ab 123\n456' }]);
+    expect(found('x', ['email'], knownValues)).toEqual([]);
+  });
+
+  test('only looks for the requested classes', () => {
+    expect(found('anna@example.com +44 20 7946 0958', ['phone'])).toEqual([{ type: 'phone', value: '+44 20 7946 0958' }]);
+  });
+});
+
+describe('maskText and redactText', () => {
+  test('mask letters and digits, keeping length, spacing and punctuation', () => {
+    expect(maskText('Call +44 20-7946', [{ start: 5, end: 16 }])).toBe('Call +** **-****');
+
+    const redacted = redactText('Email: anna@example.com', ['email']);
+    expect(redacted.text).toBe('Email: ****@*******.***');
+    expect(redacted.matches).toHaveLength(1);
+  });
+
+  test('leave text that is not a string alone', () => {
+    expect(redactText(null, ALL_CLASSES)).toEqual({ text: null, matches: [] });
+  });
+});
+
+describe('knownPIIValues and redactData', () => {
+  const data = {
+    documentNumber: 'L898902C3',
+    surname: 'ERIKSSON',
+    contact: { email: 'anna@example.com', notes: 'Call +44 20 7946 0958' },
+    accounts: [12345678],
+  };
+
+  test('collect fields named like a class', () => {
+    expect(knownPIIValues(data)).toEqual([
+      { type: 'id_number', value: 'L898902C3' },
+      { type: 'email', value: 'anna@example.com' },
+      { type: 'account_number', value: '12345678' },
+    ]);
+  });
+
+  test('mask class fields whole and search other strings', () => {
+    const types = [];
+    const redacted = redactData(data, ALL_CLASSES, [], type => types.push(type));
+
+    expect(redacted).toEqual({
+      documentNumber: '*********',
+      surname: 'ERIKSSON',
+      contact: { email: '****@*******.***', notes: 'Call +** ** **** ****' },
+      accounts: ['********'],
+    });
+    expect(types.sort()).toEqual(['account_number', 'email', 'id_number', 'phone']);
+  });
+});
@@ -0,0 +1,153 @@
+// tests/services/retention.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load fresh copies of the modules with the given environment, since retention is read when they load
+ */
+function withEnv(vars, load) {
+  const previous = Object.fromEntries(Object.keys(vars).map(name => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  try {
+    let modules;
+    jest.isolateModules(() => {
+      modules = load();
+    });
+    return modules;
+  } finally {
+    Object.entries(previous).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  }
+}
+
+const policyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-'));
+afterAll(() => fs.rmSync(policyDir, { recursive: true, force: true }));
+
+function writePolicy(policy) {
+  const filePath = path.join(policyDir, `${Math.random().toString(36).slice(2)}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(policy));
+  return filePath;
+}
+
+const POLICY = {
+  processingMethods: { ai: { fileDays: 7 } },
+  tenants: { acme: { dataDays: 90 }, globex: { fileDays: null } },
+};
+
+const loadRetention = (policy = POLICY) => withEnv({
+  RETENTION_FILE_DAYS: '30',
+  RETENTION_DATA_DAYS: '365',
+  RETENTION_POLICY_FILE: writePolicy(policy),
+}, () => ({
+  policies: require('../../src/config/retentionPolicies'),
+  retention: require('../../src/services/retention'),
+  storage: require('../../src/services/storage'),
+  storageService: require('../../src/services/storageService'),
+}));
+
+describe('retention policies', () => {
+  const { policies: { resolveRetention, shortestRetention } } = loadRetention();
+
+  test('a tenant override wins over a processing method override, which wins over the defaults', () => {
+    expect(resolveRetention({ tenantId: 'initech', processingMethod: 'standard' })).toEqual({
+      fileDays: { days: 30, source: 'default' },
+      dataDays: { days: 365, source: 'default' },
+    });
+    expect(resolveRetention({ tenantId: 'initech', processingMethod: 'ai' })).toEqual({
+      fileDays: { days: 7, source: 'processing_method' },
+      dataDays: { days: 365, source: 'default' },
+    });
+    expect(resolveRetention({ tenantId: 'acme', processingMethod: 'ai' })).toEqual({
+      fileDays: { days: 7, source: 'processing_method' },
+      dataDays: { days: 90, source: 'tenant' },
+    });
+    expect(resolveRetention({ tenantId: 'globex', processingMethod: 'ai' }).fileDays).toEqual({ days: null, source: 'tenant' });
+  });
+
+  test('the shortest retention covers every override', () => {
+    expect(shortestRetention('fileDays')).toBe(7);
+    expect(shortestRetention('dataDays')).toBe(90);
+  });
+
+  test('a policy file with unknown names or invalid days is rejected when loaded', () => {
+    expect(() => loadRetention({ processingMethods: { ocr: { fileDays: 1 } } })).toThrow('unknown processing method: ocr');
+    expect(() => loadRetention({ tenants: { acme: { days: 1 } } })).toThrow('unknown fields: days');
+    expect(() => loadRetention({ tenants: { acme: { fileDays: 0 } } })).toThrow('tenants.acme.fileDays must be a positive number');
+  });
+});
+
+describe('runRetentionSweep', () => {
+  const { retention, storage, storageService } = loadRetention();
+  const { jobRepository, blobStore } = storage.getStorage();
+  const createdAt = new Date(Date.now() - 400 * DAY_MS);
+
+  async function insertJob(jobId, overrides = {}) {
+    const fileUrl = await storageService.storeFile(Buffer.from(`%PDF-1.4 ${jobId}`), 'application/pdf');
+    await jobRepository.insert({
+      job_id: jobId,
+      tenant_id: 'initech',
+      processing_method: 'standard',
+      status: 'completed',
+      file_url: fileUrl,
+      content_hash: `hash-of-${jobId}`,
+      created_at: createdAt.toISOString(),
+      ...overrides,
+    });
+    return fileUrl;
+  }
+
+  const at = days => new Date(createdAt.getTime() + days * DAY_MS);
+
+  test('purges files and then jobs as each job\'s own retention runs out, logging every purge', async () => {
+    const aiFile = await insertJob('ai', { processing_method: 'ai' });
+    await insertJob('standard');
+    await insertJob('acme', { tenant_id: 'acme' });
+    await insertJob('running', { status: 'processing' });
+
+    expect(await retention.runRetentionSweep({ now: at(6) })).toEqual({ filesPurged: 0, jobsPurged: 0, idempotencyKeysPurged: 0, failed: 0 });
+
+    expect(await retention.runRetentionSweep({ now: at(8) })).toMatchObject({ filesPurged: 1, jobsPurged: 0 });
+    expect(await jobRepository.findById('ai')).toMatchObject({ file_url: null, file_purged_at: expect.any(String) });
+    await expect(blobStore.get(blobStore.pathFromUrl(aiFile))).rejects.toMatchObject({ code: 'ENOENT' });
+
+    expect(await retention.runRetentionSweep({ now: at(91) })).toMatchObject({ filesPurged: 2, jobsPurged: 1 });
+    expect(await jobRepository.findById('acme')).toBeNull();
+
+    // A job that is still running keeps everything
+    expect(await jobRepository.findById('running')).toMatchObject({ file_url: expect.any(String) });
+
+    // Both purges of one sweep can share a timestamp, so their order isn't checked
+    const { entries } = await retention.listPurgeLog('acme');
+    expect(entries.map(({ action, reason, retentionDays, policySource }) => ({ action, reason, retentionDays, policySource }))).toEqual(expect.arrayContaining([
+      { action: 'file_purged', reason: 'retention', retentionDays: 30, policySource: 'default' },
+      { action: 'job_purged', reason: 'retention', retentionDays: 90, policySource: 'tenant' },
+    ]));
+    expect(entries).toHaveLength(2);
+    expect((await retention.listPurgeLog('initech', { jobId: 'ai' })).entries).toEqual([
+      expect.objectContaining({ jobId: 'ai', action: 'file_purged', retentionDays: 7, policySource: 'processing_method', keyId: null }),
+    ]);
+  });
+
+  test('a legal hold blocks purges until it is released', async () => {
+    await insertJob('held');
+    await retention.placeLegalHold('held', 'initech', { reason: 'Case 4411' });
+
+    await retention.runRetentionSweep({ now: at(400) });
+    expect(await jobRepository.findById('held')).toMatchObject({ legal_hold: true, file_url: expect.any(String) });
+    expect((await retention.listPurgeLog('initech', { jobId: 'held' })).entries).toEqual([]);
+
+    await retention.releaseLegalHold('held', 'initech');
+    await retention.runRetentionSweep({ now: at(400) });
+    expect(await jobRepository.findById('held')).toBeNull();
+    expect((await retention.listPurgeLog('initech', { jobId: 'held' })).entries.map(entry => entry.action).sort())
+      .toEqual(['file_purged', 'job_purged']);
+  });
+});
@@ -0,0 +1,52 @@
+// tests/services/storage/localStorage.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStorage } = require('../../../src/services/storage/localStorage');
+
+describe('local job store file', () => {
+  let dir;
+  let dbFile;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-store-'));
+    dbFile = path.join(dir, 'jobs.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const open = () => createLocalStorage({ dir, dbFile });
+
+  test('keeps jobs across restarts', async () => {
+    await open().jobRepository.insert({ job_id: 'job-1', tenant_id: 'acme', status: 'queued' });
+
+    expect(await open().jobRepository.findById('job-1')).toMatchObject({ tenant_id: 'acme', status: 'queued' });
+  });
+
+  test('is locked to the process that opened it', async () => {
+    await open().jobRepository.ping();
+    expect(fs.readFileSync(`${dbFile}.lock`, 'utf8')).toBe(String(process.pid));
+  });
+
+  test('refuses to open while another running process holds the lock', async () => {
+    // The process that started this test runner is certainly running
+    fs.writeFileSync(`${dbFile}.lock`, String(process.ppid));
+
+    await expect(open().jobRepository.ping()).rejects.toThrow(`in use by process ${process.ppid}`);
+    expect(fs.existsSync(dbFile)).toBe(false);
+  });
+
+  test('takes over a lock left by a process that is gone', async () => {
+    fs.writeFileSync(`${dbFile}.lock`, '99999999');
+
+    await open().jobRepository.insert({ job_id: 'job-1', tenant_id: 'acme', status: 'queued' });
+    expect(fs.readFileSync(`${dbFile}.lock`, 'utf8')).toBe(String(process.pid));
+  });
+
+  test('never locks an in-memory store', async () => {
+    await createLocalStorage({ dir, dbFile: ':memory:' }).jobRepository.ping();
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
@@ -0,0 +1,57 @@
+// tests/services/storage/searchIndex.test.js
+const { createSearchIndex, tokenize, buildSnippet, HIGHLIGHT_START, HIGHLIGHT_END } = require('../../../src/services/storage/searchIndex');
+
+const ALL = { limit: 10, offset: 0 };
+
+describe('tokenize', () => {
+  test('lowercases, strips accents and drops one-character terms', () => {
+    expect(tokenize('Åsa Öberg, born in São Paulo (B)')).toEqual(['asa', 'oberg', 'born', 'in', 'sao', 'paulo']);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('createSearchIndex', () => {
+  const index = createSearchIndex();
+  index.upsert({ job_id: 'short', raw_text: 'Passport Eriksson' });
+  index.upsert({ job_id: 'long', raw_text: `Passport application for Eriksson ${'with many other words '.repeat(20)}` });
+  index.upsert({ job_id: 'repeated', raw_text: 'Eriksson Eriksson Eriksson invoice' });
+  index.upsert({ job_id: 'ai-only', raw_text: '', ai_extracted_data: { holder: { surname: 'Lindqvist' } } });
+
+  const ids = (query, options = ALL) => index.search(query, options).hits.map(hit => hit.jobId);
+
+  test('ranks with BM25: frequent terms and short documents first', () => {
+    expect(ids('eriksson')).toEqual(['repeated', 'short', 'long']);
+    expect(ids('passport eriksson')).toEqual(['short', 'long']);
+  });
+
+  test('only matches documents with every term', () => {
+    expect(ids('passport invoice')).toEqual([]);
+    expect(ids('lindqvist')).toEqual(['ai-only']);
+    expect(ids('   ')).toEqual([]);
+  });
+
+  test('filters and pages the ranked hits, counting them all', () => {
+    expect(index.search('eriksson', { limit: 1, offset: 1 })).toMatchObject({ hits: [{ jobId: 'short' }], total: 3 });
+    expect(ids('eriksson', { ...ALL, filter: jobId => jobId !== 'repeated' })).toEqual(['short', 'long']);
+  });
+
+  test('follows updates and removals', () => {
+    index.upsert({ job_id: 'short', raw_text: 'Driving licence' });
+    expect(ids('eriksson')).toEqual(['repeated', 'long']);
+    expect(ids('licence')).toEqual(['short']);
+
+    index.remove('short');
+    expect(ids('licence')).toEqual([]);
+  });
+});
+
+describe('buildSnippet', () => {
+  test('highlights whole-word matches around the first one, ignoring accents', () => {
+    const text = `${'lorem '.repeat(30)}Place of birth Malmö, Sweden; Malmöhus county`;
+    const snippet = buildSnippet(text, ['malmo']);
+
+    expect(snippet.startsWith('...')).toBe(true);
+    expect(snippet).toContain(`${HIGHLIGHT_START}Malmö${HIGHLIGHT_END}, Sweden`);
+    expect(snippet).not.toContain(`${HIGHLIGHT_START}Malmöhus`);
+  });
+});
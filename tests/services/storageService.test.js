@@ -0,0 +1,66 @@
+// tests/services/storageService.test.js
+const { v4: uuidv4 } = require('uuid');
+const { getStorage } = require('../../src/services/storage');
+const { deleteProcessingJob, updateJobProgress } = require('../../src/services/storageService');
+const { ERROR_CODES } = require('../../src/config/constants');
+
+const TENANT = 'acme';
+
+async function insertJob(overrides = {}) {
+  const jobId = uuidv4();
+  await getStorage().jobRepository.insert({
+    job_id: jobId,
+    tenant_id: TENANT,
+    file_name: 'passport.pdf',
+    mime_type: 'application/pdf',
+    processing_method: 'standard',
+    status: 'processing',
+    ...overrides,
+  });
+  return jobId;
+}
+
+/**
+ * Run write(jobId) after every read of a job, as if a worker touched it between the read and the delete
+ */
+function writeAfterEachRead(write) {
+  const { jobRepository } = getStorage();
+  const findById = jobRepository.findById;
+  return jest.spyOn(jobRepository, 'findById').mockImplementation(async jobId => {
+    const row = await findById.call(jobRepository, jobId);
+    // Let the clock move on, so the write gets a newer updated_at
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await write(jobId);
+    return row;
+  });
+}
+
+describe('deleteProcessingJob', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('deletes a running job even though its progress keeps changing', async () => {
+    const jobId = await insertJob();
+    writeAfterEachRead(id => updateJobProgress(id, 40, 'ocr'));
+
+    expect(await deleteProcessingJob(jobId, TENANT)).toMatchObject({ job_id: jobId });
+    jest.restoreAllMocks();
+    expect(await getStorage().jobRepository.findById(jobId)).toBeNull();
+  });
+
+  test('does not delete a job put on legal hold after it was read', async () => {
+    const jobId = await insertJob({ status: 'completed' });
+    writeAfterEachRead(id => getStorage().jobRepository.update(id, { legal_hold: true }));
+
+    await expect(deleteProcessingJob(jobId, TENANT)).rejects.toMatchObject({ code: ERROR_CODES.LEGAL_HOLD });
+    jest.restoreAllMocks();
+    expect(await getStorage().jobRepository.findById(jobId)).not.toBeNull();
+  });
+
+  test("returns null for another tenant's job", async () => {
+    const jobId = await insertJob();
+    expect(await deleteProcessingJob(jobId, 'other')).toBeNull();
+    expect(await getStorage().jobRepository.findById(jobId)).not.toBeNull();
+  });
+});
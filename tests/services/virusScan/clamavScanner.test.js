@@ -0,0 +1,70 @@
+// tests/services/virusScan/clamavScanner.test.js
+const net = require('net');
+const { createClamAVScanner } = require('../../../src/services/virusScan/clamavScanner');
+
+/**
+ * A stand-in clamd that reads one INSTREAM upload and answers with reply(file), or never answers
+ */
+function fakeClamd(reply) {
+  const received = [];
+  const server = net.createServer(socket => {
+    let data = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      data = Buffer.concat([data, chunk]);
+      const command = 'zINSTREAM\0';
+      if (data.length < command.length) return;
+
+      // Walk the length-prefixed chunks up to the zero-length one
+      const chunks = [];
+      let offset = command.length;
+      while (offset + 4 <= data.length) {
+        const size = data.readUInt32BE(offset);
+        if (size === 0) {
+          const file = Buffer.concat(chunks);
+          received.push({ command: data.toString('latin1', 0, command.length), file });
+          if (reply) socket.end(`${reply(file)}\0`);
+          return;
+        }
+        if (offset + 4 + size > data.length) return;
+        chunks.push(data.subarray(offset + 4, offset + 4 + size));
+        offset += 4 + size;
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, received, port: server.address().port }));
+  });
+}
+
+describe('createClamAVScanner', () => {
+  let clamd;
+
+  afterEach(() => new Promise(resolve => clamd.server.close(resolve)));
+
+  const scannerFor = ({ port }, timeoutMs = 2000) => createClamAVScanner({ host: '127.0.0.1', port, socketPath: '', timeoutMs });
+
+  test('streams the whole file in chunks and reads a clean verdict', async () => {
+    clamd = await fakeClamd(() => 'stream: OK');
+    const file = Buffer.alloc(200 * 1024, 7);
+
+    expect(await scannerFor(clamd).scan(file)).toEqual({ infected: false, signature: null });
+    expect(clamd.received).toHaveLength(1);
+    expect(clamd.received[0].command).toBe('zINSTREAM\0');
+    expect(clamd.received[0].file.equals(file)).toBe(true);
+  });
+
+  test('reports the signature of an infected file', async () => {
+    clamd = await fakeClamd(() => 'stream: Win.Test.EICAR_HDB-1 FOUND');
+    expect(await scannerFor(clamd).scan(Buffer.from('sample'))).toEqual({ infected: true, signature: 'Win.Test.EICAR_HDB-1' });
+  });
+
+  test('rejects on clamd errors and when clamd does not answer in time', async () => {
+    clamd = await fakeClamd(() => 'INSTREAM size limit exceeded. ERROR');
+    await expect(scannerFor(clamd).scan(Buffer.from('sample'))).rejects.toThrow('ClamAV error: INSTREAM size limit exceeded. ERROR');
+
+    await new Promise(resolve => clamd.server.close(resolve));
+    clamd = await fakeClamd(null);
+    await expect(scannerFor(clamd, 100).scan(Buffer.from('sample'))).rejects.toThrow('ClamAV did not answer within 100 ms');
+  });
+});
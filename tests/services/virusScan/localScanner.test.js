@@ -0,0 +1,14 @@
+// tests/services/virusScan/localScanner.test.js
+const { createLocalScanner } = require('../../../src/services/virusScan/localScanner');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+describe('createLocalScanner', () => {
+  const scanner = createLocalScanner();
+
+  test('flags the EICAR test file wherever it appears and passes anything else', async () => {
+    expect(scanner.name).toBe('local');
+    expect(await scanner.scan(Buffer.from(`%PDF-1.4\n% ${EICAR}\n`))).toEqual({ infected: true, signature: 'Eicar-Test-Signature' });
+    expect(await scanner.scan(Buffer.from('%PDF-1.4\n'))).toEqual({ infected: false, signature: null });
+  });
+});
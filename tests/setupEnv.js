@@ -0,0 +1,12 @@
+// tests/setupEnv.js
+const os = require('os');
+const path = require('path');
+
+// Modules read src/config/env.js when loaded; run them against the in-memory local backend
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_DB_FILE = ':memory:';
+process.env.LOCAL_STORAGE_DIR = path.join(os.tmpdir(), 'document-processor-tests');
+process.env.API_AUTH = 'required';
+process.env.DOCUMENT_URL_SECRET = 'test-document-url-secret';
+process.env.NODE_ENV = 'test';
+process.env.ADMIN_API_KEY = 'test-admin-api-key';